@@ -0,0 +1,483 @@
+#!/usr/bin/env node
+/**
+ * Headless playbook runner for CI.
+ * Runs a playbook without opening the Electron window, streams step progress to stdout
+ * and exits non-zero when a step errors or a validation fails.
+ *
+ * Usage: node src/cli.js -p path/to/playbook.md|.feature [-z zoomPercent] [--report-dir dir] [--var name=value ...]
+ *        [--from-step n [--replay report.json]] [--replay-actions playbook.actions.json] [--plan-cache plans.json]
+ *        [--script typescript|javascript|node|python|java|csharp]
+ *        node src/cli.js -p path/to/folder|"glob/**\/*.md" [--tags a,b] [--exclude-tags c] [--workers n] [--report-dir dir]
+ *        node src/cli.js -p path/to/playbook.md --lint [--var name=value ...]
+ */
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const { parseArgs } = require('node:util');
+
+// Keep stdout readable: progress is printed by this runner, service logs only when asked for
+if (!process.env.LOG_LEVEL) {
+  process.env.LOG_LEVEL = 'WARN';
+}
+
+const logger = require('./utils/logger');
+const { zoomToViewportSize, parseZoomPercent } = require('./utils/viewport');
+const { parseVarArgs } = require('./utils/variables');
+const { isPlaybookSuite } = require('./utils/playbookFiles');
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1; // A step failed, a validation did not pass or linting found errors
+const EXIT_USAGE = 2; // Bad arguments or services could not start
+const EXIT_INTERRUPTED = 130; // Ctrl+C before a playbook started, or pressed twice
+
+const USAGE = `Usage: node src/cli.js -p <playbook.md> [options]
+
+Options:
+  -p, --playbook <path>   Playbook markdown or Gherkin .feature file to run, or a folder or
+                          quoted glob pattern ("tests/**/*.md") to run as a suite
+  --tags <list>           Only run the suite playbooks and feature scenarios having one of these
+                          comma separated tags
+  --exclude-tags <list>   Skip the suite playbooks and feature scenarios having one of these tags
+  --workers <n>           Run up to n suite playbooks at a time, each worker with its own browser
+                          (MCP server) and LLM conversation
+  -z, --zoom <percent>    Zoom percent (translated to the browser viewport size)
+  -r, --report-dir <dir>  Write JUnit XML and JSON reports to this directory
+                          (defaults to PLAYBOOK_REPORT_DIR)
+  --var <name=value>      Set a playbook variable (repeatable), overrides front matter vars
+  --secrets <file>        Secrets file in .env format (defaults to PLAYBOOK_SECRETS_FILE,
+                          then .env.secrets next to the playbook)
+  --from-step <n>         Start at playbook step n; the steps before it are skipped
+  --replay <report.json>  With --from-step, replay the steps before it from the tool calls
+                          recorded in this JSON report of an earlier run instead of skipping them
+  --replay-actions <file> Replay the browser actions of this action log (<playbook>.actions.json,
+                          written with the reports) without the LLM; the LLM only runs validations,
+                          conditions and the steps whose replay diverges from the page
+  --plan-cache <file>     Cache the tool calls that completed each step (by step text and page URL)
+                          in this file and replay them on later runs, asking the LLM only when
+                          a cached call fails or makes no visual change (defaults to PLAYBOOK_PLAN_CACHE)
+  --script <language>     Write a test script of each run with the reports: typescript, javascript
+                          (Playwright Test), node (playwright library), python (pytest),
+                          java (JUnit 5) or csharp (NUnit); needs a report directory
+  --lint, --dry-run       Check the playbook without starting the browser or the LLM: print
+                          the parsed steps and report ignored text, ambiguous nesting, unknown
+                          directives and undefined variables
+  -h, --help              Show this help`;
+
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      playbook: { type: 'string', short: 'p' },
+      zoom: { type: 'string', short: 'z' },
+      'report-dir': { type: 'string', short: 'r' },
+      var: { type: 'string', multiple: true },
+      secrets: { type: 'string' },
+      'from-step': { type: 'string' },
+      replay: { type: 'string' },
+      'replay-actions': { type: 'string' },
+      'plan-cache': { type: 'string' },
+      script: { type: 'string' },
+      lint: { type: 'boolean' },
+      'dry-run': { type: 'boolean' },
+      tags: { type: 'string' },
+      'exclude-tags': { type: 'string' },
+      workers: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    },
+    allowPositionals: false
+  });
+  return values;
+}
+
+/**
+ * Print tool and assistant events emitted by the LLM service
+ * @param {string} prefix - Put before every line, names the worker when several run in parallel
+ */
+function printLLMEvent(eventName, data, prefix = '') {
+  switch (eventName) {
+    case 'tool-execution-start':
+      console.log(`${prefix}    → ${data.toolName} ${JSON.stringify(data.args || {})}`);
+      break;
+    case 'tool-execution-success': {
+      const visual = data.visualChange === undefined ? '' : (data.visualChange ? `, visual change ${data.changePercent}%` : ', no visual change');
+      console.log(`${prefix}    ✓ ${data.toolName} (${data.duration}ms${visual})`);
+      break;
+    }
+    case 'tool-execution-error':
+      console.log(`${prefix}    ✗ ${data.toolName}: ${data.error}`);
+      break;
+    case 'show-assistant-message':
+      console.log(`${prefix}    ${indent(data, prefix)}`);
+      break;
+  }
+}
+
+/**
+ * Build the message listener printing the progress of a playbook service
+ * @param {string} prefix - Put before every line, see printLLMEvent
+ */
+function createMessagePrinter(playbookService, prefix = '') {
+  return (role, text) => {
+    if (role === 'user') {
+      const { currentStepLabel, totalSteps } = playbookService.getStatus();
+      console.log(`\n${prefix}[${currentStepLabel}/${totalSteps}] ${indent(text, prefix)}`);
+    } else if (role === 'assistant') {
+      console.log(`${prefix}    ${indent(text, prefix)}`);
+    } else {
+      console.log(`${prefix}${indent(text, prefix)}`);
+    }
+  };
+}
+
+function indent(text, prefix = '') {
+  return String(text).trim().replace(/\n/g, `\n${prefix}    `);
+}
+
+/**
+ * Print the parsed steps of a playbook with their labels and source lines
+ */
+function printSteps(nodes, prefix, depth = 1) {
+  nodes.forEach((node, index) => {
+    const label = `${prefix}${index + 1}`;
+    const { timeoutMs, retries, recovery } = node.options || {};
+    const details = [
+      node.optional ? 'optional' : null,
+      timeoutMs !== undefined ? `timeout ${timeoutMs / 1000}s` : null,
+      retries !== undefined ? `retries ${retries}` : null,
+      recovery !== undefined ? `recovery ${recovery}` : null,
+      `${path.relative(process.cwd(), node.source.file) || node.source.file}:${node.source.line}`
+    ].filter(Boolean);
+    if (node.validate) {
+      details.unshift('validation');
+    }
+    const [firstLine, ...subItems] = node.text.split('\n');
+    const padding = '  '.repeat(depth);
+    console.log(`${padding}${label}. ${firstLine}  (${details.join(', ')})`);
+    subItems.forEach(subItem => console.log(`${padding}${' '.repeat(label.length + 2)}${subItem.trim()}`));
+    if (node.steps) {
+      printSteps(node.steps, `${label}.`, depth + 1);
+    }
+  });
+}
+
+/**
+ * Dry run: print the parsed playbook and what the linter found
+ * @returns {Promise<number>} Exit code, EXIT_FAILURE when there are errors
+ */
+async function lintPlaybook(playbookPath, lintOptions) {
+  const PlaybookService = require('./services/playbookService');
+  const { sections, scenarios, errors, warnings } = await new PlaybookService(null, null).lintPlaybook(playbookPath, lintOptions);
+
+  console.log(`Linting ${playbookPath}`);
+  if (sections) {
+    const parts = [[scenarios ? 'Background:' : 'Setup:', sections.setup, 'S'], ['Steps:', sections.steps, ''], ['Teardown:', sections.teardown, 'T']];
+    for (const scenario of scenarios || []) {
+      const examples = scenario.examples.length > 0 ? ` (${scenario.examples.length} examples)` : '';
+      parts.push([`Scenario: ${scenario.name}${examples}`, scenario.steps, '']);
+    }
+    for (const [title, nodes, prefix] of parts) {
+      if (nodes.length > 0) {
+        console.log(`\n${title}`);
+        printSteps(nodes, prefix);
+      }
+    }
+  }
+  if (warnings.length > 0) {
+    console.log('\nWarnings:');
+    warnings.forEach(warning => console.log(`  ⚠️ ${warning}`));
+  }
+  if (errors.length > 0) {
+    console.log('\nErrors:');
+    errors.forEach(error => console.log(`  ❌ ${error}`));
+  }
+
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  console.log(`\n${plural(errors.length, 'error')}, ${plural(warnings.length, 'warning')}`);
+  return errors.length > 0 ? EXIT_FAILURE : EXIT_SUCCESS;
+}
+
+/**
+ * Dry run of a suite: lint the suite setup, every selected playbook and the suite teardown
+ * @returns {Promise<number>} Exit code, EXIT_FAILURE when a playbook has errors
+ */
+async function lintSuite(target, lintOptions, tagFilter) {
+  const PlaybookService = require('./services/playbookService');
+  const SuiteService = require('./services/suiteService');
+  let selection;
+  try {
+    selection = await new SuiteService(new PlaybookService(null, null)).selectPlaybooks(target, tagFilter);
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_USAGE;
+  }
+  if (selection.playbooks.length === 0) {
+    console.error(`No playbooks to lint in ${target}${selection.excluded.length > 0 ? ' match the tag filter' : ''}`);
+    return EXIT_FAILURE;
+  }
+
+  const files = [selection.setup, ...selection.playbooks, selection.teardown].filter(Boolean);
+  let failed = 0;
+  for (const file of files) {
+    if (await lintPlaybook(path.relative(process.cwd(), file) || file, lintOptions) !== EXIT_SUCCESS) {
+      failed++;
+    }
+    console.log('');
+  }
+  const excluded = selection.excluded.length > 0 ? ` (${selection.excluded.length} excluded by tags)` : '';
+  console.log(`Linted ${files.length} playbooks${excluded}: ${failed} with errors`);
+  return failed > 0 ? EXIT_FAILURE : EXIT_SUCCESS;
+}
+
+/**
+ * Print the result of a suite run; the playbooks report their own progress
+ * @returns {number} Exit code
+ */
+function printSuiteResult(suite) {
+  const validations = suite.playbooks
+    .filter(playbook => playbook.run)
+    .flatMap(playbook => playbook.run.steps.flatMap(step => step.validations));
+  const failedValidations = validations.filter(v => v.result === 'fail').length;
+  console.log(`
+Validations: ${validations.length - failedValidations} passed, ${failedValidations} failed`);
+  return suite.success ? EXIT_SUCCESS : EXIT_FAILURE;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_SUCCESS;
+  }
+  if (!options.playbook) {
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  let vars;
+  try {
+    vars = parseVarArgs(options.var);
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_USAGE;
+  }
+
+  const tagFilter = { include: options.tags, exclude: options['exclude-tags'] };
+  const isSuite = await isPlaybookSuite(options.playbook);
+
+  if (options.lint || options['dry-run']) {
+    return isSuite
+      ? lintSuite(options.playbook, { vars, secretsFile: options.secrets }, tagFilter)
+      : lintPlaybook(options.playbook, { vars, secretsFile: options.secrets });
+  }
+
+  if (isSuite && (options['from-step'] !== undefined || options.replay !== undefined || options['replay-actions'] !== undefined)) {
+    console.error('--from-step, --replay and --replay-actions need a single playbook, not a suite');
+    return EXIT_USAGE;
+  }
+
+  let workerCount = 1;
+  if (options.workers !== undefined) {
+    workerCount = Number(options.workers);
+    if (!Number.isInteger(workerCount) || workerCount < 1) {
+      console.error(`Invalid number of workers for --workers: ${options.workers}`);
+      return EXIT_USAGE;
+    }
+  }
+  if (workerCount > 1) {
+    if (!isSuite) {
+      console.error('--workers needs a suite (a folder or glob pattern)');
+      return EXIT_USAGE;
+    }
+    if (process.env.LLM_CASSETTE) {
+      // A cassette replays the turns of one conversation in order
+      console.error('--workers cannot be used with an LLM cassette');
+      return EXIT_USAGE;
+    }
+    // Do not start more browsers than there are playbooks
+    const PlaybookService = require('./services/playbookService');
+    const SuiteService = require('./services/suiteService');
+    try {
+      const { playbooks } = await new SuiteService(new PlaybookService(null, null)).selectPlaybooks(options.playbook, tagFilter);
+      workerCount = Math.max(1, Math.min(workerCount, playbooks.length));
+    } catch (error) {
+      // The suite run reports it
+    }
+  }
+
+  let fromStep;
+  if (options['from-step'] !== undefined) {
+    fromStep = Number(options['from-step']);
+    if (!Number.isInteger(fromStep) || fromStep < 1) {
+      console.error(`Invalid step number for --from-step: ${options['from-step']}`);
+      return EXIT_USAGE;
+    }
+  }
+
+  let replay;
+  if (options.replay !== undefined) {
+    if (fromStep === undefined) {
+      console.error('--replay needs --from-step');
+      return EXIT_USAGE;
+    }
+    try {
+      replay = JSON.parse(await fs.readFile(options.replay, 'utf-8')).steps;
+      if (!Array.isArray(replay)) {
+        throw new Error('it has no steps');
+      }
+    } catch (error) {
+      console.error(`Cannot read the report to replay ${options.replay}: ${error.message}`);
+      return EXIT_USAGE;
+    }
+  }
+
+  let actions;
+  if (options['replay-actions'] !== undefined) {
+    try {
+      const ActionReplayService = require('./services/actionReplayService');
+      ({ actions } = await ActionReplayService.readActionLog(options['replay-actions']));
+    } catch (error) {
+      console.error(error.message);
+      return EXIT_USAGE;
+    }
+  }
+
+  // One cache for all workers, so their writes do not overwrite each other
+  let planCache;
+  const planCacheFile = options['plan-cache'] || process.env.PLAYBOOK_PLAN_CACHE;
+  if (planCacheFile) {
+    try {
+      const PlanCacheService = require('./services/planCacheService');
+      planCache = await PlanCacheService.load(planCacheFile);
+    } catch (error) {
+      console.error(error.message);
+      return EXIT_USAGE;
+    }
+  }
+
+  if (options.script !== undefined) {
+    const { LANGUAGES } = require('./services/codegen');
+    if (!LANGUAGES[options.script]) {
+      console.error(`Unknown script language for --script: ${options.script}. Supported languages: ${Object.keys(LANGUAGES).join(', ')}`);
+      return EXIT_USAGE;
+    }
+    if (!options['report-dir'] && !process.env.PLAYBOOK_REPORT_DIR) {
+      console.error('--script needs a report directory (--report-dir or PLAYBOOK_REPORT_DIR)');
+      return EXIT_USAGE;
+    }
+  }
+
+  if (options.zoom !== undefined) {
+    const zoomPercent = parseZoomPercent(options.zoom);
+    if (zoomPercent === null) {
+      console.error(`Invalid zoom percent for -z: ${options.zoom}`);
+      return EXIT_USAGE;
+    }
+    const viewportSize = zoomToViewportSize(zoomPercent);
+    if (viewportSize) {
+      process.env.MCP_VIEWPORT_SIZE = viewportSize;
+    }
+  }
+
+  const WorkerPool = require('./services/workerPool');
+  const pool = new WorkerPool(workerCount);
+
+  // Ctrl+C cancels the running steps; the playbooks then fail and we clean up normally.
+  // While the services start, or when pressed again (e.g. a hung teardown or cleanup), it exits at once
+  let playbookStarted = false;
+  let cancelling = false;
+  process.on('SIGINT', () => {
+    if (!playbookStarted || cancelling) {
+      console.log('\nInterrupted');
+      process.exit(EXIT_INTERRUPTED);
+    }
+    cancelling = true;
+    console.log('\nCancelling playbook execution... (press Ctrl+C again to exit immediately)');
+    pool.cancelExecution();
+  });
+
+  try {
+    console.log(workerCount > 1 ? `Starting browser and LLM services for ${workerCount} workers...` : 'Starting browser and LLM services...');
+    await pool.initialize();
+  } catch (error) {
+    console.error(`Failed to initialize services: ${error.message}`);
+    await pool.cleanup();
+    return EXIT_USAGE;
+  }
+
+  for (const worker of pool.workers) {
+    // Output of parallel workers interleaves, so every line names its worker
+    const prefix = workerCount > 1 ? `[worker ${worker.id}] ` : '';
+    worker.llmService.setEventListener((eventName, data) => printLLMEvent(eventName, data, prefix));
+    worker.playbookService.setMessageListener(createMessagePrinter(worker.playbookService, prefix));
+  }
+  const { playbookService } = pool.workers[0];
+
+  let exitCode = EXIT_SUCCESS;
+  const hasTagFilter = Boolean(options.tags || options['exclude-tags']);
+  playbookStarted = true;
+  try {
+    if (isSuite) {
+      const SuiteService = require('./services/suiteService');
+      const suiteService = new SuiteService(pool.workers.map(worker => worker.playbookService));
+      suiteService.setMessageListener((role, text) => console.log(indent(text)));
+      const suite = await suiteService.runSuite(options.playbook, {
+        reportDir: options['report-dir'],
+        vars,
+        secretsFile: options.secrets,
+        tags: tagFilter,
+        planCache,
+        scriptLanguage: options.script
+      });
+      exitCode = printSuiteResult(suite);
+    } else {
+      const summary = await playbookService.executePlaybook(options.playbook, {
+        reportDir: options['report-dir'],
+        vars,
+        secretsFile: options.secrets,
+        fromStep,
+        replay,
+        actions,
+        planCache,
+        scriptLanguage: options.script,
+        tags: hasTagFilter ? tagFilter : null
+      });
+      const failedValidations = summary.validationResults.filter(v => v.result === 'fail');
+      const passedValidations = summary.validationResults.length - failedValidations.length;
+
+      console.log(`\nValidations: ${passedValidations} passed, ${failedValidations.length} failed`);
+      failedValidations.forEach(v => {
+        console.log(`  ❌ ${v.scenario}${v.failReason ? ` - ${v.failReason}` : ''}`);
+      });
+      if (failedValidations.length > 0) {
+        exitCode = EXIT_FAILURE;
+      }
+    }
+  } catch (error) {
+    logger.debug('[CLI] Playbook execution failed:', error);
+    if (isSuite) {
+      // A suite only throws when it has no playbooks to run
+      console.error(error.message);
+    }
+    exitCode = EXIT_FAILURE;
+  } finally {
+    await pool.cleanup();
+  }
+
+  console.log(exitCode === EXIT_SUCCESS ? '\nPASSED' : '\nFAILED');
+  return exitCode;
+}
+
+main()
+  .then(exitCode => process.exit(exitCode))
+  .catch(error => {
+    console.error('Unexpected error:', error);
+    process.exit(EXIT_USAGE);
+  });
@@ -1,5 +1,10 @@
 const { ipcMain } = require('electron/main');
 const logger = require('./utils/logger');
+const ReportService = require('./services/reportService');
+const { listLanguages } = require('./services/codegen');
+
+// Chat messages whose action screenshots are kept for the Export Report button
+const SESSION_SCREENSHOT_TURNS = 50;
 
 function initializeIpcHandlers(services) {
   const { llmService, mcpService, screenshotService, playbookService, mainWindow } = services;
@@ -11,6 +16,7 @@ function initializeIpcHandlers(services) {
     }
     try {
       const response = await llmService.processMessage(message);
+      llmService.dropSessionScreenshots(SESSION_SCREENSHOT_TURNS);
       return { success: true, response };
     } catch (error) {
       logger.error('Error processing message:', error);
@@ -29,6 +35,10 @@ function initializeIpcHandlers(services) {
     }
     try {
       llmService.cancelExecution();
+      if (playbookService && !llmService.isExecuting) {
+        // A paused playbook is not waiting on the LLM; while a chat command runs, only that is cancelled
+        playbookService.stepDebugger.cancel();
+      }
       return { success: true };
     } catch (error) {
       logger.error('Error cancelling execution:', error);
@@ -126,20 +136,47 @@ function initializeIpcHandlers(services) {
     }
   });
 
-  ipcMain.handle('generate-playwright-script', async (event) => {
+  ipcMain.handle('get-script-languages', async (event) => {
+    try {
+      return { success: true, languages: listLanguages() };
+    } catch (error) {
+      logger.error('Error listing script languages:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('generate-playwright-script', async (event, language) => {
     if (!llmService) {
       return { success: false, error: 'LLM service not initialized' };
     }
     try {
-      logger.info('Generating Playwright script from action log...');
-      const script = await llmService.generatePlaywrightScript();
-      return { success: true, script };
+      logger.info(`Generating ${language || 'typescript'} script from action log...`);
+      const { script, fileName } = await llmService.generatePlaywrightScript(language);
+      return { success: true, script, fileName };
     } catch (error) {
       logger.error('Error generating Playwright script:', error);
       return { success: false, error: error.message };
     }
   });
 
+  ipcMain.handle('generate-html-report', async (event) => {
+    if (!llmService) {
+      return { success: false, error: 'LLM service not initialized' };
+    }
+    try {
+      const sessionLog = llmService.getSessionLog();
+      if (sessionLog.length === 0) {
+        return { success: false, error: 'Nothing to report yet. Send a message or run a playbook first.' };
+      }
+      const run = ReportService.runFromSessionLog(sessionLog, 'ConversePlay session');
+      const html = new ReportService('.').buildHtmlReport(run);
+      return { success: true, html, steps: run.steps.length };
+    } catch (error) {
+      logger.error('Error generating HTML report:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   ipcMain.handle('get-action-log', async (event) => {
     if (!llmService) {
       return { success: false, error: 'LLM service not initialized' };
@@ -205,6 +242,46 @@ function initializeIpcHandlers(services) {
     }
   });
   
+  // Playbook debugger controls; each command answers { success, state } or { success: false, error }
+  const handleDebuggerCommand = (channel, command) => {
+    ipcMain.handle(channel, async (event, ...args) => {
+      if (!playbookService) {
+        return { success: false, error: 'No playbook is loaded' };
+      }
+      try {
+        command(playbookService.stepDebugger, ...args);
+        return { success: true, state: playbookService.stepDebugger.getState() };
+      } catch (error) {
+        logger.error(`Error handling ${channel}:`, error);
+        return { success: false, error: error.message };
+      }
+    });
+  };
+  handleDebuggerCommand('pause-playbook', stepDebugger => stepDebugger.pause());
+  handleDebuggerCommand('resume-playbook', stepDebugger => stepDebugger.resume());
+  handleDebuggerCommand('step-playbook', stepDebugger => stepDebugger.step());
+  handleDebuggerCommand('skip-playbook-step', stepDebugger => stepDebugger.skip());
+  handleDebuggerCommand('rerun-playbook-step', stepDebugger => stepDebugger.rerun());
+  handleDebuggerCommand('jump-to-playbook-step', (stepDebugger, label) => stepDebugger.jumpTo(label));
+  handleDebuggerCommand('set-playbook-breakpoints', (stepDebugger, labels) => stepDebugger.setBreakpoints(labels));
+
+  ipcMain.handle('resume-playbook-from-step', async (event, fromStep, replay) => {
+    if (!playbookService) {
+      return { success: false, error: 'No playbook is loaded' };
+    }
+    if (playbookService.isExecuting) {
+      return { success: false, error: 'A playbook is already running' };
+    }
+    if (!playbookService.lastRun) {
+      return { success: false, error: 'There is no playbook run to resume' };
+    }
+    // The run reports its progress through playbook-message and playbook-completed events
+    playbookService.resumeLastRun(fromStep, { replay }).catch(error => {
+      logger.error('Resumed playbook execution failed:', error);
+    });
+    return { success: true };
+  });
+  
   ipcMain.handle('is-llm-executing', async (event) => {
     if (!llmService) {
       return { success: true, isExecuting: false };
@@ -2,6 +2,8 @@ require('dotenv').config();
 const { app, BrowserWindow, dialog } = require('electron/main');
 const path = require('node:path');
 const logger = require('./utils/logger');
+const { zoomToViewportSize, parseZoomPercent } = require('./utils/viewport');
+const { isPlaybookSuite, parseTags } = require('./utils/playbookFiles');
 const { initializeIpcHandlers } = require('./ipcManager');
 
 let mainWindow;
@@ -53,34 +55,61 @@ app.whenReady().then(async () => {
     console.log(`[Main] Playbook mode: ${playbookPath}`);
   }
 
+  // Look for --break flag (comma separated step numbers to pause the playbook at)
+  let breakpoints = [];
+  const breakIndex = args.indexOf('--break');
+  if (breakIndex !== -1 && breakIndex + 1 < args.length) {
+    breakpoints = args[breakIndex + 1].split(',').map(label => label.trim()).filter(Boolean);
+  }
+
+  // Look for --tags / --exclude-tags flags (comma separated tags selecting suite playbooks and feature scenarios)
+  const tagFilter = { include: [], exclude: [] };
+  for (const [flag, key] of [['--tags', 'include'], ['--exclude-tags', 'exclude']]) {
+    const flagIndex = args.indexOf(flag);
+    if (flagIndex !== -1 && flagIndex + 1 < args.length) {
+      tagFilter[key] = parseTags(args[flagIndex + 1]);
+    }
+  }
+  const hasTagFilter = tagFilter.include.length + tagFilter.exclude.length > 0;
+
+  // Look for --replay-actions flag (action log of an earlier run to replay without the LLM)
+  let actionLogPath = null;
+  const replayActionsIndex = args.indexOf('--replay-actions');
+  if (replayActionsIndex !== -1 && replayActionsIndex + 1 < args.length) {
+    actionLogPath = args[replayActionsIndex + 1];
+  }
+
+  // Look for --script flag (language of the test script written with the reports)
+  let scriptLanguage = null;
+  const scriptIndex = args.indexOf('--script');
+  if (scriptIndex !== -1 && scriptIndex + 1 < args.length) {
+    const { LANGUAGES } = require('./services/codegen');
+    scriptLanguage = args[scriptIndex + 1];
+    if (!LANGUAGES[scriptLanguage]) {
+      console.warn(`[Main] Ignoring unknown script language for --script: ${scriptLanguage}`);
+      scriptLanguage = null;
+    }
+  }
+
   // Look for -z flag (zoom percent)
   const zIndex = args.indexOf('-z');
   if (zIndex !== -1 && zIndex + 1 < args.length) {
     const rawZoom = args[zIndex + 1];
-    const parsed = Number.parseFloat(rawZoom);
-    if (!Number.isFinite(parsed) || parsed < 0) {
+    zoomPercent = parseZoomPercent(rawZoom);
+    if (zoomPercent === null) {
       console.warn(`[Main] Ignoring invalid zoom percent for -z: ${rawZoom}`);
-    } else {
-      zoomPercent = parsed;
     }
   }
 
   // Translate zoom percent to viewport size.
-  // 0% zoom means base viewport (1920x1080).
-  // 400% zoom means 4x zoom => viewport divided by 4.
-  if (zoomPercent !== null && zoomPercent !== 0) {
-    const baseWidth = 1920;
-    const baseHeight = 1080;
-    const zoomFactor = zoomPercent / 100;
-
-    if (zoomFactor > 0) {
-      const width = Math.max(1, Math.round(baseWidth / zoomFactor));
-      const height = Math.max(1, Math.round(baseHeight / zoomFactor));
-      process.env.MCP_VIEWPORT_SIZE = `${width}x${height}`;
+  try {
+    const viewportSize = zoomToViewportSize(zoomPercent);
+    if (viewportSize) {
+      process.env.MCP_VIEWPORT_SIZE = viewportSize;
       console.log(`[Main] Zoom: ${zoomPercent}% -> MCP viewport: ${process.env.MCP_VIEWPORT_SIZE}`);
-    } else {
-      console.warn(`[Main] Ignoring zoom percent ${zoomPercent} because it results in invalid zoomFactor ${zoomFactor}`);
     }
+  } catch (error) {
+    console.warn(`[Main] Ignoring zoom percent: ${error.message}`);
   }
   
   // Start window creation and service initialization in parallel
@@ -130,6 +159,13 @@ app.whenReady().then(async () => {
         console.log('Creating Playbook service...');
         const PlaybookService = require('./services/playbookService');
         playbookService = new PlaybookService(llmService, mainWindow);
+        if (breakpoints.length > 0) {
+          try {
+            playbookService.stepDebugger.setBreakpoints(breakpoints);
+          } catch (error) {
+            console.warn(`[Main] Ignoring --break: ${error.message}`);
+          }
+        }
         console.log('Playbook service created');
       }
       
@@ -171,8 +207,15 @@ app.whenReady().then(async () => {
       // Wait a moment for UI to be fully ready
       await new Promise(resolve => setTimeout(resolve, 2000));
       
-      // Execute the playbook
-      await playbookService.executePlaybook(playbookPath);
+      // Execute the playbook, or every playbook of a folder or glob pattern as a suite
+      if (await isPlaybookSuite(playbookPath)) {
+        const SuiteService = require('./services/suiteService');
+        await new SuiteService(playbookService).runSuite(playbookPath, { tags: tagFilter, scriptLanguage });
+      } else {
+        const ActionReplayService = require('./services/actionReplayService');
+        const actions = actionLogPath ? (await ActionReplayService.readActionLog(actionLogPath)).actions : null;
+        await playbookService.executePlaybook(playbookPath, { tags: hasTagFilter ? tagFilter : null, actions, scriptLanguage });
+      }
       logger.info('[Main] Playbook execution completed');
     } catch (error) {
       logger.error('[Main] Playbook execution failed:', error);
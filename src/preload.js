@@ -18,13 +18,23 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getMCPTools: () => ipcRenderer.invoke('get-mcp-tools'),
   getLLMProvider: () => ipcRenderer.invoke('get-llm-provider'),
   getCurrentUrl: () => ipcRenderer.invoke('get-current-url'),
-  generatePlaywrightScript: () => ipcRenderer.invoke('generate-playwright-script'),
+  getScriptLanguages: () => ipcRenderer.invoke('get-script-languages'),
+  generatePlaywrightScript: (language) => ipcRenderer.invoke('generate-playwright-script', language),
+  generateHtmlReport: () => ipcRenderer.invoke('generate-html-report'),
   getActionLog: () => ipcRenderer.invoke('get-action-log'),
   clearActionLog: () => ipcRenderer.invoke('clear-action-log'),
   getValidationResults: () => ipcRenderer.invoke('get-validation-results'),
   clearValidationResults: () => ipcRenderer.invoke('clear-validation-results'),
   cancelExecution: () => ipcRenderer.invoke('cancel-execution'),
   getPlaybookStatus: () => ipcRenderer.invoke('get-playbook-status'),
+  pausePlaybook: () => ipcRenderer.invoke('pause-playbook'),
+  resumePlaybook: () => ipcRenderer.invoke('resume-playbook'),
+  stepPlaybook: () => ipcRenderer.invoke('step-playbook'),
+  skipPlaybookStep: () => ipcRenderer.invoke('skip-playbook-step'),
+  rerunPlaybookStep: () => ipcRenderer.invoke('rerun-playbook-step'),
+  jumpToPlaybookStep: (label) => ipcRenderer.invoke('jump-to-playbook-step', label),
+  setPlaybookBreakpoints: (labels) => ipcRenderer.invoke('set-playbook-breakpoints', labels),
+  resumePlaybookFromStep: (fromStep, replay) => ipcRenderer.invoke('resume-playbook-from-step', fromStep, replay),
   onScreenshotUpdate: (callback) => {
     ipcRenderer.on('screenshot-update', (event, screenshot) => callback(screenshot));
   },
@@ -57,5 +67,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
   },
   onPlaybookCompleted: (callback) => {
     ipcRenderer.on('playbook-completed', (event, data) => callback(data));
+  },
+  onPlaybookDebugState: (callback) => {
+    ipcRenderer.on('playbook-debug-state', (event, state) => callback(state));
   }
 });
@@ -3,6 +3,9 @@ const chatMessages = document.getElementById('chatMessages');
 const chatInput = document.getElementById('chatInput');
 const sendButton = document.getElementById('sendButton');
 const downloadScriptButton = document.getElementById('downloadScriptButton');
+const exportReportButton = document.getElementById('exportReportButton');
+const exportDialog = document.getElementById('exportDialog');
+const scriptLanguageSelect = document.getElementById('scriptLanguageSelect');
 const screenshotImage = document.getElementById('screenshotImage');
 const canvasContent = document.getElementById('canvasContent');
 const urlDisplay = document.getElementById('urlDisplay');
@@ -13,6 +16,17 @@ const fpsCounter = document.getElementById('fpsCounter');
 const llmBadge = document.getElementById('llmBadge');
 const streamStatus = document.getElementById('streamStatus');
 const streamStatusDot = document.getElementById('streamStatusDot');
+const debugToolbar = document.getElementById('debugToolbar');
+const debugStatus = document.getElementById('debugStatus');
+const debugPauseButton = document.getElementById('debugPauseButton');
+const debugResumeButton = document.getElementById('debugResumeButton');
+const debugStepButton = document.getElementById('debugStepButton');
+const debugSkipButton = document.getElementById('debugSkipButton');
+const debugRerunButton = document.getElementById('debugRerunButton');
+const debugStopButton = document.getElementById('debugStopButton');
+const debugJumpInput = document.getElementById('debugJumpInput');
+const debugJumpButton = document.getElementById('debugJumpButton');
+const breakpointsInput = document.getElementById('breakpointsInput');
 
 // State
 let messageHistory = [];
@@ -21,6 +35,8 @@ let urlUpdateInterval = null;
 let activeToolTiles = new Map(); // Track active tool execution tiles
 let isExecuting = false; // Track if LLM is currently executing
 let shouldCancelExecution = false; // Flag to signal cancellation
+let isPlaybookRunning = false; // A playbook runs; chat is only allowed while it is paused
+let isPlaybookPaused = false;
 
 // FPS calculation state
 const fpsBuffer = [];
@@ -44,7 +60,8 @@ async function initializeApp() {
             const providerResult = await window.electronAPI.getLLMProvider();
             if (providerResult.success) {
                 const provider = providerResult.provider;
-                llmBadge.textContent = provider === 'gemini' ? 'Gemini' : 'Claude';
+                const providerLabels = { gemini: 'Gemini', claude: 'Claude', openai: 'OpenAI API' };
+                llmBadge.textContent = providerLabels[provider] || 'No LLM';
                 if (provider === 'gemini') {
                     llmBadge.classList.add('gemini');
                 }
@@ -91,8 +108,14 @@ function setupEventListeners() {
         }
     });
     
-    // Download Playwright script on button click
+    // Pick a language for the test script, download it when the dialog closes with Download
     downloadScriptButton.addEventListener('click', handleDownloadScript);
+    exportDialog.addEventListener('close', () => {
+        if (exportDialog.returnValue === 'download') {
+            downloadScript(scriptLanguageSelect.value);
+        }
+    });
+    exportReportButton.addEventListener('click', handleExportReport);
     
     // Send message on Enter (Shift+Enter for new line)
     chatInput.addEventListener('keydown', (e) => {
@@ -169,10 +192,41 @@ function setupEventListeners() {
     // Listen for playbook execution start
     window.electronAPI.onPlaybookStarted(() => {
         console.log('[Renderer] Playbook execution started - disabling input');
-        chatInput.disabled = true;
-        chatInput.classList.add('chat-input-readonly');
-        chatInput.placeholder = 'Playbook running...';
-        sendButton.disabled = true;
+        isPlaybookRunning = true;
+        isPlaybookPaused = false;
+        debugToolbar.style.display = '';
+        updatePlaybookInput();
+    });
+    
+    // Listen for playbook debugger state changes (pause, resume, breakpoints)
+    window.electronAPI.onPlaybookDebugState((state) => {
+        console.log('[Renderer] Playbook debugger state:', state);
+        updateDebugToolbar(state);
+    });
+    
+    // Playbook debugger controls
+    debugPauseButton.addEventListener('click', () => runDebugCommand(window.electronAPI.pausePlaybook));
+    debugResumeButton.addEventListener('click', () => runDebugCommand(window.electronAPI.resumePlaybook));
+    debugStepButton.addEventListener('click', () => runDebugCommand(window.electronAPI.stepPlaybook));
+    debugSkipButton.addEventListener('click', () => runDebugCommand(window.electronAPI.skipPlaybookStep));
+    debugRerunButton.addEventListener('click', () => runDebugCommand(window.electronAPI.rerunPlaybookStep));
+    debugStopButton.addEventListener('click', () => {
+        window.electronAPI.cancelExecution().catch(err => {
+            console.error('[Renderer] Error cancelling playbook:', err);
+        });
+    });
+    debugJumpButton.addEventListener('click', async () => {
+        const label = debugJumpInput.value.trim();
+        if (label && await runDebugCommand(window.electronAPI.jumpToPlaybookStep, label)) {
+            debugJumpInput.value = '';
+        }
+    });
+    breakpointsInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            const labels = breakpointsInput.value.split(',').map(label => label.trim()).filter(Boolean);
+            runDebugCommand(window.electronAPI.setPlaybookBreakpoints, labels);
+        }
     });
     
     // Listen for playbook execution completion
@@ -184,14 +238,138 @@ function setupEventListeners() {
             displayValidationSummary(data.validationResults);
         }
         
-        chatInput.disabled = false;
-        chatInput.classList.remove('chat-input-readonly');
-        chatInput.placeholder = 'Type your message here...';
-        sendButton.disabled = false;
+        isPlaybookRunning = false;
+        isPlaybookPaused = false;
+        debugToolbar.style.display = 'none';
+        updatePlaybookInput();
+        if (!data.success && data.failedStep) {
+            addResumeMessage(data.failedStep);
+        }
         chatInput.focus();
     });
 }
 
+/**
+ * Offer to resume a failed playbook at the step it failed at, either as is (the browser stays
+ * where the failed run left it) or after replaying the tool calls of the earlier steps
+ */
+function addResumeMessage(failedStep) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message message-system';
+    
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'message-content';
+    contentDiv.textContent = `Fix the page or the playbook, then resume from step ${failedStep}.`;
+    
+    const resume = async (replay) => {
+        messageDiv.remove();
+        const result = await window.electronAPI.resumePlaybookFromStep(failedStep, replay);
+        if (!result.success) {
+            addMessage('system', `⚠️ ${result.error}`);
+        }
+    };
+    
+    const actions = document.createElement('div');
+    actions.className = 'resume-actions';
+    
+    const resumeButton = document.createElement('button');
+    resumeButton.className = 'retry-button';
+    resumeButton.textContent = `▶ Resume from step ${failedStep}`;
+    resumeButton.onclick = () => resume(false);
+    actions.appendChild(resumeButton);
+    
+    if (failedStep > 1) {
+        const replayButton = document.createElement('button');
+        replayButton.className = 'retry-button';
+        replayButton.textContent = failedStep > 2
+            ? `⏩ Replay steps 1-${failedStep - 1} and resume`
+            : '⏩ Replay step 1 and resume';
+        replayButton.onclick = () => resume(true);
+        actions.appendChild(replayButton);
+    }
+    contentDiv.appendChild(actions);
+    
+    const timestamp = document.createElement('div');
+    timestamp.className = 'message-timestamp';
+    timestamp.textContent = new Date().toLocaleTimeString();
+    
+    messageDiv.appendChild(contentDiv);
+    messageDiv.appendChild(timestamp);
+    
+    chatMessages.appendChild(messageDiv);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+/**
+ * Lock the chat input while a playbook runs; it opens up while the playbook is paused so the
+ * user can send commands against the live browser
+ */
+function updatePlaybookInput() {
+    const locked = isPlaybookRunning && !isPlaybookPaused;
+    chatInput.disabled = locked;
+    chatInput.classList.toggle('chat-input-readonly', locked);
+    sendButton.disabled = locked;
+    if (locked) {
+        chatInput.placeholder = 'Playbook running...';
+    } else if (isPlaybookRunning) {
+        chatInput.placeholder = 'Playbook paused - type a command for the browser, or resume the playbook...';
+    } else {
+        chatInput.placeholder = 'Type your message here...';
+    }
+}
+
+/**
+ * Show the playbook debugger state and enable the controls that apply to it
+ */
+function updateDebugToolbar(state) {
+    isPlaybookPaused = state.paused;
+    if (state.paused) {
+        const reasons = { breakpoint: 'breakpoint', 'jump-missed': 'jump target not reached' };
+        const reason = reasons[state.step.reason] ? ` (${reasons[state.step.reason]})` : '';
+        debugStatus.textContent = `⏸ Paused before step ${state.step.label}${reason}: ${state.step.text}`;
+    } else if (state.pauseRequested) {
+        debugStatus.textContent = '⏳ Pausing after the current step...';
+    } else if (state.jumpTarget) {
+        debugStatus.textContent = `⏩ Jumping to step ${state.jumpTarget}...`;
+    } else {
+        debugStatus.textContent = '▶️ Running';
+    }
+    debugStatus.classList.toggle('paused', state.paused);
+    debugStatus.title = debugStatus.textContent;
+    
+    debugPauseButton.disabled = state.paused || state.pauseRequested;
+    debugResumeButton.disabled = !state.paused;
+    debugStepButton.disabled = !state.paused;
+    debugSkipButton.disabled = !state.paused;
+    debugRerunButton.disabled = !state.paused || !state.step.canRerun;
+    debugJumpButton.disabled = !state.paused;
+    if (document.activeElement !== breakpointsInput) {
+        breakpointsInput.value = state.breakpoints.join(', ');
+    }
+    
+    // Chat commands may still be running when the playbook resumes; they finish first
+    if (!isExecuting) {
+        updatePlaybookInput();
+    }
+}
+
+/**
+ * Send a debugger command, showing why it was refused
+ * @returns {Promise<boolean>} Whether the command was accepted
+ */
+async function runDebugCommand(command, ...args) {
+    try {
+        const result = await command(...args);
+        if (!result.success) {
+            addMessage('system', `⚠️ ${result.error}`);
+        }
+        return result.success;
+    } catch (error) {
+        console.error('[Renderer] Error sending debugger command:', error);
+        return false;
+    }
+}
+
 /**
  * Switch send button to cancel button (red square)
  */
@@ -261,13 +439,29 @@ async function handleSendMessage() {
 }
 
 async function handleDownloadScript() {
+    // Load the languages once, the selection is kept for the next export
+    if (scriptLanguageSelect.options.length === 0) {
+        const result = await window.electronAPI.getScriptLanguages();
+        if (!result.success) {
+            addMessage('system', `❌ Error: ${result.error || 'Failed to load script languages'}`);
+            return;
+        }
+        for (const language of result.languages) {
+            scriptLanguageSelect.add(new Option(language.name, language.id));
+        }
+    }
+    exportDialog.returnValue = '';
+    exportDialog.showModal();
+}
+
+async function downloadScript(language) {
     // Disable button while generating
     downloadScriptButton.disabled = true;
     downloadScriptButton.textContent = 'Generating...';
     
     try {
         // Show status message
-        addMessage('system', '🔄 Generating Playwright test script from action log...');
+        addMessage('system', `🔄 Generating ${scriptLanguageSelect.selectedOptions[0].text} script from action log...`);
         
         // Get action log first to check if there are any actions
         const actionLogResult = await window.electronAPI.getActionLog();
@@ -284,23 +478,23 @@ async function handleDownloadScript() {
         console.info('[Renderer] Action log:', JSON.stringify(actionLogResult.actionLog, null, 2));
         
         // Generate script
-        const result = await window.electronAPI.generatePlaywrightScript();
+        const result = await window.electronAPI.generatePlaywrightScript(language);
         
         if (result.success) {
             // Create a blob from the script
-            const blob = new Blob([result.script], { type: 'text/typescript' });
+            const blob = new Blob([result.script], { type: 'text/plain' });
             const url = URL.createObjectURL(blob);
             
             // Create download link
             const a = document.createElement('a');
             a.href = url;
-            a.download = `playwright-test-${Date.now()}.spec.ts`;
+            a.download = result.fileName;
             document.body.appendChild(a);
             a.click();
             document.body.removeChild(a);
             URL.revokeObjectURL(url);
             
-            addMessage('system', `✅ Playwright test script downloaded successfully! (${actionLogResult.actionLog.length} actions recorded)`);
+            addMessage('system', `✅ ${result.fileName} downloaded successfully! (${actionLogResult.actionLog.length} actions recorded)`);
             console.log('[Renderer] Script generated:', result.script);
         } else {
             throw new Error(result.error || 'Failed to generate script');
@@ -322,6 +516,37 @@ async function handleDownloadScript() {
     }
 }
 
+async function handleExportReport() {
+    exportReportButton.disabled = true;
+    
+    try {
+        const result = await window.electronAPI.generateHtmlReport();
+        
+        if (!result.success) {
+            addMessage('system', `⚠️ ${result.error || 'Failed to generate report'}`);
+            return;
+        }
+        
+        const blob = new Blob([result.html], { type: 'text/html' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `converseplay-report-${Date.now()}.html`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        
+        addMessage('system', `✅ HTML report downloaded (${result.steps} messages)`);
+    } catch (error) {
+        console.error('[Renderer] Error exporting report:', error);
+        addMessage('system', `❌ Error: ${error.message}`);
+    } finally {
+        exportReportButton.disabled = false;
+    }
+}
+
 async function showAssisstantMessage(message) {
     message = message.trim();
     if (!message) return;
@@ -369,6 +594,8 @@ async function sendMessageToBackend(message) {
         showSendButton();
         sendButton.disabled = false;
         chatInput.disabled = false;
+        // The playbook may have been resumed while the command ran
+        updatePlaybookInput();
         chatInput.focus();
     }
 }
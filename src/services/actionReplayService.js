@@ -0,0 +1,205 @@
+const fs = require('fs').promises;
+const logger = require('../utils/logger');
+const { extractSnapshotElements, findRefPaths, findTarget, getPath, setPath } = require('../utils/ariaSnapshot');
+
+// Tools that only read the page, nothing to replay
+const READ_ONLY_TOOLS = ['browser_snapshot', 'browser_take_screenshot', 'browser_console_messages', 'browser_network_requests'];
+// How long to wait for a recorded element to show up in the snapshot (the page may still be loading)
+const TARGET_TIMEOUT_MS = 5000;
+const TARGET_POLL_INTERVAL_MS = 500;
+
+/**
+ * Key of the step an action was recorded for: its label, dataset row or scenario and
+ * Repeat until pass
+ */
+function getStepKey({ step, iteration, pass }) {
+  return `${iteration || 0}/${step}/${pass || 0}`;
+}
+
+/**
+ * ActionReplayService - Replays the browser actions of a saved action log without the LLM
+ *
+ * An action log (see ReportService.buildActionLog) lists the successful browser tool calls of an
+ * earlier run with the step they belong to. Replaying runs the tools like LLM tool calls. Element
+ * refs are only valid for the snapshot they were taken from, so before a call with refs a fresh
+ * browser_snapshot is taken and each ref is replaced by the ref of the element with the recorded
+ * role, accessible name and position. When an element cannot be found or a call fails (or, if
+ * required, makes no visual change), the replay has diverged from the recording and the caller
+ * falls back to the LLM.
+ */
+class ActionReplayService {
+  /**
+   * @param {LLMService} llmService - Runs the tools like LLM tool calls (secrets, visual change
+   *   detection, action log); the LLM itself is never called
+   * @param {object} options - { requireVisualChange: an action tool that does not visibly change the
+   *   page diverges }
+   */
+  constructor(llmService, { requireVisualChange = false } = {}) {
+    this.llmService = llmService;
+    this.requireVisualChange = requireVisualChange;
+  }
+
+  /**
+   * Whether an action log entry is replayed: calls that failed when they were recorded and
+   * read-only calls are left out
+   */
+  static isReplayable(action) {
+    return Boolean(action.success) && !READ_ONLY_TOOLS.includes(action.toolName);
+  }
+
+  /**
+   * Read an action log written with a run's reports
+   * @param {string} filePath - Path of the <playbook>.actions.json file
+   * @returns {Promise<object>} { playbook, actions }
+   * @throws {Error} If the file cannot be read or is not an action log
+   */
+  static async readActionLog(filePath) {
+    let log;
+    try {
+      log = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Cannot read the action log ${filePath}: ${error.message}`);
+    }
+    if (!log || !Array.isArray(log.actions)) {
+      throw new Error(`Cannot read the action log ${filePath}: it has no actions`);
+    }
+    return log;
+  }
+
+  /**
+   * Group the actions of a log by the step they were recorded for
+   * @param {Array<object>} actions - Actions of an action log
+   * @returns {Map<string, Array<object>>} Step key -> actions in recorded order
+   */
+  static groupByStep(actions) {
+    const groups = new Map();
+    for (const action of actions) {
+      const key = getStepKey(action);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(action);
+    }
+    return groups;
+  }
+
+  /**
+   * Key of a step record, matching the key of the actions recorded for it
+   */
+  static getStepRecordKey(stepRecord) {
+    return getStepKey({
+      step: stepRecord.label,
+      iteration: stepRecord.iteration ? stepRecord.iteration.index : null,
+      pass: stepRecord.pass
+    });
+  }
+
+  /**
+   * Replay recorded actions in order, leaving out the ones that are not replayable
+   * @param {Array<object>} actions - Action log entries { toolName, args, targets, success }
+   * @returns {Promise<Array<object>>} Tool call records of the replayed calls
+   * @throws {Error} With `diverged` set when an element is gone or a call fails, with `cancelled`
+   *   set when the user cancelled
+   */
+  async replayActions(actions) {
+    const records = [];
+    for (const action of actions.filter(entry => ActionReplayService.isReplayable(entry))) {
+      this.llmService.throwIfCancelled('[Replay] Cancelled before the next action');
+      records.push(await this.replayAction(action));
+    }
+    return records;
+  }
+
+  /**
+   * Replay one action, re-resolving its refs first
+   * @returns {Promise<object>} Tool call record of the call
+   */
+  async replayAction(action) {
+    const toolId = this.llmService.generateToolId();
+    const startTime = Date.now();
+    const args = await this.resolveTargets(action);
+    this.llmService.emitToolEvent('tool-execution-start', { toolId, toolName: action.toolName, args });
+    const record = this.llmService.createToolCallRecord(toolId, action.toolName, args);
+
+    logger.info(`[Replay] Replaying ${action.toolName}`);
+    let result;
+    try {
+      // Recorded coordinates are already in viewport space
+      result = await this.llmService.executeMcpTool(toolId, action.toolName, args, startTime, record, { viewportCoordinates: true });
+    } catch (error) {
+      result = { isError: true, content: [{ type: 'text', text: error.message }] };
+      this.llmService.emitToolEvent('tool-execution-error', { toolId, toolName: action.toolName, error: error.message });
+    }
+    const errorContent = result.isError ? (result.content || []).find(c => c.type === 'text') : null;
+    // Tools that navigate may report the destroyed execution context as an error
+    const failed = result.isError && !(errorContent && errorContent.text.includes('Execution context was destroyed'));
+
+    record.durationMs = Date.now() - startTime;
+    record.success = !failed;
+    if (failed) {
+      record.error = errorContent ? errorContent.text : 'Tool call failed';
+      throw this.createDivergence(`${action.toolName} failed: ${record.error}`);
+    }
+    if (this.requireVisualChange && record.visualChange === false) {
+      throw this.createDivergence(`${action.toolName} made no visual change`);
+    }
+    return record;
+  }
+
+  /**
+   * Copy of the recorded arguments with every ref replaced by the ref of the recorded element
+   * in a fresh snapshot of the page
+   * @throws {Error} With `diverged` set if an element is not on the page, or a ref has no recorded
+   *   element (no snapshot was taken before the action or the ref was not in it)
+   */
+  async resolveTargets(action) {
+    const args = JSON.parse(JSON.stringify(action.args || {}));
+    const unrecorded = findRefPaths(args).filter(refPath => !(action.targets || {})[refPath]);
+    if (unrecorded.length > 0) {
+      // The ref is from the recorded session and may point at another element now
+      const refs = unrecorded.map(refPath => getPath(args, refPath)).join(', ');
+      throw this.createDivergence(`${action.toolName}: no element was recorded for ${unrecorded.length === 1 ? 'ref' : 'refs'} ${refs}`);
+    }
+    const targets = Object.entries(action.targets || {});
+    if (targets.length === 0) {
+      return args;
+    }
+
+    const deadline = Date.now() + TARGET_TIMEOUT_MS;
+    for (;;) {
+      const elements = extractSnapshotElements(await this.llmService.callMcpTool('browser_snapshot', {})) || [];
+      const missing = [];
+      for (const [refPath, target] of targets) {
+        const element = findTarget(elements, target);
+        if (element) {
+          setPath(args, refPath, element.ref);
+        } else {
+          missing.push(this.describeTarget(target));
+        }
+      }
+      if (missing.length === 0) {
+        return args;
+      }
+      if (Date.now() >= deadline) {
+        throw this.createDivergence(`${action.toolName}: ${missing.join(', ')} not found on the page`);
+      }
+      this.llmService.throwIfCancelled('[Replay] Cancelled while waiting for an element');
+      await new Promise(resolve => setTimeout(resolve, TARGET_POLL_INTERVAL_MS));
+    }
+  }
+
+  /**
+   * 'button "Login"', 'link "Details" (#2)'
+   */
+  describeTarget({ role, name, nth }) {
+    return `${role}${name ? ` ${JSON.stringify(name)}` : ''}${nth > 0 ? ` (#${nth + 1})` : ''}`;
+  }
+
+  createDivergence(message) {
+    const error = new Error(`Replay diverged: ${message}`);
+    error.diverged = true;
+    return error;
+  }
+}
+
+module.exports = ActionReplayService;
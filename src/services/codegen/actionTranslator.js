@@ -0,0 +1,210 @@
+const ActionReplayService = require('../actionReplayService');
+const { findRefPaths, getPath } = require('../../utils/ariaSnapshot');
+
+/**
+ * Translate action log entries (see LLMService.recordAction) into the statements of a test script
+ *
+ * A statement is a language independent description of one Playwright call:
+ *   { kind: 'click', target: { role, name, nth, count, attributes }, double, button, modifiers }
+ * Targets are the elements recorded for the refs of the action (see describeTargets), so generators
+ * can build role based locators. Actions whose elements were not recorded, and tools without a
+ * Playwright counterpart, become { kind: 'unsupported', toolName, reason } statements.
+ *
+ * Passed validations with evidence (see LLMService.buildValidationEvidence) become assertions:
+ *   { kind: 'expectUrl', pattern }, { kind: 'expectText', target, text },
+ *   { kind: 'expectVisible', target | text, visible }, { kind: 'expectCount', target | text, count }
+ */
+
+/**
+ * Group the statements of an action log and its validations by playbook step
+ * Entries of a saved action log carry the step they were recorded for; consecutive entries of the
+ * same step form one group. Entries of a chat session have no step and form a single group.
+ * @param {Array<object>} actions - Action log entries
+ * @param {Array<object>} [validations] - Validation results, placed among the actions by timestamp
+ * @returns {Array<object>} Groups { title, statements }, title is null for actions without a step
+ */
+function translateActions(actions, validations = []) {
+  const entries = [
+    ...actions.filter(entry => ActionReplayService.isReplayable(entry)).map(entry => ({ entry, translate: translateAction })),
+    ...validations.map(entry => ({ entry, translate: translateValidation }))
+  ].sort((a, b) => String(a.entry.timestamp).localeCompare(String(b.entry.timestamp)));
+
+  const groups = [];
+  let currentKey;
+  for (const { entry, translate } of entries) {
+    const key = entry.step === undefined ? null : `${entry.iteration || 0}/${entry.step}/${entry.pass || 0}`;
+    if (groups.length === 0 || key !== currentKey) {
+      groups.push({ title: key === null ? null : getStepTitle(entry), statements: [] });
+      currentKey = key;
+    }
+    groups[groups.length - 1].statements.push(...translate(entry));
+  }
+  return groups;
+}
+
+/**
+ * "3. Click Login", "2. Type the username (iteration 2)"
+ */
+function getStepTitle({ step, stepText, iteration }) {
+  const text = stepText ? `${step}. ${stepText}` : `Step ${step}`;
+  return iteration === null || iteration === undefined ? text : `${text} (iteration ${iteration + 1})`;
+}
+
+/**
+ * Statements of one action
+ * @returns {Array<object>}
+ */
+function translateAction(action) {
+  const { toolName } = action;
+  const args = action.args || {};
+  const targets = action.targets || {};
+
+  const missing = findRefPaths(args).filter(refPath => !targets[refPath]);
+  if (missing.length > 0) {
+    const descriptions = missing.map(refPath => describeMissingElement(args, refPath));
+    return [unsupported(toolName, `${descriptions.join(', ')} not found in the recorded snapshot`)];
+  }
+
+  switch (toolName) {
+    case 'browser_navigate':
+      return [{ kind: 'goto', url: args.url }];
+    case 'browser_navigate_back':
+      return [{ kind: 'goBack' }];
+    case 'browser_navigate_forward':
+      return [{ kind: 'goForward' }];
+    case 'browser_click':
+      return [{
+        kind: 'click',
+        target: targets.ref,
+        double: Boolean(args.doubleClick),
+        button: args.button || null,
+        modifiers: args.modifiers || []
+      }];
+    case 'browser_type': {
+      const statements = [{ kind: args.slowly ? 'pressSequentially' : 'fill', target: targets.ref, value: String(args.text) }];
+      if (args.submit) {
+        statements.push({ kind: 'press', target: targets.ref, key: 'Enter' });
+      }
+      return statements;
+    }
+    case 'browser_fill_form':
+      return (args.fields || []).map((field, index) => translateFormField(field, targets[`fields.${index}.ref`]));
+    case 'browser_select_option':
+      return [{ kind: 'selectOption', target: targets.ref, values: args.values || [], byLabel: false }];
+    case 'browser_hover':
+      return [{ kind: 'hover', target: targets.ref }];
+    case 'browser_drag':
+      return [{ kind: 'dragTo', target: targets.startRef, destination: targets.endRef }];
+    case 'browser_press_key':
+      return [{ kind: 'keyboardPress', key: args.key }];
+    case 'browser_mouse_move_xy':
+      return [{ kind: 'mouseMove', x: args.x, y: args.y }];
+    case 'browser_mouse_click_xy':
+      return [{ kind: 'mouseClick', x: args.x, y: args.y }];
+    case 'browser_mouse_drag_xy':
+      return [{ kind: 'mouseDrag', from: { x: args.startX, y: args.startY }, to: { x: args.endX, y: args.endY } }];
+    case 'browser_wait_for':
+      return translateWait(args);
+    case 'browser_resize':
+      return [{ kind: 'setViewportSize', width: args.width, height: args.height }];
+    case 'browser_evaluate':
+      return [{ kind: 'evaluate', target: targets.ref || null, script: args.function }];
+    case 'browser_file_upload':
+      return [unsupported(toolName, `upload ${(args.paths || []).join(', ') || 'nothing'} through the file chooser opened by the previous action`)];
+    case 'browser_handle_dialog':
+      return [unsupported(toolName, `${args.accept ? 'accept' : 'dismiss'} the dialog opened by the previous action`)];
+    default:
+      return [unsupported(toolName, `no Playwright counterpart for ${JSON.stringify(args)}`)];
+  }
+}
+
+/**
+ * Assertions of a validation
+ * Failed validations and validations without evidence are left as unsupported statements, an
+ * assertion guessed from the scenario text alone could not be trusted.
+ * @returns {Array<object>}
+ */
+function translateValidation({ scenario, result, failReason, evidence }) {
+  if (result !== 'pass') {
+    return [unsupported('validateScenario', `"${scenario}" failed when recorded${failReason ? `: ${failReason}` : ''}`)];
+  }
+  if (!evidence) {
+    return [unsupported('validateScenario', `check "${scenario}", no evidence was recorded`)];
+  }
+
+  const statements = [{ kind: 'comment', text: `Validate: ${scenario}` }];
+  if (evidence.expectedUrl) {
+    statements.push({ kind: 'expectUrl', pattern: evidence.expectedUrl });
+  }
+  if (evidence.ref && !evidence.target) {
+    statements.push(unsupported('validateScenario', `element (ref ${evidence.ref}) of "${scenario}" not found in the recorded snapshot`));
+    return statements;
+  }
+
+  const { target, expectedText, visible, count } = evidence;
+  const subject = target ? { target } : expectedText ? { text: expectedText } : null;
+  if (target && expectedText) {
+    statements.push({ kind: 'expectText', target, text: expectedText });
+  }
+  if (subject && (visible !== undefined || (count === undefined && !(target && expectedText)))) {
+    statements.push({ kind: 'expectVisible', ...subject, visible: visible !== false });
+  }
+  if (subject && count !== undefined) {
+    // Count the elements sharing the role, e.g. all items of a list
+    statements.push({ kind: 'expectCount', ...(target ? { target: { role: target.role } } : subject), count });
+  }
+  if (statements.length === 1) {
+    return [unsupported('validateScenario', `check "${scenario}", the evidence has no element, text or URL`)];
+  }
+  return statements;
+}
+
+/**
+ * Statement of a browser_fill_form field, filled the way the MCP tool fills it
+ */
+function translateFormField(field, target) {
+  switch (field.type) {
+    case 'checkbox':
+    case 'radio':
+      return { kind: 'setChecked', target, checked: field.value === 'true' };
+    case 'combobox':
+      return { kind: 'selectOption', target, values: [field.value], byLabel: true };
+    default:
+      return { kind: 'fill', target, value: String(field.value) };
+  }
+}
+
+function translateWait(args) {
+  const statements = [];
+  if (args.time) {
+    statements.push({ kind: 'wait', ms: Math.round(args.time * 1000) });
+  }
+  if (args.textGone) {
+    statements.push({ kind: 'waitForText', text: args.textGone, state: 'hidden' });
+  }
+  if (args.text) {
+    statements.push({ kind: 'waitForText', text: args.text, state: 'visible' });
+  }
+  return statements;
+}
+
+/**
+ * 'Login button (ref e12)' for the element of a ref that has no recorded target
+ */
+function describeMissingElement(args, refPath) {
+  let element;
+  if (refPath === 'ref') {
+    element = args.element;
+  } else if (refPath.endsWith('.ref')) {
+    element = (getPath(args, refPath.slice(0, -'.ref'.length)) || {}).name; // browser_fill_form field
+  } else {
+    element = args[refPath.replace(/Ref$/, 'Element')]; // startRef -> startElement
+  }
+  return `${element ? JSON.stringify(element) : 'element'} (ref ${getPath(args, refPath)})`;
+}
+
+function unsupported(toolName, reason) {
+  return { kind: 'unsupported', toolName, reason };
+}
+
+module.exports = { translateActions, translateAction, translateValidation };
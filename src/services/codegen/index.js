@@ -0,0 +1,68 @@
+const PlaywrightTestGenerator = require('./playwrightTestGenerator');
+const NodeScriptGenerator = require('./nodeScriptGenerator');
+const PytestGenerator = require('./pytestGenerator');
+const JUnitGenerator = require('./junitGenerator');
+const NUnitGenerator = require('./nunitGenerator');
+const { translateActions } = require('./actionTranslator');
+const ActionReplayService = require('../actionReplayService');
+
+/**
+ * Registry of script languages. Every generator extends ScriptGenerator and implements:
+ * - name: label shown in the export dialog
+ * - getFileName(title): file name for a test of that title
+ * - generate(groups, options): source of the file for the statement groups of translateActions
+ */
+const LANGUAGES = {
+  typescript: () => new PlaywrightTestGenerator(),
+  javascript: () => new PlaywrightTestGenerator({ typescript: false }),
+  node: () => new NodeScriptGenerator(),
+  python: () => new PytestGenerator(),
+  java: () => new JUnitGenerator(),
+  csharp: () => new NUnitGenerator()
+};
+
+/**
+ * Create a generator by language name
+ * @param {string} language - Language name (see LANGUAGES)
+ */
+function createGenerator(language) {
+  const create = LANGUAGES[language];
+  if (!create) {
+    throw new Error(`Unknown script language "${language}". Supported languages: ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+  return create();
+}
+
+/**
+ * Languages for a picker
+ * @returns {Array<object>} [{ id, name }] in registry order
+ */
+function listLanguages() {
+  return Object.keys(LANGUAGES).map(id => ({ id, name: createGenerator(id).name }));
+}
+
+/**
+ * Generate a test script from an action log, without the LLM
+ * The actions are translated into statements (see actionTranslator) that a generator writes as code.
+ * @param {Array<object>} actions - Action log entries (LLMService.getActionLog or the actions of a
+ *   saved <playbook>.actions.json)
+ * @param {object} [options] - { language: script language (see LANGUAGES, default typescript),
+ *   title: name of the generated test, validations: validation results whose evidence becomes
+ *   assertions }
+ * @returns {object} { script, fileName }
+ * @throws {Error} If the language is unknown or the log has no successful browser actions
+ */
+function generateScript(actions, { language = 'typescript', title = 'Recorded session', validations = [] } = {}) {
+  const generator = createGenerator(language);
+  const actionCount = actions.filter(action => ActionReplayService.isReplayable(action)).length;
+  if (actionCount === 0) {
+    throw new Error('No browser actions recorded. Please perform some browser automation first.');
+  }
+  const groups = translateActions(actions, validations);
+  return {
+    script: generator.generate(groups, { title, actionCount, validationCount: validations.length }),
+    fileName: generator.getFileName(title)
+  };
+}
+
+module.exports = { LANGUAGES, createGenerator, listLanguages, generateScript };
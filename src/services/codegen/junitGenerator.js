@@ -0,0 +1,184 @@
+const ScriptGenerator = require('./scriptGenerator');
+
+/**
+ * JUnitGenerator - Writes the statements of an action log as a JUnit 5 test for Playwright for Java
+ *
+ * The class is annotated with @UsePlaywright, which passes a fresh Page to the test method.
+ * Roles, mouse buttons and modifiers become the enum constants of com.microsoft.playwright.options.
+ * ${NAME} placeholders of secrets are read from environment variables by a secret() helper.
+ */
+class JUnitGenerator extends ScriptGenerator {
+  constructor() {
+    super({ name: 'Java (JUnit 5)', indent: '  ', bodyIndent: '    ' });
+  }
+
+  getFileName(title) {
+    return `${this.getClassName(title)}.java`;
+  }
+
+  getClassName(title) {
+    return `${this.pascalCase(title)}Test`;
+  }
+
+  generate(groups, options) {
+    this.usesArrays = false;
+    return super.generate(groups, options);
+  }
+
+  renderFile(body, options) {
+    const lines = [
+      'import com.microsoft.playwright.*;',
+      'import com.microsoft.playwright.junit.UsePlaywright;',
+      'import com.microsoft.playwright.options.*;',
+      'import org.junit.jupiter.api.Test;',
+      ...(this.usesArrays ? ['import java.util.Arrays;'] : []),
+      ...(this.usesRegExp ? ['import java.util.regex.Pattern;'] : []),
+      '',
+      ...(this.usesExpect ? ['import static com.microsoft.playwright.assertions.PlaywrightAssertions.assertThat;', ''] : []),
+      `// ${this.describeSource(options)}`,
+      '@UsePlaywright',
+      `public class ${this.getClassName(options.title)} {`,
+      '  @Test',
+      `  void ${this.camelCase(options.title)}(Page page) {`,
+      ...body,
+      '  }',
+      ...this.renderHelpers(),
+      '}',
+      ''
+    ];
+    return lines.join('\n');
+  }
+
+  renderHelpers() {
+    if (!this.usesSecrets) {
+      return [];
+    }
+    return [
+      '',
+      '  // Secrets of the recording are read from environment variables of the same name',
+      '  private static String secret(String name) {',
+      '    String value = System.getenv(name);',
+      '    if (value == null) {',
+      '      throw new IllegalStateException("Set the " + name + " environment variable");',
+      '    }',
+      '    return value;',
+      '  }'
+    ];
+  }
+
+  renderStatement(statement) {
+    switch (statement.kind) {
+      case 'goto':
+        return `page.navigate(${this.string(statement.url)});`;
+      case 'goBack':
+        return 'page.goBack();';
+      case 'goForward':
+        return 'page.goForward();';
+      case 'click': {
+        const type = statement.double ? 'DblclickOptions' : 'ClickOptions';
+        let options = '';
+        if (statement.button && statement.button !== 'left') {
+          options += `.setButton(MouseButton.${statement.button.toUpperCase()})`;
+        }
+        if (statement.modifiers.length > 0) {
+          this.usesArrays = true;
+          options += `.setModifiers(Arrays.asList(${statement.modifiers.map(modifier => `KeyboardModifier.${modifier.toUpperCase()}`).join(', ')}))`;
+        }
+        const method = statement.double ? 'dblclick' : 'click';
+        return `${this.locator(statement.target)}.${method}(${options ? `new Locator.${type}()${options}` : ''});`;
+      }
+      case 'fill':
+        return `${this.locator(statement.target)}.fill(${this.string(statement.value)});`;
+      case 'pressSequentially':
+        return `${this.locator(statement.target)}.pressSequentially(${this.string(statement.value)});`;
+      case 'press':
+        return `${this.locator(statement.target)}.press(${this.quote(statement.key)});`;
+      case 'setChecked':
+        return `${this.locator(statement.target)}.setChecked(${statement.checked});`;
+      case 'selectOption': {
+        const values = statement.byLabel
+          ? `new SelectOption().setLabel(${this.string(statement.values[0])})`
+          : `new String[] {${statement.values.map(value => this.string(value)).join(', ')}}`;
+        return `${this.locator(statement.target)}.selectOption(${values});`;
+      }
+      case 'hover':
+        return `${this.locator(statement.target)}.hover();`;
+      case 'dragTo':
+        return `${this.locator(statement.target)}.dragTo(${this.locator(statement.destination)});`;
+      case 'keyboardPress':
+        return `page.keyboard().press(${this.quote(statement.key)});`;
+      case 'mouseMove':
+        return `page.mouse().move(${statement.x}, ${statement.y});`;
+      case 'mouseClick':
+        return `page.mouse().click(${statement.x}, ${statement.y});`;
+      case 'mouseDrag':
+        return [
+          `page.mouse().move(${statement.from.x}, ${statement.from.y});`,
+          'page.mouse().down();',
+          `page.mouse().move(${statement.to.x}, ${statement.to.y});`,
+          'page.mouse().up();'
+        ];
+      case 'wait':
+        return `page.waitForTimeout(${statement.ms});`;
+      case 'waitForText':
+        return `page.getByText(${this.quote(statement.text)}).first().waitFor(new Locator.WaitForOptions().setState(WaitForSelectorState.${statement.state.toUpperCase()}));`;
+      case 'setViewportSize':
+        return `page.setViewportSize(${statement.width}, ${statement.height});`;
+      case 'evaluate':
+        return `${statement.target ? this.locator(statement.target) : 'page'}.evaluate(${this.quote(statement.script)});`;
+      default:
+        return this.renderAssertion(statement);
+    }
+  }
+
+  renderAssertion(statement) {
+    this.usesExpect = true;
+    switch (statement.kind) {
+      case 'expectUrl':
+        this.usesRegExp = true;
+        return `assertThat(page).hasURL(Pattern.compile(${this.quote(this.regExpSource(statement.pattern))}));`;
+      case 'expectText':
+        return `assertThat(${this.locator(statement.target)}).hasText(${this.string(statement.text)});`;
+      case 'expectVisible':
+        return `assertThat(${this.subject(statement, true)}).${statement.visible ? 'isVisible' : 'isHidden'}();`;
+      default: // expectCount
+        return `assertThat(${this.subject(statement, false)}).hasCount(${statement.count});`;
+    }
+  }
+
+  /**
+   * page.getByRole(AriaRole.BUTTON, new Page.GetByRoleOptions().setName("Login").setExact(true)),
+   * with .first() / .nth(n) when several elements share the role and name
+   */
+  locator({ role, name, nth = 0, count = 1, attributes = {} }) {
+    let options = '';
+    if (name) {
+      options += `.setName(${this.quote(name)}).setExact(true)`;
+    }
+    if (attributes.level !== undefined) {
+      options += `.setLevel(${attributes.level})`;
+    }
+    const locator = `page.getByRole(AriaRole.${role.toUpperCase()}${options ? `, new Page.GetByRoleOptions()${options}` : ''})`;
+    if (count > 1) {
+      return nth === 0 ? `${locator}.first()` : `${locator}.nth(${nth})`;
+    }
+    return locator;
+  }
+
+  subject({ target, text }, single) {
+    if (target) {
+      return this.locator(target);
+    }
+    return `page.getByText(${this.string(text)})${single ? '.first()' : ''}`;
+  }
+
+  quote(text) {
+    return `"${this.escape(String(text), '"')}"`;
+  }
+
+  secret(name) {
+    return `secret(${this.quote(name)})`;
+  }
+}
+
+module.exports = JUnitGenerator;
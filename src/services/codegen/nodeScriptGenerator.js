@@ -0,0 +1,98 @@
+const ScriptGenerator = require('./scriptGenerator');
+const PlaywrightTestGenerator = require('./playwrightTestGenerator');
+
+/**
+ * NodeScriptGenerator - Writes the statements of an action log as a plain Node.js script using the
+ * playwright library, without a test runner
+ *
+ * Locators and actions are the ones of the Playwright Test spec. The library has no expect, so
+ * assertions wait for the URL or element state, and text and count checks are retried with
+ * node:assert until they pass or time out.
+ */
+class NodeScriptGenerator extends PlaywrightTestGenerator {
+  constructor() {
+    super({ typescript: false });
+    this.name = 'Node.js script (playwright library)';
+    this.bodyIndent = '    ';
+  }
+
+  getFileName(title) {
+    return `${this.words(title).join('-').toLowerCase()}.js`;
+  }
+
+  renderFile(body, options) {
+    const lines = [
+      "const { chromium } = require('playwright');",
+      ...(this.usesExpect ? ["const assert = require('node:assert');"] : []),
+      '',
+      `// ${this.describeSource(options)}`,
+      ...this.renderHelpers(),
+      '',
+      `// ${options.title}`,
+      '(async () => {',
+      '  const browser = await chromium.launch();',
+      '  try {',
+      '    const page = await browser.newPage();',
+      ...body,
+      '  } finally {',
+      '    await browser.close();',
+      '  }',
+      '})().catch(error => {',
+      '  console.error(error);',
+      '  process.exitCode = 1;',
+      '});',
+      ''
+    ];
+    return lines.join('\n');
+  }
+
+  renderHelpers() {
+    const helpers = super.renderHelpers();
+    if (!this.usesExpect) {
+      return helpers;
+    }
+    return [
+      ...helpers,
+      '',
+      '// Run a check until it passes, for at most 5 seconds',
+      'async function retry(check) {',
+      '  const deadline = Date.now() + 5000;',
+      '  for (;;) {',
+      '    try {',
+      '      return await check();',
+      '    } catch (error) {',
+      '      if (Date.now() >= deadline) {',
+      '        throw error;',
+      '      }',
+      '      await new Promise(resolve => setTimeout(resolve, 100));',
+      '    }',
+      '  }',
+      '}'
+    ];
+  }
+
+  // Steps are plain comments, there is no test.step outside the test runner
+  renderGroup(group, indent) {
+    return ScriptGenerator.prototype.renderGroup.call(this, group, indent);
+  }
+
+  /**
+   * Code of an expect* statement; usesExpect is only set for checks that need the retry helper
+   */
+  renderAssertion(statement) {
+    switch (statement.kind) {
+      case 'expectUrl':
+        return `await page.waitForURL(${this.regExp(statement.pattern)});`;
+      case 'expectVisible':
+        return `await ${this.subject(statement, true)}.waitFor({ state: '${statement.visible ? 'visible' : 'hidden'}' });`;
+      case 'expectText':
+        this.usesExpect = true;
+        return `await retry(async () => assert.strictEqual((await ${this.locator(statement.target)}.innerText()).trim(), ${this.string(statement.text)}));`;
+      default: // expectCount
+        this.usesExpect = true;
+        return `await retry(async () => assert.strictEqual(await ${this.subject(statement, false)}.count(), ${statement.count}));`;
+    }
+  }
+}
+
+module.exports = NodeScriptGenerator;
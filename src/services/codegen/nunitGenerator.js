@@ -0,0 +1,179 @@
+const ScriptGenerator = require('./scriptGenerator');
+
+/**
+ * NUnitGenerator - Writes the statements of an action log as an NUnit test for Playwright for .NET
+ *
+ * The class derives from PageTest (Microsoft.Playwright.NUnit), which provides Page and Expect.
+ * Roles, mouse buttons and modifiers become the enum members of Microsoft.Playwright.
+ * ${NAME} placeholders of secrets are read from environment variables by a Secret() helper.
+ */
+class NUnitGenerator extends ScriptGenerator {
+  constructor() {
+    super({ name: 'C# (.NET NUnit)', indent: '    ', bodyIndent: '        ' });
+  }
+
+  getFileName(title) {
+    return `${this.getClassName(title)}.cs`;
+  }
+
+  getClassName(title) {
+    return `${this.pascalCase(title)}Tests`;
+  }
+
+  renderFile(body, options) {
+    const lines = [
+      ...(this.usesSecrets ? ['using System;'] : []),
+      ...(this.usesRegExp ? ['using System.Text.RegularExpressions;'] : []),
+      'using System.Threading.Tasks;',
+      'using Microsoft.Playwright;',
+      'using Microsoft.Playwright.NUnit;',
+      'using NUnit.Framework;',
+      '',
+      `// ${this.describeSource(options)}`,
+      '[Parallelizable(ParallelScope.Self)]',
+      '[TestFixture]',
+      `public class ${this.getClassName(options.title)} : PageTest`,
+      '{',
+      '    [Test]',
+      `    public async Task ${this.pascalCase(options.title)}()`,
+      '    {',
+      ...body,
+      '    }',
+      ...this.renderHelpers(),
+      '}',
+      ''
+    ];
+    return lines.join('\n');
+  }
+
+  renderHelpers() {
+    if (!this.usesSecrets) {
+      return [];
+    }
+    return [
+      '',
+      '    // Secrets of the recording are read from environment variables of the same name',
+      '    private static string Secret(string name) =>',
+      '        Environment.GetEnvironmentVariable(name) ?? throw new InvalidOperationException($"Set the {name} environment variable");'
+    ];
+  }
+
+  renderStatement(statement) {
+    switch (statement.kind) {
+      case 'goto':
+        return `await Page.GotoAsync(${this.string(statement.url)});`;
+      case 'goBack':
+        return 'await Page.GoBackAsync();';
+      case 'goForward':
+        return 'await Page.GoForwardAsync();';
+      case 'click': {
+        const options = [];
+        if (statement.button && statement.button !== 'left') {
+          options.push(`Button = MouseButton.${this.pascalCase(statement.button)}`);
+        }
+        if (statement.modifiers.length > 0) {
+          options.push(`Modifiers = new[] { ${statement.modifiers.map(modifier => `KeyboardModifier.${modifier}`).join(', ')} }`);
+        }
+        const method = statement.double ? 'DblClickAsync' : 'ClickAsync';
+        return `await ${this.locator(statement.target)}.${method}(${options.length > 0 ? `new() { ${options.join(', ')} }` : ''});`;
+      }
+      case 'fill':
+        return `await ${this.locator(statement.target)}.FillAsync(${this.string(statement.value)});`;
+      case 'pressSequentially':
+        return `await ${this.locator(statement.target)}.PressSequentiallyAsync(${this.string(statement.value)});`;
+      case 'press':
+        return `await ${this.locator(statement.target)}.PressAsync(${this.quote(statement.key)});`;
+      case 'setChecked':
+        return `await ${this.locator(statement.target)}.SetCheckedAsync(${statement.checked});`;
+      case 'selectOption': {
+        const values = statement.byLabel
+          ? `new SelectOptionValue { Label = ${this.string(statement.values[0])} }`
+          : `new[] { ${statement.values.map(value => this.string(value)).join(', ')} }`;
+        return `await ${this.locator(statement.target)}.SelectOptionAsync(${values});`;
+      }
+      case 'hover':
+        return `await ${this.locator(statement.target)}.HoverAsync();`;
+      case 'dragTo':
+        return `await ${this.locator(statement.target)}.DragToAsync(${this.locator(statement.destination)});`;
+      case 'keyboardPress':
+        return `await Page.Keyboard.PressAsync(${this.quote(statement.key)});`;
+      case 'mouseMove':
+        return `await Page.Mouse.MoveAsync(${this.float(statement.x)}, ${this.float(statement.y)});`;
+      case 'mouseClick':
+        return `await Page.Mouse.ClickAsync(${this.float(statement.x)}, ${this.float(statement.y)});`;
+      case 'mouseDrag':
+        return [
+          `await Page.Mouse.MoveAsync(${this.float(statement.from.x)}, ${this.float(statement.from.y)});`,
+          'await Page.Mouse.DownAsync();',
+          `await Page.Mouse.MoveAsync(${this.float(statement.to.x)}, ${this.float(statement.to.y)});`,
+          'await Page.Mouse.UpAsync();'
+        ];
+      case 'wait':
+        return `await Page.WaitForTimeoutAsync(${statement.ms});`;
+      case 'waitForText':
+        return `await Page.GetByText(${this.quote(statement.text)}).First.WaitForAsync(new() { State = WaitForSelectorState.${this.pascalCase(statement.state)} });`;
+      case 'setViewportSize':
+        return `await Page.SetViewportSizeAsync(${statement.width}, ${statement.height});`;
+      case 'evaluate':
+        return `await ${statement.target ? this.locator(statement.target) : 'Page'}.EvaluateAsync(${this.quote(statement.script)});`;
+      default:
+        return this.renderAssertion(statement);
+    }
+  }
+
+  renderAssertion(statement) {
+    this.usesExpect = true;
+    switch (statement.kind) {
+      case 'expectUrl':
+        this.usesRegExp = true;
+        return `await Expect(Page).ToHaveURLAsync(new Regex(${this.quote(this.regExpSource(statement.pattern))}));`;
+      case 'expectText':
+        return `await Expect(${this.locator(statement.target)}).ToHaveTextAsync(${this.string(statement.text)});`;
+      case 'expectVisible':
+        return `await Expect(${this.subject(statement, true)}).${statement.visible ? 'ToBeVisibleAsync' : 'ToBeHiddenAsync'}();`;
+      default: // expectCount
+        return `await Expect(${this.subject(statement, false)}).ToHaveCountAsync(${statement.count});`;
+    }
+  }
+
+  /**
+   * Page.GetByRole(AriaRole.Button, new() { Name = "Login", Exact = true }), with .First / .Nth(n)
+   * when several elements share the role and name
+   */
+  locator({ role, name, nth = 0, count = 1, attributes = {} }) {
+    const options = [];
+    if (name) {
+      options.push(`Name = ${this.quote(name)}`, 'Exact = true');
+    }
+    if (attributes.level !== undefined) {
+      options.push(`Level = ${attributes.level}`);
+    }
+    const locator = `Page.GetByRole(AriaRole.${this.pascalCase(role)}${options.length > 0 ? `, new() { ${options.join(', ')} }` : ''})`;
+    if (count > 1) {
+      return nth === 0 ? `${locator}.First` : `${locator}.Nth(${nth})`;
+    }
+    return locator;
+  }
+
+  subject({ target, text }, single) {
+    if (target) {
+      return this.locator(target);
+    }
+    return `Page.GetByText(${this.string(text)})${single ? '.First' : ''}`;
+  }
+
+  // Mouse coordinates are floats; whole numbers convert implicitly
+  float(value) {
+    return Number.isInteger(value) ? String(value) : `${value}f`;
+  }
+
+  quote(text) {
+    return `"${this.escape(String(text), '"')}"`;
+  }
+
+  secret(name) {
+    return `Secret(${this.quote(name)})`;
+  }
+}
+
+module.exports = NUnitGenerator;
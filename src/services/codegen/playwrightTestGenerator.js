@@ -0,0 +1,217 @@
+const ScriptGenerator = require('./scriptGenerator');
+
+// Attributes of a recorded element that getByRole accepts as options; states such as
+// checked or expanded change during a test and are left out
+const LOCATOR_ATTRIBUTES = ['level'];
+
+/**
+ * PlaywrightTestGenerator - Writes the statements of an action log as a @playwright/test spec
+ * in TypeScript or JavaScript
+ *
+ * Elements are located by role and accessible name (getByRole with an exact name), which also
+ * covers inputs named by a placeholder or aria-label that getByLabel would miss. Elements sharing
+ * a role and name get .first() / .nth(n). ${NAME} placeholders of secrets are read from
+ * environment variables of the same name.
+ */
+class PlaywrightTestGenerator extends ScriptGenerator {
+  /**
+   * @param {object} [options] - { typescript: write TypeScript (default) or CommonJS JavaScript }
+   */
+  constructor({ typescript = true } = {}) {
+    super({ name: `Playwright Test (${typescript ? 'TypeScript' : 'JavaScript'})`, indent: '  ', bodyIndent: '  ' });
+    this.typescript = typescript;
+  }
+
+  getFileName(title) {
+    return `${this.words(title).join('-').toLowerCase()}.spec.${this.typescript ? 'ts' : 'js'}`;
+  }
+
+  renderFile(body, options) {
+    const names = this.usesExpect ? '{ test, expect }' : '{ test }';
+    const lines = [
+      this.typescript ? `import ${names} from '@playwright/test';` : `const ${names} = require('@playwright/test');`,
+      '',
+      `// ${this.describeSource(options)}`,
+      ...this.renderHelpers(),
+      '',
+      `test(${this.quote(options.title)}, async ({ page }) => {`,
+      ...body,
+      '});',
+      ''
+    ];
+    return lines.join('\n');
+  }
+
+  /**
+   * Functions the body calls, each preceded by an empty line
+   */
+  renderHelpers() {
+    if (!this.usesSecrets) {
+      return [];
+    }
+    return [
+      '',
+      '// Secrets of the recording are read from environment variables of the same name',
+      this.typescript ? 'function secret(name: string): string {' : 'function secret(name) {',
+      '  const value = process.env[name];',
+      '  if (value === undefined) {',
+      '    throw new Error(`Set the ${name} environment variable`);',
+      '  }',
+      '  return value;',
+      '}'
+    ];
+  }
+
+  renderGroup(group, indent) {
+    if (group.title === null) {
+      return super.renderGroup(group, indent);
+    }
+    return [
+      `${indent}await test.step(${this.quote(group.title)}, async () => {`,
+      ...this.renderStatements(group.statements, `${indent}${this.indent}`),
+      `${indent}});`
+    ];
+  }
+
+  renderStatement(statement) {
+    switch (statement.kind) {
+      case 'goto':
+        return `await page.goto(${this.string(statement.url)});`;
+      case 'goBack':
+        return 'await page.goBack();';
+      case 'goForward':
+        return 'await page.goForward();';
+      case 'click': {
+        const options = [];
+        if (statement.button && statement.button !== 'left') {
+          options.push(`button: ${this.quote(statement.button)}`);
+        }
+        if (statement.modifiers.length > 0) {
+          options.push(`modifiers: [${statement.modifiers.map(modifier => this.quote(modifier)).join(', ')}]`);
+        }
+        const method = statement.double ? 'dblclick' : 'click';
+        return `await ${this.locator(statement.target)}.${method}(${options.length > 0 ? `{ ${options.join(', ')} }` : ''});`;
+      }
+      case 'fill':
+        return `await ${this.locator(statement.target)}.fill(${this.string(statement.value)});`;
+      case 'pressSequentially':
+        return `await ${this.locator(statement.target)}.pressSequentially(${this.string(statement.value)});`;
+      case 'press':
+        return `await ${this.locator(statement.target)}.press(${this.quote(statement.key)});`;
+      case 'setChecked':
+        return `await ${this.locator(statement.target)}.setChecked(${statement.checked});`;
+      case 'selectOption': {
+        const values = statement.byLabel
+          ? `{ label: ${this.string(statement.values[0])} }`
+          : `[${statement.values.map(value => this.string(value)).join(', ')}]`;
+        return `await ${this.locator(statement.target)}.selectOption(${values});`;
+      }
+      case 'hover':
+        return `await ${this.locator(statement.target)}.hover();`;
+      case 'dragTo':
+        return `await ${this.locator(statement.target)}.dragTo(${this.locator(statement.destination)});`;
+      case 'keyboardPress':
+        return `await page.keyboard.press(${this.quote(statement.key)});`;
+      case 'mouseMove':
+        return `await page.mouse.move(${statement.x}, ${statement.y});`;
+      case 'mouseClick':
+        return `await page.mouse.click(${statement.x}, ${statement.y});`;
+      case 'mouseDrag':
+        return [
+          `await page.mouse.move(${statement.from.x}, ${statement.from.y});`,
+          'await page.mouse.down();',
+          `await page.mouse.move(${statement.to.x}, ${statement.to.y});`,
+          'await page.mouse.up();'
+        ];
+      case 'wait':
+        return `await page.waitForTimeout(${statement.ms});`;
+      case 'waitForText':
+        return `await page.getByText(${this.quote(statement.text)}).first().waitFor({ state: '${statement.state}' });`;
+      case 'setViewportSize':
+        return `await page.setViewportSize({ width: ${statement.width}, height: ${statement.height} });`;
+      case 'evaluate':
+        return `await ${statement.target ? this.locator(statement.target) : 'page'}.evaluate(${statement.script});`;
+      default:
+        return this.renderAssertion(statement);
+    }
+  }
+
+  /**
+   * Code of an expect* statement
+   */
+  renderAssertion(statement) {
+    this.usesExpect = true;
+    switch (statement.kind) {
+      case 'expectUrl':
+        return `await expect(page).toHaveURL(${this.regExp(statement.pattern)});`;
+      case 'expectText':
+        return `await expect(${this.locator(statement.target)}).toHaveText(${this.string(statement.text)});`;
+      case 'expectVisible':
+        return `await expect(${this.subject(statement, true)}).${statement.visible ? 'toBeVisible' : 'toBeHidden'}();`;
+      default: // expectCount
+        return `await expect(${this.subject(statement, false)}).toHaveCount(${statement.count});`;
+    }
+  }
+
+  /**
+   * page.getByRole('button', { name: 'Login', exact: true }), with .first() / .nth(n) when
+   * several elements share the role and name
+   */
+  locator({ role, name, nth = 0, count = 1, attributes = {} }) {
+    const options = [];
+    if (name) {
+      options.push(`name: ${this.quote(name)}`, 'exact: true');
+    }
+    for (const attribute of LOCATOR_ATTRIBUTES) {
+      if (attributes[attribute] !== undefined) {
+        options.push(`${attribute}: ${attributes[attribute]}`);
+      }
+    }
+    const locator = `page.getByRole(${this.quote(role)}${options.length > 0 ? `, { ${options.join(', ')} }` : ''})`;
+    if (count > 1) {
+      return nth === 0 ? `${locator}.first()` : `${locator}.nth(${nth})`;
+    }
+    return locator;
+  }
+
+  /**
+   * Locator of the element or text an assertion is about
+   * @param {boolean} single - Whether the assertion needs a single element (the first text match)
+   */
+  subject({ target, text }, single) {
+    if (target) {
+      return this.locator(target);
+    }
+    return `page.getByText(${this.string(text)})${single ? '.first()' : ''}`;
+  }
+
+  quote(text) {
+    return `'${this.escape(String(text), "'")}'`;
+  }
+
+  secret(name) {
+    return `secret(${this.quote(name)})`;
+  }
+
+  /**
+   * Template literal: `Hello ${secret('NAME')}`
+   */
+  interpolate(parts) {
+    if (parts.length === 1) {
+      return this.secret(parts[0].name);
+    }
+    const text = parts.map(part => (part.name === undefined
+      ? this.escape(part.text, '`').replace(/\$\{/g, '\\${')
+      : `\${${this.secret(part.name)}}`));
+    return `\`${text.join('')}\``;
+  }
+
+  /**
+   * Regular expression literal matching URLs that contain a text
+   */
+  regExp(text) {
+    return `/${this.regExpSource(text).replace(/\//g, '\\/')}/`;
+  }
+}
+
+module.exports = PlaywrightTestGenerator;
@@ -0,0 +1,155 @@
+const ScriptGenerator = require('./scriptGenerator');
+
+/**
+ * PytestGenerator - Writes the statements of an action log as a pytest-playwright test
+ *
+ * The test takes the page fixture of the plugin and uses the synchronous API. ${NAME} placeholders
+ * of secrets are read with os.environ, which fails the test when the variable is not set.
+ */
+class PytestGenerator extends ScriptGenerator {
+  constructor() {
+    super({ name: 'Python (pytest-playwright)', indent: '    ', bodyIndent: '    ', commentPrefix: '#' });
+  }
+
+  getFileName(title) {
+    return `test_${this.snakeCase(title)}.py`;
+  }
+
+  renderFile(body, options) {
+    const standard = [
+      ...(this.usesSecrets ? ['import os'] : []),
+      ...(this.usesRegExp ? ['import re'] : [])
+    ];
+    // A body of comments only (every action unsupported) still needs a statement
+    const statements = body.some(line => !line.trim().startsWith('#')) ? body : [...body, `${this.bodyIndent}pass`];
+    const lines = [
+      ...(standard.length > 0 ? [...standard, ''] : []),
+      `from playwright.sync_api import Page${this.usesExpect ? ', expect' : ''}`,
+      '',
+      `# ${this.describeSource(options)}`,
+      '',
+      '',
+      `def test_${this.snakeCase(options.title)}(page: Page) -> None:`,
+      ...statements,
+      ''
+    ];
+    return lines.join('\n');
+  }
+
+  renderStatement(statement) {
+    switch (statement.kind) {
+      case 'goto':
+        return `page.goto(${this.string(statement.url)})`;
+      case 'goBack':
+        return 'page.go_back()';
+      case 'goForward':
+        return 'page.go_forward()';
+      case 'click': {
+        const options = [];
+        if (statement.button && statement.button !== 'left') {
+          options.push(`button=${this.quote(statement.button)}`);
+        }
+        if (statement.modifiers.length > 0) {
+          options.push(`modifiers=[${statement.modifiers.map(modifier => this.quote(modifier)).join(', ')}]`);
+        }
+        return `${this.locator(statement.target)}.${statement.double ? 'dblclick' : 'click'}(${options.join(', ')})`;
+      }
+      case 'fill':
+        return `${this.locator(statement.target)}.fill(${this.string(statement.value)})`;
+      case 'pressSequentially':
+        return `${this.locator(statement.target)}.press_sequentially(${this.string(statement.value)})`;
+      case 'press':
+        return `${this.locator(statement.target)}.press(${this.quote(statement.key)})`;
+      case 'setChecked':
+        return `${this.locator(statement.target)}.set_checked(${statement.checked ? 'True' : 'False'})`;
+      case 'selectOption': {
+        const values = statement.byLabel
+          ? `label=${this.string(statement.values[0])}`
+          : `[${statement.values.map(value => this.string(value)).join(', ')}]`;
+        return `${this.locator(statement.target)}.select_option(${values})`;
+      }
+      case 'hover':
+        return `${this.locator(statement.target)}.hover()`;
+      case 'dragTo':
+        return `${this.locator(statement.target)}.drag_to(${this.locator(statement.destination)})`;
+      case 'keyboardPress':
+        return `page.keyboard.press(${this.quote(statement.key)})`;
+      case 'mouseMove':
+        return `page.mouse.move(${statement.x}, ${statement.y})`;
+      case 'mouseClick':
+        return `page.mouse.click(${statement.x}, ${statement.y})`;
+      case 'mouseDrag':
+        return [
+          `page.mouse.move(${statement.from.x}, ${statement.from.y})`,
+          'page.mouse.down()',
+          `page.mouse.move(${statement.to.x}, ${statement.to.y})`,
+          'page.mouse.up()'
+        ];
+      case 'wait':
+        return `page.wait_for_timeout(${statement.ms})`;
+      case 'waitForText':
+        return `page.get_by_text(${this.quote(statement.text)}).first.wait_for(state=${this.quote(statement.state)})`;
+      case 'setViewportSize':
+        return `page.set_viewport_size({"width": ${statement.width}, "height": ${statement.height}})`;
+      case 'evaluate':
+        return `${statement.target ? this.locator(statement.target) : 'page'}.evaluate(${this.quote(statement.script)})`;
+      default:
+        return this.renderAssertion(statement);
+    }
+  }
+
+  renderAssertion(statement) {
+    this.usesExpect = true;
+    switch (statement.kind) {
+      case 'expectUrl':
+        this.usesRegExp = true;
+        return `expect(page).to_have_url(re.compile(${this.quote(this.regExpSource(statement.pattern))}))`;
+      case 'expectText':
+        return `expect(${this.locator(statement.target)}).to_have_text(${this.string(statement.text)})`;
+      case 'expectVisible':
+        return `expect(${this.subject(statement, true)}).${statement.visible ? 'to_be_visible' : 'to_be_hidden'}()`;
+      default: // expectCount
+        return `expect(${this.subject(statement, false)}).to_have_count(${statement.count})`;
+    }
+  }
+
+  /**
+   * page.get_by_role("button", name="Login", exact=True), with .first / .nth(n) when several
+   * elements share the role and name
+   */
+  locator({ role, name, nth = 0, count = 1, attributes = {} }) {
+    const options = [];
+    if (name) {
+      options.push(`name=${this.quote(name)}`, 'exact=True');
+    }
+    if (attributes.level !== undefined) {
+      options.push(`level=${attributes.level}`);
+    }
+    const locator = `page.get_by_role(${[this.quote(role), ...options].join(', ')})`;
+    if (count > 1) {
+      return nth === 0 ? `${locator}.first` : `${locator}.nth(${nth})`;
+    }
+    return locator;
+  }
+
+  subject({ target, text }, single) {
+    if (target) {
+      return this.locator(target);
+    }
+    return `page.get_by_text(${this.string(text)})${single ? '.first' : ''}`;
+  }
+
+  quote(text) {
+    return `"${this.escape(String(text), '"')}"`;
+  }
+
+  secret(name) {
+    return `os.environ[${this.quote(name)}]`;
+  }
+
+  snakeCase(title) {
+    return this.words(title).join('_').toLowerCase();
+  }
+}
+
+module.exports = PytestGenerator;
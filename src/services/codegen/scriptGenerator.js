@@ -0,0 +1,134 @@
+const { splitPlaceholders } = require('../../utils/variables');
+
+/**
+ * ScriptGenerator - Base class of the script generators
+ *
+ * A generator writes the statement groups of translateActions (see actionTranslator) as the source
+ * of one test file. Subclasses implement:
+ * - getFileName(title): file name for a test of that title
+ * - renderFile(body, options): the whole file around the indented lines of the test body
+ * - renderStatement(statement): code of a statement, a line or an array of lines
+ * - quote(text): string literal of a text
+ * - secret(name): expression reading the secret NAME from the environment
+ * The statements of a playbook step follow a comment with the step title unless renderGroup is
+ * overridden. Statements without code (kind 'unsupported') become TODO comments.
+ */
+class ScriptGenerator {
+  /**
+   * @param {object} options - { name: language label, indent: one level of indentation,
+   *   bodyIndent: indentation of the test body, commentPrefix: line comment marker }
+   */
+  constructor({ name, indent, bodyIndent, commentPrefix = '//' }) {
+    this.name = name;
+    this.indent = indent;
+    this.bodyIndent = bodyIndent;
+    this.commentPrefix = commentPrefix;
+  }
+
+  /**
+   * @param {Array<object>} groups - Statement groups of translateActions
+   * @param {object} options - { title: test name, actionCount / validationCount: number of recorded
+   *   actions and validations }
+   * @returns {string} Source of the file
+   */
+  generate(groups, options) {
+    // Set while rendering, so renderFile only adds the helpers and imports the body uses
+    this.usesSecrets = false;
+    this.usesExpect = false;
+    this.usesRegExp = false;
+    const body = groups.flatMap(group => this.renderGroup(group, this.bodyIndent));
+    return this.renderFile(body, options);
+  }
+
+  renderGroup(group, indent) {
+    const title = group.title === null ? [] : [`${indent}${this.comment(group.title)}`];
+    return [...title, ...this.renderStatements(group.statements, indent)];
+  }
+
+  renderStatements(statements, indent) {
+    return statements.flatMap(statement => {
+      const code = statement.kind === 'comment'
+        ? this.comment(statement.text)
+        : statement.kind === 'unsupported'
+          ? this.comment(`TODO ${statement.toolName}: ${statement.reason}`)
+          : this.renderStatement(statement);
+      return [].concat(code).map(line => `${indent}${line}`);
+    });
+  }
+
+  comment(text) {
+    return `${this.commentPrefix} ${text.replace(/\s*\n\s*/g, ' ')}`;
+  }
+
+  /**
+   * "Generated by ConversePlay from 4 recorded browser actions and 1 validation"
+   */
+  describeSource({ actionCount, validationCount = 0 }) {
+    const validations = validationCount > 0 ? ` and ${validationCount} ${validationCount === 1 ? 'validation' : 'validations'}` : '';
+    return `Generated by ConversePlay from ${actionCount} recorded browser ${actionCount === 1 ? 'action' : 'actions'}${validations}`;
+  }
+
+  /**
+   * String literal of a value the browser received; ${NAME} placeholders become secret lookups
+   */
+  string(value) {
+    const parts = splitPlaceholders(value);
+    if (parts.every(part => part.name === undefined)) {
+      return this.quote(String(value));
+    }
+    this.usesSecrets = true;
+    return this.interpolate(parts);
+  }
+
+  /**
+   * Expression joining literal parts and secrets, "Hello " + secret("NAME") by default
+   */
+  interpolate(parts) {
+    return parts.map(part => (part.name === undefined ? this.quote(part.text) : this.secret(part.name))).join(' + ');
+  }
+
+  /**
+   * Escape backslashes, the quote character and line breaks for a string literal
+   */
+  escape(text, quote) {
+    return text
+      .replace(/\\/g, '\\\\')
+      .replace(new RegExp(quote, 'g'), `\\${quote}`)
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r');
+  }
+
+  /**
+   * Source of a regular expression matching URLs that contain a text, valid in JavaScript and
+   * accepted by the Playwright ports (they hand the source to the browser)
+   */
+  regExpSource(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Words of a title for identifiers: "checkout-2.md" -> ['checkout', '2', 'md']
+   */
+  words(title) {
+    const words = String(title).split(/[^A-Za-z0-9]+/).filter(Boolean);
+    return words.length > 0 ? words : ['recorded'];
+  }
+
+  /**
+   * "checkoutFlow" for method names
+   */
+  camelCase(title) {
+    const name = this.pascalCase(title);
+    return name[0].toLowerCase() + name.slice(1);
+  }
+
+  /**
+   * "CheckoutFlow" for type names; a leading digit gets a "Test" prefix
+   */
+  pascalCase(title) {
+    const name = this.words(title).map(word => word[0].toUpperCase() + word.slice(1)).join('');
+    return /^\d/.test(name) ? `Test${name}` : name;
+  }
+}
+
+module.exports = ScriptGenerator;
@@ -0,0 +1,208 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { createProvider } = require('./index');
+
+/**
+ * CassetteProvider - Deterministic record/replay wrapper around another LLM adapter
+ *
+ * In "record" mode every generate()/generateText() request and response of the wrapped
+ * adapter is appended to a JSON cassette file. In "replay" mode the responses are served
+ * back in order without any network access, and a request that does not match the
+ * recording fails loudly.
+ */
+class CassetteProvider {
+  /**
+   * @param {object} inner - The wrapped adapter (used for message formatting, and for API calls when recording)
+   * @param {object} options - { filePath, mode: 'record' | 'replay', interactions }
+   */
+  constructor(inner, options) {
+    this.inner = inner;
+    this.name = inner.name;
+    this.modelName = inner.modelName;
+    this.apiKeyEnvVar = inner.apiKeyEnvVar;
+    this.filePath = options.filePath;
+    this.mode = options.mode;
+    this.interactions = options.interactions || [];
+    this.position = 0; // Next interaction to replay
+  }
+
+  /**
+   * Create a recording cassette around an adapter (overwrites any existing cassette file)
+   */
+  static forRecording(inner, filePath) {
+    logger.info(`[Cassette] Recording LLM interactions to ${filePath}`);
+    return new CassetteProvider(inner, { filePath, mode: 'record' });
+  }
+
+  /**
+   * Load a cassette for replay. The provider and model are taken from the recording,
+   * so no API key is required.
+   */
+  static async forReplay(filePath) {
+    let cassette;
+    try {
+      cassette = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`LLM cassette not found: ${filePath}`);
+      }
+      throw new Error(`Could not read LLM cassette ${filePath}: ${error.message}`);
+    }
+
+    // The adapter is only used for message formatting, it never calls its API in replay mode
+    const inner = createProvider(cassette.provider, { model: cassette.model, apiKey: 'cassette-replay' });
+    logger.info(`[Cassette] Replaying ${cassette.interactions.length} LLM interactions from ${filePath}`);
+    return new CassetteProvider(inner, { filePath, mode: 'replay', interactions: cassette.interactions });
+  }
+
+  convertTools(mcpTools) {
+    return this.inner.convertTools(mcpTools);
+  }
+
+  createUserMessage(text) {
+    return this.inner.createUserMessage(text);
+  }
+
+  createToolResultMessages(toolCalls, results) {
+    return this.inner.createToolResultMessages(toolCalls, results);
+  }
+
+  isToolResultMessage(message) {
+    return this.inner.isToolResultMessage(message);
+  }
+
+  stripImages(message) {
+    return this.inner.stripImages(message);
+  }
+
+  async generate(request) {
+    return this.play('generate', request, () => this.inner.generate(request));
+  }
+
+  async generateText(prompt, options = {}) {
+    return this.play('generateText', { prompt, options }, () => this.inner.generateText(prompt, options));
+  }
+
+  /**
+   * Record or replay a single interaction
+   * @param {string} kind - 'generate' or 'generateText'
+   * @param {object} request - The request passed to the adapter
+   * @param {Function} call - Performs the real API call (record mode only)
+   */
+  async play(kind, request, call) {
+    const normalized = this.normalizeRequest(kind, request);
+
+    if (this.mode === 'record') {
+      const response = await call();
+      // Store a copy, the agent loop later mutates history messages (image stripping)
+      this.interactions.push({ kind, request: normalized, response: JSON.parse(JSON.stringify(response)) });
+      await this.save();
+      return response;
+    }
+
+    const index = this.position;
+    const interaction = this.interactions[index];
+    if (!interaction) {
+      throw new Error(`LLM cassette exhausted: request #${index + 1} (${kind}) was not recorded in ${this.filePath}`);
+    }
+
+    const mismatch = this.findMismatch(interaction, kind, normalized);
+    if (mismatch) {
+      throw new Error(`LLM cassette replay diverged at request #${index + 1} in ${this.filePath}: ${mismatch}`);
+    }
+
+    this.position++;
+    logger.debug(`[Cassette] Replayed interaction #${index + 1} (${kind})`);
+    // Hand out a copy so callers can't mutate the recording
+    return JSON.parse(JSON.stringify(interaction.response));
+  }
+
+  /**
+   * Reduce a request to the parts that must be identical between recording and replay.
+   * Images and the current time change on every run, and tool results contain live page
+   * data (visual diff percentages, refs), so those are reduced to placeholders.
+   */
+  normalizeRequest(kind, request) {
+    if (kind === 'generateText') {
+      return { prompt: this.scrubText(request.prompt) };
+    }
+
+    return {
+      systemPrompt: this.hash(request.systemPrompt || ''),
+      // Names, descriptions and input schemas of the tool declarations
+      tools: this.hash(JSON.stringify(request.tools || [])),
+      messages: request.messages.map(message => {
+        if (this.inner.isToolResultMessage(message)) {
+          return { role: message.role, toolResult: true };
+        }
+        return JSON.parse(JSON.stringify(message, (key, value) => {
+          if (typeof value === 'string') {
+            return this.scrubText(value);
+          }
+          return value;
+        }));
+      })
+    };
+  }
+
+  hash(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+  }
+
+  scrubText(text) {
+    return text
+      .replace(/The current time is: [^\n]*/g, 'The current time is: <time>')
+      // Action log timestamps end up in script generation prompts
+      .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g, '<timestamp>')
+      .replace(/data:image\/\w+;base64,[A-Za-z0-9+/=]+/g, '<image>');
+  }
+
+  /**
+   * Describe how a replayed request differs from the recording, or return null if it matches
+   */
+  findMismatch(interaction, kind, normalized) {
+    if (interaction.kind !== kind) {
+      return `expected a ${interaction.kind} request but got ${kind}`;
+    }
+    const recorded = interaction.request;
+    if (kind === 'generateText') {
+      return recorded.prompt === normalized.prompt ? null : 'the prompt differs from the recording';
+    }
+    if (recorded.systemPrompt !== normalized.systemPrompt) {
+      return 'the system prompt differs from the recording';
+    }
+    if (recorded.tools !== normalized.tools) {
+      return `the tool declarations differ from the recording (hash ${normalized.tools}, recorded ${recorded.tools})`;
+    }
+    const count = Math.max(recorded.messages.length, normalized.messages.length);
+    for (let i = 0; i < count; i++) {
+      const expected = JSON.stringify(recorded.messages[i]);
+      const actual = JSON.stringify(normalized.messages[i]);
+      if (expected !== actual) {
+        return `message #${i + 1} differs.\nExpected: ${this.preview(expected)}\nActual:   ${this.preview(actual)}`;
+      }
+    }
+    return null;
+  }
+
+  preview(text) {
+    if (text === undefined) {
+      return '<none>';
+    }
+    return text.length > 300 ? text.substring(0, 300) + '...' : text;
+  }
+
+  async save() {
+    const cassette = {
+      version: 1,
+      provider: this.inner.name,
+      model: this.inner.modelName,
+      recordedAt: new Date().toISOString(),
+      interactions: this.interactions
+    };
+    await fs.writeFile(this.filePath, JSON.stringify(cassette, null, 2), 'utf-8');
+  }
+}
+
+module.exports = CassetteProvider;
@@ -0,0 +1,144 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const logger = require('../../utils/logger');
+
+/**
+ * ClaudeProvider - LLM adapter for Anthropic Claude
+ * Translates between the provider-neutral agent loop in LLMService and the Anthropic Messages API
+ */
+class ClaudeProvider {
+  constructor(options = {}) {
+    this.name = 'claude';
+    this.apiKeyEnvVar = 'ANTHROPIC_API_KEY';
+    this.modelName = options.model || process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022';
+    this.client = new Anthropic({ apiKey: options.apiKey || process.env.ANTHROPIC_API_KEY });
+  }
+
+  static isConfigured() {
+    return !!process.env.ANTHROPIC_API_KEY;
+  }
+
+  /**
+   * Convert MCP tools to Anthropic tool format (Claude accepts JSON Schema as-is)
+   * @param {Array<object>} mcpTools - Tool specifications in MCP format
+   * @returns {Array<object>}
+   */
+  convertTools(mcpTools) {
+    return mcpTools.map(tool => ({
+      name: tool.name,
+      description: tool.description || `Tool: ${tool.name}`,
+      input_schema: tool.inputSchema || {
+        type: 'object',
+        properties: {},
+        required: []
+      }
+    }));
+  }
+
+  createUserMessage(text) {
+    return { role: 'user', content: text };
+  }
+
+  /**
+   * Build the user turn answering all tool_use blocks of the previous assistant turn
+   * @param {Array<object>} toolCalls - Tool calls as returned by generate()
+   * @param {Array<object>} results - Tool results in MCP format ({ content, isError })
+   */
+  createToolResultMessages(toolCalls, results) {
+    return [{
+      role: 'user',
+      content: toolCalls.map((call, i) => this.toToolResult(call.id, results[i]))
+    }];
+  }
+
+  /**
+   * Convert a provider-neutral tool result into an Anthropic tool_result block
+   * @param {string} toolUseId - The id of the tool_use block being answered
+   * @param {object} result - Tool result in MCP format ({ content, isError })
+   * @returns {object} The tool_result content block
+   */
+  toToolResult(toolUseId, result) {
+    const content = (result.content || []).map(item => {
+      if (item.type === 'image') {
+        return {
+          type: 'image',
+          source: { type: 'base64', media_type: item.mimeType || 'image/png', data: item.data }
+        };
+      }
+      return { type: 'text', text: item.text || '' };
+    });
+    return {
+      type: 'tool_result',
+      tool_use_id: toolUseId,
+      content,
+      is_error: !!result.isError
+    };
+  }
+
+  /**
+   * Run one model turn
+   * @param {object} request - { systemPrompt, messages, tools }
+   * @returns {Promise<object>} { text, toolCalls: [{ id, name, args }], message }
+   */
+  async generate({ systemPrompt, messages, tools }) {
+    const response = await this.client.messages.create({
+      model: this.modelName,
+      max_tokens: 4096,
+      temperature: 0,
+      system: systemPrompt,
+      messages,
+      tools
+    });
+
+    logger.debug('Claude response received:', JSON.stringify(response, null, 2));
+    const content = response.content || [];
+
+    // Claude may request several tools in a single response; all of them must be answered
+    const toolUseBlocks = content.filter(block => block.type === 'tool_use');
+
+    return {
+      text: content.filter(block => block.type === 'text').map(block => block.text).join('\n'),
+      toolCalls: toolUseBlocks.map(block => ({ id: block.id, name: block.name, args: block.input || {} })),
+      // Claude rejects empty assistant content
+      message: content.length > 0 ? { role: 'assistant', content } : null
+    };
+  }
+
+  /**
+   * Plain text completion without tools
+   * @param {string} prompt - The prompt to send
+   * @param {object} options - { temperature, maxOutputTokens }
+   * @returns {Promise<string>}
+   */
+  async generateText(prompt, options = {}) {
+    const response = await this.client.messages.create({
+      model: this.modelName,
+      max_tokens: options.maxOutputTokens || 4096,
+      temperature: options.temperature,
+      messages: [{ role: 'user', content: prompt }]
+    });
+    return (response.content || []).filter(block => block.type === 'text').map(block => block.text).join('\n');
+  }
+
+  /**
+   * Check whether a history message only answers earlier tool calls
+   */
+  isToolResultMessage(message) {
+    return Array.isArray(message.content) && message.content.some(block => block.type === 'tool_result');
+  }
+
+  /**
+   * Remove image blocks from a history message, including those nested in tool_result blocks
+   */
+  stripImages(message) {
+    if (!Array.isArray(message.content)) {
+      return;
+    }
+    message.content = message.content
+      .filter(block => block.type !== 'image')
+      .map(block => block.type === 'tool_result' && Array.isArray(block.content)
+        ? { ...block, content: block.content.filter(item => item.type !== 'image') }
+        : block);
+  }
+}
+
+module.exports = ClaudeProvider;
@@ -0,0 +1,238 @@
+const { GoogleGenAI, Type } = require('@google/genai');
+const logger = require('../../utils/logger');
+
+/**
+ * GeminiProvider - LLM adapter for Google Gemini
+ * Translates between the provider-neutral agent loop in LLMService and the Gemini generateContent API
+ */
+class GeminiProvider {
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.apiKeyEnvVar = 'GEMINI_API_KEY';
+    this.modelName = options.model || process.env.GEMINI_MODEL || 'gemini-2.5-flash-lite';
+    this.client = new GoogleGenAI({ apiKey: options.apiKey || process.env.GEMINI_API_KEY });
+  }
+
+  static isConfigured() {
+    return !!process.env.GEMINI_API_KEY;
+  }
+
+  /**
+   * Converts a JSON Schema object from the MCP format to the Gemini FunctionDeclaration parameters format.
+   * This is a recursive function to handle nested types (like objects and arrays).
+   * @param {object} schema - The JSON Schema object to convert.
+   * @returns {object} The converted parameters object.
+   */
+  convertSchema(schema) {
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+
+    const { type, description, properties, required, items, enum: enumValues } = schema;
+    const converted = {};
+
+    // Map string type to Gemini Type enum
+    if (type) {
+        // Playwright uses "number" for integers and floats, but we check for common types
+        switch (type.toLowerCase()) {
+            case 'object':
+                converted.type = Type.OBJECT;
+                break;
+            case 'array':
+                converted.type = Type.ARRAY;
+                break;
+            case 'string':
+                converted.type = Type.STRING;
+                break;
+            case 'number':
+                // Note: Playwright often uses 'number' for both float and integer.
+                // We'll stick to Type.NUMBER unless there's an explicit 'integer' in the source.
+                converted.type = Type.NUMBER;
+                break;
+            case 'boolean':
+                converted.type = Type.BOOLEAN;
+                break;
+            default:
+                converted.type = type.toUpperCase(); // Fallback
+        }
+    }
+
+    if (description) {
+        converted.description = description;
+    }
+
+    if (required) {
+        converted.required = required;
+    }
+
+    if (enumValues) {
+        converted.enum = enumValues;
+    }
+
+    // Recursively handle properties for objects
+    if (properties) {
+        converted.properties = {};
+        for (const key in properties) {
+            converted.properties[key] = this.convertSchema(properties[key]);
+        }
+    }
+
+    // Recursively handle items for arrays
+    if (items) {
+        converted.items = this.convertSchema(items);
+    }
+
+    return converted;
+  }
+
+  /**
+  * Converts an array of MCP tools specifications to the format required by the Gemini API.
+  * @param {Array<object>} mcpToolsSpec - The array of tool specifications in MCP format.
+  * @returns {Array<object>} An array of FunctionDeclaration objects for the Gemini API.
+  */
+  convertTools(mcpToolsSpec) {
+    if (!Array.isArray(mcpToolsSpec)) {
+        console.error("Input must be an array of tool specifications.");
+        return [];
+    }
+
+    return mcpToolsSpec.map(tool => {
+        // Start with the basic properties
+        const geminiDeclaration = {
+            name: tool.name,
+            description: tool.description,
+        };
+
+        // Convert the inputSchema to the required parameters format
+        if (tool.inputSchema) {
+            geminiDeclaration.parameters = this.convertSchema(tool.inputSchema);
+        } else {
+            // For functions with no input (like browser_close), the parameters object is still expected.
+            // We ensure it has a type of OBJECT and an empty properties field.
+            geminiDeclaration.parameters = {
+                type: Type.OBJECT,
+                properties: {}
+            };
+        }
+
+        return geminiDeclaration;
+    });
+  }
+
+  createUserMessage(text) {
+    return { role: 'user', parts: [{ text }] };
+  }
+
+  /**
+   * Build the user turn answering the function calls of the previous model turn
+   * @param {Array<object>} toolCalls - Tool calls as returned by generate()
+   * @param {Array<object>} results - Tool results in MCP format ({ content, isError })
+   */
+  createToolResultMessages(toolCalls, results) {
+    return [{
+      role: 'user',
+      parts: toolCalls.map((call, i) => this.toFunctionResponse(call.name, results[i]))
+    }];
+  }
+
+  /**
+   * Convert a provider-neutral tool result into a Gemini functionResponse part
+   * @param {string} name - Name of the function that was called
+   * @param {object} result - Tool result in MCP format ({ content, isError })
+   * @returns {object} The functionResponse part
+   */
+  toFunctionResponse(name, result) {
+    const response = {
+      // Gemini expects the tool output under a "result" key
+      result: (result.content || []).map(item => item.type === 'image'
+        ? { inlineData: { mimeType: item.mimeType || 'image/png', data: item.data } }
+        : { text: item.text || '' })
+    };
+    if (result.isError) {
+      response.isError = true;
+    }
+    return { functionResponse: { name, response } };
+  }
+
+  /**
+   * Run one model turn
+   * @param {object} request - { systemPrompt, messages, tools }
+   * @returns {Promise<object>} { text, toolCalls: [{ id, name, args }], message }
+   */
+  async generate({ systemPrompt, messages, tools }) {
+    let response = await this.client.models.generateContent({
+      model: this.modelName,
+      contents: messages,
+      config: {
+        systemInstruction: systemPrompt,
+        tools: [{ functionDeclarations: tools }],
+        seed: 42,
+        temperature: 0,
+        maxOutputTokens: 6000
+      }
+    });
+
+    // Debug logging
+    logger.debug('Gemini response received:', JSON.stringify(response, null, 2));
+    response = response.candidates[0] || {};
+    const parts = response.content?.parts || [];
+
+    // Extract function calls from response
+    const functionCalls = parts.filter(p => !!p.functionCall).map(p => p.functionCall);
+    logger.debug('Gemini requested function calls:', functionCalls);
+
+    return {
+      text: parts.filter(p => p.text).map(p => p.text).join(''),
+      toolCalls: functionCalls.map(fc => ({ id: fc.id, name: fc.name, args: fc.args || {} })),
+      // Function call turns are replayed as function calls only, final turns as returned
+      message: functionCalls.length > 0
+        ? { role: 'model', parts: functionCalls.map(fc => ({ functionCall: fc })) }
+        : { role: 'model', parts }
+    };
+  }
+
+  /**
+   * Plain text completion without tools
+   * @param {string} prompt - The prompt to send
+   * @param {object} options - { temperature, maxOutputTokens }
+   * @returns {Promise<string>}
+   */
+  async generateText(prompt, options = {}) {
+    const response = await this.client.models.generateContent({
+      model: this.modelName,
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      config: {
+        temperature: options.temperature,
+        maxOutputTokens: options.maxOutputTokens
+      }
+    });
+    const result = response.candidates[0];
+    return result.content?.parts?.filter(p => p.text).map(p => p.text).join('') || '';
+  }
+
+  /**
+   * Check whether a history message only answers earlier function calls
+   */
+  isToolResultMessage(message) {
+    return Array.isArray(message.parts) && message.parts.some(p => !!p.functionResponse);
+  }
+
+  /**
+   * Remove images from a history message, including those nested in functionResponses
+   */
+  stripImages(message) {
+    if (!Array.isArray(message.parts)) {
+      return;
+    }
+    // Remove inline_data (images) but keep text
+    message.parts = message.parts.filter(part => !part.inlineData && !part.inline_data);
+    message.parts.forEach(part => {
+      const response = part.functionResponse && part.functionResponse.response;
+      if (response && Array.isArray(response.result)) {
+        response.result = response.result.filter(item => !item.inlineData);
+      }
+    });
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,50 @@
+const GeminiProvider = require('./geminiProvider');
+const ClaudeProvider = require('./claudeProvider');
+const OpenAIProvider = require('./openaiProvider');
+
+/**
+ * Registry of LLM adapters. Every adapter implements:
+ * - name, modelName, apiKeyEnvVar
+ * - static isConfigured(): whether the required env configuration is present
+ * - convertTools(mcpTools): MCP tool specs -> provider tool declarations
+ * - createUserMessage(text): history message for a user turn
+ * - createToolResultMessages(toolCalls, results): history messages answering a turn's tool calls
+ * - generate({ systemPrompt, messages, tools }): { text, toolCalls: [{ id, name, args }], message }
+ * - generateText(prompt, options): plain text completion without tools
+ * - isToolResultMessage(message) / stripImages(message): history maintenance
+ */
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  claude: ClaudeProvider,
+  openai: OpenAIProvider
+};
+
+/**
+ * Pick the provider to use: LLM_PROVIDER when set, otherwise the first configured one
+ * @returns {string|null} Provider name or null if none is configured
+ */
+function detectProviderName() {
+  const requested = (process.env.LLM_PROVIDER || '').toLowerCase();
+  if (requested) {
+    if (!PROVIDERS[requested]) {
+      throw new Error(`Unknown LLM_PROVIDER "${process.env.LLM_PROVIDER}". Supported providers: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return requested;
+  }
+  return Object.keys(PROVIDERS).find(name => PROVIDERS[name].isConfigured()) || null;
+}
+
+/**
+ * Create an adapter instance by name
+ * @param {string} name - Provider name (see PROVIDERS)
+ * @param {object} options - Adapter options such as { model, apiKey }
+ */
+function createProvider(name, options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${name}". Supported providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+}
+
+module.exports = { PROVIDERS, detectProviderName, createProvider };
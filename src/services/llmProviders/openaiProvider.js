@@ -0,0 +1,206 @@
+const logger = require('../../utils/logger');
+
+// Marker for the user message carrying images returned by tools (tool messages only accept text)
+const TOOL_IMAGE_PREFIX = 'Image output of tool';
+
+/**
+ * OpenAIProvider - LLM adapter for any OpenAI-compatible chat completions endpoint with function calling
+ * Works with OpenAI itself as well as local servers such as Ollama, llama.cpp and vLLM
+ */
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.apiKeyEnvVar = 'OPENAI_API_KEY';
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.modelName = options.model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    // Local servers usually don't need a key
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY || null;
+    // Text-only local models reject image parts, so vision can be switched off
+    this.supportsVision = (options.vision ?? process.env.OPENAI_VISION ?? 'true').toString().toLowerCase() !== 'false';
+  }
+
+  static isConfigured() {
+    return !!(process.env.OPENAI_BASE_URL || process.env.OPENAI_API_KEY);
+  }
+
+  /**
+   * Convert MCP tools to OpenAI function tools (JSON Schema is accepted as-is)
+   * @param {Array<object>} mcpTools - Tool specifications in MCP format
+   * @returns {Array<object>}
+   */
+  convertTools(mcpTools) {
+    return mcpTools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description || `Tool: ${tool.name}`,
+        parameters: tool.inputSchema || { type: 'object', properties: {} }
+      }
+    }));
+  }
+
+  createUserMessage(text) {
+    return { role: 'user', content: text };
+  }
+
+  /**
+   * Build one tool message per tool call, followed by a user message with any returned images
+   * @param {Array<object>} toolCalls - Tool calls as returned by generate()
+   * @param {Array<object>} results - Tool results in MCP format ({ content, isError })
+   */
+  createToolResultMessages(toolCalls, results) {
+    const messages = [];
+    const imageParts = [];
+
+    toolCalls.forEach((call, i) => {
+      const content = results[i].content || [];
+      const text = content.filter(item => item.type !== 'image').map(item => item.text || '').join('\n');
+      messages.push({
+        role: 'tool',
+        tool_call_id: call.id,
+        content: results[i].isError ? `ERROR: ${text}` : (text || 'Done')
+      });
+
+      content.filter(item => item.type === 'image').forEach(item => {
+        imageParts.push({ type: 'text', text: `${TOOL_IMAGE_PREFIX} ${call.name}:` });
+        imageParts.push({ type: 'image_url', image_url: { url: `data:${item.mimeType || 'image/png'};base64,${item.data}` } });
+      });
+    });
+
+    if (imageParts.length > 0 && this.supportsVision) {
+      messages.push({ role: 'user', content: imageParts });
+    }
+    return messages;
+  }
+
+  /**
+   * POST a chat completion request
+   * @param {object} body - Request body
+   * @returns {Promise<object>} The parsed response
+   */
+  async createChatCompletion(body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorBody = await response.text().catch(() => '');
+      const error = new Error(`${response.status} ${response.statusText}: ${errorBody.substring(0, 500)}`);
+      error.status = response.status;
+      error.statusText = response.statusText;
+      throw error;
+    }
+    return response.json();
+  }
+
+  /**
+   * Parse tool call arguments, which are a JSON string in the OpenAI format
+   * (some local servers return an object instead)
+   */
+  parseArguments(args) {
+    if (!args) {
+      return {};
+    }
+    if (typeof args === 'object') {
+      return args;
+    }
+    try {
+      return JSON.parse(args);
+    } catch (error) {
+      logger.warn('[OpenAI Provider] Could not parse tool call arguments:', args);
+      return {};
+    }
+  }
+
+  /**
+   * Run one model turn
+   * @param {object} request - { systemPrompt, messages, tools }
+   * @returns {Promise<object>} { text, toolCalls: [{ id, name, args }], message }
+   */
+  async generate({ systemPrompt, messages, tools }) {
+    const response = await this.createChatCompletion({
+      model: this.modelName,
+      messages: [{ role: 'system', content: systemPrompt }, ...messages],
+      tools,
+      tool_choice: 'auto',
+      temperature: 0,
+      seed: 42,
+      max_tokens: 6000
+    });
+
+    logger.debug('OpenAI-compatible response received:', JSON.stringify(response, null, 2));
+    const message = (response.choices && response.choices[0] && response.choices[0].message) || {};
+
+    // Some servers omit tool call ids; they are required to match tool messages to calls
+    const toolCalls = (message.tool_calls || []).map((call, i) => ({
+      id: call.id || `call_${Date.now()}_${i}`,
+      name: call.function.name,
+      args: this.parseArguments(call.function.arguments)
+    }));
+
+    const historyMessage = { role: 'assistant', content: message.content || '' };
+    if (toolCalls.length > 0) {
+      historyMessage.tool_calls = toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.args) }
+      }));
+    }
+
+    return {
+      text: message.content || '',
+      toolCalls,
+      message: historyMessage
+    };
+  }
+
+  /**
+   * Plain text completion without tools
+   * @param {string} prompt - The prompt to send
+   * @param {object} options - { temperature, maxOutputTokens }
+   * @returns {Promise<string>}
+   */
+  async generateText(prompt, options = {}) {
+    const response = await this.createChatCompletion({
+      model: this.modelName,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: options.temperature,
+      max_tokens: options.maxOutputTokens
+    });
+    return (response.choices && response.choices[0] && response.choices[0].message.content) || '';
+  }
+
+  /**
+   * Check whether a history message only answers earlier tool calls
+   */
+  isToolResultMessage(message) {
+    if (message.role === 'tool') {
+      return true;
+    }
+    return message.role === 'user' && Array.isArray(message.content) &&
+      message.content.some(part => part.type === 'text' && part.text.startsWith(TOOL_IMAGE_PREFIX));
+  }
+
+  /**
+   * Remove image parts from a history message
+   */
+  stripImages(message) {
+    if (!Array.isArray(message.content)) {
+      return;
+    }
+    message.content = message.content.filter(part => part.type !== 'image_url');
+    if (message.content.length === 0) {
+      // Keep the message valid for the API
+      message.content = '(image removed)';
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -1,61 +1,169 @@
-const Anthropic = require('@anthropic-ai/sdk');
-const { GoogleGenAI, Type } = require('@google/genai');
 const { PNG } = require('pngjs');
 require('dotenv').config();
 const logger = require('../utils/logger');
+const { detectProviderName, createProvider } = require('./llmProviders');
+const CassetteProvider = require('./llmProviders/cassetteProvider');
+const { findPlaceholders, interpolateDeep, maskSecrets } = require('../utils/variables');
+const { extractSnapshotElements, describeTargets } = require('../utils/ariaSnapshot');
+const { generateScript } = require('./codegen');
+
+// Custom tool (in MCP tool format) the LLM must call to record validation results
+const VALIDATE_SCENARIO_TOOL = {
+  name: 'validateScenario',
+  description: 'MANDATORY tool for recording validation results. You MUST call this tool whenever the user asks to validate, verify, check, or assert any condition. After analyzing the page state (via browser_snapshot), you MUST call this tool with pass or fail. Never return empty or text response for validation requests.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      scenario_description: {
+        type: 'string',
+        description: 'A clear description of what is being validated (e.g., "Login button is visible", "User is on dashboard page", "Error message displays")'
+      },
+      validation_result: {
+        type: 'string',
+        description: 'The result of the validation',
+        enum: ['pass', 'fail']
+      },
+      fail_reason: {
+        type: 'string',
+        description: 'Detailed explanation of why the validation failed. Required when validation_result is "fail", optional otherwise.'
+      },
+      element_ref: {
+        type: 'string',
+        description: 'Exact reference (e.g. "e12") from the page snapshot of the element the validation is about, if it is about one element'
+      },
+      expected_text: {
+        type: 'string',
+        description: 'Full text the element_ref element shows, or without element_ref a text that must be on the page'
+      },
+      expected_url: {
+        type: 'string',
+        description: 'Part of the page URL that identifies the validated page, e.g. "/inventory.html"'
+      },
+      expected_visible: {
+        type: 'boolean',
+        description: 'Whether the element_ref element (or expected_text) must be visible (true) or must not be visible (false)'
+      },
+      expected_count: {
+        type: 'number',
+        description: 'How many elements with the role of the element_ref element (or showing expected_text) the page must have, e.g. for "the cart shows 2 items"'
+      }
+    },
+    required: ['scenario_description', 'validation_result']
+  }
+};
+
+// Custom tool the LLM calls to answer the condition of a playbook "If" or "Repeat until" step
+const EVALUATE_CONDITION_TOOL = {
+  name: 'evaluateCondition',
+  description: 'Tool for answering a yes/no question about the current page. Call it when asked to evaluate a condition: look at the page (via browser_snapshot or browser_take_screenshot) without changing it, then call this tool with yes or no. This is not a validation; never call validateScenario for a condition.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      condition: {
+        type: 'string',
+        description: 'The condition that was evaluated, as given in the request'
+      },
+      result: {
+        type: 'string',
+        description: 'Whether the condition is currently true on the page',
+        enum: ['yes', 'no']
+      },
+      reason: {
+        type: 'string',
+        description: 'Short explanation of what on the page led to the answer'
+      }
+    },
+    required: ['condition', 'result']
+  }
+};
 
 class LLMService {
   constructor(mcpService) {
     this.mcpService = mcpService;
-    this.provider = null;
+    this.provider = null; // Name of the active provider ('gemini', 'claude' or 'none')
+    this.adapter = null; // Active LLM adapter (see ./llmProviders)
     this.conversationHistory = [];
-    this.model = null; // For Gemini or Claude
-    this.anthropic = null; // For Claude
     this.screenshotService = null; // Will be set by main.js
     this.lastActionScreenshot = null; // Screenshot before last action for visual diff
     this.mainWindow = null; // Will be set by main.js for IPC communication
-    this.actionLog = []; // Track all actions for Playwright script generation
+    this.eventListener = null; // Optional (eventName, data) listener, used when running without a window
+    this.actionLog = []; // Track all actions for Playwright script generation and action replay
+    this.snapshotElements = null; // Elements of the last page snapshot a tool returned, see ariaSnapshot
     this.cancelRequested = false; // Flag to cancel ongoing execution
     this.isExecuting = false; // Track if LLM is currently executing
     this.isPlaybookMode = false; // Track if we're executing a playbook
     this.validationResults = []; // Track all validation results for assertions/validations
+    this.sessionLog = []; // One turn per processed message with its tool calls, for run reports
+    this.currentTurn = null; // Turn of the message being processed
+    this.baseUrl = null; // Base URL of the running playbook, relative URLs resolve against it
+    this.secrets = {}; // Secret values by name, substituted for ${NAME} only when a tool runs
   }
 
   async initialize() {
-    if (process.env.GEMINI_API_KEY) {
-      this.provider = 'gemini';
-      this.client = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-      this.modelName = process.env.GEMINI_MODEL || 'gemini-2.5-flash-lite';
-      console.log(`Using Gemini (${this.modelName}) as LLM provider`);
-    } else if (process.env.ANTHROPIC_API_KEY) {
-      this.provider = 'claude';
-      this.anthropic = new Anthropic({
-        apiKey: process.env.ANTHROPIC_API_KEY
-      });
-      console.log('Using Claude as LLM provider');
+    // Cassette replay serves recorded responses, so no provider needs to be configured
+    const cassettePath = process.env.LLM_CASSETTE;
+    const cassetteMode = (process.env.LLM_CASSETTE_MODE || 'replay').toLowerCase();
+    if (cassettePath && cassetteMode === 'replay') {
+      this.setProvider(await CassetteProvider.forReplay(cassettePath));
+      return;
+    }
+
+    const providerName = detectProviderName();
+    if (providerName) {
+      const adapter = createProvider(providerName);
+      this.setProvider(cassettePath && cassetteMode === 'record' ? CassetteProvider.forRecording(adapter, cassettePath) : adapter);
     } else {
       this.provider = 'none';
-      console.warn('No LLM provider API key found. Please set GEMINI_API_KEY or ANTHROPIC_API_KEY in .env');
+      console.warn('No LLM provider configured. Please set GEMINI_API_KEY, ANTHROPIC_API_KEY or OPENAI_BASE_URL in .env');
     }
   }
 
+  /**
+   * Switch the active LLM adapter. Conversation history is provider specific, so it is cleared.
+   * @param {object} adapter - An adapter created by createProvider()
+   */
+  setProvider(adapter) {
+    this.adapter = adapter;
+    this.provider = adapter.name;
+    this.modelName = adapter.modelName;
+    this._toolDeclarations = null;
+    this.conversationHistory = [];
+    console.log(`Using ${adapter.name} (${adapter.modelName}) as LLM provider`);
+  }
+
   async processMessage(userMessage) {
     // Reset cancellation flag for new message
     this.cancelRequested = false;
     
+    const turn = {
+      message: userMessage,
+      startedAt: new Date().toISOString(),
+      durationMs: 0,
+      response: null,
+      error: null,
+      toolCalls: []
+    };
+    const turnStartTime = Date.now();
+    this.sessionLog.push(turn);
+    this.currentTurn = turn;
+    
     try {
       // Set executing flag
       this.isExecuting = true;
       logger.info('[LLM Service] Starting message processing');
       
-      if (this.provider === 'gemini') {
-        return await this.processMessageGemini(userMessage);
-      } else if (this.provider === 'claude') {
-        return await this.processMessageClaude(userMessage);
-      } else {
-        throw new Error('No active LLM provider to process message. Please set GEMINI_API_KEY or ANTHROPIC_API_KEY in .env');
+      if (!this.adapter) {
+        throw new Error('No active LLM provider to process message. Please set GEMINI_API_KEY, ANTHROPIC_API_KEY or OPENAI_BASE_URL in .env');
       }
+      turn.response = await this.runAgentLoop(userMessage);
+      return turn.response;
+    } catch (error) {
+      turn.error = error.message;
+      throw error;
     } finally {
+      turn.durationMs = Date.now() - turnStartTime;
+      this.currentTurn = null;
+      
       // Always clear executing flag, even if error occurs
       this.isExecuting = false;
       logger.info('[LLM Service] Message processing completed');
@@ -74,6 +182,46 @@ class LLMService {
     this.mainWindow = mainWindow;
   }
 
+  /**
+   * Set the secrets of the running playbook (an empty object clears them)
+   * The LLM only ever sees ${NAME} placeholders; values are filled in when an MCP tool is called
+   * and masked as **** in tool results, UI events and the action log.
+   * @param {object} secrets - Secret values by name
+   */
+  setSecrets(secrets) {
+    this.secrets = secrets || {};
+    // Tool arguments and results are logged with the secrets masked too
+    this.mcpService.setSecretValues(this.getSecretValues());
+  }
+
+  getSecretValues() {
+    return Object.values(this.secrets);
+  }
+
+  /**
+   * Mask secret values in text or structured data
+   */
+  maskSecrets(value) {
+    return maskSecrets(value, this.getSecretValues());
+  }
+
+  /**
+   * Set the base URL that relative URLs in user messages resolve against (null to clear)
+   * @param {string|null} baseUrl
+   */
+  setBaseUrl(baseUrl) {
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * Register a listener receiving the same events that are sent to the renderer
+   * (tool-execution-* and show-assistant-message)
+   * @param {Function} listener - Called with (eventName, data)
+   */
+  setEventListener(listener) {
+    this.eventListener = listener;
+  }
+
   /**
    * Set playbook execution mode
    * @param {boolean} isPlaybook - True if executing a playbook
@@ -95,9 +243,13 @@ class LLMService {
   }
 
   emitToolEvent(eventName, data) {
+    data = this.maskSecrets(data);
     if (this.mainWindow && this.mainWindow.webContents) {
       this.mainWindow.webContents.send(eventName, data);
     }
+    if (this.eventListener) {
+      this.eventListener(eventName, data);
+    }
   }
 
   /**
@@ -105,11 +257,15 @@ class LLMService {
    * @param {string} message - The message to display
    */
   sendAssistantMessage(message) {
+    message = this.maskSecrets(message);
     if (this.mainWindow && !this.mainWindow.isDestroyed()) {
       this.mainWindow.webContents.send('show-assistant-message', message);
-    } else {
+    } else if (!this.eventListener) {
       logger.warn('Cannot send assistant message: mainWindow not available');
     }
+    if (this.eventListener) {
+      this.eventListener('show-assistant-message', message);
+    }
   }
   
   /**
@@ -176,234 +332,6 @@ class LLMService {
     }
   }
 
-  async processMessageClaude(userMessage) {
-    try {
-      console.log('Processing message with Claude:', userMessage);
-      
-      // Add user message to history
-      this.conversationHistory.push({
-        role: 'user',
-        content: userMessage
-      });
-
-      // Get available tools from MCP
-      const tools = await this.mcpService.getAvailableTools();
-      
-      // Convert MCP tools to Anthropic tool format
-      const anthropicTools = tools.map(tool => ({
-        name: tool.name,
-        description: tool.description || `Tool: ${tool.name}`,
-        input_schema: tool.inputSchema || {
-          type: 'object',
-          properties: {},
-          required: []
-        }
-      }));
-
-      // Create system prompt
-      const systemPrompt = `You are a helpful AI assistant that can control a web browser using Playwright tools.
-You have access to various browser automation tools through the Model Context Protocol (MCP).
-
-Available tools:
-${tools.map(t => `- ${t.name}: ${t.description || 'Browser automation tool'}`).join('\n')}
-
-When the user asks you to perform browser tasks, use the appropriate tools to accomplish them.
-Be conversational and explain what you're doing. If you need to navigate, click, type, or take screenshots, use the available tools.
-
-Always respond in a helpful and friendly manner.`;
-
-      // Call Claude with tool use
-      let response = await this.anthropic.messages.create({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 4096,
-        system: systemPrompt,
-        messages: this.conversationHistory,
-        tools: anthropicTools
-      });
-
-      console.log('Claude response:', JSON.stringify(response, null, 2));
-
-      // Process tool calls if any
-      while (response.stop_reason === 'tool_use') {
-        const toolUseBlock = response.content.find(block => block.type === 'tool_use');
-        
-        if (toolUseBlock) {
-          console.log(`Executing tool: ${toolUseBlock.name}`);
-          
-          // Execute the tool via MCP
-          const toolResult = await this.mcpService.callTool(
-            toolUseBlock.name,
-            toolUseBlock.input
-          );
-
-          // Add assistant response with tool use to history
-          this.conversationHistory.push({
-            role: 'assistant',
-            content: response.content
-          });
-
-          // Add tool result to history
-          this.conversationHistory.push({
-            role: 'user',
-            content: [{
-              type: 'tool_result',
-              tool_use_id: toolUseBlock.id,
-              content: JSON.stringify(toolResult)
-            }]
-          });
-
-          // Get next response from Claude
-          response = await this.anthropic.messages.create({
-            model: 'claude-3-5-sonnet-20241022',
-            max_tokens: 4096,
-            system: systemPrompt,
-            messages: this.conversationHistory,
-            tools: anthropicTools
-          });
-
-          console.log('Claude follow-up response:', JSON.stringify(response, null, 2));
-        } else {
-          break;
-        }
-      }
-
-      // Extract text response
-      const textContent = response.content
-        .filter(block => block.type === 'text')
-        .map(block => block.text)
-        .join('\n');
-
-      // Add final assistant response to history
-      if (response.stop_reason !== 'tool_use') {
-        this.conversationHistory.push({
-          role: 'assistant',
-          content: textContent
-        });
-      }
-
-      // Keep conversation history manageable (last 20 messages)
-      if (this.conversationHistory.length > 20) {
-        this.conversationHistory = this.conversationHistory.slice(-20);
-      }
-
-      return textContent || 'I executed the requested action.';
-    } catch (error) {
-      console.error('Error processing message with Claude:', error);
-      
-      if (error.message && error.message.includes('API key')) {
-        const apiKeyError = new Error('Please set your ANTHROPIC_API_KEY in the .env file.');
-        apiKeyError.status = 401;
-        apiKeyError.statusText = 'Unauthorized';
-        throw apiKeyError;
-      }
-      
-      // Re-throw the error to be handled by main.js
-      throw error;
-    }
-  }
-
-  /**
-   * Converts a JSON Schema object from the MCP format to the Gemini FunctionDeclaration parameters format.
-   * This is a recursive function to handle nested types (like objects and arrays).
-   * @param {object} schema - The JSON Schema object to convert.
-   * @returns {object} The converted parameters object.
-   */
-  convertSchema(schema) {
-    if (!schema || typeof schema !== 'object') {
-        return schema;
-    }
-
-    const { type, description, properties, required, items, enum: enumValues } = schema;
-    const converted = {};
-
-    // Map string type to Gemini Type enum
-    if (type) {
-        // Playwright uses "number" for integers and floats, but we check for common types
-        switch (type.toLowerCase()) {
-            case 'object':
-                converted.type = Type.OBJECT;
-                break;
-            case 'array':
-                converted.type = Type.ARRAY;
-                break;
-            case 'string':
-                converted.type = Type.STRING;
-                break;
-            case 'number':
-                // Note: Playwright often uses 'number' for both float and integer.
-                // We'll stick to Type.NUMBER unless there's an explicit 'integer' in the source.
-                converted.type = Type.NUMBER;
-                break;
-            case 'boolean':
-                converted.type = Type.BOOLEAN;
-                break;
-            default:
-                converted.type = type.toUpperCase(); // Fallback
-        }
-    }
-
-    if (description) {
-        converted.description = description;
-    }
-
-    if (required) {
-        converted.required = required;
-    }
-
-    if (enumValues) {
-        converted.enum = enumValues;
-    }
-
-    // Recursively handle properties for objects
-    if (properties) {
-        converted.properties = {};
-        for (const key in properties) {
-            converted.properties[key] = this.convertSchema(properties[key]);
-        }
-    }
-
-    // Recursively handle items for arrays
-    if (items) {
-        converted.items = this.convertSchema(items);
-    }
-
-    return converted;
-  }
-
-  /**
-  * Converts an array of MCP tools specifications to the format required by the Gemini API.
-  * * @param {Array<object>} mcpToolsSpec - The array of tool specifications in MCP format.
-  * @returns {Array<object>} An array of FunctionDeclaration objects for the Gemini API.
-  */
-  convertMcpToGeminiTools(mcpToolsSpec) {
-    if (!Array.isArray(mcpToolsSpec)) {
-        console.error("Input must be an array of tool specifications.");
-        return [];
-    }
-
-    return mcpToolsSpec.map(tool => {
-        // Start with the basic properties
-        const geminiDeclaration = {
-            name: tool.name,
-            description: tool.description,
-        };
-
-        // Convert the inputSchema to the required parameters format
-        if (tool.inputSchema) {
-            geminiDeclaration.parameters = this.convertSchema(tool.inputSchema);
-        } else {
-            // For functions with no input (like browser_close), the parameters object is still expected.
-            // We ensure it has a type of OBJECT and an empty properties field.
-            geminiDeclaration.parameters = {
-                type: Type.OBJECT,
-                properties: {}
-            };
-        }
-
-        return geminiDeclaration;
-    });
-  }
-
   pruneHistory() {
     // Increased 10 to give LLM more short-term memory and prevent amnesia.
     const maxMessages = 20;
@@ -421,7 +349,7 @@ Always respond in a helpful and friendly manner.`;
     let prunedHistory = this.conversationHistory.slice(-maxMessages);
 
     // Find the index of the first 'user' message to ensure we don't start with a 'model' response. Also ensure that first message is not a functionResponse for a function call which is no longer in the history.
-    const firstUserIndex = prunedHistory.findIndex(m => m.role === 'user' && m.parts.findIndex(p => !!p.functionResponse) === -1);
+    const firstUserIndex = prunedHistory.findIndex(m => m.role === 'user' && !this.adapter.isToolResultMessage(m));
     if (firstUserIndex === -1) {
       // Should not happen in a valid conversation, but as a safeguard:
       this.conversationHistory = [];
@@ -453,49 +381,32 @@ Always respond in a helpful and friendly manner.`;
     const stripCount = this.conversationHistory.length - keepImagesCount;
     
     for (let i = 0; i < stripCount; i++) {
-      const message = this.conversationHistory[i];
-      if (message.parts && Array.isArray(message.parts)) {
-        // Remove inline_data (images) but keep text
-        message.parts = message.parts.filter(part => !part.inlineData && !part.inline_data);
-      }
+      // Remove images (inline data, image blocks) but keep text
+      this.adapter.stripImages(this.conversationHistory[i]);
     }
     
     logger.info(`Stripped images from ${stripCount} older messages to save tokens.`);
   }
 
-  addVisualChangeInfoToToolResult(toolResult, visualChangeInfo) {
-    if (!visualChangeInfo) {
-      return toolResult;
-    }
+  addVisualChangeInfoToToolResult(toolResult, visualChangeInfo, toolName) {
     const enhanced = { ...toolResult };
     enhanced.content = [...(toolResult.content || [])];
-    let added = false;
-    // Add visual change info to the text content
-    if (enhanced.content.length > 0) {
-      let i = 0;
-      while (typeof enhanced.content[i].text !== 'undefined') {
-        enhanced.content[i].text = enhanced.content[i].text + visualChangeInfo;
-        i++;
-        added = true;
-        break;
-      }
+    if (!visualChangeInfo) {
+      return enhanced;
     }
-    if (!added) {
+    // Add visual change info to the text content
+    if (enhanced.content.length > 0 && typeof enhanced.content[0].text !== 'undefined') {
+      enhanced.content[0] = { ...enhanced.content[0], text: enhanced.content[0].text + visualChangeInfo };
+    } else {
       // If no text content exists, add visual change info as new text content
       enhanced.content.unshift({
-        text: `### Result\nExecuted ${functionCall.name}.${visualChangeInfo}`
+        type: 'text',
+        text: `### Result\nExecuted ${toolName}.${visualChangeInfo}`
       });
     }
     return enhanced;
   }
 
-  toolResultToGeminiFunctionResponse(toolResult) {
-    const r = {...toolResult};
-    r.result = r.content; // Renaming content key to result for Gemini
-    delete r.content;
-    return r; 
-  }
-
   /**
    * Strip console messages section from tool result text
    * The @playwright/mcp server includes "### New console messages" in responses
@@ -533,52 +444,25 @@ Always respond in a helpful and friendly manner.`;
 
   stringifyContent(content) {
     return JSON.stringify(content, (key, value) => {
-      if (key === 'inlineData') {
+      // Gemini inlineData parts and Claude base64 image sources
+      if (key === 'inlineData' || (key === 'source' && value && value.type === 'base64')) {
         return {...value, data: '--BASE64 Encoded data--'};
       }
+      // OpenAI-compatible image parts carry a data URL
+      if (key === 'image_url') {
+        return {...value, url: '--BASE64 Encoded data--'};
+      }
       return value;
     }, 2);
   }
 
-  async processMessageGemini(userMessage) {
-    try {
-      console.log('Processing message with Gemini:', userMessage);
-
-      if (!this._geminiToolDeclarations || !this._geminiSystemPrompt) {
-        // Get available tools from MCP
-        const tools = await this.mcpService.getAvailableTools();
-          
-        // Convert MCP tools to the required formats
-        this._geminiToolDeclarations = this.convertMcpToGeminiTools(tools);
-        
-        // Add custom validateScenario tool
-        this._geminiToolDeclarations.push({
-          name: 'validateScenario',
-          description: 'MANDATORY tool for recording validation results. You MUST call this tool whenever the user asks to validate, verify, check, or assert any condition. After analyzing the page state (via browser_snapshot), you MUST call this tool with pass or fail. Never return empty or text response for validation requests.',
-          parameters: {
-            type: Type.OBJECT,
-            properties: {
-              scenario_description: {
-                type: Type.STRING,
-                description: 'A clear description of what is being validated (e.g., "Login button is visible", "User is on dashboard page", "Error message displays")'
-              },
-              validation_result: {
-                type: Type.STRING,
-                description: 'The result of the validation',
-                enum: ['pass', 'fail']
-              },
-              fail_reason: {
-                type: Type.STRING,
-                description: 'Detailed explanation of why the validation failed. Required when validation_result is "fail", optional otherwise.'
-              }
-            },
-            required: ['scenario_description', 'validation_result']
-          }
-        });
-        
-        logger.verbose('Gemini tool declarations:', JSON.stringify(this._geminiToolDeclarations, null, 2));
-
-        this._geminiSystemPrompt = `### **Core Identity and Role**
+  /**
+   * Get the system prompt shared by all providers (built once and cached)
+   * @returns {string}
+   */
+  getSystemPrompt() {
+    if (!this._systemPrompt) {
+      this._systemPrompt = `### **Core Identity and Role**
 You are a helpful AI Assistant with Browser Automation capabilities. Your primary function is to help users by:
 1. **Answering general questions** - You can engage in normal conversation and answer knowledge questions
 2. **Automating browser tasks** - When users request web-based actions (navigation, interaction, validation), you use the available Playwright tools
@@ -656,6 +540,7 @@ Your goal is to complete the user's request using the most appropriate tool. Fol
       - Use \`browser_take_screenshot\` for visual validation (colors, layout, icons, charts, images)
    b. Analyze the snapshot/screenshot to determine if the condition passes or fails
    c. **IMMEDIATELY** call \`validateScenario\` with \`pass\` or \`fail\` result - THIS IS MANDATORY
+   d. Also pass the evidence you checked, as far as it applies: \`element_ref\` of the element, its \`expected_text\`, \`expected_url\`, \`expected_visible\` and \`expected_count\`. They become the assertions of generated test scripts.
    
    **CRITICAL RULES:**
    - A validation request is NOT complete until \`validateScenario\` is called
@@ -665,9 +550,11 @@ Your goal is to complete the user's request using the most appropriate tool. Fol
    
    **Example:** User says "Validate the cart shows 2 items"
    1. Call \`browser_snapshot\` → See page state
-   2. Call \`validateScenario\` with \`pass\` if cart shows 2 items, or \`fail\` with reason if not
+   2. Call \`validateScenario\` with \`pass\` if cart shows 2 items, or \`fail\` with reason if not, with \`element_ref\` of a cart item and \`expected_count\` 2
+
+7. **Conditions:** When asked to evaluate a condition (playbook "If" and "Repeat until" steps), only look at the page and call \`evaluateCondition\` with \`yes\` or \`no\`. Do not click, type or navigate, and do not call \`validateScenario\`.
 
-7. **Final Output:** When user's automation task is fully completed, respond with a concise confirmation: **"Done."**
+8. **Final Output:** When user's automation task is fully completed, respond with a concise confirmation: **"Done."**
 
 ### **Error Resolution Protocol**
 
@@ -704,512 +591,664 @@ Your goal is to complete the user's request using the most appropriate tool. Fol
 - **VALIDATION = MUST call \`validateScenario\`** - Never return empty or text-only for validation requests
 
 `;
-        logger.debug('Gemini system prompt:', this._geminiSystemPrompt);
+      logger.debug('System prompt:', this._systemPrompt);
+    }
+    return this._systemPrompt;
+  }
+
+  /**
+   * Build the user turn sent to the LLM, adding the current time and tool-use reminders
+   * @param {string} userMessage - The raw user message or playbook step
+   * @returns {string}
+   */
+  buildUserMessage(userMessage) {
+    // Always prepend tool context to ensure the LLM knows to use tools
+    let messageToSend = `The current time is: ${new Date().toLocaleString()}\n\n[Remember: Use the available browser automation tools to complete this request]\n\n${userMessage}`;
+    
+    if (this.baseUrl) {
+      messageToSend += `\n\n[Base URL: ${this.baseUrl} - resolve relative URLs and paths against it]`;
+    }
+    
+    const secretPlaceholders = findPlaceholders(userMessage).filter(name => name in this.secrets);
+    if (secretPlaceholders.length > 0) {
+      messageToSend += `\n\n[Secret placeholders: ${secretPlaceholders.map(name => '${' + name + '}').join(', ')}. Pass them exactly as written in tool arguments; the real values are filled in when the tool runs and are never shown to you.]`;
+    }
+    
+    // Add extra reminder for validation requests (condition questions name their own tool)
+    const lowerMessage = userMessage.toLowerCase();
+    if (userMessage.includes('evaluateCondition')) {
+      messageToSend += `\n\n[REMINDER: This is a condition question, not a validation. Do not change the page. Call the evaluateCondition tool with yes or no.]`;
+    } else if (lowerMessage.includes('validate') || lowerMessage.includes('verify') || lowerMessage.includes('check') || lowerMessage.includes('assert')) {
+      messageToSend += `\n\n[REMINDER: This is a validation request. You MUST call the validateScenario tool with pass or fail result. Do NOT return empty or text-only response.]`;
+    }
+
+    // Debug logging
+    logger.debug('Message to send:', messageToSend.substring(0, 200) + '...');
+    return messageToSend;
+  }
+
+  /**
+   * Throw if the user requested cancellation, resetting the flag
+   * @param {string} logMessage - Message logged when cancelling
+   */
+  throwIfCancelled(logMessage) {
+    if (this.cancelRequested) {
+      logger.info(logMessage);
+      this.cancelRequested = false; // Reset flag
+      const error = new Error('Execution cancelled by user');
+      error.cancelled = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Throw if the LLM gave up on a step during playbook execution
+   * @param {string} textContent - Final text response of the LLM
+   */
+  throwIfRefusal(textContent) {
+    if (!this.isPlaybookMode || !textContent) {
+      return;
+    }
+
+    // Detect refusal patterns in the text
+    const refusalPatterns = [
+      /I cannot/i,
+      /I am unable/i,
+      /I do not have/i,
+      /I don't have/i,
+      /cannot fulfill/i,
+      /unable to/i,
+      /not possible/i
+    ];
+    
+    const hasRefusal = refusalPatterns.some(pattern => pattern.test(textContent));
+    
+    if (hasRefusal) {
+      logger.error('[Playbook] LLM gave up on step:', textContent.substring(0, 200));
+      throw new Error('LLM was unable to complete the step. Stopping playbook execution.');
+    }
+  }
+
+  /**
+   * Execute a single tool call requested by the LLM.
+   * Emits tool-execution-* events for the UI, records the action log, handles the custom
+   * validateScenario tool and attaches visual change detection feedback.
+   * @param {string} toolName - Name of the tool to execute
+   * @param {object} args - Tool arguments
+   * @returns {Promise<object>} Provider-neutral result in MCP format ({ content, isError })
+   */
+  async executeToolCall(toolName, args) {
+    // Generate unique tool ID for tracking
+    const toolId = this.generateToolId();
+    const startTime = Date.now();
+    
+    // Emit tool execution start event
+    this.emitToolEvent('tool-execution-start', { toolId, toolName, args });
+    
+    logger.info(`Executing tool: ${toolName}`);
+
+    const record = this.createToolCallRecord(toolId, toolName, args);
+    const result = await this.dispatchToolCall(toolId, toolName, args, startTime, record);
+
+    record.durationMs = Date.now() - startTime;
+    record.success = !result.isError;
+    if (result.isError) {
+      const errorContent = (result.content || []).find(c => c.type === 'text');
+      record.error = errorContent ? errorContent.text : 'Tool call failed';
+    }
+    return result;
+  }
+
+  /**
+   * Route a tool call to the screenshot shortcut, the validateScenario and evaluateCondition
+   * handlers or MCP
+   */
+  async dispatchToolCall(toolId, toolName, args, startTime, record) {
+    if (toolName === 'browser_take_screenshot') {
+      return this.executeScreenshotTool(toolId, startTime);
+    }
+    if (toolName === 'validateScenario') {
+      return this.executeValidateScenario(toolId, args, startTime, record);
+    }
+    if (toolName === 'evaluateCondition') {
+      return this.executeEvaluateCondition(toolId, args, startTime, record);
+    }
+
+    try {
+      return await this.executeMcpTool(toolId, toolName, args, startTime, record);
+    } catch (error) {
+      console.error(`Error executing tool ${toolName}:`, error);
+      
+      // Emit tool execution error event
+      this.emitToolEvent('tool-execution-error', {
+        toolId,
+        toolName,
+        error: error.message || error.toString()
+      });
+      
+      return {
+        content: [{ type: 'text', text: `### Result\nError: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Create the session log entry of a tool call and attach it to the current turn
+   * Details (duration, visual change, screenshots, validation, condition) are filled in as the call runs.
+   */
+  createToolCallRecord(toolId, toolName, args) {
+    const record = {
+      toolId,
+      toolName,
+      args: args || {},
+      startedAt: new Date().toISOString(),
+      durationMs: 0,
+      success: false,
+      error: null,
+      visualChange: undefined,
+      changePercent: undefined,
+      beforeScreenshot: null, // Scaled base64 PNGs, only kept for action tools
+      afterScreenshot: null,
+      screenshotSize: null, // { width, height } of the scaled screenshots
+      clickPoint: null, // { x, y } in scaled space for coordinate clicks
+      validation: null,
+      condition: null // { condition, result: 'yes'|'no', reason } for evaluateCondition calls
+    };
+    if (this.currentTurn) {
+      this.currentTurn.toolCalls.push(record);
+    }
+    return record;
+  }
+
+  /**
+   * Answer browser_take_screenshot from the screenshot stream instead of calling MCP
+   */
+  executeScreenshotTool(toolId, startTime) {
+    // Send SCALED screenshot to LLM for token savings (50% size = 75% token reduction)
+    const screenshotData = this.screenshotService ? this.screenshotService.getLastScreenshot() : null;
+    const scaledScreenshot = screenshotData ? screenshotData.scaled : null;
+    
+    // Emit success event for screenshot tool (short-circuited, no MCP call needed)
+    this.emitToolEvent('tool-execution-success', {
+      toolId,
+      toolName: 'browser_take_screenshot',
+      duration: Date.now() - startTime,
+      visualChange: undefined, // No visual change for screenshot capture
+      changePercent: undefined
+    });
+
+    if (!scaledScreenshot) {
+      return { content: [{ type: 'text', text: 'No screenshot is available yet. Use browser_snapshot instead.' }] };
+    }
+    return {
+      content: [
+        { type: 'image', mimeType: 'image/png', data: scaledScreenshot },
+        { type: 'text', text: 'Successfully captured screenshot' }
+      ]
+    };
+  }
+
+  /**
+   * Structured evidence of a validateScenario call, turned into assertions by generated scripts
+   * The element ref is only valid for the last snapshot, so the element's role and name are kept as well.
+   * @returns {object|null} { ref, target, expectedText, expectedUrl, visible, count } with the fields
+   *   the LLM gave, null if it gave none
+   */
+  buildValidationEvidence({ element_ref, expected_text, expected_url, expected_visible, expected_count }) {
+    const evidence = {};
+    if (element_ref) {
+      const targets = describeTargets({ ref: element_ref }, this.snapshotElements);
+      evidence.ref = element_ref;
+      evidence.target = targets ? targets.ref : null;
+    }
+    if (expected_text) {
+      evidence.expectedText = expected_text;
+    }
+    if (expected_url) {
+      evidence.expectedUrl = expected_url;
+    }
+    if (typeof expected_visible === 'boolean') {
+      evidence.visible = expected_visible;
+    }
+    if (Number.isInteger(expected_count) && expected_count >= 0) {
+      evidence.count = expected_count;
+    }
+    return Object.keys(evidence).length > 0 ? evidence : null;
+  }
+
+  /**
+   * Handle the custom validateScenario tool by recording the validation result
+   */
+  executeValidateScenario(toolId, args, startTime, record) {
+    try {
+      const { scenario_description, validation_result, fail_reason } = args || {};
+      
+      // Validate inputs
+      if (!scenario_description || !validation_result) {
+        throw new Error('scenario_description and validation_result are required');
       }
+      
+      if (!['pass', 'fail'].includes(validation_result)) {
+        throw new Error('validation_result must be either "pass" or "fail"');
+      }
+      
+      // Create validation record
+      const validationRecord = {
+        timestamp: new Date().toISOString(),
+        scenario: scenario_description,
+        result: validation_result,
+        failReason: fail_reason || null,
+        evidence: this.buildValidationEvidence(args)
+      };
+      
+      // Store validation result
+      this.validationResults.push(validationRecord);
+      record.validation = validationRecord;
+      
+      // Log validation
+      const resultIcon = validation_result === 'pass' ? '✅' : '❌';
+      logger.info(`[Validation] ${resultIcon} ${scenario_description}: ${validation_result.toUpperCase()}${fail_reason ? ' - ' + fail_reason : ''}`);
+      
+      // Emit tool execution success
+      this.emitToolEvent('tool-execution-success', {
+        toolId,
+        toolName: 'validateScenario',
+        duration: Date.now() - startTime,
+        visualChange: undefined,
+        changePercent: undefined
+      });
+      
+      // Also send a user-visible message for validations
+      this.sendAssistantMessage(`${resultIcon} **Validation ${validation_result === 'pass' ? 'Passed' : 'Failed'}**: ${scenario_description}${fail_reason ? '\n**Reason**: ' + fail_reason : ''}`);
 
-      // Always prepend tool context to ensure Gemini knows to use tools
-      let messageToSend = `The current time is: ${new Date().toLocaleString()}\n\n[Remember: Use the available browser automation tools to complete this request]\n\n${userMessage}`;
+      // Send validation result back to the LLM
+      const resultMessage = validation_result === 'pass' 
+        ? `Validation passed: ${scenario_description}`
+        : `Validation failed: ${scenario_description}. Reason: ${fail_reason || 'Not specified'}`;
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `${resultIcon} ${resultMessage}\n\nValidation has been recorded. Total validations so far: ${this.validationResults.length}`
+        }]
+      };
+    } catch (error) {
+      logger.error(`Error handling validateScenario:`, error);
+      
+      // Emit error event
+      this.emitToolEvent('tool-execution-error', {
+        toolId,
+        toolName: 'validateScenario',
+        error: error.message
+      });
       
-      // Add extra reminder for validation requests
-      const lowerMessage = userMessage.toLowerCase();
-      if (lowerMessage.includes('validate') || lowerMessage.includes('verify') || lowerMessage.includes('check') || lowerMessage.includes('assert')) {
-        messageToSend += `\n\n[REMINDER: This is a validation request. You MUST call the validateScenario tool with pass or fail result. Do NOT return empty or text-only response.]`;
+      return {
+        content: [{ type: 'text', text: `Error recording validation: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Handle the custom evaluateCondition tool by recording the answer on the tool call record
+   * Playbook "If" and "Repeat until" steps read the answer from the session log.
+   */
+  executeEvaluateCondition(toolId, args, startTime, record) {
+    const { condition, result, reason } = args || {};
+    if (!condition || !['yes', 'no'].includes(result)) {
+      this.emitToolEvent('tool-execution-error', {
+        toolId,
+        toolName: 'evaluateCondition',
+        error: 'condition and result ("yes" or "no") are required'
+      });
+      return {
+        content: [{ type: 'text', text: 'Error recording condition: condition and result ("yes" or "no") are required' }],
+        isError: true
+      };
+    }
+
+    record.condition = { condition, result, reason: reason || null };
+    logger.info(`[Condition] ${condition}: ${result.toUpperCase()}${reason ? ' - ' + reason : ''}`);
+
+    this.emitToolEvent('tool-execution-success', {
+      toolId,
+      toolName: 'evaluateCondition',
+      duration: Date.now() - startTime,
+      visualChange: undefined,
+      changePercent: undefined
+    });
+    this.sendAssistantMessage(`🔀 **Condition ${result === 'yes' ? 'met' : 'not met'}**: ${condition}${reason ? '\n**Reason**: ' + reason : ''}`);
+
+    return {
+      content: [{ type: 'text', text: `Condition recorded as "${result}". Do not take any further action for this request; reply "Done."` }]
+    };
+  }
+
+  /**
+   * Call an MCP tool, substituting secret placeholders in the arguments and masking
+   * secret values in the result
+   * Arguments without secrets are passed through unchanged, since MCPService scales
+   * coordinate arguments in place.
+   * @param {object} options - MCPService.callTool options, e.g. { viewportCoordinates: true }
+   */
+  async callMcpTool(toolName, args, options = {}) {
+    const usesSecrets = findPlaceholders(JSON.stringify(args)).some(name => name in this.secrets);
+    let result;
+    if (usesSecrets) {
+      const resolvedArgs = interpolateDeep(args, name => this.secrets[name]);
+      result = await this.mcpService.callTool(toolName, resolvedArgs, options);
+    } else {
+      result = await this.mcpService.callTool(toolName, args, options);
+    }
+    this.snapshotElements = extractSnapshotElements(result) || this.snapshotElements;
+    return this.maskToolResult(result);
+  }
+
+  /**
+   * Add a browser tool call to the action log
+   * @param {object} args - Tool arguments as the LLM sent them (secrets as ${NAME} placeholders)
+   * @param {object|null} targets - Role, name and position of the elements its refs pointed at,
+   *   see describeTargets; replay uses them to find the elements again
+   */
+  recordAction(toolName, args, success, targets = null) {
+    this.actionLog.push({
+      timestamp: new Date().toISOString(),
+      toolName,
+      args: this.maskSecrets(args || {}),
+      targets,
+      success
+    });
+  }
+
+  /**
+   * Mask secret values in the text content of an MCP tool result
+   */
+  maskToolResult(toolResult) {
+    if (this.getSecretValues().length === 0 || !toolResult || !toolResult.content) {
+      return toolResult;
+    }
+    return {
+      ...toolResult,
+      content: toolResult.content.map(c => (c.type === 'text' && c.text ? { ...c, text: this.maskSecrets(c.text) } : c))
+    };
+  }
+
+  /**
+   * Execute a tool through MCP and enhance its result with visual change detection
+   * @param {object} options - MCPService.callTool options, e.g. { viewportCoordinates: true } for replayed calls
+   */
+  async executeMcpTool(toolId, toolName, args, startTime, record, options = {}) {
+    // Capture screenshot BEFORE action for visual change detection
+    const screenshotData = this.screenshotService ? this.screenshotService.getLastScreenshot() : null;
+    // Use FULL resolution for accurate change detection
+    const beforeScreenshot = screenshotData ? screenshotData.full : null;
+
+    // Special handling for coordinate-based clicks - set visual indicator
+    if (toolName === 'browser_mouse_click_xy' && this.screenshotService && !options.viewportCoordinates) {
+      const { x, y } = args || {};
+      if (x !== undefined && y !== undefined) {
+        // LLM provides coordinates in SCALED space
+        // Store them in SCALED space for drawing red dot on SCALED screenshot
+        // MCP service will scale them separately for Playwright
+        logger.info(`[Click Indicator] Setting indicator at LLM coordinates (${x}, ${y}) in scaled space`);
+        this.screenshotService.setClickIndicator(x, y);
+      }
+    }
+
+    // Refs point into the snapshot the LLM saw last, describe their elements before it changes
+    const targets = describeTargets(args, this.snapshotElements);
+
+    // Execute the tool via MCP
+    const toolResult = await this.callMcpTool(toolName, args || {}, options);
+    
+    // Check if this is a navigation-related "error" that's actually success
+    let isNavigationSuccess = false;
+    if (toolResult.isError && toolResult.content && toolResult.content.length > 0) {
+      const errorText = toolResult.content[0].text || '';
+      if (errorText.includes('Execution context was destroyed') ||
+          errorText.includes('most likely because of a navigation')) {
+        isNavigationSuccess = true;
+        logger.info('Detected successful navigation (context destroyed)');
+      } else {
+        // Real error - emit error event
+        this.emitToolEvent('tool-execution-error', {
+          toolId,
+          toolName,
+          error: errorText
+        });
       }
+    }
 
-      // Debug logging
-      logger.debug('Message to send:', messageToSend.substring(0, 200) + '...');
+    // Log action for Playwright script generation and action replay
+    this.recordAction(toolName, args, !toolResult.isError || isNavigationSuccess, targets);
 
-      // Build contents array for the new API
-      const contents = [];
+    // Try to enhance response with cached screenshot from screenshot service
+    // This avoids making duplicate MCP calls to browser_take_screenshot
+    try {
+      // Different wait times based on tool type to ensure visual changes are captured
+      const isCoordinateClick = toolName === 'browser_mouse_click_xy';
+      const isFormFilling = ['browser_fill_form', 'browser_type'].includes(toolName);
       
-      // Add conversation history
-      if (this.conversationHistory.length > 0) {
-        contents.push(...this.conversationHistory.map(msg => ({
-          role: msg.role === 'model' ? 'model' : 'user',
-          parts: msg.parts
-        })));
+      let waitTime;
+      if (isNavigationSuccess) {
+        waitTime = 1000; // Navigation needs time for page load
+      } else if (isFormFilling) {
+        waitTime = 1000; // Form fields need time to render text and animations
+      } else if (isCoordinateClick) {
+        waitTime = 800; // Coordinate clicks need time for red dot to be drawn
+      } else {
+        waitTime = 500; // Default wait time for other actions
       }
       
-      // Add current message
-      const currentParts = [{ text: messageToSend }];
-      contents.push({ role: 'user', parts: currentParts });
+      logger.info(`[Visual Change] Waiting ${waitTime}ms for visual changes to render after ${toolName}`);
+      await new Promise(resolve => setTimeout(resolve, waitTime));
       
-      // Handle function calls
-      let currentFunctionCalls = [];
-      let response;
-      let textContent = "";
-      do {
-        // Check for cancellation request
-        if (this.cancelRequested) {
-          logger.info('[LLM Service] Execution cancelled by user');
-          this.cancelRequested = false; // Reset flag
-          throw new Error('Execution cancelled by user');
+      // Get the cached screenshot from screenshot service (already captured at 15 FPS)
+      // For coordinate clicks, scaled version will include the red dot indicator
+      const cachedScreenshotData = this.screenshotService ? this.screenshotService.getLastScreenshot() : null;
+      const cachedScreenshotFull = cachedScreenshotData ? cachedScreenshotData.full : null;
+      const cachedScreenshotScaled = cachedScreenshotData ? cachedScreenshotData.scaled : null;
+      
+      // Detect visual changes by comparing before and after screenshots (use FULL resolution for accuracy)
+      // Skip visual change detection for read-only tools that don't perform actions
+      const readOnlyTools = ['browser_snapshot', 'browser_take_screenshot', 'browser_tabs', 'browser_console_messages', 'browser_network_requests'];
+      const shouldDetectVisualChange = !readOnlyTools.includes(toolName);
+      
+      let comparison = null;
+      let visualChangeInfo = '';
+      if (shouldDetectVisualChange && beforeScreenshot && cachedScreenshotFull && beforeScreenshot !== cachedScreenshotFull) {
+        comparison = await this.compareScreenshots(beforeScreenshot, cachedScreenshotFull, toolName);
+        logger.info(`[Visual Change] Tool: ${toolName}, Changed: ${comparison.changed}, Percent: ${comparison.percentDiff}%, Pixels: ${comparison.pixelsDiff}/${comparison.totalPixels}`);
+        
+        if (comparison.error) {
+          visualChangeInfo = `\n\n### Visual Change Detection Result\nVisual change detection system failed with an error - ${comparison.error}`;
+        } else if (comparison.changed) {
+          visualChangeInfo = `\n\n### Visual Change Detection Result\n**Visual change has been detected.** (${comparison.percentDiff}% of pixels changed, ${comparison.pixelsDiff.toLocaleString()} pixels out of ${comparison.totalPixels.toLocaleString()})\nThe page visually changed after this action, indicating the action had an effect.`;
+        } else {
+          // For form filling tools, provide more context
+          const threshold = isFormFilling ? '0.1%' : '0.5%';
+          if (isFormFilling) {
+            visualChangeInfo = `\n\n### Visual Change Detection Result\n**Visual change has not been detected.** (${comparison.percentDiff}% of pixels changed, threshold is ${threshold})\n**Note**: Form fields may have subtle visual changes. If you can see text in the screenshot, the form was likely filled successfully even if visual change detection shows minimal difference.`;
+          } else {
+            visualChangeInfo = `\n\n### Visual Change Detection Result\n**Visual change has not been detected.** (${comparison.percentDiff}% of pixels changed, threshold is ${threshold})\n**WARNING**: The page did not visually change after this action. The action may have failed or had no effect. Consider trying a different approach or verifying if the action succeeded.`;
+          }
+        }
+      } else if (shouldDetectVisualChange && beforeScreenshot && beforeScreenshot === cachedScreenshotFull) {
+        logger.warn(`[Visual Change] Screenshot identical before and after ${toolName}`);
+        comparison = { changed: false, percentDiff: 0, pixelsDiff: 0 };
+        visualChangeInfo = `\n\n**Visual Change Detected**: NO\n**WARNING**: Screenshot is identical before and after action. The action likely had no visual effect.`;
+      }
+      
+      // Keep the before/after pair of action tools for run reports
+      // For coordinate clicks the scaled "after" screenshot carries the red dot
+      if (shouldDetectVisualChange) {
+        record.beforeScreenshot = screenshotData ? screenshotData.scaled : null;
+        record.afterScreenshot = cachedScreenshotScaled;
+        if (cachedScreenshotData) {
+          record.screenshotSize = { width: cachedScreenshotData.scaledWidth, height: cachedScreenshotData.scaledHeight };
+        }
+        if (isCoordinateClick && args && args.x !== undefined && args.y !== undefined) {
+          record.clickPoint = { x: args.x, y: args.y };
+        }
+      }
+      if (comparison && !comparison.error) {
+        record.visualChange = comparison.changed;
+        record.changePercent = comparison.percentDiff;
+      }
+      
+      // Emit tool execution success event
+      // Only report visual change comparison for action tools, not read-only tools
+      this.emitToolEvent('tool-execution-success', {
+        toolId,
+        toolName,
+        duration: Date.now() - startTime,
+        visualChange: comparison ? comparison.changed : undefined,
+        changePercent: comparison ? comparison.percentDiff.toFixed(2) : undefined
+      });
+      
+      // If it's a navigation success, get fresh snapshot
+      if (isNavigationSuccess) {
+        const hasSnapshot = toolResult.content && toolResult.content.some(c => c.text && c.text.includes('Page Snapshot'));
+
+        // If the navigation result does NOT include a snapshot, get one
+        if (!hasSnapshot) {
+          console.log('Getting fresh snapshot after navigation...');
+          const snapshotResult = await this.callMcpTool('browser_snapshot', {});
+          
+          // DON'T add screenshot - causes token explosion
+          // Accessibility tree + visual change text is sufficient
+          return {
+            content: [{
+              type: 'text',
+              text: `### Result\nSuccessfully executed ${toolName}. Page navigated.\n\n${this.stripConsoleMessages(snapshotResult).content[0].text}.${visualChangeInfo}`
+            }]
+          };
+        }
+        // Navigation result has snapshot, add visual change info only (no screenshot)
+        return this.addVisualChangeInfoToToolResult(this.stripConsoleMessages(toolResult), visualChangeInfo, toolName);
+      }
+
+      const enhancedResult = this.addVisualChangeInfoToToolResult(this.stripConsoleMessages(toolResult), visualChangeInfo, toolName);
+
+      // Special handling for coordinate-based clicks - send screenshot WITH red dot indicator
+      // Use SCALED resolution with red dot (red dot is drawn on scaled screenshot for LLM)
+      if (isCoordinateClick && cachedScreenshotScaled) {
+        // Add text indicating the visual feedback
+        const clickFeedbackText = `\n\n### Click Location Indicator\nA red dot has been drawn at the clicked coordinates (${args?.x}, ${args?.y}) in the screenshot below. This shows where your click action was executed. The red dot will remain visible for 10 seconds to help you verify the click location.`;
+        
+        // Add or update the text content
+        if (enhancedResult.content.length > 0 && enhancedResult.content[0].text) {
+          enhancedResult.content[0] = { ...enhancedResult.content[0], text: enhancedResult.content[0].text + clickFeedbackText };
+        } else {
+          enhancedResult.content.unshift({ type: 'text', text: clickFeedbackText });
         }
         
+        // Add the SCALED screenshot with red dot (red dot drawn at scaled coordinates)
+        enhancedResult.content.push({ type: 'image', mimeType: 'image/png', data: cachedScreenshotScaled });
+        
+        logger.info(`[Click Indicator] Sending SCALED screenshot with red dot to LLM for coordinates (${args?.x}, ${args?.y}) in scaled space`);
+      }
+
+      // Normal results carry visual change info only (no screenshot to save tokens)
+      return enhancedResult;
+    } catch (error) {
+      console.error('Error enhancing response with screenshot:', error);
+      // Fall back to original result
+      return this.stripConsoleMessages(toolResult);
+    }
+  }
+
+  /**
+   * Provider-neutral agent loop: sends the user message, executes every tool call the
+   * model requests and feeds the results back until the model answers with text only
+   * @param {string} userMessage - The user message or playbook step
+   * @returns {Promise<string>} The final text response
+   */
+  async runAgentLoop(userMessage) {
+    const adapter = this.adapter;
+    try {
+      console.log(`Processing message with ${adapter.name}:`, userMessage);
+
+      if (!this._toolDeclarations) {
+        // Get available tools from MCP
+        const tools = await this.mcpService.getAvailableTools();
+
+        // Convert MCP tools (plus the custom validateScenario and evaluateCondition tools) to the provider format
+        this._toolDeclarations = adapter.convertTools([...tools, VALIDATE_SCENARIO_TOOL, EVALUATE_CONDITION_TOOL]);
+
+        logger.verbose(`${adapter.name} tool declarations:`, JSON.stringify(this._toolDeclarations, null, 2));
+      }
+
+      // Work on a copy so a cancelled or failed turn never leaves dangling tool calls in history
+      const messages = [...this.conversationHistory];
+      messages.push(adapter.createUserMessage(this.buildUserMessage(userMessage)));
+
+      let turn;
+      do {
+        // Check for cancellation request
+        this.throwIfCancelled('[LLM Service] Execution cancelled by user');
+
         if (logger.level >= logger.LOG_LEVELS.VERBOSE) {
-          logger.verbose("About to make Gemini call with content: ", this.stringifyContent(contents));
+          logger.verbose(`About to make ${adapter.name} call with content: `, this.stringifyContent(messages));
         }
-        // Call the model API
-        response = await this.client.models.generateContent({
-          model: this.modelName,
-          contents,
-          config: {
-            systemInstruction: this._geminiSystemPrompt,
-            tools: [{ functionDeclarations: this._geminiToolDeclarations }],
-            seed: 42,
-            temperature: 0,
-            maxOutputTokens: 6000
-          }
+        turn = await adapter.generate({
+          systemPrompt: this.getSystemPrompt(),
+          messages,
+          tools: this._toolDeclarations
         });
-        
-        // Debug logging
-        logger.debug('Gemini response received:', JSON.stringify(response, null, 2));
-        response = response.candidates[0] || {};
+        logger.debug('Tool calls count:', turn.toolCalls.length);
 
-        // Extract text response
-        textContent = response.content?.parts?.filter(p => p.text).map(p => p.text).join('') || '';
-        
-        // Extract function calls from response
-        currentFunctionCalls = response.content?.parts?.filter(p => !!p.functionCall).map(p => p.functionCall) || [];
-        logger.debug('Gemini requested function calls:', currentFunctionCalls);
-        logger.debug('Function calls count:', currentFunctionCalls.length);
+        // A cancellation requested while waiting for the model must not be lost when it answers with text only
+        this.throwIfCancelled('[LLM Service] Execution cancelled by user while waiting for the model');
 
-        const functionResponses = [];
-        for (const functionCall of currentFunctionCalls) {
+        if (turn.toolCalls.length === 0) {
+          break;
+        }
+
+        const results = [];
+        for (const toolCall of turn.toolCalls) {
           // Check for cancellation request before processing each tool
-          if (this.cancelRequested) {
-            logger.info('[LLM Service] Execution cancelled by user during tool execution');
-            this.cancelRequested = false; // Reset flag
-            throw new Error('Execution cancelled by user');
-          }
-          
-          // Generate unique tool ID for tracking
-          const toolId = this.generateToolId();
-          const startTime = Date.now();
-          
-          // Emit tool execution start event
-          this.emitToolEvent('tool-execution-start', {
-            toolId,
-            toolName: functionCall.name,
-            args: functionCall.args || {}
-          });
-          
-          logger.info(`Executing tool: ${functionCall.name}`);
-          
-          // Capture screenshot BEFORE action for visual change detection
-          const screenshotData = this.screenshotService ? this.screenshotService.getLastScreenshot() : null;
-          // Use FULL resolution for accurate change detection
-          const beforeScreenshot = screenshotData ? screenshotData.full : null;
-
-          if (functionCall.name === "browser_take_screenshot") {
-            // Send SCALED screenshot to LLM for token savings (50% size = 75% token reduction)
-            const scaledScreenshot = screenshotData ? screenshotData.scaled : null;
-            functionResponses.push({
-              functionResponse: {
-                name: functionCall.name,
-                response: {
-                  result: [{
-                    inlineData: {
-                      mimeType: 'image/png',
-                      data: scaledScreenshot
-                    }
-                  }, {
-                    text: "Successfully captured screenshot"
-                  }],
-                }
-              }
-            });
-            
-            // Emit success event for screenshot tool (short-circuited, no MCP call needed)
-            const duration = Date.now() - startTime;
-            this.emitToolEvent('tool-execution-success', {
-              toolId,
-              toolName: functionCall.name,
-              duration,
-              visualChange: undefined, // No visual change for screenshot capture
-              changePercent: undefined
-            });
-          } else if (functionCall.name === 'validateScenario') {
-            // Handle custom validateScenario tool
-            try {
-              const args = functionCall.args || {};
-              const { scenario_description, validation_result, fail_reason } = args;
-              
-              // Validate inputs
-              if (!scenario_description || !validation_result) {
-                throw new Error('scenario_description and validation_result are required');
-              }
-              
-              if (!['pass', 'fail'].includes(validation_result)) {
-                throw new Error('validation_result must be either "pass" or "fail"');
-              }
-              
-              // Create validation record
-              const validationRecord = {
-                timestamp: new Date().toISOString(),
-                scenario: scenario_description,
-                result: validation_result,
-                failReason: fail_reason || null
-              };
-              
-              // Store validation result
-              this.validationResults.push(validationRecord);
-              
-              // Log validation
-              const resultIcon = validation_result === 'pass' ? '✅' : '❌';
-              logger.info(`[Validation] ${resultIcon} ${scenario_description}: ${validation_result.toUpperCase()}${fail_reason ? ' - ' + fail_reason : ''}`);
-              
-              // Emit tool execution success
-              const duration = Date.now() - startTime;
-              this.emitToolEvent('tool-execution-success', {
-                toolId,
-                toolName: functionCall.name,
-                duration,
-                visualChange: undefined,
-                changePercent: undefined
-              });
-              
-              // Send validation result back to Gemini
-              const resultMessage = validation_result === 'pass' 
-                ? `Validation passed: ${scenario_description}`
-                : `Validation failed: ${scenario_description}. Reason: ${fail_reason || 'Not specified'}`;
-              
-              functionResponses.push({
-                functionResponse: {
-                  name: functionCall.name,
-                  response: {
-                    content: [{
-                      type: 'text',
-                      text: `${resultIcon} ${resultMessage}\n\nValidation has been recorded. Total validations so far: ${this.validationResults.length}`
-                    }]
-                  }
-                }
-              });
-              
-              // Also send a user-visible message for validations
-              this.sendAssistantMessage(`${resultIcon} **Validation ${validation_result === 'pass' ? 'Passed' : 'Failed'}**: ${scenario_description}${fail_reason ? '\n**Reason**: ' + fail_reason : ''}`);
-              
-            } catch (error) {
-              logger.error(`Error handling validateScenario:`, error);
-              
-              // Emit error event
-              this.emitToolEvent('tool-execution-error', {
-                toolId,
-                toolName: functionCall.name,
-                error: error.message
-              });
-              
-              // Send error response
-              functionResponses.push({
-                functionResponse: {
-                  name: functionCall.name,
-                  response: {
-                    isError: true,
-                    content: [{
-                      type: 'text',
-                      text: `Error recording validation: ${error.message}`
-                    }]
-                  }
-                }
-              });
-              
-              hadError = true;
-            }
-          } else {
-            try {
-              // Special handling for coordinate-based clicks - set visual indicator
-              if (functionCall.name === 'browser_mouse_click_xy' && this.screenshotService) {
-                const { x, y } = functionCall.args || {};
-                if (x !== undefined && y !== undefined) {
-                  // LLM provides coordinates in SCALED space
-                  // Store them in SCALED space for drawing red dot on SCALED screenshot
-                  // MCP service will scale them separately for Playwright
-                  logger.info(`[Click Indicator] Setting indicator at LLM coordinates (${x}, ${y}) in scaled space`);
-                  this.screenshotService.setClickIndicator(x, y);
-                }
-              }
-
-              // Execute the tool via MCP
-              const toolResult = await this.mcpService.callTool(
-                functionCall.name,
-                functionCall.args || {}
-              );
-              
-              // Log action for Playwright script generation
-              this.actionLog.push({
-                timestamp: new Date().toISOString(),
-                toolName: functionCall.name,
-                args: functionCall.args || {},
-                success: !toolResult.isError
-              });
-              
-              // Check if this is a navigation-related "error" that's actually success
-              let isNavigationSuccess = false;
-              if (toolResult.isError && toolResult.content && toolResult.content.length > 0) {
-                const errorText = toolResult.content[0].text || '';
-                if (errorText.includes('Execution context was destroyed') ||
-                    errorText.includes('most likely because of a navigation')) {
-                  isNavigationSuccess = true;
-                  logger.info('Detected successful navigation (context destroyed)');
-                } else {
-                  // Real error - emit error event
-                  this.emitToolEvent('tool-execution-error', {
-                    toolId,
-                    toolName: functionCall.name,
-                    error: errorText
-                  });
-                }
-              }
-              
-              // Try to enhance response with cached screenshot from screenshot service
-              // This avoids making duplicate MCP calls to browser_take_screenshot
-              try {
-                // Different wait times based on tool type to ensure visual changes are captured
-                const isCoordinateClick = functionCall.name === 'browser_mouse_click_xy';
-                const isFormFilling = ['browser_fill_form', 'browser_type'].includes(functionCall.name);
-                
-                let waitTime;
-                if (isNavigationSuccess) {
-                  waitTime = 1000; // Navigation needs time for page load
-                } else if (isFormFilling) {
-                  waitTime = 1000; // Form fields need time to render text and animations
-                } else if (isCoordinateClick) {
-                  waitTime = 800; // Coordinate clicks need time for red dot to be drawn
-                } else {
-                  waitTime = 500; // Default wait time for other actions
-                }
-                
-                logger.info(`[Visual Change] Waiting ${waitTime}ms for visual changes to render after ${functionCall.name}`);
-                await new Promise(resolve => setTimeout(resolve, waitTime));
-                
-                // Get the cached screenshot from screenshot service (already captured at 15 FPS)
-                // For coordinate clicks, scaled version will include the red dot indicator
-                const cachedScreenshotData = this.screenshotService ? this.screenshotService.getLastScreenshot() : null;
-                const cachedScreenshotFull = cachedScreenshotData ? cachedScreenshotData.full : null;
-                const cachedScreenshotScaled = cachedScreenshotData ? cachedScreenshotData.scaled : null;
-                
-                // Detect visual changes by comparing before and after screenshots (use FULL resolution for accuracy)
-                // Skip visual change detection for read-only tools that don't perform actions
-                const readOnlyTools = ['browser_snapshot', 'browser_take_screenshot', 'browser_tabs', 'browser_console_messages', 'browser_network_requests'];
-                const shouldDetectVisualChange = !readOnlyTools.includes(functionCall.name);
-                
-                let visualChangeInfo = '';
-                if (shouldDetectVisualChange && beforeScreenshot && cachedScreenshotFull && beforeScreenshot !== cachedScreenshotFull) {
-                  const comparison = await this.compareScreenshots(beforeScreenshot, cachedScreenshotFull, functionCall.name);
-                  logger.info(`[Visual Change] Tool: ${functionCall.name}, Changed: ${comparison.changed}, Percent: ${comparison.percentDiff}%, Pixels: ${comparison.pixelsDiff}/${comparison.totalPixels}`);
-                  
-                  if (comparison.error) {
-                    visualChangeInfo = `\n\n### Visual Change Detection Result\nVisual change detection system failed with an error - ${comparison.error}`;
-                  } else if (comparison.changed) {
-                    visualChangeInfo = `\n\n### Visual Change Detection Result\n**Visual change has been detected.** (${comparison.percentDiff}% of pixels changed, ${comparison.pixelsDiff.toLocaleString()} pixels out of ${comparison.totalPixels.toLocaleString()})\nThe page visually changed after this action, indicating the action had an effect.`;
-                  } else {
-                    // For form filling tools, provide more context
-                    const threshold = isFormFilling ? '0.1%' : '0.5%';
-                    if (isFormFilling) {
-                      visualChangeInfo = `\n\n### Visual Change Detection Result\n**Visual change has not been detected.** (${comparison.percentDiff}% of pixels changed, threshold is ${threshold})\n**Note**: Form fields may have subtle visual changes. If you can see text in the screenshot, the form was likely filled successfully even if visual change detection shows minimal difference.`;
-                    } else {
-                      visualChangeInfo = `\n\n### Visual Change Detection Result\n**Visual change has not been detected.** (${comparison.percentDiff}% of pixels changed, threshold is ${threshold})\n**WARNING**: The page did not visually change after this action. The action may have failed or had no effect. Consider trying a different approach or verifying if the action succeeded.`;
-                    }
-                  }
-                } else if (shouldDetectVisualChange && beforeScreenshot === cachedScreenshotFull) {
-                  logger.warn(`[Visual Change] Screenshot identical before and after ${functionCall.name}`);
-                  visualChangeInfo = `\n\n**Visual Change Detected**: NO\n**WARNING**: Screenshot is identical before and after action. The action likely had no visual effect.`;
-                }
-                
-                // Emit tool execution success event
-                const duration = Date.now() - startTime;
-                // Only calculate visual change comparison for action tools, not read-only tools
-                const comparison = shouldDetectVisualChange && beforeScreenshot && cachedScreenshotFull ? await this.compareScreenshots(beforeScreenshot, cachedScreenshotFull, functionCall.name) : null;
-                this.emitToolEvent('tool-execution-success', {
-                  toolId,
-                  toolName: functionCall.name,
-                  duration,
-                  visualChange: comparison ? comparison.changed : undefined,
-                  changePercent: comparison ? comparison.percentDiff.toFixed(2) : undefined
-                });
-                
-                // If it's a navigation success, get fresh snapshot
-                if (isNavigationSuccess) {
-                  const hasSnapshot = toolResult.content && toolResult.content.some(c => c.text && c.text.includes('Page Snapshot'));
-  
-                  // If the navigation result does NOT include a snapshot, get one
-                  if (!hasSnapshot) {
-                    console.log('Getting fresh snapshot after navigation...');
-                    const snapshotResult = await this.mcpService.callTool('browser_snapshot', {});
-                    
-                    // Combine snapshot text with cached screenshot
-                    const combinedResponse = {
-                      result: {
-                        text: `### Result\nSuccessfully executed ${functionCall.name}. Page navigated.\n\n${this.stripConsoleMessages(snapshotResult).content[0].text}.${visualChangeInfo}`
-                      }
-                    };
-                    
-                    // DON'T add screenshot - causes token explosion
-                    // Accessibility tree + visual change text is sufficient
-                    
-                    functionResponses.push({
-                      functionResponse: {
-                        name: functionCall.name,
-                        response: combinedResponse
-                      }
-                    });
-                  } else {
-                    // Navigation result has snapshot, add visual change info only (no screenshot)
-                    functionResponses.push({ functionResponse: { name: functionCall.name, response: this.toolResultToGeminiFunctionResponse(this.addVisualChangeInfoToToolResult(this.stripConsoleMessages(toolResult), visualChangeInfo)) } });
-                  }
-                } else {
-                  // Special handling for coordinate-based clicks - send screenshot WITH red dot indicator
-                  // Use SCALED resolution with red dot (red dot is drawn on scaled screenshot for LLM)
-                  if (isCoordinateClick && cachedScreenshotScaled) {
-                    const enhancedResult = this.toolResultToGeminiFunctionResponse(this.addVisualChangeInfoToToolResult(this.stripConsoleMessages(toolResult), visualChangeInfo));
-                    
-                    // Add the screenshot with the red dot indicator for LLM feedback
-                    if (!enhancedResult.result) {
-                      enhancedResult.result = [];
-                    }
-                    
-                    // Ensure result is an array
-                    if (!Array.isArray(enhancedResult.result)) {
-                      enhancedResult.result = [enhancedResult.result];
-                    }
-                    
-                    // Add text indicating the visual feedback
-                    const clickFeedbackText = `\n\n### Click Location Indicator\nA red dot has been drawn at the clicked coordinates (${functionCall.args?.x}, ${functionCall.args?.y}) in the screenshot below. This shows where your click action was executed. The red dot will remain visible for 10 seconds to help you verify the click location.`;
-                    
-                    // Add or update the text content
-                    if (enhancedResult.result.length > 0 && enhancedResult.result[0].text) {
-                      enhancedResult.result[0].text += clickFeedbackText;
-                    } else {
-                      enhancedResult.result.unshift({ text: clickFeedbackText });
-                    }
-                    
-                    // Add the SCALED screenshot with red dot (red dot drawn at scaled coordinates)
-                    enhancedResult.result.push({
-                      inlineData: {
-                        mimeType: 'image/png',
-                        data: cachedScreenshotScaled
-                      }
-                    });
-                    
-                    logger.info(`[Click Indicator] Sending SCALED screenshot with red dot to LLM for coordinates (${functionCall.args?.x}, ${functionCall.args?.y}) in scaled space`);
-                    
-                    functionResponses.push({ 
-                      functionResponse: { 
-                        name: functionCall.name, 
-                        response: enhancedResult 
-                      } 
-                    });
-                  } else {
-                    // Normal result - add visual change info only (no screenshot to save tokens)
-                    functionResponses.push({ functionResponse: { name: functionCall.name, response: this.addVisualChangeInfoToToolResult(this.stripConsoleMessages(toolResult), visualChangeInfo) } });
-                  }
-                }
-              } catch (error) {
-                console.error('Error enhancing response with screenshot:', error);
-                // Fall back to original result
-                functionResponses.push({
-                  functionResponse: {
-                    name: functionCall.name,
-                    response: this.stripConsoleMessages(toolResult)
-                  }
-                });
-              }
-            } catch (error) {
-              console.error(`Error executing tool ${functionCall.name}:`, error);
-              
-              // Emit tool execution error event
-              this.emitToolEvent('tool-execution-error', {
-                toolId,
-                toolName: functionCall.name,
-                error: error.message || error.toString()
-              });
-              
-              functionResponses.push({
-                functionResponse: {
-                  name: functionCall.name,
-                  response: { 
-                    content: [{
-                      text: `### Result\nError: ${error.message}`
-                    }],
-                    isError: true
-                  }
-                }
-              });
-            }
-          }
+          this.throwIfCancelled('[LLM Service] Execution cancelled by user during tool execution');
+
+          results.push(await this.executeToolCall(toolCall.name, toolCall.args));
         }
 
-        if (currentFunctionCalls.length > 0) {
-          // Add model's function call and our responses to contents
-          contents.push({ 
-            role: 'model', 
-            parts: currentFunctionCalls.map(fc => ({ functionCall: fc })) 
-          });
-          contents.push({ 
-            role: 'user', 
-            parts: functionResponses.map(fr => ({ functionResponse: fr.functionResponse })) 
-          });
-
-          if (textContent) {
-            // This message will not get chance to show up in the UI, hence pushing it now itself to UI.
-            this.sendAssistantMessage(textContent);
-          }
+        // Add model's tool calls and our results to the conversation
+        messages.push(turn.message);
+        messages.push(...adapter.createToolResultMessages(turn.toolCalls, results));
+
+        if (turn.text) {
+          // This message will not get chance to show up in the UI, hence pushing it now itself to UI.
+          this.sendAssistantMessage(turn.text);
         }
-        logger.debug("Will loop if currentFunctionCalls.length > 0. It is actually: ", currentFunctionCalls.length);
-        
-      } while (currentFunctionCalls.length > 0);
-      
+      } while (turn.toolCalls.length > 0);
+
       // Check if LLM gave up during playbook execution
-      if (this.isPlaybookMode && currentFunctionCalls.length === 0 && textContent) {
-        // Detect refusal patterns in the text
-        const refusalPatterns = [
-          /I cannot/i,
-          /I am unable/i,
-          /I do not have/i,
-          /I don't have/i,
-          /cannot fulfill/i,
-          /unable to/i,
-          /not possible/i
-        ];
-        
-        const hasRefusal = refusalPatterns.some(pattern => pattern.test(textContent));
-        
-        if (hasRefusal) {
-          logger.error('[Playbook] LLM gave up on step:', textContent.substring(0, 200));
-          throw new Error('LLM was unable to complete the step. Stopping playbook execution.');
-        }
-      }
-      
-      // Update conversation history for next turn - convert contents to history format
-      this.conversationHistory = contents.map(c => ({
-        role: c.role,
-        parts: c.parts
-      }));
-      
+      this.throwIfRefusal(turn.text);
+
       // Add final model response to history
-      if (response) {
-        this.conversationHistory.push({
-          role: 'model',
-          parts: response.content?.parts || []
-        });
+      if (turn.message) {
+        messages.push(turn.message);
       }
-      
+      this.conversationHistory = messages;
+
       // Prune history to keep it manageable, while preserving conversation structure.
       this.pruneHistory();
 
-      return textContent || 'I executed the requested action.';
+      return turn.text || 'I executed the requested action.';
     } catch (error) {
-      console.error('Error processing message with Gemini:', error);
+      console.error(`Error processing message with ${adapter.name}:`, error);
       
       if (error.message && error.message.includes('API key')) {
-        const apiKeyError = new Error('Please set your GEMINI_API_KEY in the .env file.');
+        const apiKeyError = new Error(`Please set your ${adapter.apiKeyEnvVar} in the .env file.`);
         apiKeyError.status = 401;
         apiKeyError.statusText = 'Unauthorized';
         throw apiKeyError;
       }
       
       // Re-throw the error to be handled by main.js
-      // Gemini errors already have status and statusText properties
+      // SDK errors already have status and statusText properties
       throw error;
     }
   }
@@ -1235,90 +1274,47 @@ Your goal is to complete the user's request using the most appropriate tool. Fol
   }
 
   /**
-   * Generate a Playwright test script from the action log
-   * @returns {Promise<string>} - The generated Playwright test script
+   * Turns processed so far, each with the tool calls it triggered
+   * @returns {Array<object>} Turns { message, startedAt, durationMs, response, error, toolCalls }
    */
-  async generatePlaywrightScript() {
-    if (this.provider !== 'gemini') {
-      throw new Error('Playwright script generation is only supported with Gemini provider');
+  getSessionLog() {
+    return this.sessionLog;
+  }
+
+  clearSessionLog() {
+    this.sessionLog = [];
+  }
+
+  /**
+   * Drop the before/after screenshots of all but the latest turns of the session log; every browser
+   * action adds two, so a long chat session would otherwise keep growing
+   * @param {number} keepTurns - Number of latest turns that keep their screenshots
+   */
+  dropSessionScreenshots(keepTurns) {
+    for (const turn of this.sessionLog.slice(0, Math.max(0, this.sessionLog.length - keepTurns))) {
+      for (const call of turn.toolCalls) {
+        call.beforeScreenshot = null;
+        call.afterScreenshot = null;
+      }
     }
+  }
 
+  /**
+   * Generate a Playwright test script from the action log
+   * The script is written from the recorded actions and elements without the LLM, see src/services/codegen;
+   * validations with evidence become assertions.
+   * @param {string} [language] - Script language (see codegen LANGUAGES), TypeScript by default
+   * @returns {Promise<object>} { script, fileName }
+   */
+  async generatePlaywrightScript(language = 'typescript') {
     if (this.actionLog.length === 0) {
       throw new Error('No actions recorded. Please perform some browser automation first.');
     }
 
-    // Create a prompt for Gemini to generate Playwright script
-    const prompt = `You are an expert Playwright test automation engineer. I will provide you with a log of browser automation actions that were performed. Your task is to generate a reliable, optimal, and executable Playwright test script that replicates these exact actions.
-
-**Requirements:**
-1. Generate a complete, runnable Playwright test script
-2. Use TypeScript syntax
-3. Include proper imports and test structure
-4. Add appropriate waits and assertions where needed
-5. Handle navigation, clicks, typing, and other actions
-6. Use best practices for selector stability (prefer role-based selectors over XPath when possible)
-7. Add comments explaining each major step
-8. Include error handling where appropriate
-9. The script should be executable with: npx playwright test
-10. Use Page Object Model pattern if the test is complex
-
-**Action Log (JSON):**
-\`\`\`json
-${JSON.stringify(this.actionLog, null, 2)}
-\`\`\`
-
-**Tool to Playwright Mapping:**
-- browser_navigate → await page.goto(url)
-- browser_click → await page.click(selector) or await page.locator(selector).click()
-- browser_mouse_click_xy → await page.mouse.click(x, y)
-- browser_type → await page.fill(selector, text) or await page.locator(selector).fill(text)
-- browser_press → await page.keyboard.press(key)
-- browser_select → await page.selectOption(selector, value)
-- browser_hover → await page.hover(selector)
-- browser_scroll → await page.evaluate(() => window.scrollBy(x, y))
-- browser_wait → await page.waitForTimeout(ms)
-
-**Important Notes:**
-- For clicks with 'ref' parameter, you'll need to convert them to appropriate selectors
-- For coordinate-based clicks (browser_mouse_click_xy), use page.mouse.click(x, y)
-- Add proper waiting strategies (waitForLoadState, waitForSelector) after navigation
-- Include a viewport size setup if coordinate clicks are used, like \`page.setViewportSize({ width: 1920, height: 1080 });\`
-- Add meaningful test name and description
-
-Please generate ONLY the Playwright test script code. Do not include any explanation or additional text outside the code block.`;
-
-    try {
-      logger.info('[Script Generation] Generating Playwright script from action log...');
-      
-      // Use Gemini to generate the script (without function calling)
-      const response = await this.client.models.generateContent({
-        model: this.modelName,
-        contents: [{
-          role: 'user',
-          parts: [{ text: prompt }]
-        }],
-        config: {
-          temperature: 0.3, // Low temperature for consistent code generation
-          maxOutputTokens: 8000 // Allow for longer scripts
-        }
-      });
-
-      const result = response.candidates[0];
-      const generatedText = result.content?.parts?.filter(p => p.text).map(p => p.text).join('') || '';
-      
-      // Extract code from markdown code blocks if present
-      let scriptCode = generatedText;
-      const codeBlockMatch = generatedText.match(/```(?:typescript|javascript)?\n([\s\S]*?)```/);
-      if (codeBlockMatch) {
-        scriptCode = codeBlockMatch[1];
-      }
-
-      logger.info('[Script Generation] Successfully generated Playwright script');
-      return scriptCode.trim();
-    } catch (error) {
-      logger.error('[Script Generation] Error generating Playwright script:', error);
-      throw new Error(`Failed to generate Playwright script: ${error.message}`);
-    }
+    logger.info('[Script Generation] Generating Playwright script from action log...');
+    const result = generateScript(this.actionLog, { language, title: 'ConversePlay session', validations: this.validationResults });
+    logger.info('[Script Generation] Successfully generated Playwright script');
+    return result;
   }
 }
 
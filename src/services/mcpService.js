@@ -1,8 +1,14 @@
 require('dotenv').config();
 const logger = require('../utils/logger');
+const { maskSecrets } = require('../utils/variables');
 
 class MCPService {
-  constructor() {
+  /**
+   * @param {object} options - { port: port for the @playwright/mcp server, defaults to MCP_SERVER_PORT or 3000;
+   *   every instance needs a port of its own (see WorkerPool) }
+   */
+  constructor(options = {}) {
+    this.port = options.port || null;
     this.client = null;
     this.transport = null;
     this.serverProcess = null;
@@ -16,6 +22,16 @@ class MCPService {
     this.screenshotService = null; // Will be set by main.js
     this.mainWindow = null; // Will be set by main.js
     this.currentPageUrl = ''; // Track current page URL
+    this.secretValues = []; // Masked in logged tool arguments and results, see setSecretValues
+  }
+
+  /**
+   * Set the secret values to mask as **** wherever tool arguments and results are logged; tools such as
+   * browser_type repeat the typed value in their result
+   * @param {string[]} secretValues - Values to hide (an empty array clears them)
+   */
+  setSecretValues(secretValues) {
+    this.secretValues = secretValues || [];
   }
 
   async initialize() {
@@ -30,7 +46,7 @@ class MCPService {
       const path = require('path');
       const url = require('url');
       
-      const serverPort = process.env.MCP_SERVER_PORT || 3000;
+      const serverPort = this.port || process.env.MCP_SERVER_PORT || 3000;
       const viewportSize = process.env.MCP_VIEWPORT_SIZE || '1920x1080';
       
       // Start the MCP server manually with --port flag
@@ -196,8 +212,9 @@ class MCPService {
       // Scale coordinates for mouse-based tools
       // LLM receives SCALED screenshots for token savings, so coordinates are based on scaled dimensions
       // We need to scale LLM-provided coordinates from SCALED screenshot space to FULL viewport space
+      // (unless options.viewportCoordinates says they already are, e.g. when replaying recorded calls)
       const coordinateTools = ['browser_mouse_click_xy', 'browser_mouse_move_xy', 'browser_mouse_drag_xy'];
-      if (coordinateTools.includes(toolName) && args.x !== undefined && args.y !== undefined) {
+      if (coordinateTools.includes(toolName) && !options.viewportCoordinates && args.x !== undefined && args.y !== undefined) {
         const screenshotData = this.screenshotService.getLastScreenshot();
         if (screenshotData) {
           // LLM sees SCALED screenshot, so coordinates are in scaled space
@@ -236,7 +253,7 @@ class MCPService {
         logger.verbose(`Calling tool: ${toolName} (streaming)`);
       } else {
         // For all other tools or LLM-invoked screenshots, log at info level
-        logger.info(`Calling tool: ${toolName} with args:`, args);
+        logger.info(`Calling tool: ${toolName} with args:`, maskSecrets(args, this.secretValues));
       }
       
       const result = await this.client.callTool({
@@ -279,7 +296,7 @@ class MCPService {
       if (toolName === 'browser_take_screenshot' && isStreaming) {
         logger.verbose(`Tool ${toolName} completed (streaming)`);
       } else {
-        logger.info(`Tool ${toolName} result:`, result);
+        logger.info(`Tool ${toolName} result:`, maskSecrets(result, this.secretValues));
       }
       
       return result;
@@ -0,0 +1,133 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const ActionReplayService = require('./actionReplayService');
+
+const CACHE_VERSION = 1;
+
+/**
+ * PlanCacheService - Remembers the browser tool calls that completed a playbook step
+ *
+ * A plan is the list of successful browser actions (action log entries, see LLMService.recordAction)
+ * the LLM made for a step, stored under the step text and the URL the step started on. On later
+ * runs PlaybookService replays the plan through ActionReplayService and only asks the LLM when the
+ * plan no longer works; the LLM's new actions then replace the plan.
+ *
+ * The cache is a JSON file: { version, plans: { [key]: { stepText, url, actions, updatedAt } } }.
+ * Several playbook services (suite workers) can share one instance; writes are serialized.
+ */
+class PlanCacheService {
+  /**
+   * @param {string} filePath - Cache file, created on the first stored plan
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.plans = {};
+    this.writing = Promise.resolve(); // Last pending write, see save
+  }
+
+  /**
+   * Create a cache and read its file, if it exists
+   * @throws {Error} If the file exists but is not a plan cache
+   */
+  static async load(filePath) {
+    const cache = new PlanCacheService(filePath);
+    let content;
+    try {
+      content = await fs.readFile(cache.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return cache;
+      }
+      throw new Error(`Cannot read the plan cache ${cache.filePath}: ${error.message}`);
+    }
+    try {
+      const data = JSON.parse(content);
+      if (!data || typeof data.plans !== 'object' || data.plans === null) {
+        throw new Error('it has no plans');
+      }
+      cache.plans = data.plans;
+    } catch (error) {
+      throw new Error(`Cannot read the plan cache ${cache.filePath}: ${error.message}`);
+    }
+    return cache;
+  }
+
+  /**
+   * Cache key of a step: the page it starts on (without query and fragment, which often carry
+   * session data) and its text
+   */
+  static getKey(stepText, url) {
+    return `${PlanCacheService.normalizeUrl(url)}\n${stepText.trim()}`;
+  }
+
+  static normalizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return `${parsed.origin}${parsed.pathname}`;
+    } catch (error) {
+      return url || '';
+    }
+  }
+
+  /**
+   * Plan of a step, or null if none is cached
+   * @returns {object|null} { stepText, url, actions, updatedAt }
+   */
+  get(stepText, url) {
+    return this.plans[PlanCacheService.getKey(stepText, url)] || null;
+  }
+
+  /**
+   * Store the actions that completed a step, replacing its plan
+   * Failed and read-only calls are left out; a step without actions is not cached.
+   * @param {Array<object>} actions - Action log entries of the step
+   * @returns {Promise<boolean>} Whether a plan was stored
+   */
+  async put(stepText, url, actions) {
+    const planActions = actions
+      .filter(action => ActionReplayService.isReplayable(action))
+      .map(({ toolName, args, targets }) => ({ toolName, args, targets: targets || null, success: true }));
+    if (planActions.length === 0) {
+      return false;
+    }
+    this.plans[PlanCacheService.getKey(stepText, url)] = {
+      stepText: stepText.trim(),
+      url: PlanCacheService.normalizeUrl(url),
+      actions: planActions,
+      updatedAt: new Date().toISOString()
+    };
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Forget the plan of a step
+   */
+  async delete(stepText, url) {
+    const key = PlanCacheService.getKey(stepText, url);
+    if (this.plans[key]) {
+      delete this.plans[key];
+      await this.save();
+    }
+  }
+
+  /**
+   * Write the cache file after any pending write; a failed write is logged and the plans stay in memory
+   */
+  save() {
+    this.writing = this.writing.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify({ version: CACHE_VERSION, plans: this.plans }, null, 2), 'utf-8');
+        await fs.rename(tempPath, this.filePath);
+      } catch (error) {
+        logger.error(`[PlanCache] Failed to write ${this.filePath}:`, error);
+      }
+    });
+    return this.writing;
+  }
+}
+
+module.exports = PlanCacheService;
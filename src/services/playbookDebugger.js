@@ -0,0 +1,260 @@
+const logger = require('../utils/logger');
+
+// Step labels: "3", "3.1", "S1" (setup) or "T2.1" (teardown)
+const STEP_LABEL_PATTERN = /^([ST]?)(\d+(?:\.\d+)*)$/;
+
+/**
+ * Order two step labels of the same section: negative when a runs before b
+ * Labels of different sections are not comparable and return null.
+ */
+function compareStepLabels(a, b) {
+  const [, prefixA, numbersA] = a.match(STEP_LABEL_PATTERN);
+  const [, prefixB, numbersB] = b.match(STEP_LABEL_PATTERN);
+  if (prefixA !== prefixB) {
+    return null;
+  }
+  const partsA = numbersA.split('.').map(Number);
+  const partsB = numbersB.split('.').map(Number);
+  for (let i = 0; i < Math.min(partsA.length, partsB.length); i++) {
+    if (partsA[i] !== partsB[i]) {
+      return partsA[i] - partsB[i];
+    }
+  }
+  return partsA.length - partsB.length;
+}
+
+/**
+ * Normalize a step label typed by the user ("s1" -> "S1")
+ * @throws {Error} If the text is not a step label
+ */
+function parseStepLabel(text) {
+  const label = String(text).trim().toUpperCase();
+  if (!STEP_LABEL_PATTERN.test(label)) {
+    throw new Error(`Invalid step number "${text}" (expected e.g. 3, 3.1, S1 or T2)`);
+  }
+  return label;
+}
+
+/**
+ * PlaybookDebugger - Pauses a running playbook between steps
+ *
+ * PlaybookService awaits beforeStep() before every step, nested steps included. The renderer
+ * drives the debugger over IPC: pause after the current step, resume, step over the next step,
+ * skip it, re-run the previous step, jump forward to a step and set breakpoints on step labels.
+ * While paused, no LLM turn runs, so the user can chat with the live browser.
+ */
+class PlaybookDebugger {
+  constructor() {
+    this.breakpoints = new Set(); // Step labels, kept across runs
+    this.stateListener = null;
+    this.reset();
+  }
+
+  /**
+   * Register a listener receiving the debugger state (see getState) whenever it changes
+   */
+  setStateListener(listener) {
+    this.stateListener = listener;
+  }
+
+  /**
+   * Forget the pause state of the previous run; breakpoints stay set
+   */
+  reset() {
+    this.pauseRequested = false;
+    this.current = null; // { label, text, reason, canRerun } of the step waiting while paused
+    this.waiting = null; // { resolve, reject } of the paused beforeStep call
+    this.stepOverLabel = null; // Pause at the next step that is not nested in this one
+    this.jumpTarget = null; // Skip steps until this label
+  }
+
+  /**
+   * Wait until the step may run
+   * @param {string} label - Label of the step about to run
+   * @param {string} text - Step text, shown while paused
+   * @param {boolean} canRerun - Whether there is a previous step to re-run
+   * @returns {Promise<string>} 'run', 'skip' or 'rerun' (re-run the previous step, then call again)
+   * @throws {Error} If the run is cancelled while paused (error.cancelled is set)
+   */
+  async beforeStep(label, text, canRerun) {
+    const reason = this.getPauseReason(label);
+    if (reason === 'skip' || reason === null) {
+      return reason || 'run';
+    }
+
+    logger.info(`[Debugger] Paused before step ${label} (${reason})`);
+    this.pauseRequested = false;
+    this.stepOverLabel = null;
+    this.current = { label, text, reason, canRerun };
+    const command = new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    });
+    this.notify();
+    return command;
+  }
+
+  /**
+   * Why the run pauses before a step: 'breakpoint', 'pause', 'step', 'jump' or 'jump-missed'
+   * (the jump target was not reached, e.g. it is in a skipped If block), 'skip' while jumping
+   * over the step, or null when it just runs
+   */
+  getPauseReason(label) {
+    if (this.jumpTarget) {
+      if (label === this.jumpTarget) {
+        this.jumpTarget = null;
+        return 'jump';
+      }
+      if (this.jumpTarget.startsWith(`${label}.`)) {
+        return null; // Run the block holding the target
+      }
+      if (compareStepLabels(label, this.jumpTarget) < 0) {
+        return 'skip';
+      }
+      this.jumpTarget = null;
+      return 'jump-missed';
+    }
+    if (this.breakpoints.has(label)) {
+      return 'breakpoint';
+    }
+    if (this.pauseRequested) {
+      return 'pause';
+    }
+    if (this.stepOverLabel !== null && !label.startsWith(`${this.stepOverLabel}.`)) {
+      return 'step';
+    }
+    return null;
+  }
+
+  /**
+   * Pause before the next step (the current step finishes first)
+   */
+  pause() {
+    if (!this.isPaused()) {
+      this.pauseRequested = true;
+      this.notify();
+    }
+  }
+
+  /**
+   * Continue until the next breakpoint or pause request
+   */
+  resume() {
+    this.continueWith('run');
+  }
+
+  /**
+   * Run the step the playbook is paused at, with its nested steps, and pause again
+   */
+  step() {
+    const { label } = this.requirePaused();
+    this.stepOverLabel = label;
+    this.continueWith('run');
+  }
+
+  /**
+   * Skip the step the playbook is paused at and pause before the next one
+   */
+  skip() {
+    const { label } = this.requirePaused();
+    this.stepOverLabel = label;
+    this.continueWith('skip');
+  }
+
+  /**
+   * Re-run the step before the one the playbook is paused at, then pause again
+   */
+  rerun() {
+    if (!this.requirePaused().canRerun) {
+      throw new Error('There is no previous step to re-run');
+    }
+    this.pauseRequested = true;
+    this.continueWith('rerun');
+  }
+
+  /**
+   * Skip ahead to a later step of the same section and pause there
+   * Blocks holding the target still run (an If block evaluates its condition); if the target
+   * is not reached the run pauses at the first step after it.
+   * @param {string} target - Step label, e.g. "5" or "5.2"
+   */
+  jumpTo(target) {
+    const { label } = this.requirePaused();
+    const targetLabel = parseStepLabel(target);
+    const order = compareStepLabels(label, targetLabel);
+    if (order === null) {
+      throw new Error(`Cannot jump from step ${label} to step ${targetLabel} in another section`);
+    }
+    if (order >= 0) {
+      throw new Error(`Can only jump forward: step ${targetLabel} is not after step ${label}`);
+    }
+    this.jumpTarget = targetLabel;
+    this.continueWith(targetLabel.startsWith(`${label}.`) ? 'run' : 'skip');
+  }
+
+  /**
+   * Replace the breakpoints
+   * @param {Array<string>} labels - Step labels such as "3", "3.1" or "T1"
+   */
+  setBreakpoints(labels) {
+    this.breakpoints = new Set(labels.map(parseStepLabel));
+    logger.info(`[Debugger] Breakpoints: ${[...this.breakpoints].join(', ') || 'none'}`);
+    this.notify();
+  }
+
+  /**
+   * Stop waiting when the run is cancelled while paused
+   */
+  cancel() {
+    const waiting = this.waiting;
+    this.reset();
+    if (waiting) {
+      const error = new Error('Execution cancelled by user');
+      error.cancelled = true;
+      waiting.reject(error);
+    }
+    this.notify();
+  }
+
+  isPaused() {
+    return this.waiting !== null;
+  }
+
+  /**
+   * State shown by the renderer
+   * @returns {object} { paused, pauseRequested, step: { label, text, reason, canRerun } or null,
+   *   breakpoints, jumpTarget }
+   */
+  getState() {
+    return {
+      paused: this.isPaused(),
+      pauseRequested: this.pauseRequested,
+      step: this.current,
+      breakpoints: [...this.breakpoints],
+      jumpTarget: this.jumpTarget
+    };
+  }
+
+  requirePaused() {
+    if (!this.isPaused()) {
+      throw new Error('The playbook is not paused');
+    }
+    return this.current;
+  }
+
+  continueWith(command) {
+    this.requirePaused();
+    const { resolve } = this.waiting;
+    this.waiting = null;
+    this.current = null;
+    this.notify();
+    resolve(command);
+  }
+
+  notify() {
+    if (this.stateListener) {
+      this.stateListener(this.getState());
+    }
+  }
+}
+
+module.exports = PlaybookDebugger;
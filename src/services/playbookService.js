@@ -1,6 +1,70 @@
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
+const ReportService = require('./reportService');
+const PlaybookDebugger = require('./playbookDebugger');
+const ActionReplayService = require('./actionReplayService');
+const PlanCacheService = require('./planCacheService');
+const { PROVIDERS, createProvider } = require('./llmProviders');
+const { parseFrontMatter, parseYaml, parseDuration } = require('../utils/frontMatter');
+const { parseFeature } = require('../utils/gherkin');
+const { BASE_VIEWPORT, zoomToViewportSize, parseViewportSize } = require('../utils/viewport');
+const { findPlaceholders, interpolate, maskSecrets, loadSecretsFile } = require('../utils/variables');
+const { loadDataset } = require('../utils/dataset');
+const { parseTags, matchesTags } = require('../utils/playbookFiles');
+
+const DEFAULT_STEP_TIMEOUT_MS = 300000; // 5 minutes
+const LLM_WIND_DOWN_MS = 60000; // Wait for a cancelled LLM loop to stop, its pending model call cannot be aborted
+const DEFAULT_SETTLE_DELAY_MS = 3000;
+const DEFAULT_SECRETS_FILE = '.env.secrets'; // Looked up next to the playbook
+const DEFAULT_REPEAT_MAX = 10; // Passes of a "Repeat until" block without "(max N)"
+
+// "If <condition>: [step]" and "Repeat until <condition> (max N): [step]"
+const IF_STEP_PATTERN = /^if\s+(.+?)\s*:(?:\s+(.*))?$/is;
+const REPEAT_STEP_PATTERN = /^repeat\s+until\s+(.+?)(?:\s*\((?:max|at most)\s+(\d+)(?:\s+times)?\))?\s*:(?:\s+(.*))?$/is;
+// "Include: ./common/login.md [with name=value, ...]", the path may be quoted
+const INCLUDE_STEP_PATTERN = /^include\s*:\s*(?:"([^"]+)"|'([^']+)'|(\S+))(?:\s+with\s+(.+))?$/is;
+// Include parameter given as a sub-item: "name: value" or "name=value"
+const INCLUDE_PARAM_PATTERN = /^([A-Za-z_][A-Za-z0-9_.-]*)\s*(?::|=)\s*(.*)$/s;
+// Trailing "(timeout 2m, retries 3, recovery reload)" options of a plain step
+const STEP_OPTIONS_PATTERN = /\s*\(\s*((?:timeout|retries|recovery)\b[^()]*)\)\s*$/i;
+// Recovery actions run between two attempts of a failed step; any other front matter value is
+// an instruction for the LLM
+const RECOVERY_ACTIONS = ['none', 'snapshot', 'reload'];
+// Headings starting the Setup and Teardown sections of a playbook
+const SECTION_HEADINGS = { setup: 'setup', teardown: 'teardown', cleanup: 'teardown' };
+// Step label prefixes of the sections ("S1", "T2.1"); main steps have none
+const SECTION_LABEL_PREFIXES = { setup: 'S', steps: '', teardown: 'T' };
+// Tool calls answered by the LLM service itself, not replayed when resuming a run
+const REPLAY_SKIPPED_TOOLS = ['validateScenario', 'evaluateCondition', 'browser_take_screenshot'];
+const NO_STEPS_ERROR = 'No valid steps found in markdown file. Make sure to use numbered lists (1. Step) or bullet points (- Step); other text is ignored.';
+// Plain steps starting like a directive the parser does not recognize ("Else:", "While ...",
+// "Include ./x.md" without the colon); the linter warns that they go to the LLM as they are
+const DIRECTIVE_LIKE_PATTERN = /^(?:if|else(?:\s+if)?|elif|while|for\s+each|foreach|loop|repeat|include|optional)\b/i;
+
+/**
+ * Whether a step text starts a block whose indented sub-items are not part of its text:
+ * If / Repeat until (nested steps) or Include (parameters), optionally marked Optional:
+ */
+function isBlockStep(text) {
+  const stepText = text.replace(/^optional\s*:\s*/i, '');
+  return IF_STEP_PATTERN.test(stepText) || REPEAT_STEP_PATTERN.test(stepText) || INCLUDE_STEP_PATTERN.test(stepText);
+}
+
+/**
+ * Whether a playbook is a Gherkin .feature file rather than markdown
+ */
+function isFeatureFile(filePath) {
+  return path.extname(filePath || '').toLowerCase() === '.feature';
+}
+
+/**
+ * "common/login.md:4" - where a step comes from, relative to the working directory
+ * @param {object} source - { file, line } of a step node
+ */
+function formatSource(source) {
+  return `${path.relative(process.cwd(), source.file) || source.file}:${source.line}`;
+}
 
 /**
  * PlaybookService - Executes automation steps from a markdown file
@@ -12,11 +76,32 @@ class PlaybookService {
     this.mainWindow = mainWindow;
     this.isExecuting = false;
     this.currentStepIndex = 0;
+    this.currentStepLabel = null; // "3" or "3.1" for a step nested in a block
     this.steps = [];
+    this.messageListener = null; // Optional (role, message) listener, used when running without a window
+    this.previousStep = null; // { node, stepRecord, settings } of the last finished step, for re-runs
+    this.lastRun = null; // { filePath, options, run } of the last finished run, for resuming it
+    this.recordedActions = null; // Step key -> actions of a saved action log being replayed, see ActionReplayService
+    this.planCache = null; // PlanCacheService of the running playbook, if plans are cached
+    this.stepDebugger = new PlaybookDebugger();
+    this.stepDebugger.setStateListener(state => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('playbook-debug-state', state);
+      }
+    });
   }
 
   /**
-   * Parse markdown file and extract steps
+   * Register a listener receiving every playbook message that is sent to the UI
+   * @param {Function} listener - Called with (role, message)
+   */
+  setMessageListener(listener) {
+    this.messageListener = listener;
+  }
+
+  /**
+   * Parse markdown file and extract its front matter settings and steps
+   * The file may start with a YAML front matter block (see resolveSettings for the keys).
    * Steps can be:
    * - Numbered list items (1. Step) with optional indented sub-bullets
    * - Standalone bullet points (- Step or * Step)
@@ -25,99 +110,620 @@ class PlaybookService {
    * 8. Fill in the form with the following details:
    *     - First Name: John
    *     - Last Name: Doe
+   *
+   * Control flow steps take their indented sub-items as nested steps:
+   * 3. If a cookie banner is shown:
+   *     - Click "Accept all"
+   * 4. Repeat until the cart shows 3 items (max 5):
+   *     - Add the next product to the cart
+   * 5. Optional: Close the newsletter popup
+   * 6. Click "Place order" (timeout 2m, retries 2, recovery reload)
+   *
+   * Include steps pull in the steps of another playbook, resolved recursively:
+   * 1. Include: ./common/login.md
+   *     - username: standard_user
+   *
+   * Steps under a "Setup" heading run before the other steps, steps under a "Teardown" (or
+   * "Cleanup") heading run after them, even when a step failed. A section ends at the next
+   * heading of the same or a higher level.
+   *
+   * @param {string} filePath - Playbook to parse
+   * @param {string[]} includeStack - Absolute paths of the playbooks including this one, for cycle detection
+   * @returns {Promise<object>} { config, steps, setup, teardown, warnings } - raw front matter object,
+   *   step nodes (see parseStepText) of each section, every node carrying its source { file, line },
+   *   and the parser warnings of this playbook and the ones it includes (see parseSteps)
    */
-  async parseMarkdownFile(filePath) {
+  async parseMarkdownFile(filePath, includeStack = []) {
     logger.info(`[Playbook] Parsing markdown file: ${filePath}`);
+    const absolutePath = path.resolve(filePath);
+    
+    try {
+      const content = await fs.readFile(absolutePath, 'utf-8');
+      const { data: config, body, bodyStartLine } = parseFrontMatter(content);
+      const { setup, steps, teardown, warnings } = this.parseSteps(body, absolutePath, bodyStartLine + 1);
+      for (const sectionSteps of [setup, steps, teardown]) {
+        await this.resolveIncludes(sectionSteps, [...includeStack, absolutePath], warnings);
+      }
+
+      logger.info(`[Playbook] Parsed ${steps.length} steps (${setup.length} setup, ${teardown.length} teardown) from markdown file`);
+      return { config, steps, setup, teardown, warnings };
     
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Playbook file not found: ${filePath}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a playbook: a Gherkin .feature file (see parseFeatureFile) or markdown (see parseMarkdownFile)
+   * @returns {Promise<object>} { config, steps, setup, teardown, warnings, scenarios } - scenarios is null for markdown
+   */
+  async parsePlaybookFile(filePath) {
+    if (isFeatureFile(filePath)) {
+      return this.parseFeatureFile(filePath);
+    }
+    return { ...(await this.parseMarkdownFile(filePath)), scenarios: null };
+  }
+
+  /**
+   * Parse a Gherkin .feature playbook (see utils/gherkin)
+   * The Background steps become the setup steps and every scenario runs as an iteration of its
+   * own (see createIterations). Then steps, with the And / But steps following them, are
+   * validations: they must end in a validateScenario call and fail when it fails. Comment lines
+   * "# key: value" before the Feature line are the front matter settings.
+   * @returns {Promise<object>} { config, steps, setup, teardown, warnings, scenarios } - steps and teardown
+   *   are empty, scenarios holds { name, tags, source, steps, examples } with the step nodes of each scenario
+   */
+  async parseFeatureFile(filePath) {
+    logger.info(`[Playbook] Parsing feature file: ${filePath}`);
+    const absolutePath = path.resolve(filePath);
+
+    let content;
     try {
-      const content = await fs.readFile(filePath, 'utf-8');
-    const lines = content.split('\n');
-    const steps = [];
-    let currentStep = null;
+      content = await fs.readFile(absolutePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Playbook file not found: ${filePath}`);
+      }
+      throw error;
+    }
+
+    const feature = parseFeature(content);
+    // Other comments before the Feature line are not settings
+    const config = parseYaml(feature.settingLines.filter(line => /^\s*(?:[A-Za-z_][\w.-]*\s*:|-\s)/.test(line)));
+
+    const toNode = (step) => {
+      const source = { file: absolutePath, line: step.line };
+      const { text, options } = this.parseStepOptions(`${step.keyword} ${step.text}`);
+      const attachment = [
+        ...(step.docString !== null ? step.docString.split('\n') : []),
+        ...(step.dataTable || []).map(cells => `| ${cells.join(' | ')} |`)
+      ];
+      const node = { type: 'action', text: text + attachment.map(line => `\n    ${line}`).join(''), optional: false, source, options };
+      if (step.kind === 'outcome') {
+        node.validate = true;
+      }
+      return node;
+    };
+
+    const scenarios = feature.scenarios.map(scenario => ({
+      name: scenario.name,
+      tags: scenario.tags,
+      source: { file: absolutePath, line: scenario.line },
+      steps: scenario.steps.map(toNode),
+      examples: scenario.examples
+    }));
+    logger.info(`[Playbook] Parsed ${scenarios.length} scenarios (${feature.background.length} background steps) from feature file`);
+    return { config, steps: [], setup: feature.background.map(toNode), teardown: [], warnings: [], scenarios };
+  }
+
+  /**
+   * Extract the steps from the markdown body of a playbook
+   * @param {string} body - Markdown without front matter
+   * @param {string} file - Absolute path of the playbook, kept on every step
+   * @param {number} firstLine - Line number of the first body line in the file
+   * @returns {object} { setup, steps, teardown, warnings } - step nodes of each section and
+   *   "file:line: message" warnings about ignored text and ambiguous nesting
+   */
+  parseSteps(body, file, firstLine = 1) {
+    const lines = body.split('\n');
+    const sections = { setup: [], steps: [], teardown: [] };
+    const warnings = [];
+    let section = 'steps';
+    let sectionLevel = 0; // Heading level of the Setup / Teardown heading
+    let currentStep = null; // { text, line, section, children: [{ indent, text, line }] } of the step collecting sub-items
+    let ignoredText = null; // { text, line } of the paragraph of plain text being skipped
+
+    const finishStep = () => {
+      if (currentStep !== null) {
+        sections[currentStep.section].push(this.buildStepNode(currentStep, file, warnings));
+        currentStep = null;
+      }
+    };
+    const finishIgnoredText = () => {
+      if (ignoredText !== null) {
+        const preview = ignoredText.text.length > 60 ? `${ignoredText.text.substring(0, 57)}...` : ignoredText.text;
+        warnings.push(`${formatSource({ file, line: ignoredText.line })}: Ignored text "${preview}"; only list items are steps`);
+        ignoredText = null;
+      }
+    };
 
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i];
       const trimmed = line.trim();
+      const lineNumber = firstLine + i;
       
       // Skip empty lines
-      if (!trimmed) continue;
+      if (!trimmed) {
+        finishIgnoredText();
+        continue;
+      }
       
-      // Skip markdown headings
-      if (trimmed.startsWith('#')) continue;
+      // Markdown headings only switch between the Setup, Teardown and main sections
+      const headingMatch = trimmed.match(/^(#{1,6})\s*(.*?)[\s#]*$/);
+      if (headingMatch) {
+        finishIgnoredText();
+        const level = headingMatch[1].length;
+        const sectionName = SECTION_HEADINGS[headingMatch[2].toLowerCase()];
+        if (sectionName) {
+          finishStep();
+          section = sectionName;
+          sectionLevel = level;
+        } else if (section !== 'steps' && level <= sectionLevel) {
+          finishStep();
+          section = 'steps';
+        }
+        continue;
+      }
       
       // Skip horizontal rules
-      if (/^[-*_]{3,}$/.test(trimmed)) continue;
+      if (/^[-*_]{3,}$/.test(trimmed)) {
+        finishIgnoredText();
+        continue;
+      }
       
-      // Check if this is an indented sub-bullet (part of previous numbered step)
-      const indentedBulletMatch = line.match(/^\s{2,}[-*]\s+(.+)$/);
-      if (indentedBulletMatch && currentStep !== null) {
-        // Append sub-bullet to current step
-        currentStep += '\n    - ' + indentedBulletMatch[1].trim();
+      // Check if this is an indented sub-bullet (part of previous step).
+      // Blocks (If / Repeat until) also accept indented numbered items.
+      const indentedMatch = currentStep !== null && (isBlockStep(currentStep.text)
+        ? line.match(/^(\s{2,})(?:[-*]|\d+\.)\s+(.+)$/)
+        : line.match(/^(\s{2,})[-*]\s+(.+)$/));
+      if (indentedMatch) {
+        currentStep.children.push({ indent: indentedMatch[1].length, text: indentedMatch[2].trim(), line: lineNumber });
         continue;
       }
       
       // If we have a current step and this is not a sub-bullet, finalize it
-      if (currentStep !== null) {
-        steps.push(currentStep);
-        currentStep = null;
+      finishStep();
+      
+      // An indented list item without a step above to nest in still runs as a step of its own
+      if (/^\s{2,}(?:[-*]|\d+\.)\s+/.test(line)) {
+        warnings.push(`${formatSource({ file, line: lineNumber })}: Indented item "${trimmed}" runs as a step of its own, not nested in the step above`);
       }
       
       // Parse numbered list items (1. Step, 2. Step, etc.)
       const numberedMatch = trimmed.match(/^\d+\.\s+(.+)$/);
       if (numberedMatch) {
-        currentStep = numberedMatch[1].trim();
+        finishIgnoredText();
+        currentStep = { text: numberedMatch[1].trim(), line: lineNumber, section, children: [] };
         continue;
       }
       
       // Parse standalone bullet points (- Step or * Step) at root level
       const bulletMatch = trimmed.match(/^[-*]\s+(.+)$/);
       if (bulletMatch) {
-        steps.push(bulletMatch[1].trim());
+        finishIgnoredText();
+        currentStep = { text: bulletMatch[1].trim(), line: lineNumber, section, children: [] };
+        if (!isBlockStep(currentStep.text)) {
+          finishStep();
+        }
         continue;
       }
       
       // Skip any other text (descriptions, titles, etc.)
+      if (ignoredText === null) {
+        ignoredText = { text: trimmed, line: lineNumber };
+      }
     }
     
     // Don't forget to add the last step if it exists
-    if (currentStep !== null) {
-      steps.push(currentStep);
+    finishStep();
+    finishIgnoredText();
+    return { ...sections, warnings };
+  }
+
+  /**
+   * Build a step node from a step and the indented sub-items below it
+   * Sub-items of a plain step become part of its text, sub-items of an Include are its
+   * parameters and sub-items of other blocks are their nested steps (deeper sub-items belong
+   * to the nested step above them).
+   * @param {object} item - { text, line, children: [{ indent, text, line }] }
+   * @param {string} file - Absolute path of the playbook
+   * @param {string[]} warnings - Collects warnings about ambiguous nesting
+   */
+  buildStepNode(item, file, warnings = []) {
+    const source = { file, line: item.line };
+    const node = this.parseStepText(item.text, source);
+    if (node.type === 'action') {
+      for (const child of item.children.filter(child => isBlockStep(child.text))) {
+        warnings.push(`${formatSource({ file, line: child.line })}: Sub-item "${child.text}" is part of the text of step "${item.text}", not a block of its own`);
+      }
+      node.text += item.children.map(child => '\n    - ' + child.text).join('');
+      return node;
+    }
+    if (node.type === 'include') {
+      for (const child of item.children) {
+        const paramMatch = child.text.match(INCLUDE_PARAM_PATTERN);
+        if (!paramMatch) {
+          throw new Error(`${formatSource({ file, line: child.line })}: Expected an include parameter "name: value", got "${child.text}"`);
+        }
+        node.params[paramMatch[1]] = paramMatch[2].trim();
+      }
+      return node;
     }
 
-    logger.info(`[Playbook] Parsed ${steps.length} steps from markdown file`);
-    return steps;
-    
+    const childIndent = Math.min(...item.children.map(child => child.indent));
+    if (item.children.length > 0 && item.children[0].indent > childIndent) {
+      const outdented = item.children.find(child => child.indent === childIndent);
+      warnings.push(`${formatSource({ file, line: outdented.line })}: Sub-item "${outdented.text}" is indented less than the first sub-item of "${item.text}"; both are nested steps of the block`);
+    }
+    const groups = [];
+    for (const child of item.children) {
+      if (child.indent <= childIndent || groups.length === 0) {
+        groups.push({ text: child.text, line: child.line, children: [] });
+      } else {
+        groups[groups.length - 1].children.push(child);
+      }
+    }
+    node.steps.push(...groups.map(group => this.buildStepNode(group, file, warnings)));
+
+    if (node.steps.length === 0) {
+      throw new Error(`${formatSource(source)}: Step "${item.text}" has no steps to run; indent them as sub-items below it or write them after the colon`);
+    }
+    return node;
+  }
+
+  /**
+   * Parse the text of one step into a step node:
+   * - { type: 'action', text, optional, options } - sent to the LLM as is, options holding the
+   *   step's own timeoutMs, retries and recovery (see parseStepOptions)
+   * - { type: 'if', text, condition, optional, steps } - "If <condition>:" runs steps when the condition holds
+   * - { type: 'repeat', text, condition, maxIterations, optional, steps } - "Repeat until <condition> (max N):"
+   *   runs steps until the condition holds, failing after maxIterations passes
+   * - { type: 'include', text, file, params, optional, steps } - "Include: <file> [with name=value, ...]"
+   *   runs the steps of another playbook (filled in by resolveIncludes)
+   * "Optional: <step>" marks a step whose failure does not stop the run. A block may carry a
+   * single nested step after its colon ("If a banner is shown: Close it").
+   * @param {string} text - Step text
+   * @param {object} source - { file, line } the step comes from
+   */
+  parseStepText(text, source) {
+    const optionalMatch = text.match(/^optional\s*:\s*([\s\S]+)$/i);
+    const optional = Boolean(optionalMatch);
+    const stepText = optionalMatch ? optionalMatch[1].trim() : text;
+
+    const ifMatch = stepText.match(IF_STEP_PATTERN);
+    if (ifMatch) {
+      const condition = ifMatch[1].trim();
+      return {
+        type: 'if',
+        text: `If ${condition}`,
+        condition,
+        optional,
+        source,
+        steps: ifMatch[2] ? [this.parseStepText(ifMatch[2].trim(), source)] : []
+      };
+    }
+
+    const repeatMatch = stepText.match(REPEAT_STEP_PATTERN);
+    if (repeatMatch) {
+      const condition = repeatMatch[1].trim();
+      const maxIterations = repeatMatch[2] ? Number(repeatMatch[2]) : DEFAULT_REPEAT_MAX;
+      if (maxIterations < 1) {
+        throw new Error(`${formatSource(source)}: Step "${text}" must allow at least 1 pass`);
+      }
+      return {
+        type: 'repeat',
+        text: `Repeat until ${condition} (max ${maxIterations})`,
+        condition,
+        maxIterations,
+        optional,
+        source,
+        steps: repeatMatch[3] ? [this.parseStepText(repeatMatch[3].trim(), source)] : []
+      };
+    }
+
+    const includeMatch = stepText.match(INCLUDE_STEP_PATTERN);
+    if (includeMatch) {
+      const file = includeMatch[1] || includeMatch[2] || includeMatch[3];
+      const params = {};
+      for (const pair of includeMatch[4] ? includeMatch[4].split(',') : []) {
+        const paramMatch = pair.trim().match(INCLUDE_PARAM_PATTERN);
+        if (!paramMatch) {
+          throw new Error(`${formatSource(source)}: Expected include parameters as "with name=value, ...", got "${pair.trim()}"`);
+        }
+        params[paramMatch[1]] = paramMatch[2].trim();
+      }
+      return { type: 'include', text: `Include: ${file}`, file, params, optional, source, steps: [] };
+    }
+
+    const { text: actionText, options } = this.parseStepOptions(stepText);
+    return { type: 'action', text: actionText, optional, source, options };
+  }
+
+  /**
+   * Split the trailing "(timeout 2m, retries 3, recovery reload)" options off a plain step
+   * Each option overrides the playbook's stepTimeout, retries or recovery setting for this step.
+   * The parentheses only hold options when every part is a valid option; otherwise they are a
+   * remark such as "(timeout message)" and stay part of the step text (--lint warns about them).
+   * @returns {object} { text, options: { timeoutMs, retries, recovery } holding the given options only }
+   */
+  parseStepOptions(text) {
+    const match = text.match(STEP_OPTIONS_PATTERN);
+    if (!match) {
+      return { text, options: {} };
+    }
+
+    const remark = { text, options: {} };
+    const options = {};
+    for (const part of match[1].split(',')) {
+      const [, key = '', value = ''] = part.trim().match(/^(\w+)\s*[:=]?\s*(.*)$/) || [];
+      switch (key.toLowerCase()) {
+        case 'timeout':
+          options.timeoutMs = parseDuration(value);
+          if (!options.timeoutMs) {
+            return remark;
+          }
+          break;
+        case 'retries':
+          if (!/^\d+$/.test(value)) {
+            return remark;
+          }
+          options.retries = Number(value);
+          break;
+        case 'recovery':
+          if (!RECOVERY_ACTIONS.includes(value.toLowerCase())) {
+            return remark;
+          }
+          options.recovery = value.toLowerCase();
+          break;
+        default:
+          return remark;
+      }
+    }
+    return { text: text.slice(0, match.index).trim(), options };
+  }
+
+  /**
+   * Fill in the steps of Include nodes (also inside blocks) from the included playbooks
+   * Included paths are relative to the including playbook. Parameters replace ${name}
+   * placeholders in the included steps, defaulting to the `vars` of the included playbook's
+   * front matter; other placeholders are left for the run variables.
+   * @param {Array<object>} steps - Step nodes, modified in place
+   * @param {string[]} includeStack - Absolute paths of the playbooks being parsed, outermost first
+   * @param {string[]} warnings - Collects the parser warnings of the included playbooks
+   * @throws {Error} On include cycles and missing or empty included playbooks
+   */
+  async resolveIncludes(steps, includeStack, warnings = []) {
+    for (const step of steps) {
+      if (step.type !== 'include') {
+        if (step.steps) {
+          await this.resolveIncludes(step.steps, includeStack, warnings);
+        }
+        continue;
+      }
+
+      const includePath = path.resolve(path.dirname(step.source.file), step.file);
+      if (includeStack.includes(includePath)) {
+        const cycle = [...includeStack.slice(includeStack.indexOf(includePath)), includePath]
+          .map(file => path.relative(process.cwd(), file) || file);
+        throw new Error(`${formatSource(step.source)}: Include cycle ${cycle.join(' -> ')}`);
+      }
+
+      let included;
+      try {
+        await fs.access(includePath);
+        included = await this.parseMarkdownFile(includePath, includeStack);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error(`${formatSource(step.source)}: Included playbook not found: ${step.file}`);
+        }
+        throw error;
+      }
+
+      warnings.push(...included.warnings);
+      const { vars, ...otherSettings } = included.config;
+      for (const key of Object.keys(otherSettings)) {
+        logger.warn(`[Playbook] Ignoring front matter setting "${key}" of included playbook ${step.file}`);
+        warnings.push(`${formatSource(step.source)}: Front matter setting "${key}" of included playbook ${step.file} is ignored`);
+      }
+      if (included.steps.length === 0) {
+        throw new Error(`${formatSource(step.source)}: Included playbook ${step.file} has no steps`);
+      }
+      if (included.setup.length > 0 || included.teardown.length > 0) {
+        throw new Error(`${formatSource(step.source)}: Included playbook ${step.file} has Setup or Teardown steps; only the top-level playbook can have them`);
+      }
+
+      const params = { ...(vars && typeof vars === 'object' ? vars : {}), ...step.params };
+      step.steps = included.steps.map(node => this.applyIncludeParams(node, params));
+    }
+  }
+
+  /**
+   * Replace ${name} placeholders of include parameters in a step node and its nested steps
+   * Escaped $${name} placeholders are kept for the run-time interpolation.
+   */
+  applyIncludeParams(node, params) {
+    const fill = (text) => interpolate(text, name => (
+      Object.prototype.hasOwnProperty.call(params, name) && params[name] !== null ? String(params[name]) : undefined
+    ), { keepEscaped: true });
+
+    const filled = { ...node, text: fill(node.text) };
+    if (node.condition !== undefined) {
+      filled.condition = fill(node.condition);
+    }
+    if (node.steps) {
+      filled.steps = node.steps.map(child => this.applyIncludeParams(child, params));
+    }
+    return filled;
+  }
+
+  /**
+   * Check a playbook without running it (dry run): parse it, resolve its includes, settings and
+   * variables, and point out text the parser ignores or may read differently than intended
+   * Neither the browser nor the LLM is used.
+   * @param {string} filePath - Playbook to check
+   * @param {object} options - { vars, secretsFile } as for executePlaybook
+   * @returns {Promise<object>} { sections, scenarios, errors, warnings } - sections holds the { setup, steps, teardown }
+   *   step nodes (null if the playbook cannot be parsed), scenarios those of a feature file (see parseFeatureFile);
+   *   errors would fail the run, warnings may be intended.
+   *   Both are messages, most of them starting with "file:line:".
+   */
+  async lintPlaybook(filePath, options = {}) {
+    const errors = [];
+    const warnings = [];
+    const visitSteps = (nodes, prefix, visit) => nodes.forEach((node, index) => {
+      const label = `${prefix}${index + 1}`;
+      visit(node, label);
+      if (node.steps) {
+        visitSteps(node.steps, `${label}.`, visit);
+      }
+    });
+
+    let parsed;
+    try {
+      parsed = await this.parsePlaybookFile(filePath);
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        throw new Error(`Playbook file not found: ${filePath}`);
+      errors.push(error.message);
+      return { sections: null, scenarios: null, errors, warnings };
+    }
+    const { config, setup, steps, teardown, scenarios } = parsed;
+    const sections = { setup, steps, teardown };
+    warnings.push(...parsed.warnings);
+    if (scenarios ? scenarios.length === 0 : steps.length === 0) {
+      errors.push(scenarios ? 'No scenarios found in feature file' : NO_STEPS_ERROR);
+    }
+
+    for (const [phase, nodes] of Object.entries(sections)) {
+      visitSteps(nodes, SECTION_LABEL_PREFIXES[phase], (node, label) => {
+        const [firstLine] = node.text.split('\n');
+        if (node.type === 'action' && DIRECTIVE_LIKE_PATTERN.test(firstLine)) {
+          warnings.push(`${formatSource(node.source)}: Step ${label} "${firstLine}" is not a recognized directive and goes to the LLM as a plain step (expected "If <condition>:", "Repeat until <condition>:", "Include: <file>" or "Optional: <step>")`);
+        }
+        // Valid step options were split off while parsing, so a match here is a remark or a typo
+        const optionsMatch = node.type === 'action' ? node.text.match(STEP_OPTIONS_PATTERN) : null;
+        if (optionsMatch) {
+          warnings.push(`${formatSource(node.source)}: Step ${label} ends with "(${optionsMatch[1].trim()})", which is not a valid list of step options and stays part of the step text (expected e.g. "(timeout 2m, retries 3, recovery reload)")`);
+        }
+      });
+    }
+
+    // Front matter messages point at the first line of the playbook
+    const frontMatterSource = formatSource({ file: path.resolve(filePath), line: 1 });
+    const settingWarnings = [];
+    let settings;
+    try {
+      settings = this.resolveSettings(config, settingWarnings);
+    } catch (error) {
+      errors.push(`${frontMatterSource}: ${error.message}`);
+      return { sections, scenarios, errors, warnings };
+    } finally {
+      warnings.push(...settingWarnings.map(warning => `${frontMatterSource}: ${warning}`));
+    }
+
+    const undefinedVariables = new Set();
+    try {
+      for (const scenario of await this.listScenarios(settings, steps, filePath, scenarios)) {
+        for (const row of scenario.examples.length > 0 ? scenario.examples : [null]) {
+          const variables = await this.createVariableScope(settings, filePath, options, row || {});
+          for (const [phase, nodes] of Object.entries({ ...sections, steps: scenario.steps })) {
+            visitSteps(nodes, SECTION_LABEL_PREFIXES[phase], (node, label) => {
+              const missing = this.findUndefinedVariables(`${node.text}\n${node.condition || ''}`, variables);
+              if (missing.length > 0) {
+                undefinedVariables.add(`${formatSource(node.source)}: Step ${label} uses undefined variable${missing.length > 1 ? 's' : ''} ${missing.map(name => '${' + name + '}').join(', ')}`);
+              }
+            });
+          }
+        }
       }
-      throw error;
+    } catch (error) {
+      errors.push(error.message);
     }
+    errors.push(...undefinedVariables);
+
+    return { sections, scenarios, errors, warnings };
   }
 
   /**
    * Execute the playbook - send each step to LLM service sequentially
+   * @param {string} filePath - Path to the playbook markdown or .feature file
+   * @param {object} options - Run options
+   * @param {string} [options.reportDir] - Directory for JUnit/JSON/HTML reports (defaults to PLAYBOOK_REPORT_DIR)
+   * @param {object} [options.vars] - Variables by name, taking precedence over every other source
+   * @param {string} [options.secretsFile] - Secrets file (defaults to PLAYBOOK_SECRETS_FILE, then .env.secrets next to the playbook)
+   * @param {number} [options.fromStep] - Start at this playbook step (1-based); the earlier steps are skipped,
+   *   setup and teardown steps still run
+   * @param {Array<object>} [options.replay] - Step records of an earlier run (see replaySteps); the browser
+   *   tool calls recorded for the steps before fromStep are replayed without the LLM instead of skipping them
+   * @param {object} [options.tags] - { include, exclude } tag filter selecting the scenarios of a .feature file
+   * @param {Array<object>} [options.actions] - Actions of a saved action log (see ActionReplayService); the
+   *   actions recorded for a step are replayed without the LLM, which only runs the steps without recorded
+   *   actions, validations, conditions and the steps whose replay diverged
+   * @param {PlanCacheService} [options.planCache] - Cache of the tool calls that completed each step (defaults to
+   *   the file in PLAYBOOK_PLAN_CACHE); cached plans are tried before the LLM, which updates them
+   * @param {string} [options.scriptLanguage] - Also write a test script of the run in this language (see codegen
+   *   LANGUAGES) with the reports
+   * @returns {Promise<object>} Summary { success, totalSteps, validationResults, reports }
+   * @throws {Error} If a step fails
    */
-  async executePlaybook(filePath) {
+  async executePlaybook(filePath, options = {}) {
     if (this.isExecuting) {
       throw new Error('Playbook is already executing');
     }
 
+    const reportDir = options.reportDir || process.env.PLAYBOOK_REPORT_DIR || null;
+    const run = this.createRunRecord(filePath);
+    run.fromStep = options.fromStep || null;
+    let restoreSettings = null;
+
     try {
       this.isExecuting = true;
       this.currentStepIndex = 0;
+      this.previousStep = null;
+      this.recordedActions = options.actions ? ActionReplayService.groupByStep(options.actions) : null;
+      this.planCache = options.planCache || (process.env.PLAYBOOK_PLAN_CACHE ? await PlanCacheService.load(process.env.PLAYBOOK_PLAN_CACHE) : null);
+      this.stepDebugger.reset();
+      // The step records keep the turns of this run; earlier turns and their screenshots are not needed
+      this.llmService.clearSessionLog();
       
       // Validate file path
       if (!filePath) {
         throw new Error('No playbook file path provided');
       }
       
-      // Parse the markdown file
-      this.steps = await this.parseMarkdownFile(filePath);
+      // Parse the markdown or feature file
+      const { config, steps, setup, teardown, scenarios: allScenarios } = await this.parsePlaybookFile(filePath);
+      const settings = this.resolveSettings(config);
+      
+      if (allScenarios ? allScenarios.length === 0 : steps.length === 0) {
+        throw new Error(allScenarios ? 'No scenarios found in feature file' : NO_STEPS_ERROR);
+      }
+      const scenarios = allScenarios && this.filterScenarios(allScenarios, settings, options.tags);
       
-      if (this.steps.length === 0) {
-        throw new Error('No valid steps found in markdown file. Make sure to use numbered lists (1. Step), bullet points (- Step), or plain text lines.');
+      // One iteration per dataset row or scenario, or a single iteration without a dataset.
+      // ${NAME} placeholders are filled in up front so undefined variables fail before the first step.
+      const fromStep = options.fromStep || 1;
+      if (scenarios && fromStep > 1) {
+        throw new Error('Starting at a step is not supported for .feature files');
       }
+      if (!Number.isInteger(fromStep) || fromStep < 1 || (!scenarios && fromStep > steps.length)) {
+        throw new Error(`Cannot start at step ${options.fromStep}: the playbook has ${steps.length} steps`);
+      }
+      const iterations = await this.createIterations(settings, { setup, steps, teardown }, filePath, options, scenarios);
+      run.iterations = iterations.map(iteration => ({ index: iteration.index + 1, label: iteration.label }));
+      run.steps = iterations.flatMap(iteration => [...iteration.setupRecords, ...iteration.stepRecords, ...iteration.teardownRecords]);
+      const isDataDriven = iterations.length > 1 || Boolean(settings.dataset) || Boolean(scenarios);
 
       // Set playbook mode on LLM service
       this.llmService.setPlaybookMode(true);
@@ -126,58 +732,83 @@ class PlaybookService {
       if (this.mainWindow && !this.mainWindow.isDestroyed()) {
         this.mainWindow.webContents.send('playbook-started');
       }
+      this.stepDebugger.notify();
       
       // Send initial message to UI
       this.sendToUI('system', `📋 Starting playbook execution: ${path.basename(filePath)}`);
-      this.sendToUI('system', `Found ${this.steps.length} steps to execute`);
+      const hooks = [
+        setup.length > 0 ? `${setup.length} setup` : null,
+        teardown.length > 0 ? `${teardown.length} teardown` : null
+      ].filter(Boolean);
+      const stepsDescription = `${steps.length} steps${hooks.length > 0 ? ` (plus ${hooks.join(' and ')})` : ''}`;
+      if (scenarios) {
+        const background = setup.length > 0 ? `, each after ${setup.length} background ${setup.length === 1 ? 'step' : 'steps'}` : '';
+        const examples = iterations.length > scenarios.length ? ` (${iterations.length} runs with the Examples rows)` : '';
+        this.sendToUI('system', `Found ${scenarios.length} ${scenarios.length === 1 ? 'scenario' : 'scenarios'} to execute${examples}${background}`);
+      } else {
+        this.sendToUI('system', isDataDriven
+          ? `Found ${stepsDescription} to execute for each of ${iterations.length} dataset rows`
+          : `Found ${stepsDescription} to execute`);
+      }
       
-      // Execute each step sequentially
-      for (let i = 0; i < this.steps.length; i++) {
-        this.currentStepIndex = i;
-        const step = this.steps[i];
-        
-        logger.info(`[Playbook] Executing step ${i + 1}/${this.steps.length}: ${step}`);
-        
-        // Send step to UI as user message
-        this.sendToUI('user', step);
-        
-        // Wait a moment for UI to update
-        await this.sleep(300);
+      if (fromStep > 1) {
+        const earlierSteps = fromStep === 2 ? 'step 1' : `steps 1-${fromStep - 1}`;
+        this.sendToUI('system', options.replay
+          ? `⏩ Starting at step ${fromStep}, replaying ${earlierSteps} from the recorded run`
+          : `⏩ Starting at step ${fromStep}, skipping ${earlierSteps}`);
+      }
+      if (this.recordedActions) {
+        this.sendToUI('system', '⏯️ Replaying the steps recorded in the action log without the LLM; it takes over validations, conditions and steps where the page differs');
+      }
+      
+      // Apply front matter settings for the duration of this run
+      if (Object.keys(config).length > 0) {
+        this.sendToUI('system', `⚙️ Playbook settings: ${this.describeSettings(settings)}`);
+      }
+      restoreSettings = await this.applySettings(settings);
+      
+      const failedIterations = [];
+      for (const iteration of iterations) {
+        if (isDataDriven) {
+          this.sendToUI('system', `🔁 ${scenarios ? 'Scenario' : 'Iteration'} ${iteration.index + 1}/${iterations.length}: ${iteration.label}`);
+          
+          // Every row starts from a fresh browser context and a fresh conversation
+          this.llmService.clearHistory();
+        }
+        await this.prepareBrowser(settings, { fresh: isDataDriven });
+        this.llmService.setSecrets(iteration.variables.secrets);
         
         try {
-          // Execute the step via LLM service
-          // This will wait for LLM to complete all tool calls
-          logger.info(`[Playbook] Sending step ${i + 1} to LLM service...`);
-          await this.executeStep(step);
-          
-          logger.info(`[Playbook] Step ${i + 1}/${this.steps.length} LLM processing completed`);
-          
-          // Wait for LLM service to completely finish (in case of async operations)
-          await this.waitForLLMCompletion();
-          
-          // Additional delay for UI to fully update and allow time for
-          // page state to stabilize (especially after navigation/login)
-          logger.info(`[Playbook] Waiting for UI and page state to fully settle after step ${i + 1}...`);
-          await this.sleep(3000); // Increased from 1s to 3s for complex operations
-          
-          logger.info(`[Playbook] Step ${i + 1}/${this.steps.length} fully completed, ready for next step`);
-          
+          await this.executeIteration(iteration, settings, { fromStep, replay: options.replay || null });
         } catch (error) {
-          logger.error(`[Playbook] Step ${i + 1}/${this.steps.length} failed:`, error);
-          
-          // Show which step failed with its content
-          const stepPreview = step.length > 100 ? step.substring(0, 100) + '...' : step;
-          this.sendToUI('system', `❌ Playbook execution failed at step ${i + 1}/${this.steps.length}`);
-          this.sendToUI('system', `Step: "${stepPreview}"`);
-          this.sendToUI('system', `Error: ${error.message}`);
-          
-          // Stop execution on error
-          throw new Error(`Playbook execution stopped at step ${i + 1}: ${error.message}`);
+          if (!isDataDriven || error.cancelled) {
+            throw error;
+          }
+          // Keep going with the remaining rows, the run fails at the end
+          failedIterations.push(`${iteration.label}: ${error.message}`);
         }
       }
       
+      if (failedIterations.length > 0) {
+        throw new Error(`Playbook failed for ${failedIterations.length}/${iterations.length} ${scenarios ? 'scenarios' : 'dataset rows'}:\n${failedIterations.join('\n')}`);
+      }
+      
       // All steps completed
-      this.sendToUI('system', `✅ Playbook execution completed successfully (${this.steps.length}/${this.steps.length} steps)`);
+      const totalSteps = run.steps.filter(step => step.phase === 'steps').length;
+      const allSteps = this.flattenStepRecords(run.steps);
+      const failedOptional = allSteps.filter(step => step.status === 'failed' && step.optional).length;
+      const flaky = allSteps.filter(step => step.status === 'passed' && step.attempts > 1).length;
+      const skipped = run.steps.filter(step => step.phase === 'steps' && step.status === 'skipped').length;
+      const replayed = allSteps.filter(step => step.actionReplay === 'replayed').length;
+      const cached = allSteps.filter(step => step.planCache === 'hit').length;
+      const notes = [
+        skipped > 0 ? `${skipped} skipped` : null,
+        replayed > 0 ? `${replayed} replayed without the LLM` : null,
+        cached > 0 ? `${cached} from cached plans` : null,
+        failedOptional > 0 ? `${failedOptional} optional failed` : null,
+        flaky > 0 ? `${flaky} passed after a retry` : null
+      ].filter(Boolean).map(note => `, ${note}`).join('');
+      this.sendToUI('system', `✅ Playbook execution completed successfully (${totalSteps - skipped}/${totalSteps} steps${notes})`);
       logger.info('[Playbook] Playbook execution completed successfully');
       
       // Get validation results
@@ -191,6 +822,9 @@ class PlaybookService {
         logger.info(`[Playbook] Validation summary: ${passCount} passed, ${failCount} failed`);
       }
       
+      run.success = true;
+      const reports = await this.writeReports(run, reportDir, options.scriptLanguage);
+      
       // Notify UI that playbook execution is complete with validation results
       if (this.mainWindow && !this.mainWindow.isDestroyed()) {
         this.mainWindow.webContents.send('playbook-completed', { 
@@ -198,92 +832,1362 @@ class PlaybookService {
           validationResults 
         });
       }
+
+      return {
+        success: true,
+        totalSteps,
+        validationResults,
+        reports
+      };
       
     } catch (error) {
       logger.error('[Playbook] Playbook execution failed:', error);
       this.sendToUI('system', `❌ Playbook execution failed: ${error.message}`);
       
-      // Notify UI that playbook execution failed
+      run.success = false;
+      run.error = error.message;
+      await this.writeReports(run, reportDir, options.scriptLanguage);
+      
+      // Notify UI that playbook execution failed, with the step it can be resumed from
       if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-        this.mainWindow.webContents.send('playbook-completed', { success: false, error: error.message });
+        const failedStep = run.steps.find(step => step.phase === 'steps' && step.status === 'failed' && !step.optional);
+        this.mainWindow.webContents.send('playbook-completed', {
+          success: false,
+          error: error.message,
+          failedStep: failedStep && !isFeatureFile(filePath) ? failedStep.index : null
+        });
       }
       
       throw error;
       
     } finally {
+      if (restoreSettings) {
+        await restoreSettings();
+      }
+      this.llmService.setSecrets({});
+      
       // Clear playbook mode
       this.llmService.setPlaybookMode(false);
       
       this.isExecuting = false;
       this.currentStepIndex = 0;
+      this.currentStepLabel = null;
       this.steps = [];
+      this.previousStep = null;
+      this.recordedActions = null;
+      this.planCache = null;
+      this.stepDebugger.reset();
+      this.stepDebugger.notify();
+      
+      const { fromStep, replay, ...runOptions } = options;
+      this.lastRun = { filePath, options: runOptions, run };
     }
   }
 
   /**
-   * Execute a single step by sending it to the LLM service
+   * Run the last playbook again, starting at a step (e.g. the one it failed at)
+   * @param {number} fromStep - Playbook step to start at (1-based)
+   * @param {object} options - { replay: replay the earlier steps from the tool calls of the last run }
+   * @returns {Promise<object>} Summary, see executePlaybook
    */
-  async executeStep(step) {
-    try {
-      // Send the step to LLM service and wait for response
-      const response = await this.llmService.processMessage(step);
-      
-      // Display the response in the UI
-      if (response) {
-        this.sendToUI('assistant', response);
+  async resumeLastRun(fromStep, { replay = false } = {}) {
+    if (!this.lastRun) {
+      throw new Error('There is no playbook run to resume');
+    }
+    const { filePath, options, run } = this.lastRun;
+    return this.executePlaybook(filePath, {
+      ...options,
+      fromStep,
+      replay: replay ? this.flattenStepRecords(run.steps) : null
+    });
+  }
+
+  /**
+   * Build the iterations of a run: one per dataset row, or a single one without a dataset
+   * Each iteration has its own variable scope (row fields come first) and interpolated steps.
+   * A feature file runs every scenario as an iteration of its own, a Scenario Outline once per
+   * Examples row; the row fills in the outline's placeholders like a dataset row.
+   * @param {object} sections - { setup, steps, teardown } step nodes
+   * @param {Array<object>|null} scenarios - Scenarios of a feature file (see parseFeatureFile), replacing sections.steps
+   * @returns {Promise<Array<object>>} Iterations { index, label, row, variables, setup, steps, teardown,
+   *   setupRecords, stepRecords, teardownRecords }
+   */
+  async createIterations(settings, sections, filePath, options, scenarios = null) {
+    const runs = await this.listScenarios(settings, sections.steps, filePath, scenarios);
+    const iterations = [];
+    for (const scenario of runs) {
+      const rows = scenario.examples.length > 0 ? scenario.examples : [null];
+      for (let rowIndex = 0; rowIndex < rows.length; rowIndex++) {
+        iterations.push(await this.createIteration(settings, { ...sections, steps: scenario.steps }, filePath, options, {
+          index: iterations.length,
+          scenarioName: scenario.name,
+          row: rows[rowIndex],
+          rowIndex
+        }));
       }
-      
-      return response;
-      
-    } catch (error) {
-      logger.error('[Playbook] Error executing step:', error);
-      throw error;
     }
+    return iterations;
   }
 
   /**
-   * Send a message to the renderer UI
+   * The scenarios a run goes through: those of a feature file, or a single unnamed one holding
+   * the playbook steps with the dataset rows as its examples
+   * @returns {Promise<Array<object>>} Scenarios { name, steps, examples }
    */
-  sendToUI(role, message) {
-    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-      this.mainWindow.webContents.send('playbook-message', { role, message });
+  async listScenarios(settings, steps, filePath, scenarios) {
+    if (scenarios) {
+      if (settings.dataset) {
+        throw new Error('The dataset setting is not supported for .feature files; use a Scenario Outline with Examples');
+      }
+      return scenarios;
     }
+    return [{
+      name: null,
+      steps,
+      examples: settings.dataset
+        ? await loadDataset(path.resolve(path.dirname(path.resolve(filePath)), settings.dataset))
+        : []
+    }];
   }
 
   /**
-   * Sleep utility
+   * The scenarios of a feature file selected by a tag filter; the tags setting adds to the tags of every scenario
+   * @param {object|null} tagFilter - { include, exclude } tag lists, see matchesTags
+   * @throws {Error} If no scenario matches
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  filterScenarios(scenarios, settings, tagFilter) {
+    if (!tagFilter) {
+      return scenarios;
+    }
+    const selected = scenarios.filter(scenario => matchesTags([...settings.tags, ...scenario.tags], tagFilter));
+    if (selected.length === 0) {
+      throw new Error('No scenarios of the feature file match the tag filter');
+    }
+    if (selected.length < scenarios.length) {
+      logger.info(`[Playbook] Tag filter selected ${selected.length}/${scenarios.length} scenarios`);
+    }
+    return selected;
   }
-  
+
   /**
-   * Wait for LLM service to finish executing
-   * Polls the isExecuting flag every 100ms until it's false
+   * Build one iteration of a run with its variable scope, interpolated steps and step records
+   * @param {object} position - { index, scenarioName, row, rowIndex } of the iteration
    */
-  async waitForLLMCompletion() {
-    const maxWaitTime = 300000; // 5 minutes max wait
-    const pollInterval = 100; // Check every 100ms
-    let totalWaitTime = 0;
-    
-    logger.info('[Playbook] Waiting for LLM service to complete execution...');
-    
-    while (this.llmService.isExecuting && totalWaitTime < maxWaitTime) {
-      await this.sleep(pollInterval);
-      totalWaitTime += pollInterval;
-      
-      // Log progress every 5 seconds
-      if (totalWaitTime % 5000 === 0) {
-        logger.info(`[Playbook] Still waiting for LLM completion (${totalWaitTime / 1000}s)...`);
-      }
+  async createIteration(settings, sections, filePath, options, { index, scenarioName, row, rowIndex }) {
+    const variables = await this.createVariableScope(settings, filePath, options, row || {});
+    let label = row ? this.describeRow(row, rowIndex, variables) : null;
+    if (scenarioName) {
+      label = row ? `${scenarioName}, ${this.describeRow(row, rowIndex, variables, 'example')}` : scenarioName;
     }
-    
-    if (totalWaitTime >= maxWaitTime) {
-      logger.warn('[Playbook] LLM execution wait timeout reached');
-      throw new Error('LLM execution timeout - step took too long to complete');
+    const iteration = { index, label, row, variables };
+    const iterationInfo = label ? { index: index + 1, label } : null;
+    for (const [phase, nodes] of Object.entries(sections)) {
+      const prefix = SECTION_LABEL_PREFIXES[phase];
+      iteration[phase] = nodes.map((step, stepIndex) => this.interpolateStep(step, `${prefix}${stepIndex + 1}`, variables));
+      iteration[phase === 'steps' ? 'stepRecords' : `${phase}Records`] = iteration[phase].map((step, stepIndex) =>
+        this.createStepRecord(step, stepIndex + 1, `${prefix}${stepIndex + 1}`, iterationInfo, null, phase)
+      );
+    }
+    return iteration;
+  }
+
+  /**
+   * Label of a dataset row for the UI and reports, e.g. "Row 2 (username=problem_user)"
+   * @param {string} noun - What a row is called, "example" for the Examples rows of a Scenario Outline
+   */
+  describeRow(row, index, variables, noun = 'Row') {
+    const [firstColumn] = Object.keys(row);
+    if (!firstColumn) {
+      return `${noun} ${index + 1}`;
+    }
+    const value = variables.secretNames.has(firstColumn) ? '****' : row[firstColumn];
+    return `${noun} ${index + 1} (${firstColumn}=${value})`;
+  }
+
+  /**
+   * Execute one iteration: the setup steps, the playbook steps, then the teardown steps
+   * Teardown steps run even after a failed or cancelled step, and each of them runs even if
+   * the one before failed.
+   * @param {object} start - { fromStep: first playbook step to run, replay: recorded steps to replay the
+   *   earlier ones from, or null to skip them }
+   * @throws {Error} The setup or step failure, otherwise the teardown failures
+   */
+  async executeIteration(iteration, settings, { fromStep = 1, replay = null } = {}) {
+    let failure = null;
+    try {
+      if (iteration.setup.length > 0) {
+        this.sendToUI('system', `🔧 Setup (${iteration.setup.length} ${iteration.setup.length === 1 ? 'step' : 'steps'})`);
+        await this.executeSteps(iteration.setup, iteration.setupRecords, settings);
+      }
+      if (replay && fromStep > 1) {
+        await this.replaySteps(iteration, fromStep - 1, replay);
+      }
+      await this.executeSteps(iteration.steps, iteration.stepRecords, settings, fromStep - 1);
+    } catch (error) {
+      failure = error;
+    }
+
+    const teardownFailures = iteration.teardown.length > 0
+      ? await this.executeTeardown(iteration, settings, failure)
+      : [];
+    if (failure) {
+      throw failure;
+    }
+    if (teardownFailures.length > 0) {
+      throw new Error(`Teardown failed: ${teardownFailures.join('; ')}`);
+    }
+  }
+
+  /**
+   * Execute the steps of one section sequentially
+   * @param {number} firstIndex - Index of the first step to run; the steps before it stay skipped
+   * @throws {Error} If a step fails; the remaining steps of the section stay skipped
+   */
+  async executeSteps(steps, stepRecords, settings, firstIndex = 0) {
+    this.steps = steps;
+    for (let i = firstIndex; i < steps.length; i++) {
+      this.currentStepIndex = i;
+      try {
+        await this.executeNode(steps[i], stepRecords[i], settings);
+      } catch (error) {
+        this.reportStepFailure('❌ Playbook execution failed at step', error, steps.length);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Rebuild the page state of the first playbook steps by replaying the browser tool calls an
+   * earlier run recorded for them, without the LLM
+   * Validations and condition answers are not replayed; the replayed steps are reported as
+   * skipped with `replayed` set and the replayed calls as their tool calls.
+   * @param {number} count - Number of top-level playbook steps to replay
+   * @param {Array<object>} recordedSteps - Step records of the earlier run in execution order, nested
+   *   steps after their block (flattened run record steps or the steps of a JSON report)
+   * @throws {Error} If a step was not recorded or a replayed tool call fails
+   */
+  async replaySteps(iteration, count, recordedSteps) {
+    const recordedIteration = recordedSteps.filter(step =>
+      (step.phase || 'steps') === 'steps' && (step.iteration ? step.iteration.index - 1 : 0) === iteration.index
+    );
+
+    for (const stepRecord of iteration.stepRecords.slice(0, count)) {
+      const recorded = recordedIteration.filter(step => step.label === stepRecord.label || step.label.startsWith(`${stepRecord.label}.`));
+      if (recorded.length === 0) {
+        throw new Error(`Cannot replay step ${stepRecord.label}: the recorded run has no record of it`);
+      }
+      const toolCalls = recorded.flatMap(step => step.toolCalls || [])
+        .filter(call => call.success && !REPLAY_SKIPPED_TOOLS.includes(call.toolName));
+
+      this.currentStepLabel = stepRecord.label;
+      this.sendToUI('system', `⏩ Replaying step ${stepRecord.label} (${toolCalls.length} ${toolCalls.length === 1 ? 'tool call' : 'tool calls'}): ${stepRecord.text}`);
+      for (const call of toolCalls) {
+        logger.info(`[Playbook] Replaying ${call.toolName} of step ${stepRecord.label}`);
+        // Recorded coordinates are already in viewport space
+        const result = await this.llmService.callMcpTool(call.toolName, JSON.parse(JSON.stringify(call.args || {})), { viewportCoordinates: true });
+        const errorContent = result.isError ? (result.content || []).find(c => c.type === 'text') : null;
+        // Tools that navigate may report the destroyed execution context as an error
+        if (result.isError && !(errorContent && errorContent.text.includes('Execution context was destroyed'))) {
+          throw new Error(`Replaying ${call.toolName} of step ${stepRecord.label} failed: ${errorContent ? errorContent.text : 'unknown error'}`);
+        }
+      }
+      stepRecord.replayed = true;
+      stepRecord.toolCalls = toolCalls;
+    }
+  }
+
+  /**
+   * Execute all teardown steps of an iteration, continuing after failures
+   * A cancellation during the teardown stops it; the remaining teardown steps stay skipped.
+   * @param {Error|null} failure - Why the setup or steps failed, if they did
+   * @returns {Promise<string[]>} Error messages of the failed teardown steps
+   */
+  async executeTeardown(iteration, settings, failure) {
+    const count = iteration.teardown.length;
+    this.sendToUI('system', `🧹 Teardown (${count} ${count === 1 ? 'step' : 'steps'})${failure ? `, running after the ${failure.cancelled ? 'cancellation' : 'failure'}` : ''}`);
+    this.steps = iteration.teardown;
+    
+    const failures = [];
+    for (let i = 0; i < count; i++) {
+      this.currentStepIndex = i;
+      try {
+        await this.executeNode(iteration.teardown[i], iteration.teardownRecords[i], settings);
+      } catch (error) {
+        this.reportStepFailure('⚠️ Teardown failed at step', error, count);
+        failures.push(error.message);
+        if (error.cancelled) {
+          this.sendToUI('system', '🛑 Teardown cancelled, skipping the remaining teardown steps');
+          break;
+        }
+      }
+    }
+    return failures;
+  }
+
+  /**
+   * Show which step failed with its content
+   * @param {string} heading - Start of the first message, followed by the step label
+   * @param {Error} error - Error thrown by executeNode
+   * @param {number} total - Number of steps in the section
+   */
+  reportStepFailure(heading, error, total) {
+    const stepPreview = error.stepText.length > 100 ? error.stepText.substring(0, 100) + '...' : error.stepText;
+    this.sendToUI('system', `${heading} ${error.stepLabel}/${total} (${error.stepSource})`);
+    this.sendToUI('system', `Step: "${stepPreview}"`);
+    this.sendToUI('system', `Error: ${error.cause.message}`);
+  }
+
+  /**
+   * Execute one step node once the debugger lets it run
+   * While paused at the step, the user may skip it or re-run the previous step first.
+   * @throws {Error} If a required step fails or the run is cancelled
+   */
+  async executeNode(node, stepRecord, settings) {
+    for (;;) {
+      let command;
+      try {
+        command = await this.stepDebugger.beforeStep(stepRecord.label, node.text, this.previousStep !== null);
+      } catch (error) {
+        // Cancelled while paused
+        throw this.createStepError(error, node, stepRecord);
+      }
+      if (command === 'run') {
+        break;
+      }
+      if (command === 'skip') {
+        logger.info(`[Playbook] Step ${stepRecord.label} skipped by the user`);
+        this.sendToUI('system', `⏭️ Skipped step ${stepRecord.label}: ${node.text}`);
+        return;
+      }
+      await this.rerunPreviousStep();
+    }
+
+    // Chat commands sent while paused may still be running
+    await this.waitForLLMCompletion();
+    await this.runNode(node, stepRecord, settings);
+    this.previousStep = { node, stepRecord, settings };
+  }
+
+  /**
+   * Run the previous step again, replacing what its record held
+   */
+  async rerunPreviousStep() {
+    const { node, stepRecord, settings } = this.previousStep;
+    logger.info(`[Playbook] Re-running step ${stepRecord.label}`);
+    this.sendToUI('system', `🔁 Re-running step ${stepRecord.label}`);
+    await this.waitForLLMCompletion();
+
+    const { optional, iteration, pass, phase } = stepRecord;
+    Object.assign(stepRecord, this.createStepRecord(node, stepRecord.index, stepRecord.label, iteration, pass, phase), { optional });
+    await this.runNode(node, stepRecord, settings);
+  }
+
+  /**
+   * Run one step node (plain step, If or Repeat until block) and fill in its record
+   * A failing optional step is recorded as failed and the run goes on.
+   * @throws {Error} If a required step fails or the run is cancelled
+   */
+  async runNode(node, stepRecord, settings) {
+    const stepStartTime = Date.now();
+    stepRecord.startedAt = new Date(stepStartTime).toISOString();
+    
+    try {
+      if (node.type === 'if') {
+        await this.executeIfBlock(node, stepRecord, settings);
+      } else if (node.type === 'repeat') {
+        await this.executeRepeatBlock(node, stepRecord, settings);
+      } else if (node.type === 'include') {
+        await this.executeIncludeBlock(node, stepRecord, settings);
+      } else {
+        await this.executeAction(node, stepRecord, settings);
+      }
+      stepRecord.status = 'passed';
+      
+    } catch (error) {
+      stepRecord.status = 'failed';
+      stepRecord.error = error.message;
+      
+      if (node.optional && !error.cancelled) {
+        logger.warn(`[Playbook] Optional step ${stepRecord.label} failed, continuing:`, error.message);
+        this.sendToUI('system', `⚠️ Optional step ${stepRecord.label} failed, continuing: ${error.message}`);
+        return;
+      }
+      if (error.stepLabel) {
+        // Failure of a nested step, already wrapped below
+        throw error;
+      }
+      
+      logger.error(`[Playbook] Step ${stepRecord.label}/${this.steps.length} failed:`, error);
+      
+      // Stop execution on error
+      throw this.createStepError(error, node, stepRecord);
+      
+    } finally {
+      stepRecord.durationMs = Date.now() - stepStartTime;
+    }
+  }
+
+  /**
+   * Error stopping the run at a step, carrying the step for reportStepFailure
+   */
+  createStepError(error, node, stepRecord) {
+    const stepError = new Error(`Playbook execution stopped at step ${stepRecord.label}: ${error.message}`, { cause: error });
+    stepError.cancelled = error.cancelled;
+    stepError.stepLabel = stepRecord.label;
+    stepError.stepText = node.text;
+    stepError.stepSource = formatSource(node.source);
+    return stepError;
+  }
+
+  /**
+   * Send a plain step to the LLM and capture the settled page
+   */
+  async executeAction(node, stepRecord, settings) {
+    this.currentStepLabel = stepRecord.label;
+    logger.info(`[Playbook] Executing step ${stepRecord.label}/${this.steps.length}: ${node.text}`);
+    
+    // Send step to UI as user message
+    this.sendToUI('user', node.optional ? `Optional: ${node.text}` : node.text);
+    
+    // Wait a moment for UI to update
+    await this.sleep(300);
+    
+    let planUrl = null;
+    try {
+      // Steps that change the page may be repeated from a saved action log or a cached plan
+      if (!node.validate && this.planCache) {
+        planUrl = await this.getPageUrl();
+      }
+      if (!node.validate && (await this.replayRecordedActions(stepRecord) || await this.replayCachedPlan(stepRecord, planUrl))) {
+        await this.sleep(settings.settleDelayMs);
+        stepRecord.screenshot = this.captureScreenshot();
+        return;
+      }
+
+      // Execute the step via LLM service
+      // This will wait for LLM to complete all tool calls
+      logger.info(`[Playbook] Sending step ${stepRecord.label} to LLM service...`);
+      const validationStart = stepRecord.validations.length;
+      // Actions of a diverged replay came first and are not part of the LLM's plan
+      const actionStart = stepRecord.actions.length;
+      await this.executeTurn(node.validate ? this.buildValidationPrompt(node.text) : node.text, stepRecord, this.resolveStepSettings(node, settings));
+      if (node.validate) {
+        this.checkValidation(node, stepRecord.validations.slice(validationStart));
+      }
+      if (planUrl !== null) {
+        await this.cachePlan(stepRecord, planUrl, stepRecord.actions.slice(actionStart));
+      }
+    } catch (error) {
+      stepRecord.screenshot = this.captureScreenshot();
+      if (stepRecord.planCache === 'diverged') {
+        // Neither the plan nor the LLM completed the step, the plan is stale
+        await this.planCache.delete(stepRecord.text, planUrl);
+      }
+      throw error;
+    }
+    
+    logger.info(`[Playbook] Step ${stepRecord.label}/${this.steps.length} LLM processing completed`);
+    
+    // Additional delay for UI to fully update and allow time for
+    // page state to stabilize (especially after navigation/login)
+    logger.info(`[Playbook] Waiting for UI and page state to fully settle after step ${stepRecord.label}...`);
+    await this.sleep(settings.settleDelayMs); // 3s by default for complex operations
+    
+    // Capture the settled page for the report
+    stepRecord.screenshot = this.captureScreenshot();
+    
+    logger.info(`[Playbook] Step ${stepRecord.label}/${this.steps.length} fully completed, ready for next step`);
+  }
+
+  /**
+   * Replay the actions a saved action log recorded for a step, if it has any
+   * A replay that diverges from the recording (an element is gone or a call fails) is reported
+   * and the LLM runs the step from the page the replay left. Steps whose text changed since the
+   * recording (an edited step or other variable values) are left to the LLM as well.
+   * @returns {Promise<boolean>} Whether the step was replayed
+   * @throws {Error} If the run is cancelled during the replay
+   */
+  async replayRecordedActions(stepRecord) {
+    const actions = this.recordedActions && this.recordedActions.get(ActionReplayService.getStepRecordKey(stepRecord));
+    if (!actions) {
+      return false;
+    }
+    if (actions[0].stepText !== undefined && actions[0].stepText !== stepRecord.text) {
+      this.sendToUI('system', `↪️ Step ${stepRecord.label} changed since its actions were recorded; the LLM runs it`);
+      stepRecord.actionReplay = 'diverged';
+      return false;
+    }
+
+    const actionStart = this.llmService.getActionLog().length;
+    const count = actions.filter(action => action.success).length;
+    this.sendToUI('system', `⏯️ Replaying ${count} recorded ${count === 1 ? 'action' : 'actions'} of step ${stepRecord.label}`);
+    try {
+      stepRecord.toolCalls.push(...await new ActionReplayService(this.llmService).replayActions(actions));
+      stepRecord.actionReplay = 'replayed';
+      return true;
+    } catch (error) {
+      if (error.cancelled) {
+        throw error;
+      }
+      logger.warn(`[Playbook] Replay of step ${stepRecord.label} diverged:`, error.message);
+      this.sendToUI('system', `↪️ ${error.message}; the LLM takes over step ${stepRecord.label}`);
+      stepRecord.actionReplay = 'diverged';
+      return false;
+    } finally {
+      stepRecord.actions.push(...this.llmService.getActionLog().slice(actionStart));
+    }
+  }
+
+  /**
+   * Replay the cached plan of a step, if the plan cache has one for the step text and page
+   * Any action that fails or makes no visual change ends the replay and the LLM runs the step
+   * from the page the plan left.
+   * @param {string|null} url - URL of the page the step starts on, null without a plan cache
+   * @returns {Promise<boolean>} Whether the plan completed the step
+   * @throws {Error} If the run is cancelled during the replay
+   */
+  async replayCachedPlan(stepRecord, url) {
+    const plan = url === null || stepRecord.actionReplay ? null : this.planCache.get(stepRecord.text, url);
+    if (!plan) {
+      return false;
+    }
+
+    const actionStart = this.llmService.getActionLog().length;
+    this.sendToUI('system', `💾 Replaying the cached plan of step ${stepRecord.label} (${plan.actions.length} ${plan.actions.length === 1 ? 'action' : 'actions'})`);
+    try {
+      const replayService = new ActionReplayService(this.llmService, { requireVisualChange: true });
+      stepRecord.toolCalls.push(...await replayService.replayActions(plan.actions));
+      stepRecord.planCache = 'hit';
+      return true;
+    } catch (error) {
+      if (error.cancelled) {
+        throw error;
+      }
+      logger.warn(`[Playbook] Cached plan of step ${stepRecord.label} failed:`, error.message);
+      this.sendToUI('system', `↪️ Cached plan: ${error.message}; the LLM takes over step ${stepRecord.label}`);
+      stepRecord.planCache = 'diverged';
+      return false;
+    } finally {
+      stepRecord.actions.push(...this.llmService.getActionLog().slice(actionStart));
+    }
+  }
+
+  /**
+   * Store the actions the LLM took for a step as its plan
+   * Steps that needed a retry are not cached, their actions include the failed attempts.
+   * @param {string} url - URL of the page the step started on
+   * @param {Array<object>} actions - Action log entries of the LLM's turn
+   */
+  async cachePlan(stepRecord, url, actions) {
+    if (stepRecord.attempts > 1) {
+      return;
+    }
+    if (await this.planCache.put(stepRecord.text, url, actions)) {
+      stepRecord.planCache = stepRecord.planCache === 'diverged' ? 'updated' : 'stored';
+    }
+  }
+
+  /**
+   * Message asking the LLM to check a validation step (a Then step of a feature file) through
+   * the validateScenario tool
+   */
+  buildValidationPrompt(text) {
+    return `Validate: ${text}\n\n` +
+      'Only look at the page (browser_snapshot, or browser_take_screenshot for visual checks) and do not change it. ' +
+      'Then call the validateScenario tool with pass or fail.';
+  }
+
+  /**
+   * Fail a validation step that did not end in a passing validateScenario call
+   * @param {Array<object>} validations - Validation results recorded by the step
+   * @throws {Error} If there is no validation or the last one failed
+   */
+  checkValidation(node, validations) {
+    const validation = validations[validations.length - 1];
+    if (!validation) {
+      throw new Error(`"${node.text}" was not validated (no validateScenario call)`);
+    }
+    if (validation.result !== 'pass') {
+      throw new Error(`Validation failed: ${validation.failReason || validation.scenario}`);
+    }
+  }
+
+  /**
+   * Settings of a plain step: its own timeout, retries and recovery options override the playbook's
+   */
+  resolveStepSettings(node, settings) {
+    const options = node.options || {};
+    return {
+      ...settings,
+      stepTimeoutMs: options.timeoutMs ?? settings.stepTimeoutMs,
+      retries: options.retries ?? settings.retries,
+      recovery: options.recovery ?? settings.recovery
+    };
+  }
+
+  /**
+   * Run the nested steps of an If block when its condition holds; otherwise they stay skipped
+   */
+  async executeIfBlock(node, stepRecord, settings) {
+    const conditionMet = await this.evaluateCondition(node, stepRecord, settings);
+    const childRecords = this.addChildRecords(node, stepRecord, null);
+    if (!conditionMet) {
+      this.sendToUI('system', `↪️ Condition not met, skipping ${this.describeStepCount(node.steps.length)} of step ${stepRecord.label}`);
+      return;
+    }
+    await this.executeChildren(node, childRecords, settings);
+  }
+
+  /**
+   * Run the steps of an included playbook
+   */
+  async executeIncludeBlock(node, stepRecord, settings) {
+    this.currentStepLabel = stepRecord.label;
+    logger.info(`[Playbook] Step ${stepRecord.label} includes ${node.file} (${formatSource(node.source)})`);
+    this.sendToUI('system', `📎 Step ${stepRecord.label}: including ${node.file} (${node.steps.length} ${node.steps.length === 1 ? 'step' : 'steps'})`);
+    await this.executeChildren(node, this.addChildRecords(node, stepRecord, null), settings);
+  }
+
+  /**
+   * Run the nested steps of a Repeat until block until its condition holds
+   * The condition is checked before every pass, so a condition that already holds runs no pass.
+   * @throws {Error} If the condition still does not hold after maxIterations passes
+   */
+  async executeRepeatBlock(node, stepRecord, settings) {
+    for (let pass = 1; ; pass++) {
+      if (await this.evaluateCondition(node, stepRecord, settings)) {
+        this.sendToUI('system', `✅ Condition met after ${pass - 1} ${pass === 2 ? 'pass' : 'passes'} of step ${stepRecord.label}`);
+        return;
+      }
+      if (pass > node.maxIterations) {
+        throw new Error(`Condition "${node.condition}" still not met after ${node.maxIterations} ${node.maxIterations === 1 ? 'pass' : 'passes'}`);
+      }
+      this.sendToUI('system', `🔁 Step ${stepRecord.label}, pass ${pass}/${node.maxIterations}`);
+      await this.executeChildren(node, this.addChildRecords(node, stepRecord, pass), settings);
+    }
+  }
+
+  /**
+   * Execute the nested steps of a block in order
+   */
+  async executeChildren(node, childRecords, settings) {
+    for (let i = 0; i < node.steps.length; i++) {
+      await this.executeNode(node.steps[i], childRecords[i], settings);
+    }
+  }
+
+  /**
+   * Create the records of a block's nested steps (labelled "2.1", "2.2", ...) under its record
+   * Steps nested in an optional block are optional too, their failure never fails the run.
+   * @param {number|null} pass - Pass of a Repeat until block
+   */
+  addChildRecords(node, stepRecord, pass) {
+    const childRecords = node.steps.map((child, i) => {
+      const childRecord = this.createStepRecord(child, i + 1, `${stepRecord.label}.${i + 1}`, stepRecord.iteration, pass, stepRecord.phase);
+      childRecord.optional = childRecord.optional || stepRecord.optional;
+      return childRecord;
+    });
+    stepRecord.steps.push(...childRecords);
+    return childRecords;
+  }
+
+  /**
+   * Ask the LLM whether the condition of a block holds on the current page
+   * The answer is read from the evaluateCondition tool call and kept on the step record.
+   * @returns {Promise<boolean>}
+   * @throws {Error} If the LLM fails or answers without calling evaluateCondition
+   */
+  async evaluateCondition(node, stepRecord, settings) {
+    this.currentStepLabel = stepRecord.label;
+    logger.info(`[Playbook] Evaluating condition of step ${stepRecord.label}: ${node.condition}`);
+    this.sendToUI('user', node.optional ? `Optional: ${node.text}` : node.text);
+    await this.sleep(300);
+
+    const conditionStart = stepRecord.conditions.length;
+    await this.executeTurn(this.buildConditionPrompt(node.condition), stepRecord, settings);
+
+    const answer = stepRecord.conditions.slice(conditionStart).pop();
+    if (!answer) {
+      throw new Error(`The condition "${node.condition}" was not evaluated (no evaluateCondition call)`);
+    }
+    return answer.result === 'yes';
+  }
+
+  /**
+   * Message asking the LLM to answer a block condition through the evaluateCondition tool
+   */
+  buildConditionPrompt(condition) {
+    return `Evaluate whether this condition is currently true on the page: "${condition}"\n\n` +
+      'Only look at the page (browser_snapshot, or browser_take_screenshot for visual conditions) and do not change it. ' +
+      'Then call the evaluateCondition tool with "yes" or "no".';
+  }
+
+  /**
+   * Send one message of a step to the LLM (with timeout and retries) and add what the LLM
+   * service recorded for it to the step record
+   */
+  async executeTurn(message, stepRecord, settings) {
+    const turnStart = this.llmService.getSessionLog().length;
+    const validationStart = this.llmService.getValidationResults().length;
+    const actionStart = this.llmService.getActionLog().length;
+    try {
+      await this.executeStepWithRetries(message, settings, stepRecord);
+    } finally {
+      this.collectTurns(stepRecord, turnStart, validationStart, actionStart);
+    }
+  }
+
+  /**
+   * "1 nested step" / "3 nested steps"
+   */
+  describeStepCount(count) {
+    return `${count} nested ${count === 1 ? 'step' : 'steps'}`;
+  }
+
+  /**
+   * Create the record of a run that reports are built from
+   */
+  createRunRecord(filePath) {
+    return {
+      playbook: path.basename(filePath || 'playbook'),
+      file: filePath ? path.resolve(filePath) : null,
+      startedAt: new Date().toISOString(),
+      startTime: Date.now(),
+      finishedAt: null,
+      durationMs: 0,
+      success: false,
+      error: null,
+      iterations: [],
+      steps: [],
+      reports: null // { junit, json, html } once written
+    };
+  }
+
+  /**
+   * Create the record of a single step; steps that never run stay "skipped"
+   * @param {object} node - Step node
+   * @param {number} index - 1-based position of the step within its playbook or block
+   * @param {string} label - Step number shown to the user, e.g. "3", "3.1" for nested steps or "S1" / "T1"
+   *   for setup and teardown steps
+   * @param {object|null} iteration - { index, label } of the dataset row
+   * @param {number|null} pass - Pass of the enclosing Repeat until block
+   * @param {string} phase - Playbook section: 'setup', 'steps' or 'teardown'
+   */
+  createStepRecord(node, index, label, iteration = null, pass = null, phase = 'steps') {
+    return {
+      index,
+      label,
+      phase,
+      type: node.type,
+      text: node.text,
+      source: node.source ? { file: node.source.file, line: node.source.line } : null,
+      optional: node.optional,
+      pass,
+      iteration,
+      status: 'skipped',
+      startedAt: null,
+      durationMs: 0,
+      error: null,
+      attempts: 0,
+      failedAttempts: [], // { attempt, error } of the attempts that failed and were retried
+      response: null,
+      toolCalls: [],
+      actions: [], // Action log entries of the browser tool calls, see LLMService.recordAction
+      actionReplay: null, // 'replayed' or 'diverged' when a saved action log had actions for the step
+      planCache: null, // 'hit', 'diverged', 'stored' or 'updated' when plans are cached, see replayCachedPlan
+      validations: [],
+      conditions: [], // evaluateCondition answers of If / Repeat until steps
+      screenshot: null,
+      steps: [] // Records of nested steps, in execution order
+    };
+  }
+
+  /**
+   * Add the tool calls, actions, validations and condition answers recorded by the LLM service since
+   * the given session log, validation and action log positions to a step record
+   */
+  collectTurns(stepRecord, turnStart, validationStart, actionStart) {
+    const turns = this.llmService.getSessionLog().slice(turnStart);
+    const toolCalls = turns.flatMap(turn => turn.toolCalls);
+    stepRecord.toolCalls.push(...toolCalls);
+    stepRecord.actions.push(...this.llmService.getActionLog().slice(actionStart));
+    stepRecord.conditions.push(...toolCalls.filter(call => call.condition).map(call => call.condition));
+    stepRecord.validations.push(...this.llmService.getValidationResults().slice(validationStart));
+    if (turns.length > 0) {
+      stepRecord.response = turns[turns.length - 1].response;
+    }
+  }
+
+  /**
+   * Step records in execution order, each block followed by its nested steps
+   */
+  flattenStepRecords(stepRecords) {
+    return stepRecords.flatMap(stepRecord => [stepRecord, ...this.flattenStepRecords(stepRecord.steps)]);
+  }
+
+  /**
+   * Latest full-resolution screenshot from the screenshot stream (base64 PNG), if any
+   */
+  captureScreenshot() {
+    const screenshotService = this.llmService.screenshotService;
+    const screenshotData = screenshotService ? screenshotService.getLastScreenshot() : null;
+    return screenshotData ? screenshotData.full : null;
+  }
+
+  /**
+   * Write JUnit XML, JSON and HTML reports for the run when a report directory is configured
+   * Report errors are logged but never fail the run.
+   * @param {string} [scriptLanguage] - Also write a test script of the run in this language
+   * @returns {Promise<object|null>} Paths of the written reports, also kept as run.reports
+   */
+  async writeReports(run, reportDir, scriptLanguage = null) {
+    run.finishedAt = new Date().toISOString();
+    run.durationMs = Date.now() - run.startTime;
+
+    if (!reportDir) {
+      return null;
+    }
+
+    try {
+      const reports = await new ReportService(reportDir).writeReports({ ...run, steps: this.flattenStepRecords(run.steps) }, { scriptLanguage });
+      run.reports = reports;
+      this.sendToUI('system', `📄 Reports written: ${reports.junit}, ${reports.json}, ${reports.html}, ${reports.actions}${reports.script ? `, ${reports.script}` : ''}`);
+      return reports;
+    } catch (error) {
+      logger.error('[Playbook] Failed to write reports:', error);
+      this.sendToUI('system', `⚠️ Failed to write reports to ${reportDir}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Validate the front matter of a playbook and fill in defaults
+   *
+   * Supported keys:
+   * - baseUrl: opened before the first step; relative URLs in steps resolve against it
+   * - viewport: browser viewport as "WIDTHxHEIGHT"
+   * - zoom: zoom percent, same semantics as the -z flag (use either viewport or zoom)
+   * - provider / model: LLM provider and model used for this playbook
+   * - stepTimeout: max duration of a step ("90s", "2m" or milliseconds)
+   * - settleDelay: wait after each step for the page to settle ("3s" or milliseconds)
+   * - retries: how many times a failed step is retried
+   * - recovery: what to do before retrying a failed step: none, snapshot (retry with fresh element
+   *   refs), reload (reload the page) or an instruction for the LLM ("Close any open dialog")
+   * - vars: map of variables available as ${NAME} in steps
+   * - secrets: list of variable names whose values must never be shown to the LLM or the user
+   * - dataset: CSV or JSON file (relative to the playbook); the steps run once per row
+   * - tags: list of tags (or a comma separated string) for selecting playbooks of a suite with
+   *   --tags / --exclude-tags; in a feature file they add to the tags of every scenario
+   *
+   * @param {object} config - Raw front matter object
+   * @param {string[]} [warnings] - Collects the unknown settings instead of logging them
+   * @returns {object} Settings { baseUrl, viewport, provider, model, stepTimeoutMs, settleDelayMs, retries, recovery,
+   *   vars, secretNames, dataset, tags }
+   * @throws {Error} If a setting has an invalid value
+   */
+  resolveSettings(config, warnings = null) {
+    const settings = {
+      baseUrl: null,
+      viewport: null,
+      provider: null,
+      model: null,
+      stepTimeoutMs: DEFAULT_STEP_TIMEOUT_MS,
+      settleDelayMs: DEFAULT_SETTLE_DELAY_MS,
+      retries: 0,
+      recovery: 'none',
+      vars: {},
+      secretNames: [],
+      dataset: null,
+      tags: []
+    };
+    const invalid = (key, expected) => new Error(`Invalid front matter setting ${key}: ${JSON.stringify(config[key])} (expected ${expected})`);
+
+    if (config.viewport !== undefined && config.zoom !== undefined) {
+      throw new Error('Front matter can set either viewport or zoom, not both');
+    }
+
+    for (const [key, value] of Object.entries(config)) {
+      switch (key) {
+        case 'baseUrl':
+          if (typeof value !== 'string' || !/^https?:\/\//i.test(value)) {
+            throw invalid(key, 'an http(s) URL');
+          }
+          settings.baseUrl = value;
+          break;
+        case 'viewport':
+          settings.viewport = parseViewportSize(value);
+          if (!settings.viewport) {
+            throw invalid(key, 'WIDTHxHEIGHT, e.g. 1280x720');
+          }
+          break;
+        case 'zoom': {
+          if (typeof value !== 'number' || value <= 0) {
+            throw invalid(key, 'a zoom percent, e.g. 150');
+          }
+          settings.viewport = parseViewportSize(zoomToViewportSize(value)) || { ...BASE_VIEWPORT };
+          break;
+        }
+        case 'provider':
+          if (!PROVIDERS[String(value).toLowerCase()]) {
+            throw invalid(key, `one of ${Object.keys(PROVIDERS).join(', ')}`);
+          }
+          settings.provider = String(value).toLowerCase();
+          break;
+        case 'model':
+          if (!value) {
+            throw invalid(key, 'a model name');
+          }
+          settings.model = String(value);
+          break;
+        case 'stepTimeout':
+          settings.stepTimeoutMs = parseDuration(value);
+          if (!settings.stepTimeoutMs) {
+            throw invalid(key, 'a duration such as "90s" or "2m"');
+          }
+          break;
+        case 'settleDelay':
+          settings.settleDelayMs = parseDuration(value);
+          if (settings.settleDelayMs === null) {
+            throw invalid(key, 'a duration such as "500ms" or "3s"');
+          }
+          break;
+        case 'retries':
+          if (!Number.isInteger(value) || value < 0) {
+            throw invalid(key, 'a non-negative integer');
+          }
+          settings.retries = value;
+          break;
+        case 'recovery':
+          if (typeof value !== 'string' || !value.trim()) {
+            throw invalid(key, `${RECOVERY_ACTIONS.join(', ')} or an instruction`);
+          }
+          settings.recovery = RECOVERY_ACTIONS.includes(value.trim().toLowerCase()) ? value.trim().toLowerCase() : value.trim();
+          break;
+        case 'vars':
+          if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw invalid(key, 'a map of name: value');
+          }
+          settings.vars = value;
+          break;
+        case 'dataset':
+          if (typeof value !== 'string' || !/\.(csv|json)$/i.test(value)) {
+            throw invalid(key, 'a .csv or .json file path');
+          }
+          settings.dataset = value;
+          break;
+        case 'secrets':
+          if (!Array.isArray(value) || !value.every(name => typeof name === 'string')) {
+            throw invalid(key, 'a list of variable names');
+          }
+          settings.secretNames = value;
+          break;
+        case 'tags':
+          if (typeof value !== 'string' && !(Array.isArray(value) && value.every(tag => typeof tag === 'string'))) {
+            throw invalid(key, 'a list of tags');
+          }
+          settings.tags = parseTags(value);
+          break;
+        default:
+          if (warnings) {
+            warnings.push(`Unknown front matter setting "${key}" is ignored`);
+          } else {
+            logger.warn(`[Playbook] Ignoring unknown front matter setting "${key}"`);
+          }
+      }
+    }
+
+    return settings;
+  }
+
+  /**
+   * Build the variable scope of a run
+   * Values are looked up in order: the dataset row, options.vars (--var), front matter vars,
+   * the secrets file, environment variables. Variables defined in the secrets file or listed in
+   * the front matter `secrets` key are secret.
+   * @param {object} row - Dataset row of the iteration (empty without a dataset)
+   * @returns {Promise<object>} { lookup(name), secretNames: Set, secrets: { name: value } }
+   */
+  async createVariableScope(settings, filePath, options = {}, row = {}) {
+    const cliVars = options.vars || {};
+    const secretsFile = options.secretsFile || process.env.PLAYBOOK_SECRETS_FILE || await this.findDefaultSecretsFile(filePath);
+    const fileSecrets = secretsFile ? await loadSecretsFile(secretsFile) : {};
+    if (secretsFile) {
+      logger.info(`[Playbook] Loaded ${Object.keys(fileSecrets).length} secret(s) from ${secretsFile}`);
+    }
+
+    const lookup = (name) => {
+      for (const source of [row, cliVars, settings.vars, fileSecrets]) {
+        if (Object.prototype.hasOwnProperty.call(source, name) && source[name] !== null) {
+          return String(source[name]);
+        }
+      }
+      return process.env[name];
+    };
+
+    const secretNames = new Set([...settings.secretNames, ...Object.keys(fileSecrets)]);
+    const secrets = {};
+    for (const name of secretNames) {
+      const value = lookup(name);
+      if (value !== undefined && value !== '') {
+        secrets[name] = value;
+      }
+    }
+
+    return { lookup, secretNames, secrets };
+  }
+
+  /**
+   * .env.secrets next to the playbook, if there is one
+   */
+  async findDefaultSecretsFile(filePath) {
+    const candidate = path.join(path.dirname(path.resolve(filePath)), DEFAULT_SECRETS_FILE);
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Replace ${NAME} placeholders in a step node (text, condition and nested steps) with variable values
+   * Secret placeholders are kept as is; LLMService substitutes them at tool-call time.
+   * @param {string} label - Step number used in error messages, e.g. "3" or "3.1"
+   * @returns {object} Interpolated copy of the node
+   * @throws {Error} If the step uses a variable without a value
+   */
+  interpolateStep(step, label, variables) {
+    const fill = (text) => {
+      const missing = this.findUndefinedVariables(text, variables);
+      if (missing.length > 0) {
+        throw new Error(`${formatSource(step.source)}: Step ${label} uses undefined variable${missing.length > 1 ? 's' : ''} ${missing.map(name => '${' + name + '}').join(', ')}`);
+      }
+      return interpolate(text, name => (variables.secretNames.has(name) ? undefined : variables.lookup(name)));
+    };
+
+    const interpolated = { ...step, text: fill(step.text) };
+    if (step.condition !== undefined) {
+      interpolated.condition = fill(step.condition);
+    }
+    if (step.steps) {
+      interpolated.steps = step.steps.map((child, i) => this.interpolateStep(child, `${label}.${i + 1}`, variables));
+    }
+    return interpolated;
+  }
+
+  /**
+   * Names of the ${NAME} placeholders in a text that have no value in a variable scope
+   * A secret needs a non-empty value.
+   */
+  findUndefinedVariables(text, variables) {
+    return findPlaceholders(text).filter(name =>
+      variables.secretNames.has(name) ? !(name in variables.secrets) : variables.lookup(name) === undefined
+    );
+  }
+
+  /**
+   * Human readable summary of the settings that differ from the defaults
+   */
+  describeSettings(settings) {
+    const parts = [];
+    if (settings.baseUrl) parts.push(`base URL ${settings.baseUrl}`);
+    if (settings.viewport) parts.push(`viewport ${settings.viewport.width}x${settings.viewport.height}`);
+    if (settings.provider || settings.model) parts.push(`LLM ${[settings.provider, settings.model].filter(Boolean).join(' ')}`);
+    if (settings.stepTimeoutMs !== DEFAULT_STEP_TIMEOUT_MS) parts.push(`step timeout ${settings.stepTimeoutMs / 1000}s`);
+    if (settings.settleDelayMs !== DEFAULT_SETTLE_DELAY_MS) parts.push(`settle delay ${settings.settleDelayMs}ms`);
+    if (settings.retries > 0) parts.push(`${settings.retries} ${settings.retries === 1 ? 'retry' : 'retries'} per step`);
+    if (settings.recovery !== 'none') parts.push(`recovery ${settings.recovery}`);
+    const varCount = Object.keys(settings.vars).length;
+    if (varCount > 0) parts.push(`${varCount} ${varCount === 1 ? 'variable' : 'variables'}`);
+    if (settings.secretNames.length > 0) parts.push(`secrets ${settings.secretNames.join(', ')}`);
+    if (settings.dataset) parts.push(`dataset ${settings.dataset}`);
+    return parts.length > 0 ? parts.join(', ') : 'defaults';
+  }
+
+  /**
+   * Apply run settings to the LLM service (the browser is set up by prepareBrowser)
+   * @returns {Promise<Function>} Async function restoring the previous LLM and viewport state
+   */
+  async applySettings(settings) {
+    const restoreActions = [];
+
+    if (settings.provider || settings.model) {
+      if (process.env.LLM_CASSETTE) {
+        // A cassette is bound to the provider it was recorded with
+        logger.warn('[Playbook] Ignoring provider/model front matter while an LLM cassette is in use');
+      } else {
+        const previousAdapter = this.llmService.adapter;
+        const providerName = settings.provider || this.llmService.provider;
+        this.llmService.setProvider(createProvider(providerName, { model: settings.model || undefined }));
+        if (previousAdapter) {
+          restoreActions.push(() => this.llmService.setProvider(previousAdapter));
+        }
+      }
+    }
+
+    if (settings.viewport) {
+      const previousViewport = parseViewportSize(process.env.MCP_VIEWPORT_SIZE) || BASE_VIEWPORT;
+      restoreActions.push(() => this.resizeBrowser(previousViewport));
+    }
+
+    if (settings.baseUrl) {
+      this.llmService.setBaseUrl(settings.baseUrl);
+      restoreActions.push(() => this.llmService.setBaseUrl(null));
+    }
+
+    return async () => {
+      for (const restore of restoreActions.reverse()) {
+        try {
+          await restore();
+        } catch (error) {
+          logger.warn('[Playbook] Failed to restore setting after run:', error.message);
+        }
+      }
+    };
+  }
+
+  /**
+   * Bring the browser into the state the playbook expects: viewport size and base URL
+   * @param {object} settings - Run settings
+   * @param {object} options - { fresh: close the browser first so the iteration gets a new context }
+   */
+  async prepareBrowser(settings, { fresh = false } = {}) {
+    const mcpService = this.llmService.mcpService;
+    if (fresh) {
+      // The MCP server runs with --isolated, so the next tool call opens a brand new context
+      logger.info('[Playbook] Closing browser for a fresh context');
+      await mcpService.callTool('browser_close', {});
+    }
+
+    if (settings.viewport) {
+      await this.resizeBrowser(settings.viewport);
+    }
+
+    if (settings.baseUrl) {
+      const result = await mcpService.callTool('browser_navigate', { url: settings.baseUrl });
+      if (result.isError) {
+        const errorContent = (result.content || []).find(c => c.type === 'text');
+        logger.warn(`[Playbook] Navigation to base URL reported an error: ${errorContent ? errorContent.text : 'unknown error'}`);
+      }
+    }
+  }
+
+  /**
+   * Resize the MCP browser viewport
+   */
+  async resizeBrowser({ width, height }) {
+    logger.info(`[Playbook] Resizing browser viewport to ${width}x${height}`);
+    const result = await this.llmService.mcpService.callTool('browser_resize', { width, height });
+    if (result.isError) {
+      const errorContent = (result.content || []).find(c => c.type === 'text');
+      throw new Error(`Failed to resize browser to ${width}x${height}: ${errorContent ? errorContent.text : 'unknown error'}`);
+    }
+  }
+
+  /**
+   * Execute a step, retrying it up to settings.retries times when it fails
+   * Every attempt gets settings.stepTimeoutMs, and settings.recovery runs before each retry.
+   * Steps cancelled by the user are never retried.
+   */
+  async executeStepWithRetries(step, settings, stepRecord) {
+    const maxAttempts = settings.retries + 1;
+    let message = step;
+    for (let attempt = 1; ; attempt++) {
+      // A block evaluating its condition several times keeps the most attempts any turn needed
+      stepRecord.attempts = Math.max(stepRecord.attempts, attempt);
+      try {
+        await this.executeStepWithTimeout(message, settings.stepTimeoutMs);
+        
+        // Wait for LLM service to completely finish (in case of async operations)
+        await this.waitForLLMCompletion(settings.stepTimeoutMs);
+        return;
+      } catch (error) {
+        // Let a timed out LLM loop wind down before deciding what to do next
+        await this.windDownLLM();
+        
+        if (error.cancelled || attempt >= maxAttempts) {
+          throw error;
+        }
+        stepRecord.failedAttempts.push({ attempt, error: error.message });
+        logger.warn(`[Playbook] Step ${stepRecord.label} attempt ${attempt}/${maxAttempts} failed: ${error.message}`);
+        this.sendToUI('system', `🔁 Step ${stepRecord.label} failed (${error.message}), retrying (attempt ${attempt + 1}/${maxAttempts})...`);
+        message = await this.recoverStep(step, error, settings);
+      }
+    }
+  }
+
+  /**
+   * Run the recovery action between two attempts of a failed step
+   * - none: retry the step as is
+   * - snapshot: retry with a note that element refs are stale, so the LLM takes a fresh snapshot
+   * - reload: reload the current page, then retry
+   * - any other text: send it to the LLM as an instruction, then retry
+   * A failed recovery is logged and the step is retried anyway.
+   * @returns {Promise<string>} Message to send for the next attempt
+   * @throws {Error} If the user cancels the recovery
+   */
+  async recoverStep(step, error, settings) {
+    if (settings.recovery === 'none') {
+      return step;
+    }
+    if (settings.recovery === 'snapshot') {
+      return `The previous attempt of this step failed: ${error.message}\n` +
+        'Element refs from before may be stale: call browser_snapshot first, then do the step again.\n\n' + step;
+    }
+
+    try {
+      if (settings.recovery === 'reload') {
+        this.sendToUI('system', '🩹 Reloading the page before retrying');
+        await this.reloadPage();
+      } else {
+        this.sendToUI('system', `🩹 Recovering before retrying: ${settings.recovery}`);
+        await this.executeStepWithTimeout(settings.recovery, settings.stepTimeoutMs);
+        await this.waitForLLMCompletion(settings.stepTimeoutMs);
+      }
+    } catch (recoveryError) {
+      await this.windDownLLM();
+      if (recoveryError.cancelled) {
+        throw recoveryError;
+      }
+      logger.warn('[Playbook] Recovery failed, retrying anyway:', recoveryError.message);
+      this.sendToUI('system', `⚠️ Recovery failed (${recoveryError.message}), retrying anyway`);
+    }
+    return step;
+  }
+
+  /**
+   * Reload the current page of the MCP browser
+   */
+  async reloadPage() {
+    const mcpService = this.llmService.mcpService;
+    const url = await this.getPageUrl();
+    if (!url) {
+      throw new Error('The current page URL is unknown');
+    }
+
+    logger.info(`[Playbook] Reloading ${url}`);
+    const result = await mcpService.callTool('browser_navigate', { url });
+    if (result.isError) {
+      const errorContent = (result.content || []).find(c => c.type === 'text');
+      throw new Error(`Failed to reload ${url}: ${errorContent ? errorContent.text : 'unknown error'}`);
+    }
+  }
+
+  /**
+   * URL of the current page, read from a fresh snapshot, falling back to the last navigated URL
+   * @returns {Promise<string>} The URL, empty if unknown
+   */
+  async getPageUrl() {
+    const mcpService = this.llmService.mcpService;
+    const snapshot = await mcpService.callTool('browser_snapshot', {});
+    const snapshotText = ((snapshot.content || []).find(c => c.type === 'text') || {}).text || '';
+    const urlMatch = snapshotText.match(/- Page URL: (.+)/m);
+    return urlMatch ? urlMatch[1].trim() : await mcpService.getCurrentUrl();
+  }
+
+  /**
+   * Execute a step, cancelling it when it runs longer than timeoutMs
+   */
+  async executeStepWithTimeout(step, timeoutMs) {
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        logger.warn(`[Playbook] Step timed out after ${timeoutMs}ms, cancelling LLM execution`);
+        this.llmService.cancelExecution();
+        reject(new Error(`Step timed out after ${Math.round(timeoutMs / 1000)}s`));
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([this.executeStep(step), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Execute a single step by sending it to the LLM service
+   */
+  async executeStep(step) {
+    try {
+      // Send the step to LLM service and wait for response
+      const response = await this.llmService.processMessage(step);
+      
+      // Display the response in the UI
+      if (response) {
+        this.sendToUI('assistant', response);
+      }
+      
+      return response;
+      
+    } catch (error) {
+      logger.error('[Playbook] Error executing step:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a message to the renderer UI
+   */
+  sendToUI(role, message) {
+    message = maskSecrets(message, this.llmService.getSecretValues());
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send('playbook-message', { role, message });
+    }
+    if (this.messageListener) {
+      this.messageListener(role, message);
+    }
+  }
+
+  /**
+   * Sleep utility
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+  
+  /**
+   * Wait for LLM service to finish executing
+   * Polls the isExecuting flag every 100ms until it's false
+   * @param {number} maxWaitTime - Give up after this many milliseconds
+   */
+  async waitForLLMCompletion(maxWaitTime = DEFAULT_STEP_TIMEOUT_MS) {
+    const pollInterval = 100; // Check every 100ms
+    let totalWaitTime = 0;
+    
+    logger.info('[Playbook] Waiting for LLM service to complete execution...');
+    
+    while (this.llmService.isExecuting && totalWaitTime < maxWaitTime) {
+      await this.sleep(pollInterval);
+      totalWaitTime += pollInterval;
+      
+      // Log progress every 5 seconds
+      if (totalWaitTime % 5000 === 0) {
+        logger.info(`[Playbook] Still waiting for LLM completion (${totalWaitTime / 1000}s)...`);
+      }
+    }
+    
+    if (totalWaitTime >= maxWaitTime) {
+      logger.warn('[Playbook] LLM execution wait timeout reached');
+      throw new Error('LLM execution timeout - step took too long to complete');
+    }
+    
+    logger.info(`[Playbook] LLM service completed execution (waited ${totalWaitTime}ms)`);
+  }
+
+  /**
+   * Give a cancelled or timed out LLM loop time to stop before the step is retried or fails
+   * A loop that is still running afterwards is logged; the caller goes on with the step's own error.
+   * @returns {Promise<boolean>} Whether the LLM service finished in time
+   */
+  async windDownLLM() {
+    try {
+      await this.waitForLLMCompletion(LLM_WIND_DOWN_MS);
+      return true;
+    } catch (error) {
+      logger.warn(`[Playbook] LLM loop still running after ${LLM_WIND_DOWN_MS / 1000}s, continuing without it`);
+      return false;
     }
-    
-    logger.info(`[Playbook] LLM service completed execution (waited ${totalWaitTime}ms)`);
   }
 
   /**
@@ -294,7 +2198,9 @@ class PlaybookService {
       isExecuting: this.isExecuting,
       currentStepIndex: this.currentStepIndex,
       totalSteps: this.steps.length,
-      currentStep: this.steps[this.currentStepIndex] || null
+      currentStepLabel: this.currentStepLabel || String(this.currentStepIndex + 1),
+      currentStep: this.steps[this.currentStepIndex] ? this.steps[this.currentStepIndex].text : null,
+      debug: this.stepDebugger.getState()
     };
   }
 }
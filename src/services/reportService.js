@@ -0,0 +1,900 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { generateScript } = require('./codegen');
+
+/**
+ * ReportService - Writes machine-readable reports for a finished playbook run
+ *
+ * A run record (built by PlaybookService) looks like:
+ * {
+ *   playbook, file, startedAt, finishedAt, durationMs, success, error, iterations, fromStep,
+ *   steps: [{ index, label, phase, type, text, source, optional, pass, iteration, status, startedAt, durationMs, attempts,
+ *             failedAttempts, error, response, toolCalls, actions, actionReplay, planCache, validations, conditions, screenshot }]
+ * }
+ * where `toolCalls` are LLMService session log records, `actions` its action log entries and `screenshot` is the base64 PNG
+ * captured after the step (or null). Steps nested in If / Repeat until blocks follow their
+ * block and are labelled "3.1", "3.2", ...; `pass` is the Repeat until pass they ran in.
+ * `source` is the { file, line } the step was parsed from (an included playbook for included steps).
+ * `phase` is the playbook section: 'setup', 'steps' or 'teardown'; setup and teardown steps are
+ * reported apart from the playbook steps. `attempts` counts the attempts a step took and
+ * `failedAttempts` holds the { attempt, error } of the ones that failed and were retried; a step
+ * that passed after a retry is flaky. A run resumed with fromStep skips the steps before it; steps
+ * rebuilt from an earlier run's tool calls are skipped with `replayed` set. `actionReplay` is 'replayed' for
+ * steps run from a saved action log without the LLM and 'diverged' when that replay fell back to the LLM.
+ * `planCache` is 'hit' for steps run from a cached plan, 'diverged' when the plan failed, and 'stored' /
+ * 'updated' when the LLM's actions were cached as the step's (new) plan.
+ *
+ * Reports written to the output directory:
+ * - <playbook>.junit.xml   JUnit XML, one testcase per step and per validation
+ * - <playbook>.report.json Timings, tool calls per step and links to the screenshots
+ * - <playbook>.report.html Self-contained HTML report with embedded screenshots
+ * - <playbook>.actions.json Browser actions of the passed steps, for replaying the run without the LLM
+ *                           (see ActionReplayService)
+ * - screenshots/<playbook>/step-NN.png (row-RR-step-NN.png for data-driven runs, step-NN.M-pass-P.png
+ *   for steps nested in blocks, setup-NN.png / teardown-NN.png for Setup and Teardown steps)
+ *
+ * A suite run (built by SuiteService) writes the reports of each playbook to the subfolder
+ * matching the playbook's folder, plus the aggregated suite reports:
+ * - <suite>.suite.junit.xml   The testsuites of every playbook in one document
+ * - <suite>.suite.report.json Status and counts per playbook with links to their reports
+ * - <suite>.suite.report.html Overview table linking to the HTML report of each playbook
+ */
+const HTML_REPORT_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f5f6f8; color: #1f2933; }
+  header { background: #1f2933; color: #fff; padding: 20px 32px; }
+  header h1 { margin: 0 0 8px; font-size: 22px; }
+  main { padding: 24px 32px; }
+  .stats { display: flex; gap: 20px; flex-wrap: wrap; font-size: 14px; }
+  .badge { display: inline-block; padding: 2px 8px; border-radius: 4px; font-size: 12px; font-weight: 600; color: #fff; vertical-align: middle; }
+  .badge-passed { background: #2e7d32; }
+  .badge-failed { background: #c62828; }
+  .badge-skipped { background: #78909c; }
+  .step { background: #fff; border-radius: 8px; border-left: 4px solid #2e7d32; padding: 16px 20px; margin-bottom: 20px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.08); }
+  .step-failed { border-left-color: #c62828; }
+  .step-skipped { border-left-color: #78909c; opacity: 0.7; }
+  .step-optional.step-failed { border-left-color: #ef6c00; }
+  .step h2 { font-size: 16px; margin: 0 0 8px; }
+  .step-text, .args { white-space: pre-wrap; word-break: break-word; background: #f0f2f5; padding: 8px 12px; border-radius: 4px; font-size: 13px; margin: 6px 0; }
+  .muted { color: #7b8794; font-weight: normal; font-size: 13px; }
+  .run-error { color: #c62828; white-space: pre-wrap; }
+  .validations { list-style: none; padding: 0; }
+  .validation { padding: 6px 10px; border-radius: 4px; margin-bottom: 4px; }
+  .validation-pass { background: #e8f5e9; }
+  .validation-fail { background: #ffebee; }
+  .condition { background: #e3f2fd; }
+  .reason { font-size: 13px; margin-top: 2px; }
+  .tool-call { border: 1px solid #e4e7eb; border-radius: 6px; padding: 8px 12px; margin: 8px 0; }
+  .tool-call-error { border-color: #ef9a9a; }
+  .change { color: #2e7d32; font-size: 13px; }
+  .no-change { color: #ef6c00; font-size: 13px; }
+  .screenshots { display: flex; gap: 12px; flex-wrap: wrap; }
+  figure { margin: 0; flex: 1 1 400px; max-width: 50%; }
+  figcaption { font-size: 12px; color: #7b8794; margin-bottom: 4px; }
+  .shot { position: relative; }
+  .shot img, img.page { width: 100%; border: 1px solid #e4e7eb; border-radius: 4px; }
+  .click-marker { position: absolute; width: 14px; height: 14px; margin: -9px 0 0 -9px; border: 2px solid #fff; border-radius: 50%; background: rgba(255, 0, 0, 0.6); }
+  .missing { padding: 20px; text-align: center; background: #f0f2f5; color: #7b8794; border-radius: 4px; }
+  .response { margin-top: 8px; white-space: pre-wrap; font-size: 14px; }
+  details { margin-top: 8px; }
+  h3.phase { font-size: 15px; margin: 20px 0 10px; color: #52606d; }
+  h2.iteration { font-size: 18px; margin: 28px 0 12px; padding-bottom: 6px; border-bottom: 2px solid #cbd2d9; }
+  table.playbooks { width: 100%; border-collapse: collapse; background: #fff; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.08); font-size: 14px; }
+  table.playbooks th, table.playbooks td { text-align: left; padding: 10px 14px; border-bottom: 1px solid #e4e7eb; vertical-align: top; }
+  table.playbooks th { color: #52606d; font-size: 13px; }
+  table.playbooks .run-error { margin: 0; font-size: 13px; }
+`;
+
+const PHASE_HEADINGS = { setup: '🔧 Setup', steps: '📋 Steps', teardown: '🧹 Teardown' };
+const PLAN_CACHE_LABELS = {
+  hit: 'from cached plan',
+  diverged: 'cached plan failed',
+  stored: 'plan cached',
+  updated: 'cached plan updated'
+};
+
+class ReportService {
+  constructor(outputDir) {
+    this.outputDir = path.resolve(outputDir);
+  }
+
+  /**
+   * Build a run record from the LLMService session log (one step per chat message)
+   * @param {Array<object>} sessionLog - Turns from llmService.getSessionLog()
+   * @param {string} title - Name shown in the report
+   */
+  static runFromSessionLog(sessionLog, title) {
+    const startedAt = sessionLog.length > 0 ? sessionLog[0].startedAt : new Date().toISOString();
+    const steps = sessionLog.map((turn, index) => ({
+      index: index + 1,
+      label: String(index + 1),
+      phase: 'steps',
+      type: 'action',
+      text: turn.message,
+      optional: false,
+      pass: null,
+      status: turn.error ? 'failed' : 'passed',
+      startedAt: turn.startedAt,
+      durationMs: turn.durationMs,
+      attempts: 1,
+      failedAttempts: [],
+      error: turn.error,
+      response: turn.response,
+      toolCalls: turn.toolCalls,
+      validations: turn.toolCalls.filter(call => call.validation).map(call => call.validation),
+      conditions: turn.toolCalls.filter(call => call.condition).map(call => call.condition),
+      screenshot: null
+    }));
+    return {
+      playbook: title,
+      file: null,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - new Date(startedAt).getTime(),
+      success: steps.every(step => step.status === 'passed'),
+      error: null,
+      steps
+    };
+  }
+
+  /**
+   * Write all reports for a run
+   * @param {object} run - Run record
+   * @param {object} [options] - { scriptLanguage: also write a test script of the run in this
+   *   language, see buildScript }
+   * @returns {Promise<object>} Paths of the written files { junit, json, html, actions, script }, script is
+   *   null when no script was asked for or the run has nothing to write one from
+   */
+  async writeReports(run, { scriptLanguage = null } = {}) {
+    const baseName = this.getBaseName(run.playbook);
+    await fs.mkdir(this.outputDir, { recursive: true });
+
+    const screenshots = await this.writeScreenshots(run, baseName);
+
+    const junitPath = path.join(this.outputDir, `${baseName}.junit.xml`);
+    await fs.writeFile(junitPath, this.buildJUnitXml(run), 'utf-8');
+
+    const jsonPath = path.join(this.outputDir, `${baseName}.report.json`);
+    await fs.writeFile(jsonPath, JSON.stringify(this.buildJsonReport(run, screenshots), null, 2), 'utf-8');
+
+    const htmlPath = path.join(this.outputDir, `${baseName}.report.html`);
+    await fs.writeFile(htmlPath, this.buildHtmlReport(run), 'utf-8');
+
+    const actionsPath = path.join(this.outputDir, `${baseName}.actions.json`);
+    await fs.writeFile(actionsPath, JSON.stringify(this.buildActionLog(run), null, 2), 'utf-8');
+
+    let scriptPath = null;
+    if (scriptLanguage) {
+      try {
+        const { script, fileName } = this.buildScript(run, scriptLanguage);
+        scriptPath = path.join(this.outputDir, fileName);
+        await fs.writeFile(scriptPath, script, 'utf-8');
+      } catch (error) {
+        // A run without browser actions has no script, the other reports are still useful
+        logger.warn(`[Report] No test script written: ${error.message}`);
+        scriptPath = null;
+      }
+    }
+
+    logger.info(`[Report] Wrote ${junitPath}, ${jsonPath}, ${htmlPath} and ${actionsPath}${scriptPath ? ` and ${scriptPath}` : ''}`);
+    return { junit: junitPath, json: jsonPath, html: htmlPath, actions: actionsPath, script: scriptPath };
+  }
+
+  /**
+   * Write the aggregated reports of a suite run
+   * @param {object} suite - Suite record { name, baseDir, startedAt, finishedAt, durationMs, success, error,
+   *   tags, excluded, workers, playbooks } where playbooks holds { file, role, status, error, worker, durationMs,
+   *   run, reports } per playbook: file relative to baseDir, role 'setup', 'playbook' or 'teardown', status
+   *   'passed', 'failed' or 'skipped', worker the number of the worker that ran it (null without workers),
+   *   run the run record (null if it never ran) and reports its report paths
+   * @returns {Promise<object>} Paths of the written files { junit, json, html }
+   */
+  async writeSuiteReports(suite) {
+    const baseName = `${this.getBaseName(suite.name)}.suite`;
+    await fs.mkdir(this.outputDir, { recursive: true });
+
+    const junitPath = path.join(this.outputDir, `${baseName}.junit.xml`);
+    await fs.writeFile(junitPath, this.buildSuiteJUnitXml(suite), 'utf-8');
+
+    const jsonPath = path.join(this.outputDir, `${baseName}.report.json`);
+    await fs.writeFile(jsonPath, JSON.stringify(this.buildSuiteJsonReport(suite), null, 2), 'utf-8');
+
+    const htmlPath = path.join(this.outputDir, `${baseName}.report.html`);
+    await fs.writeFile(htmlPath, this.buildSuiteHtmlReport(suite), 'utf-8');
+
+    logger.info(`[Report] Wrote ${junitPath}, ${jsonPath} and ${htmlPath}`);
+    return { junit: junitPath, json: jsonPath, html: htmlPath };
+  }
+
+  /**
+   * Save step screenshots as PNG files
+   * @returns {Promise<Map<object, string>>} Step record -> screenshot path relative to the output directory
+   */
+  async writeScreenshots(run, baseName) {
+    const links = new Map();
+    const stepsWithScreenshots = run.steps.filter(step => step.screenshot);
+    if (stepsWithScreenshots.length === 0) {
+      return links;
+    }
+
+    const relativeDir = path.join('screenshots', baseName);
+    await fs.mkdir(path.join(this.outputDir, relativeDir), { recursive: true });
+
+    for (const step of stepsWithScreenshots) {
+      const iterationPrefix = step.iteration ? `row-${String(step.iteration.index).padStart(2, '0')}-` : '';
+      const [number, ...nested] = step.label.replace(/^[ST]/, '').split('.');
+      const stepName = [number.padStart(2, '0'), ...nested].join('.') + (step.pass ? `-pass-${step.pass}` : '');
+      const phase = step.phase && step.phase !== 'steps' ? step.phase : 'step';
+      const relativePath = path.join(relativeDir, `${iterationPrefix}${phase}-${stepName}.png`);
+      await fs.writeFile(path.join(this.outputDir, relativePath), Buffer.from(step.screenshot, 'base64'));
+      // Use forward slashes so the link works in browsers and CI dashboards on every platform
+      links.set(step, relativePath.split(path.sep).join('/'));
+    }
+    return links;
+  }
+
+  /**
+   * Build the JUnit XML document
+   * Steps that errored are failures, steps that never ran are skipped,
+   * validations with result "fail" are failures carrying their failReason.
+   * Data-driven runs get one <testsuite> per dataset row.
+   */
+  buildJUnitXml(run) {
+    return this.buildTestsuitesXml(this.buildTestsuites(run), run.durationMs);
+  }
+
+  /**
+   * Build the <testsuite> elements of a run, one per dataset row and playbook section
+   * @param {string} name - Name the testsuites start with, the playbook's base name by default
+   * @returns {Array<object>} { xml, tests, failures, skipped } of each testsuite (see buildTestsuite)
+   */
+  buildTestsuites(run, name = this.getBaseName(run.playbook)) {
+    const groups = this.groupSteps(run);
+    return groups.map(group => this.buildTestsuite(
+      name + (group.label ? ` [${group.label}]` : '') + (group.phase !== 'steps' ? ` (${group.phase})` : ''),
+      group.steps,
+      groups.length > 1 ? group.steps.reduce((total, step) => total + step.durationMs, 0) : run.durationMs,
+      run
+    ));
+  }
+
+  /**
+   * Wrap testsuites in the <testsuites> root element with their totals
+   */
+  buildTestsuitesXml(suites, durationMs) {
+    const totals = suites.reduce((sum, suite) => ({
+      tests: sum.tests + suite.tests,
+      failures: sum.failures + suite.failures,
+      skipped: sum.skipped + suite.skipped
+    }), { tests: 0, failures: 0, skipped: 0 });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="ConversePlay" tests="${totals.tests}" failures="${totals.failures}" errors="0" skipped="${totals.skipped}" time="${this.toSeconds(durationMs)}">`,
+      ...suites.map(suite => suite.xml),
+      '</testsuites>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Split the steps of a run by dataset row and playbook section (setup, steps, teardown);
+   * runs without a dataset and Setup / Teardown sections form a single group
+   * @returns {Array<object>} Groups { label, phase, steps }
+   */
+  groupSteps(run) {
+    const groups = [];
+    for (const step of run.steps) {
+      const label = step.iteration ? step.iteration.label : null;
+      const phase = step.phase || 'steps';
+      const last = groups[groups.length - 1];
+      if (last && last.label === label && last.phase === phase) {
+        last.steps.push(step);
+      } else {
+        groups.push({ label, phase, steps: [step] });
+      }
+    }
+    return groups.length > 0 ? groups : [{ label: null, phase: 'steps', steps: [] }];
+  }
+
+  /**
+   * Build one <testsuite> element with its counts
+   * @returns {object} { xml, tests, failures, skipped }
+   */
+  buildTestsuite(suiteName, steps, durationMs, run) {
+    const testcases = [];
+    let failures = 0;
+    let skipped = 0;
+
+    if (steps.length === 0 && run.error) {
+      // The playbook could not even be parsed: report it as a single failing testcase
+      failures++;
+      testcases.push(this.buildTestcase(suiteName, 'Load playbook', 0, { failure: run.error }));
+    }
+
+    for (const step of steps) {
+      const stepName = `${this.describeStep(step)}: ${this.summarize(step.text)}`;
+      if (step.status === 'skipped') {
+        skipped++;
+        testcases.push(this.buildTestcase(suiteName, stepName, 0, {
+          skipped: step.replayed ? 'Replayed from the tool calls of an earlier run' : true,
+          source: this.getRelativeSource(run, step)
+        }));
+        continue;
+      }
+      if (step.status === 'failed' && step.optional) {
+        // Optional steps never fail the run; report them as skipped with the reason
+        skipped++;
+        testcases.push(this.buildTestcase(suiteName, stepName, step.durationMs, {
+          skipped: `Optional step failed: ${step.error || 'Step failed'}`,
+          source: this.getRelativeSource(run, step)
+        }));
+        continue;
+      }
+      if (step.status === 'failed') {
+        failures++;
+      }
+      testcases.push(this.buildTestcase(suiteName, stepName, step.durationMs, {
+        failure: step.status === 'failed' ? (step.error || 'Step failed') : null,
+        source: this.getRelativeSource(run, step),
+        attempts: step.attempts
+      }));
+
+      for (const validation of step.validations) {
+        const failed = validation.result === 'fail';
+        if (failed) {
+          failures++;
+        }
+        testcases.push(this.buildTestcase(`${suiteName}.step-${step.label}`, `Validation: ${validation.scenario}`, 0, {
+          failure: failed ? (validation.failReason || 'Validation failed') : null
+        }));
+      }
+    }
+
+    const attributes = [
+      `name="${this.escapeXml(suiteName)}"`,
+      `tests="${testcases.length}"`,
+      `failures="${failures}"`,
+      'errors="0"',
+      `skipped="${skipped}"`,
+      `time="${this.toSeconds(durationMs)}"`,
+      `timestamp="${this.escapeXml(run.startedAt)}"`
+    ].join(' ');
+
+    return {
+      xml: [`  <testsuite ${attributes}>`, ...testcases, '  </testsuite>'].join('\n'),
+      tests: testcases.length,
+      failures,
+      skipped
+    };
+  }
+
+  /**
+   * Source { file, line } of a step with the file relative to the playbook's directory
+   * (forward slashes), or null for steps without a source
+   */
+  getRelativeSource(run, step) {
+    if (!step.source) {
+      return null;
+    }
+    const file = run.file ? path.relative(path.dirname(run.file), step.source.file) : path.basename(step.source.file);
+    return { file: file.split(path.sep).join('/'), line: step.source.line };
+  }
+
+  /**
+   * "Step 3", "Step 3.1" or "Step 3.1 (pass 2)" for a step nested in a Repeat until block
+   */
+  describeStep(step) {
+    return `Step ${step.label}${step.pass ? ` (pass ${step.pass})` : ''}`;
+  }
+
+  /**
+   * Build a single <testcase> element
+   * @param {object} options - { failure: failure message, skipped: true or a skip message,
+   *   source: { file, line } of the step, written as file/line attributes,
+   *   attempts: attempts the step took, written as an "attempts" property when it was retried }
+   */
+  buildTestcase(classname, name, durationMs, { failure = null, skipped = false, source = null, attempts = 1 } = {}) {
+    const sourceAttributes = source ? ` file="${this.escapeXml(source.file)}" line="${source.line}"` : '';
+    const open = `    <testcase classname="${this.escapeXml(classname)}" name="${this.escapeXml(name)}" time="${this.toSeconds(durationMs)}"${sourceAttributes}`;
+    const properties = attempts > 1
+      ? `\n      <properties>\n        <property name="attempts" value="${attempts}"/>\n      </properties>`
+      : '';
+    if (typeof skipped === 'string') {
+      return `${open}>\n      <skipped message="${this.escapeXml(this.summarize(skipped))}"/>\n    </testcase>`;
+    }
+    if (skipped) {
+      return `${open}>\n      <skipped/>\n    </testcase>`;
+    }
+    if (failure) {
+      return `${open}>${properties}\n      <failure message="${this.escapeXml(this.summarize(failure))}">${this.escapeXml(failure)}</failure>\n    </testcase>`;
+    }
+    return properties ? `${open}>${properties}\n    </testcase>` : `${open}/>`;
+  }
+
+  /**
+   * Build the JSON report object
+   * @param {object} run - Run record
+   * @param {Map<object, string>} screenshots - Step record -> relative screenshot path
+   */
+  buildJsonReport(run, screenshots) {
+    const allValidations = run.steps.flatMap(step => step.validations);
+    const failedValidations = allValidations.filter(v => v.result === 'fail').length;
+    return {
+      playbook: run.playbook,
+      file: run.file,
+      fromStep: run.fromStep || null,
+      // A run only succeeds when every step completed and no validation failed
+      success: run.success && failedValidations === 0,
+      error: run.error,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      durationMs: run.durationMs,
+      // Step counts cover the playbook steps; setup and teardown steps are counted apart
+      summary: {
+        ...this.countSteps(run.steps.filter(step => (step.phase || 'steps') === 'steps')),
+        passedValidations: allValidations.filter(v => v.result === 'pass').length,
+        failedValidations,
+        setup: this.countSteps(run.steps.filter(step => step.phase === 'setup')),
+        teardown: this.countSteps(run.steps.filter(step => step.phase === 'teardown'))
+      },
+      iterations: run.iterations || [],
+      steps: run.steps.map(step => ({
+        index: step.index,
+        label: step.label,
+        phase: step.phase || 'steps',
+        type: step.type,
+        pass: step.pass || null,
+        iteration: step.iteration || null,
+        text: step.text,
+        source: this.getRelativeSource(run, step),
+        optional: Boolean(step.optional),
+        status: step.status,
+        replayed: Boolean(step.replayed),
+        actionReplay: step.actionReplay || null,
+        planCache: step.planCache || null,
+        startedAt: step.startedAt,
+        durationMs: step.durationMs,
+        attempts: step.attempts,
+        failedAttempts: step.failedAttempts || [],
+        error: step.error,
+        toolCalls: step.toolCalls.map(call => ({
+          toolName: call.toolName,
+          args: call.args,
+          startedAt: call.startedAt,
+          durationMs: call.durationMs,
+          success: call.success,
+          error: call.error,
+          visualChange: call.visualChange,
+          changePercent: call.changePercent
+        })),
+        validations: step.validations,
+        conditions: step.conditions || [],
+        screenshot: screenshots.get(step) || null
+      }))
+    };
+  }
+
+  /**
+   * Build the action log of a run: the browser actions of its passed plain steps, each with the
+   * step (label and text), dataset row or scenario (1-based) and Repeat until pass it was recorded for
+   * Actions of failed steps are left out, the LLM has to work those out again; If / Repeat until
+   * blocks only look at the page to answer their condition.
+   */
+  buildActionLog(run) {
+    return {
+      playbook: run.playbook,
+      file: run.file,
+      recordedAt: run.finishedAt,
+      actions: run.steps
+        .filter(step => step.status === 'passed' && step.type === 'action')
+        .flatMap(step => (step.actions || []).map(action => ({
+          step: step.label,
+          iteration: step.iteration ? step.iteration.index : null,
+          pass: step.pass || null,
+          stepText: step.text,
+          ...action
+        })))
+    };
+  }
+
+  /**
+   * Build a test script of a run from its action log, with the validations of its steps as assertions
+   * @param {string} language - Script language, see codegen LANGUAGES
+   * @returns {object} { script, fileName }
+   * @throws {Error} If the language is unknown or the run has no browser actions
+   */
+  buildScript(run, language) {
+    const validations = run.steps.flatMap(step => (step.validations || []).map(validation => ({
+      step: step.label,
+      iteration: step.iteration ? step.iteration.index : null,
+      pass: step.pass || null,
+      stepText: step.text,
+      ...validation
+    })));
+    return generateScript(this.buildActionLog(run).actions, { language, title: this.getBaseName(run.playbook), validations });
+  }
+
+  /**
+   * Step counts for the JSON report summary
+   */
+  countSteps(steps) {
+    return {
+      totalSteps: steps.length,
+      passedSteps: steps.filter(step => step.status === 'passed').length,
+      failedSteps: steps.filter(step => step.status === 'failed' && !step.optional).length,
+      failedOptionalSteps: steps.filter(step => step.status === 'failed' && step.optional).length,
+      skippedSteps: steps.filter(step => step.status === 'skipped').length,
+      // Steps that passed only after a retry
+      flakySteps: steps.filter(step => step.status === 'passed' && step.attempts > 1).length
+    };
+  }
+
+  /**
+   * Build the JUnit XML document of a suite: the testsuites of every playbook, named after the
+   * playbook's path; a playbook that never ran is a single skipped testcase
+   */
+  buildSuiteJUnitXml(suite) {
+    const suites = suite.playbooks.flatMap(playbook => {
+      const name = this.describeSuitePlaybook(playbook);
+      if (playbook.run) {
+        return this.buildTestsuites(playbook.run, name);
+      }
+      const testcase = this.buildTestcase(name, 'Run playbook', 0, { skipped: playbook.error || true });
+      const attributes = `name="${this.escapeXml(name)}" tests="1" failures="0" errors="0" skipped="1" time="0.000" timestamp="${this.escapeXml(suite.startedAt)}"`;
+      return [{ xml: [`  <testsuite ${attributes}>`, testcase, '  </testsuite>'].join('\n'), tests: 1, failures: 0, skipped: 1 }];
+    });
+    return this.buildTestsuitesXml(suites, suite.durationMs);
+  }
+
+  /**
+   * Build the JSON report object of a suite
+   */
+  buildSuiteJsonReport(suite) {
+    const playbooks = suite.playbooks.map(playbook => ({
+      file: playbook.file,
+      role: playbook.role,
+      status: playbook.status,
+      error: playbook.error,
+      worker: playbook.worker || null,
+      durationMs: playbook.durationMs,
+      summary: playbook.run ? this.summarizeRun(playbook.run) : null,
+      reports: playbook.reports ? this.getRelativeReports(playbook.reports) : null
+    }));
+    const counted = suite.playbooks.filter(playbook => playbook.role === 'playbook');
+    const runs = counted.filter(playbook => playbook.run).map(playbook => playbook.run);
+    return {
+      suite: suite.name,
+      baseDir: suite.baseDir,
+      success: suite.success,
+      error: suite.error,
+      startedAt: suite.startedAt,
+      finishedAt: suite.finishedAt,
+      durationMs: suite.durationMs,
+      workers: suite.workers || 1,
+      tags: suite.tags,
+      // Counts leave out the suite setup and teardown; step counts cover the playbook steps of every run
+      summary: {
+        totalPlaybooks: counted.length,
+        passedPlaybooks: counted.filter(playbook => playbook.status === 'passed').length,
+        failedPlaybooks: counted.filter(playbook => playbook.status === 'failed').length,
+        skippedPlaybooks: counted.filter(playbook => playbook.status === 'skipped').length,
+        excludedPlaybooks: suite.excluded.length,
+        ...this.summarizeRun({ steps: runs.flatMap(run => run.steps) })
+      },
+      excluded: suite.excluded,
+      playbooks
+    };
+  }
+
+  /**
+   * Playbook step counts and validation counts of a run (see countSteps)
+   */
+  summarizeRun(run) {
+    const allValidations = run.steps.flatMap(step => step.validations);
+    return {
+      ...this.countSteps(run.steps.filter(step => (step.phase || 'steps') === 'steps')),
+      passedValidations: allValidations.filter(v => v.result === 'pass').length,
+      failedValidations: allValidations.filter(v => v.result === 'fail').length
+    };
+  }
+
+  /**
+   * Report paths relative to the output directory, with forward slashes for links
+   */
+  getRelativeReports(reports) {
+    return Object.fromEntries(Object.entries(reports).map(([kind, reportPath]) => [
+      kind,
+      path.relative(this.outputDir, reportPath).split(path.sep).join('/')
+    ]));
+  }
+
+  /**
+   * Name of a suite playbook in reports: its path without extension, e.g. "checkout/guest",
+   * and "(suite setup)" / "(suite teardown, worker 2)" for the suite hooks
+   */
+  describeSuitePlaybook(playbook) {
+    const name = playbook.file.replace(/\.(md|feature)$/i, '');
+    if (playbook.role === 'playbook') {
+      return name;
+    }
+    return `${name} (suite ${playbook.role}${playbook.worker ? `, worker ${playbook.worker}` : ''})`;
+  }
+
+  /**
+   * Build the HTML overview of a suite: one row per playbook, linking to its HTML report
+   */
+  buildSuiteHtmlReport(suite) {
+    const report = this.buildSuiteJsonReport(suite);
+    const { summary } = report;
+    const tagFilter = [
+      suite.tags.include.length > 0 ? `tags ${suite.tags.include.join(', ')}` : null,
+      suite.tags.exclude.length > 0 ? `excluding ${suite.tags.exclude.join(', ')}` : null
+    ].filter(Boolean).join('; ');
+    const rowsHtml = report.playbooks.map(playbook => {
+      const name = this.escapeHtml(this.describeSuitePlaybook(playbook));
+      const link = (playbook.reports ? `<a href="${this.escapeHtml(playbook.reports.html)}">${name}</a>` : name) +
+        (playbook.worker && playbook.role === 'playbook' ? ` <span class="muted">worker ${playbook.worker}</span>` : '');
+      const steps = playbook.summary ? `${playbook.summary.passedSteps}/${playbook.summary.totalSteps}` : '-';
+      const validations = playbook.summary && (playbook.summary.passedValidations + playbook.summary.failedValidations) > 0
+        ? `✅ ${playbook.summary.passedValidations} ❌ ${playbook.summary.failedValidations}`
+        : '-';
+      return `<tr>
+  <td><span class="badge badge-${playbook.status}">${playbook.status.toUpperCase()}</span></td>
+  <td>${link}</td>
+  <td>${steps}</td>
+  <td>${validations}</td>
+  <td>${this.formatDuration(playbook.durationMs)}</td>
+  <td>${playbook.error ? `<p class="run-error">${this.escapeHtml(playbook.error)}</p>` : ''}</td>
+</tr>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>ConversePlay suite report - ${this.escapeHtml(suite.name)}</title>
+<style>${HTML_REPORT_STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${this.escapeHtml(suite.name)} <span class="badge badge-${suite.success ? 'passed' : 'failed'}">${suite.success ? 'PASSED' : 'FAILED'}</span></h1>
+  <div class="stats">
+    <span>🕒 ${this.escapeHtml(new Date(suite.startedAt).toLocaleString())}</span>
+    <span>⏱️ ${this.formatDuration(suite.durationMs)}</span>
+    ${report.workers > 1 ? `<span>👷 ${report.workers} workers</span>` : ''}
+    <span>🗂️ ${summary.totalPlaybooks} playbooks (${summary.passedPlaybooks} passed, ${summary.failedPlaybooks} failed, ${summary.skippedPlaybooks} skipped)</span>
+    ${summary.excludedPlaybooks > 0 ? `<span>🏷️ ${summary.excludedPlaybooks} excluded by ${this.escapeHtml(tagFilter)}</span>` : ''}
+    <span>📋 ${summary.totalSteps} steps (${summary.failedSteps} failed)</span>
+    <span>✅ ${summary.passedValidations} validations passed</span>
+    <span>❌ ${summary.failedValidations} validations failed</span>
+  </div>
+  ${suite.error ? `<p class="run-error">${this.escapeHtml(suite.error)}</p>` : ''}
+</header>
+<main>
+<table class="playbooks">
+<thead><tr><th>Status</th><th>Playbook</th><th>Steps passed</th><th>Validations</th><th>Duration</th><th>Error</th></tr></thead>
+<tbody>
+${rowsHtml}
+</tbody>
+</table>
+</main>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Build a single-file HTML report: every step with its tool calls, before/after
+   * screenshots, visual change percentage and validation verdicts
+   * @param {object} run - Run record
+   * @returns {string} HTML document with all screenshots embedded as data URLs
+   */
+  buildHtmlReport(run) {
+    const sourceOf = (step) => this.getRelativeSource(run, step);
+    const allValidations = run.steps.flatMap(step => step.validations);
+    const passCount = allValidations.filter(v => v.result === 'pass').length;
+    const failCount = allValidations.length - passCount;
+    const mainSteps = run.steps.filter(step => (step.phase || 'steps') === 'steps');
+    const failedSteps = mainSteps.filter(step => step.status === 'failed' && !step.optional).length;
+    const failedTeardownSteps = run.steps.filter(step => step.phase === 'teardown' && step.status === 'failed' && !step.optional).length;
+    const flakySteps = run.steps.filter(step => step.status === 'passed' && step.attempts > 1).length;
+    const success = run.success && failCount === 0;
+
+    const hasHooks = run.steps.some(step => step.phase && step.phase !== 'steps');
+    let currentLabel = null;
+    const stepsHtml = this.groupSteps(run).map(group => {
+      const headings = [];
+      if (group.label && group.label !== currentLabel) {
+        headings.push(`<h2 class="iteration">🔁 ${this.escapeHtml(group.label)}</h2>`);
+      }
+      currentLabel = group.label;
+      if (hasHooks) {
+        headings.push(`<h3 class="phase">${PHASE_HEADINGS[group.phase]}</h3>`);
+      }
+      const steps = group.steps.map(step => this.buildHtmlStep(step, sourceOf(step))).join('\n');
+      return [...headings, steps].join('\n');
+    }).join('\n');
+    const errorHtml = run.error ? `<p class="run-error">${this.escapeHtml(run.error)}</p>` : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>ConversePlay report - ${this.escapeHtml(run.playbook)}</title>
+<style>${HTML_REPORT_STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${this.escapeHtml(run.playbook)} <span class="badge badge-${success ? 'passed' : 'failed'}">${success ? 'PASSED' : 'FAILED'}</span></h1>
+  <div class="stats">
+    <span>🕒 ${this.escapeHtml(new Date(run.startedAt).toLocaleString())}</span>
+    <span>⏱️ ${this.formatDuration(run.durationMs)}</span>
+    <span>📋 ${mainSteps.length} steps (${failedSteps} failed)</span>
+    ${run.fromStep > 1 ? `<span>⏩ Started at step ${run.fromStep}</span>` : ''}
+    ${failedTeardownSteps > 0 ? `<span>🧹 ${failedTeardownSteps} teardown steps failed</span>` : ''}
+    ${flakySteps > 0 ? `<span>🔁 ${flakySteps} flaky steps (passed after a retry)</span>` : ''}
+    <span>✅ ${passCount} validations passed</span>
+    <span>❌ ${failCount} validations failed</span>
+  </div>
+  ${errorHtml}
+</header>
+<main>
+${stepsHtml}
+</main>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * HTML section for one step
+   * @param {object|null} source - { file, line } relative to the playbook directory
+   */
+  buildHtmlStep(step, source = null) {
+    const toolCallsHtml = step.toolCalls.length > 0
+      ? step.toolCalls.map(call => this.buildHtmlToolCall(call)).join('\n')
+      : '<p class="muted">No tool calls</p>';
+
+    const validationsHtml = step.validations.map(v => `
+      <li class="validation validation-${v.result}">
+        ${v.result === 'pass' ? '✅' : '❌'} <strong>${this.escapeHtml(v.scenario)}</strong>
+        ${v.failReason ? `<div class="reason">${this.escapeHtml(v.failReason)}</div>` : ''}
+      </li>`).join('');
+
+    const conditionsHtml = (step.conditions || []).map(c => `
+      <li class="validation condition">
+        🔀 ${c.result === 'yes' ? 'Yes' : 'No'}: <strong>${this.escapeHtml(c.condition)}</strong>
+        ${c.reason ? `<div class="reason">${this.escapeHtml(c.reason)}</div>` : ''}
+      </li>`).join('');
+
+    const pageHtml = step.screenshot
+      ? `<details><summary>Page after step</summary><img class="page" src="data:image/png;base64,${step.screenshot}" alt="Page after step ${step.label}"></details>`
+      : '';
+
+    const attemptsHtml = step.attempts > 1 ? ` <span class="muted">(${step.attempts} attempts)</span>` : '';
+    const failedAttemptsHtml = (step.failedAttempts || []).map(a => `
+      <li class="validation validation-fail">🔁 Attempt ${a.attempt} failed: ${this.escapeHtml(a.error)}</li>`).join('');
+    const optionalHtml = step.optional ? ' <span class="muted">optional</span>' : '';
+    const replayedHtml = step.replayed ? ' <span class="muted">replayed</span>' : '';
+    const actionReplayHtml = step.actionReplay
+      ? ` <span class="muted">${step.actionReplay === 'replayed' ? 'replayed without the LLM' : 'replay diverged, run by the LLM'}</span>`
+      : '';
+    const planCacheHtml = step.planCache ? ` <span class="muted">${PLAN_CACHE_LABELS[step.planCache]}</span>` : '';
+    const sourceHtml = source ? ` <span class="muted">${this.escapeHtml(`${source.file}:${source.line}`)}</span>` : '';
+    // Nested steps of If / Repeat until blocks are indented below their block
+    const depth = step.label.split('.').length - 1;
+    const styleAttribute = depth > 0 ? ` style="margin-left: ${depth * 32}px"` : '';
+
+    return `<section class="step step-${step.status}${step.optional ? ' step-optional' : ''}"${styleAttribute}>
+  <h2><span class="badge badge-${step.status}">${step.status.toUpperCase()}</span> ${this.escapeHtml(this.describeStep(step))} <span class="muted">${this.formatDuration(step.durationMs)}</span>${attemptsHtml}${optionalHtml}${replayedHtml}${actionReplayHtml}${planCacheHtml}${sourceHtml}</h2>
+  <pre class="step-text">${this.escapeHtml(step.text)}</pre>
+  ${step.error ? `<p class="run-error">${this.escapeHtml(step.error)}</p>` : ''}
+  ${failedAttemptsHtml ? `<ul class="validations">${failedAttemptsHtml}</ul>` : ''}
+  ${conditionsHtml ? `<ul class="validations">${conditionsHtml}</ul>` : ''}
+  ${validationsHtml ? `<ul class="validations">${validationsHtml}</ul>` : ''}
+  <div class="tool-calls">
+${toolCallsHtml}
+  </div>
+  ${step.response ? `<div class="response"><strong>Assistant:</strong> ${this.escapeHtml(step.response)}</div>` : ''}
+  ${pageHtml}
+</section>`;
+  }
+
+  /**
+   * HTML block for one tool call with its arguments, duration and screenshot pair
+   */
+  buildHtmlToolCall(call) {
+    let visual = '';
+    if (call.visualChange !== undefined) {
+      visual = call.visualChange
+        ? `<span class="change">visual change ${call.changePercent}%</span>`
+        : `<span class="no-change">no visual change (${call.changePercent}%)</span>`;
+    }
+
+    let screenshotsHtml = '';
+    if (call.beforeScreenshot || call.afterScreenshot) {
+      screenshotsHtml = `<div class="screenshots">
+      ${this.buildHtmlScreenshot('Before', call.beforeScreenshot)}
+      ${this.buildHtmlScreenshot(call.clickPoint ? 'After (red dot marks the click)' : 'After', call.afterScreenshot, call)}
+    </div>`;
+    }
+
+    return `<div class="tool-call ${call.success ? '' : 'tool-call-error'}">
+    <div class="tool-header"><code>${this.escapeHtml(call.toolName)}</code> <span class="muted">${this.formatDuration(call.durationMs)}</span> ${visual}</div>
+    <pre class="args">${this.escapeHtml(JSON.stringify(call.args, null, 2))}</pre>
+    ${call.error ? `<pre class="run-error">${this.escapeHtml(call.error)}</pre>` : ''}
+    ${screenshotsHtml}
+  </div>`;
+  }
+
+  /**
+   * Embedded screenshot; coordinate clicks get a marker overlay at the click position
+   * in case the red dot was not drawn into the captured frame
+   */
+  buildHtmlScreenshot(label, screenshot, call = null) {
+    if (!screenshot) {
+      return `<figure><figcaption>${label}</figcaption><div class="missing">No screenshot</div></figure>`;
+    }
+
+    let marker = '';
+    if (call && call.clickPoint && call.screenshotSize && call.screenshotSize.width && call.screenshotSize.height) {
+      const left = (call.clickPoint.x / call.screenshotSize.width * 100).toFixed(2);
+      const top = (call.clickPoint.y / call.screenshotSize.height * 100).toFixed(2);
+      marker = `<span class="click-marker" style="left: ${left}%; top: ${top}%"></span>`;
+    }
+
+    return `<figure><figcaption>${label}</figcaption><div class="shot"><img src="data:image/png;base64,${screenshot}" alt="${label}">${marker}</div></figure>`;
+  }
+
+  formatDuration(ms) {
+    if (!ms) {
+      return '0ms';
+    }
+    return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+  }
+
+  escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * File-system friendly name for a playbook, e.g. "login-flow.md" -> "login-flow"
+   */
+  getBaseName(playbook) {
+    const name = path.basename(playbook || 'playbook', path.extname(playbook || ''));
+    return name.replace(/[^A-Za-z0-9._-]+/g, '_') || 'playbook';
+  }
+
+  /**
+   * First line of a text, shortened for testcase names and failure messages
+   */
+  summarize(text, maxLength = 120) {
+    const firstLine = String(text).split('\n')[0].trim();
+    return firstLine.length > maxLength ? firstLine.substring(0, maxLength) + '...' : firstLine;
+  }
+
+  toSeconds(ms) {
+    return ((ms || 0) / 1000).toFixed(3);
+  }
+
+  escapeXml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      // Strip characters that are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+module.exports = ReportService;
@@ -0,0 +1,317 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const ReportService = require('./reportService');
+const { findPlaybookFiles, parseTags, matchesTags } = require('../utils/playbookFiles');
+
+// Playbooks in the suite folder that run once before and after all the others
+const SUITE_SETUP_FILE = '_setup.md';
+const SUITE_TEARDOWN_FILE = '_teardown.md';
+
+/**
+ * Path relative to the suite folder with forward slashes, as shown to the user and in reports
+ */
+function toSuitePath(baseDir, filePath) {
+  return path.relative(baseDir, filePath).split(path.sep).join('/');
+}
+
+/**
+ * SuiteService - Runs a folder (or glob) of playbooks as a suite
+ *
+ * Every .md and .feature file below the folder is a playbook of the suite, in path order. Files
+ * and folders starting with "_" are left out so they can hold playbooks meant for Include steps;
+ * _setup.md and _teardown.md in the suite folder run once before and after the other playbooks.
+ * Tags from the front matter (or the @tags of a feature file) select the playbooks to run.
+ *
+ * Playbooks run one after another through PlaybookService, each with a fresh conversation but in
+ * the same browser, so the state left by the suite setup (e.g. a login) carries over. A failing
+ * playbook does not stop the suite; a failing suite setup skips the playbooks and a cancellation
+ * skips the remaining ones. The suite teardown always runs.
+ *
+ * Given the playbook services of several workers (see WorkerPool), each worker runs the suite
+ * setup in its own browser, then takes the next playbook from the queue until none is left, and
+ * runs the suite teardown. A worker whose setup failed takes no playbooks.
+ */
+class SuiteService {
+  /**
+   * @param {PlaybookService|Array<PlaybookService>} playbookServices - The playbook service to run the
+   *   suite with, or one per worker to run that many playbooks at a time
+   */
+  constructor(playbookServices) {
+    this.playbookServices = Array.isArray(playbookServices) ? playbookServices : [playbookServices];
+    this.playbookService = this.playbookServices[0]; // Parses the playbooks
+    this.messageListener = null; // Optional listener for the suite messages, see setMessageListener
+  }
+
+  /**
+   * Register a listener receiving the suite's own messages (the playbooks report through their
+   * playbook service); without one they go to the first playbook service
+   * @param {Function} listener - Called with (role, message)
+   */
+  setMessageListener(listener) {
+    this.messageListener = listener;
+  }
+
+  /**
+   * Find the playbooks of a suite and apply the tag filter
+   * @param {string} target - Directory or glob pattern
+   * @param {object} tagFilter - { include, exclude } tag lists, see matchesTags
+   * @returns {Promise<object>} { name, baseDir, setup, teardown, playbooks, excluded } - absolute paths;
+   *   setup and teardown are null when the suite folder has no _setup.md / _teardown.md
+   */
+  async selectPlaybooks(target, tagFilter = {}) {
+    const { baseDir, files } = await findPlaybookFiles(target);
+    const hookPath = (fileName) => {
+      const hook = path.join(baseDir, fileName);
+      return files.includes(hook) ? hook : null;
+    };
+    const candidates = files.filter(file => !toSuitePath(baseDir, file).split('/').some(part => part.startsWith('_')));
+
+    const playbooks = [];
+    const excluded = [];
+    for (const file of candidates) {
+      (await this.matchesTagFilter(file, tagFilter) ? playbooks : excluded).push(file);
+    }
+
+    return {
+      name: path.basename(baseDir),
+      baseDir,
+      setup: hookPath(SUITE_SETUP_FILE),
+      teardown: hookPath(SUITE_TEARDOWN_FILE),
+      playbooks,
+      excluded
+    };
+  }
+
+  /**
+   * Whether a playbook is selected by a tag filter: its tags setting, and for a feature file the
+   * tags of any of its scenarios. Playbooks that cannot be parsed are selected so their run reports the error.
+   */
+  async matchesTagFilter(filePath, tagFilter) {
+    if (!this.hasTagFilter(tagFilter)) {
+      return true;
+    }
+    try {
+      const { config, scenarios } = await this.playbookService.parsePlaybookFile(filePath);
+      const settings = this.playbookService.resolveSettings(config, []);
+      return scenarios
+        ? scenarios.some(scenario => matchesTags([...settings.tags, ...scenario.tags], tagFilter))
+        : matchesTags(settings.tags, tagFilter);
+    } catch (error) {
+      logger.warn(`[Suite] Cannot read the tags of ${filePath}: ${error.message}`);
+      return true;
+    }
+  }
+
+  hasTagFilter(tagFilter) {
+    return Boolean(tagFilter) && parseTags(tagFilter.include).length + parseTags(tagFilter.exclude).length > 0;
+  }
+
+  /**
+   * Run every selected playbook of a suite and write the aggregated reports
+   * Playbook failures are part of the result; only a suite without playbooks throws.
+   * @param {string} target - Directory or glob pattern
+   * @param {object} options - Run options
+   * @param {string} [options.reportDir] - Report directory (defaults to PLAYBOOK_REPORT_DIR); the reports of
+   *   each playbook go to the subfolder matching its folder in the suite
+   * @param {object} [options.vars] - Variables by name, see executePlaybook
+   * @param {string} [options.secretsFile] - Secrets file, see executePlaybook
+   * @param {object} [options.tags] - { include, exclude } tag lists selecting playbooks and feature scenarios
+   * @param {PlanCacheService} [options.planCache] - Plan cache shared by all playbooks, see executePlaybook
+   * @param {string} [options.scriptLanguage] - Write a test script of every playbook, see executePlaybook
+   * @returns {Promise<object>} Suite record (see ReportService.writeSuiteReports) with the paths of the
+   *   suite reports as reports
+   * @throws {Error} If a playbook is already running or no playbook is selected
+   */
+  async runSuite(target, options = {}) {
+    if (this.playbookServices.some(playbookService => playbookService.isExecuting)) {
+      throw new Error('Playbook is already executing');
+    }
+
+    const tagFilter = { include: parseTags(options.tags && options.tags.include), exclude: parseTags(options.tags && options.tags.exclude) };
+    const selection = await this.selectPlaybooks(target, tagFilter);
+    if (selection.playbooks.length === 0) {
+      throw new Error(selection.excluded.length > 0
+        ? `None of the ${selection.excluded.length} playbooks in ${target} match the tag filter`
+        : `No playbooks found in ${target}`);
+    }
+
+    const reportDir = options.reportDir || process.env.PLAYBOOK_REPORT_DIR || null;
+    const startTime = Date.now();
+    const suite = {
+      name: selection.name,
+      baseDir: selection.baseDir,
+      startedAt: new Date(startTime).toISOString(),
+      finishedAt: null,
+      durationMs: 0,
+      success: false,
+      error: null,
+      tags: tagFilter,
+      excluded: selection.excluded.map(file => toSuitePath(selection.baseDir, file)),
+      workers: this.playbookServices.length,
+      playbooks: [],
+      reports: null
+    };
+    const runOptions = {
+      reportDir,
+      vars: options.vars,
+      secretsFile: options.secretsFile,
+      tags: this.hasTagFilter(tagFilter) ? tagFilter : null,
+      planCache: options.planCache,
+      scriptLanguage: options.scriptLanguage
+    };
+
+    const excludedNote = suite.excluded.length > 0 ? `, ${suite.excluded.length} excluded by tags` : '';
+    const hooks = [selection.setup ? 'setup' : null, selection.teardown ? 'teardown' : null].filter(Boolean);
+    this.sendToUI(`🗂️ Running suite ${suite.name}: ${selection.playbooks.length} ${selection.playbooks.length === 1 ? 'playbook' : 'playbooks'}${excludedNote}${hooks.length > 0 ? ` (with suite ${hooks.join(' and ')})` : ''}`);
+
+    // Workers take the playbooks in order; entries are sorted back into that order at the end
+    const queue = [...selection.playbooks];
+    const order = new Map([[selection.setup, 0], ...selection.playbooks.map((file, index) => [file, index + 1]), [selection.teardown, queue.length + 1]]);
+    const entryOrder = new Map();
+    let stopReason = null;
+    const runWorker = async (playbookService, index) => {
+      const worker = this.playbookServices.length > 1 ? index + 1 : null;
+      const context = { suite, runOptions, playbookService, worker };
+      const on = worker ? ` on worker ${worker}` : '';
+      const run = async (file, role) => {
+        const entry = await this.runPlaybook(file, role, context);
+        entryOrder.set(entry, order.get(file) * this.playbookServices.length + index);
+        return entry;
+      };
+
+      let setupPassed = true;
+      if (selection.setup) {
+        this.sendToUI(`🔧 Suite setup${on}: ${toSuitePath(selection.baseDir, selection.setup)}`);
+        const setup = await run(selection.setup, 'setup');
+        setupPassed = setup.status === 'passed';
+        if (setup.cancelled) {
+          stopReason = 'Suite cancelled during the setup';
+        }
+      }
+
+      while (setupPassed && queue.length > 0 && !stopReason) {
+        const file = queue.shift();
+        this.sendToUI(`🗂️ Playbook ${order.get(file)}/${selection.playbooks.length}${on}: ${toSuitePath(selection.baseDir, file)}`);
+        const entry = await run(file, 'playbook');
+        if (entry.cancelled) {
+          stopReason = 'Suite cancelled';
+        }
+      }
+
+      if (selection.teardown) {
+        this.sendToUI(`🧹 Suite teardown${on}: ${toSuitePath(selection.baseDir, selection.teardown)}`);
+        await run(selection.teardown, 'teardown');
+      }
+    };
+    await Promise.all(this.playbookServices.map(runWorker));
+
+    // Playbooks left in the queue were not run: every worker's setup failed or the suite was cancelled
+    stopReason = stopReason || (queue.length > 0 ? 'Suite setup failed' : null);
+    for (const file of queue) {
+      const entry = this.createEntry(toSuitePath(selection.baseDir, file), 'playbook', 'skipped', stopReason);
+      suite.playbooks.push(entry);
+      entryOrder.set(entry, order.get(file) * this.playbookServices.length);
+    }
+    suite.playbooks.sort((a, b) => entryOrder.get(a) - entryOrder.get(b));
+
+    suite.error = stopReason;
+    suite.success = suite.playbooks.every(playbook => playbook.status === 'passed');
+    suite.finishedAt = new Date().toISOString();
+    suite.durationMs = Date.now() - startTime;
+    suite.playbooks.forEach(playbook => delete playbook.cancelled);
+    this.reportSummary(suite);
+
+    if (reportDir) {
+      try {
+        suite.reports = await new ReportService(reportDir).writeSuiteReports(suite);
+        this.sendToUI(`📄 Suite reports written: ${suite.reports.junit}, ${suite.reports.json}, ${suite.reports.html}`);
+      } catch (error) {
+        logger.error('[Suite] Failed to write suite reports:', error);
+        this.sendToUI(`⚠️ Failed to write suite reports to ${reportDir}: ${error.message}`);
+      }
+    }
+    return suite;
+  }
+
+  /**
+   * Run one playbook of the suite and add its entry to the suite record
+   * A playbook that completed with failed validations counts as failed.
+   * @param {string} role - 'setup', 'playbook' or 'teardown'
+   * @param {object} context - { suite, runOptions, playbookService, worker } - the playbook service to run
+   *   it with and its worker number (null without workers)
+   * @returns {Promise<object>} The entry, with cancelled set when the user cancelled the run
+   */
+  async runPlaybook(filePath, role, { suite, runOptions, playbookService, worker }) {
+    const file = toSuitePath(suite.baseDir, filePath);
+    const entry = this.createEntry(file, role, 'failed', null, worker);
+    suite.playbooks.push(entry);
+    // Every worker runs the hooks, so each gets its own report folder
+    const reportFolder = worker && role !== 'playbook' ? path.join(path.dirname(file), `worker-${worker}`) : path.dirname(file);
+
+    // Every playbook starts a fresh conversation; the browser keeps its state
+    playbookService.llmService.clearHistory();
+    try {
+      await playbookService.executePlaybook(filePath, {
+        ...runOptions,
+        reportDir: runOptions.reportDir ? path.join(runOptions.reportDir, reportFolder) : null,
+        // Hooks always run all their scenarios
+        tags: role === 'playbook' ? runOptions.tags : null
+      });
+    } catch (error) {
+      logger.info(`[Suite] Playbook ${file} failed: ${error.message}`);
+      entry.error = error.message;
+      entry.cancelled = Boolean(error.cancelled);
+    }
+
+    const { run } = playbookService.lastRun;
+    entry.run = { ...run, steps: playbookService.flattenStepRecords(run.steps) };
+    entry.reports = run.reports;
+    entry.durationMs = run.durationMs;
+    if (run.success) {
+      const failedValidations = entry.run.steps.flatMap(step => step.validations).filter(v => v.result === 'fail').length;
+      entry.status = failedValidations === 0 ? 'passed' : 'failed';
+      entry.error = failedValidations === 0 ? null : `${failedValidations} ${failedValidations === 1 ? 'validation' : 'validations'} failed`;
+    }
+    return entry;
+  }
+
+  createEntry(file, role, status, error = null, worker = null) {
+    return { file, role, status, error, worker, durationMs: 0, run: null, reports: null };
+  }
+
+  /**
+   * Send the suite result to the UI: counts per status and the playbooks that did not pass
+   */
+  reportSummary(suite) {
+    const playbooks = suite.playbooks.filter(playbook => playbook.role === 'playbook');
+    const count = (status) => playbooks.filter(playbook => playbook.status === status).length;
+    const counts = [`${count('passed')}/${playbooks.length} playbooks passed`];
+    if (count('failed') > 0) {
+      counts.push(`${count('failed')} failed`);
+    }
+    if (count('skipped') > 0) {
+      counts.push(`${count('skipped')} skipped`);
+    }
+    const problems = suite.playbooks
+      .filter(playbook => playbook.status !== 'passed')
+      .map(playbook => {
+        const hook = playbook.role === 'playbook' ? '' : ` (suite ${playbook.role}${playbook.worker ? `, worker ${playbook.worker}` : ''})`;
+        return `  ${playbook.status === 'skipped' ? '⏭️' : '❌'} ${playbook.file}${hook}${playbook.error ? `: ${playbook.error.split('\n')[0]}` : ''}`;
+      });
+    this.sendToUI([
+      `${suite.success ? '✅' : '❌'} Suite ${suite.name} ${suite.success ? 'passed' : 'failed'}: ${counts.join(', ')}`,
+      ...problems
+    ].join('\n'));
+    logger.info(`[Suite] Suite ${suite.name} ${suite.success ? 'passed' : 'failed'}: ${counts.join(', ')}`);
+  }
+
+  sendToUI(message) {
+    if (this.messageListener) {
+      this.messageListener('system', message);
+    } else {
+      this.playbookService.sendToUI('system', message);
+    }
+  }
+}
+
+module.exports = SuiteService;
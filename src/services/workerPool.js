@@ -0,0 +1,92 @@
+const logger = require('../utils/logger');
+const { findFreePorts } = require('../utils/ports');
+const MCPService = require('./mcpService');
+const LLMService = require('./llmService');
+const ScreenshotService = require('./screenshotService');
+const PlaybookService = require('./playbookService');
+
+/**
+ * WorkerPool - Isolated browser workers for running playbooks side by side
+ *
+ * Each worker has the full headless service stack: its own @playwright/mcp server (and browser)
+ * on a port of its own, an LLM service with its own conversation history, a screenshot stream
+ * and a PlaybookService. A pool of one uses the configured MCP_SERVER_PORT like a single run;
+ * larger pools let the OS allocate the ports.
+ */
+class WorkerPool {
+  /**
+   * @param {number} size - Number of workers
+   */
+  constructor(size) {
+    this.size = size;
+    this.workers = []; // { id, mcpService, llmService, screenshotService, playbookService }
+  }
+
+  /**
+   * Start the services of every worker
+   * @throws {Error} If a worker cannot start; the workers started so far are cleaned up
+   */
+  async initialize() {
+    const ports = this.size > 1 ? await findFreePorts(this.size) : [null];
+    const results = await Promise.allSettled(ports.map((port, index) => this.startWorker(index + 1, port)));
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) {
+      await this.cleanup();
+      throw failure.reason;
+    }
+    logger.info(`[WorkerPool] Started ${this.workers.length} ${this.workers.length === 1 ? 'worker' : 'workers'}`);
+  }
+
+  /**
+   * Start the services of one worker and add it to the pool
+   * @param {number} id - 1-based worker number
+   * @param {number|null} port - MCP server port, null for the configured default
+   */
+  async startWorker(id, port) {
+    const worker = { id, mcpService: new MCPService({ port }), llmService: null, screenshotService: null, playbookService: null };
+    // Added before starting so cleanup() also stops a worker that failed halfway
+    this.workers.push(worker);
+    await worker.mcpService.initialize();
+
+    worker.llmService = new LLMService(worker.mcpService);
+    await worker.llmService.initialize();
+    if (worker.llmService.provider === 'none') {
+      throw new Error('No LLM provider configured');
+    }
+
+    // The screenshot stream feeds visual change detection and the screenshot tool
+    worker.screenshotService = new ScreenshotService(worker.mcpService);
+    worker.mcpService.setScreenshotService(worker.screenshotService);
+    worker.llmService.setScreenshotService(worker.screenshotService);
+    worker.screenshotService.start(() => {});
+
+    worker.playbookService = new PlaybookService(worker.llmService, null);
+    return worker;
+  }
+
+  /**
+   * Cancel the step every worker is running
+   */
+  cancelExecution() {
+    for (const worker of this.workers) {
+      if (worker.llmService) {
+        worker.llmService.cancelExecution();
+      }
+    }
+  }
+
+  /**
+   * Stop the screenshot streams and MCP servers of all workers
+   */
+  async cleanup() {
+    await Promise.all(this.workers.map(async worker => {
+      if (worker.screenshotService) {
+        worker.screenshotService.stop();
+      }
+      await worker.mcpService.cleanup();
+    }));
+    this.workers = [];
+  }
+}
+
+module.exports = WorkerPool;
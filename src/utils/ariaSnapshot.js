@@ -0,0 +1,142 @@
+/**
+ * Helpers for the accessibility snapshots of @playwright/mcp.
+ *
+ *   - Page Snapshot:
+ *   ```yaml
+ *   - textbox "Username" [ref=e10]
+ *   - button "Login" [ref=e12] [cursor=pointer]
+ *   - heading "Products" [level=2] [ref=e14]
+ *   ```
+ *
+ * Element refs ("e12") are only valid for the snapshot they came from. To act on the same element
+ * later, an element is identified by its role, its accessible name and its position among the
+ * elements sharing that role and name (nth).
+ */
+
+const ELEMENT_PATTERN = /^(\s*-\s+([\w-]+)(?:\s+("(?:[^"\\]|\\.)*"))?)[^\n]*?\[ref=([^\]\s]+)\]/;
+// [checked], [level=2], ... between the name and the ":" of an element line
+const ATTRIBUTE_PATTERN = /^\s*\[([\w-]+)(?:=([^\]]*))?\]/;
+// Bracketed annotations that are not element attributes
+const IGNORED_ATTRIBUTES = ['ref', 'cursor', 'active'];
+
+/**
+ * Elements with a ref in a snapshot, in document order
+ * @param {string} text - Tool result text holding a page snapshot
+ * @returns {Array<object>} { ref, role, name, nth, attributes }
+ */
+function parseSnapshot(text) {
+  const elements = [];
+  const counts = new Map();
+  for (const line of String(text || '').split('\n')) {
+    const match = line.match(ELEMENT_PATTERN);
+    if (!match) continue;
+    const [, head, role, quotedName, ref] = match;
+    const name = quotedName ? parseQuotedName(quotedName) : '';
+    const key = `${role}\n${name}`;
+    const nth = counts.get(key) || 0;
+    counts.set(key, nth + 1);
+    elements.push({ ref, role, name, nth, attributes: parseAttributes(line.substring(head.length)) });
+  }
+  return elements;
+}
+
+/**
+ * Attributes of an element line after its role and name: { checked: true, level: '2' }
+ */
+function parseAttributes(text) {
+  const attributes = {};
+  let rest = text;
+  let match;
+  while ((match = rest.match(ATTRIBUTE_PATTERN))) {
+    const [attribute, key, value] = match;
+    if (!IGNORED_ATTRIBUTES.includes(key)) {
+      attributes[key] = value === undefined ? true : value;
+    }
+    rest = rest.substring(attribute.length);
+  }
+  return attributes;
+}
+
+function parseQuotedName(quoted) {
+  try {
+    return JSON.parse(quoted);
+  } catch (error) {
+    return quoted.slice(1, -1);
+  }
+}
+
+/**
+ * Elements of the page snapshot in an MCP tool result, or null if the result has none
+ * @param {object} toolResult - MCP tool result { content }
+ */
+function extractSnapshotElements(toolResult) {
+  const texts = ((toolResult && toolResult.content) || [])
+    .filter(c => c.type === 'text' && c.text && c.text.includes('[ref='))
+    .map(c => c.text);
+  return texts.length > 0 ? parseSnapshot(texts.join('\n')) : null;
+}
+
+/**
+ * Paths of the element refs in tool arguments: "ref", "startRef" / "endRef" of drags and
+ * "fields.N.ref" of browser_fill_form
+ * @returns {Array<string>} Dot separated paths
+ */
+function findRefPaths(args) {
+  const paths = [];
+  for (const [key, value] of Object.entries(args || {})) {
+    if (/^(?:ref|\w+Ref)$/.test(key) && typeof value === 'string') {
+      paths.push(key);
+    } else if (Array.isArray(value)) {
+      value.forEach((item, index) => {
+        if (item && typeof item.ref === 'string') {
+          paths.push(`${key}.${index}.ref`);
+        }
+      });
+    }
+  }
+  return paths;
+}
+
+function getPath(object, refPath) {
+  return refPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, refPath, value) {
+  const keys = refPath.split('.');
+  const parent = keys.slice(0, -1).reduce((current, key) => current[key], object);
+  parent[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Describe the elements the refs of tool arguments point at, so they can be found again in a
+ * later snapshot or turned into locators of a generated script
+ * @param {object} args - Tool arguments
+ * @param {Array<object>|null} elements - Elements of the snapshot the refs came from
+ * @returns {object|null} { [refPath]: { role, name, nth, count, attributes } } where count is the
+ *   number of elements with that role and name, null when the arguments have no refs or none of
+ *   them is in the snapshot
+ */
+function describeTargets(args, elements) {
+  if (!elements) {
+    return null;
+  }
+  const targets = {};
+  for (const refPath of findRefPaths(args)) {
+    const element = elements.find(candidate => candidate.ref === getPath(args, refPath));
+    if (element) {
+      const count = elements.filter(candidate => candidate.role === element.role && candidate.name === element.name).length;
+      targets[refPath] = { role: element.role, name: element.name, nth: element.nth, count, attributes: element.attributes };
+    }
+  }
+  return Object.keys(targets).length > 0 ? targets : null;
+}
+
+/**
+ * Find an element described by describeTargets in the elements of a snapshot
+ * @returns {object|null} The element, or null if the snapshot has no such element
+ */
+function findTarget(elements, { role, name, nth = 0 }) {
+  return elements.find(element => element.role === role && element.name === name && element.nth === nth) || null;
+}
+
+module.exports = { parseSnapshot, extractSnapshotElements, findRefPaths, describeTargets, findTarget, getPath, setPath };
@@ -0,0 +1,116 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Load a data-driven playbook dataset
+ * - .csv: first line is the header, every other line is a row
+ * - .json: an array of objects
+ * @param {string} filePath - Path to the dataset
+ * @returns {Promise<Array<object>>} Rows with string values by column name
+ * @throws {Error} If the file is missing, has an unsupported extension or is malformed
+ */
+async function loadDataset(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Dataset file not found: ${filePath}`);
+    }
+    throw error;
+  }
+
+  const extension = path.extname(filePath).toLowerCase();
+  let rows;
+  if (extension === '.csv') {
+    rows = parseCsv(content);
+  } else if (extension === '.json') {
+    rows = parseJsonDataset(content, filePath);
+  } else {
+    throw new Error(`Unsupported dataset format "${extension}" (use .csv or .json): ${filePath}`);
+  }
+
+  if (rows.length === 0) {
+    throw new Error(`Dataset has no rows: ${filePath}`);
+  }
+  return rows;
+}
+
+function parseJsonDataset(content, filePath) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in dataset ${filePath}: ${error.message}`);
+  }
+  if (!Array.isArray(data) || !data.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+    throw new Error(`JSON dataset must be an array of objects: ${filePath}`);
+  }
+  return data.map(row => Object.fromEntries(
+    Object.entries(row).map(([key, value]) => [key, value === null || value === undefined ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value))])
+  ));
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line endings)
+ * @param {string} content - CSV text with a header line
+ * @returns {Array<object>} Rows by column name; blank lines are skipped
+ */
+function parseCsv(content) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  const text = content.replace(/^\uFEFF/, '');
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV dataset');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => !(r.length === 1 && r[0].trim() === ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const header = nonEmpty[0].map(name => name.trim());
+  return nonEmpty.slice(1).map((values, index) => {
+    if (values.length > header.length) {
+      throw new Error(`CSV dataset row ${index + 1} has ${values.length} fields, the header has ${header.length}`);
+    }
+    return Object.fromEntries(header.map((name, column) => [name, values[column] !== undefined ? values[column] : '']));
+  });
+}
+
+module.exports = { loadDataset, parseCsv };
@@ -0,0 +1,240 @@
+/**
+ * Minimal YAML front matter support for playbooks.
+ *
+ * A playbook may start with a block delimited by `---` lines:
+ *
+ *   ---
+ *   baseUrl: https://www.saucedemo.com
+ *   zoom: 150
+ *   stepTimeout: 2m
+ *   ---
+ *
+ * Only the subset of YAML needed for playbook settings is supported: nested maps
+ * (by indentation), block lists (`- item`), flow lists (`[a, b]`), quoted and plain
+ * scalars, numbers, booleans, null and `#` comments.
+ */
+
+const FRONT_MATTER_DELIMITER = /^---\s*$/;
+
+/**
+ * Split a document into front matter data and body
+ * @param {string} content - Full file content
+ * @returns {{ data: object, body: string, bodyStartLine: number }}
+ *   bodyStartLine is the 0-based line index where the body starts in the original content
+ * @throws {Error} If the front matter block is not closed or is not valid
+ */
+function parseFrontMatter(content) {
+  const lines = content.split(/\r?\n/);
+  if (lines.length === 0 || !FRONT_MATTER_DELIMITER.test(lines[0])) {
+    return { data: {}, body: content, bodyStartLine: 0 };
+  }
+
+  const closingIndex = lines.findIndex((line, index) => index > 0 && FRONT_MATTER_DELIMITER.test(line));
+  if (closingIndex === -1) {
+    throw new Error('Front matter starting on line 1 is not closed with "---"');
+  }
+
+  const data = parseYaml(lines.slice(1, closingIndex), 2);
+  return {
+    data,
+    body: lines.slice(closingIndex + 1).join('\n'),
+    bodyStartLine: closingIndex + 1
+  };
+}
+
+/**
+ * Parse a list of YAML lines into an object
+ * @param {string[]} lines - YAML lines
+ * @param {number} firstLineNumber - 1-based line number of lines[0], used in error messages
+ */
+function parseYaml(lines, firstLineNumber = 1) {
+  const entries = [];
+  lines.forEach((raw, index) => {
+    const text = stripComment(raw).replace(/\s+$/, '');
+    if (text.trim()) {
+      entries.push({ indent: text.length - text.trimStart().length, text: text.trim(), line: firstLineNumber + index });
+    }
+  });
+
+  const position = { index: 0 };
+  const result = parseBlock(entries, position, entries.length > 0 ? entries[0].indent : 0);
+  if (position.index < entries.length) {
+    throw new Error(`Unexpected indentation in front matter on line ${entries[position.index].line}`);
+  }
+  return Array.isArray(result) ? { items: result } : result;
+}
+
+function parseBlock(entries, position, indent) {
+  const first = entries[position.index];
+  if (!first) {
+    return {};
+  }
+  return first.text.startsWith('- ') || first.text === '-'
+    ? parseList(entries, position, indent)
+    : parseMap(entries, position, indent);
+}
+
+function parseMap(entries, position, indent) {
+  const map = {};
+  while (position.index < entries.length) {
+    const entry = entries[position.index];
+    if (entry.indent < indent) {
+      break;
+    }
+    if (entry.indent > indent) {
+      throw new Error(`Unexpected indentation in front matter on line ${entry.line}`);
+    }
+
+    const match = entry.text.match(/^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/);
+    if (!match) {
+      throw new Error(`Expected "key: value" in front matter on line ${entry.line}`);
+    }
+    const key = unquote(match[1]);
+    const rawValue = match[2];
+    position.index++;
+
+    if (rawValue === undefined || rawValue === '') {
+      // Nested block (or empty value)
+      const next = entries[position.index];
+      map[key] = next && next.indent > indent ? parseBlock(entries, position, next.indent) : null;
+    } else {
+      map[key] = parseScalar(rawValue, entry.line);
+    }
+  }
+  return map;
+}
+
+function parseList(entries, position, indent) {
+  const list = [];
+  while (position.index < entries.length) {
+    const entry = entries[position.index];
+    if (entry.indent < indent) {
+      break;
+    }
+    if (entry.indent > indent || !(entry.text.startsWith('- ') || entry.text === '-')) {
+      throw new Error(`Expected a list item in front matter on line ${entry.line}`);
+    }
+    position.index++;
+
+    const itemText = entry.text.substring(1).trim();
+    if (!itemText) {
+      const next = entries[position.index];
+      list.push(next && next.indent > indent ? parseBlock(entries, position, next.indent) : null);
+    } else if (/^[^"'[{][^:]*:(\s|$)/.test(itemText)) {
+      // "- key: value" starts a map item; following keys are aligned with "key"
+      const itemIndent = entry.indent + (entry.text.length - itemText.length);
+      entries.splice(position.index, 0, { indent: itemIndent, text: itemText, line: entry.line });
+      list.push(parseMap(entries, position, itemIndent));
+    } else {
+      list.push(parseScalar(itemText, entry.line));
+    }
+  }
+  return list;
+}
+
+/**
+ * Convert a scalar YAML value to a JS value
+ */
+function parseScalar(rawValue, lineNumber) {
+  const value = rawValue.trim();
+
+  if (value.startsWith('[')) {
+    if (!value.endsWith(']')) {
+      throw new Error(`Unclosed list in front matter on line ${lineNumber}`);
+    }
+    const inner = value.slice(1, -1).trim();
+    return inner ? splitFlowList(inner).map(item => parseScalar(item, lineNumber)) : [];
+  }
+  if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+    return unquote(value);
+  }
+  if (/^(true|yes|on)$/i.test(value)) {
+    return true;
+  }
+  if (/^(false|no|off)$/i.test(value)) {
+    return false;
+  }
+  if (/^(null|~)$/i.test(value)) {
+    return null;
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Split "a, 'b, c', d" on commas outside quotes
+ */
+function splitFlowList(text) {
+  const items = [];
+  let current = '';
+  let quote = null;
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === ',') {
+      items.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  items.push(current.trim());
+  return items;
+}
+
+/**
+ * Remove a trailing "# comment" that is not inside quotes
+ */
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.substring(0, i);
+    }
+  }
+  return line;
+}
+
+function unquote(text) {
+  const trimmed = text.trim();
+  if (trimmed.length >= 2 && trimmed[0] === trimmed[trimmed.length - 1] && (trimmed[0] === '"' || trimmed[0] === "'")) {
+    const inner = trimmed.slice(1, -1);
+    return trimmed[0] === '"' ? inner.replace(/\\"/g, '"').replace(/\\n/g, '\n') : inner.replace(/''/g, "'");
+  }
+  return trimmed;
+}
+
+/**
+ * Parse a duration setting: a number of milliseconds or a string with a unit
+ * ("500ms", "30s", "2m")
+ * @param {number|string} value - Raw setting value
+ * @returns {number|null} Milliseconds or null if invalid
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return value >= 0 ? value : null;
+  }
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m)?$/i);
+  if (!match) {
+    return null;
+  }
+  const multipliers = { ms: 1, s: 1000, m: 60000 };
+  return Math.round(Number(match[1]) * multipliers[(match[2] || 'ms').toLowerCase()]);
+}
+
+module.exports = { parseFrontMatter, parseYaml, parseDuration };
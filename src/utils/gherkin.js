@@ -0,0 +1,269 @@
+/**
+ * Minimal Gherkin support for .feature playbooks.
+ *
+ *   # baseUrl: https://www.saucedemo.com
+ *   Feature: Checkout
+ *
+ *     Background:
+ *       Given I am logged in as "standard_user"
+ *
+ *     Scenario Outline: Buy a product
+ *       When I add "<product>" to the cart
+ *       And I check out
+ *       Then the order confirmation is shown
+ *
+ *       Examples:
+ *         | product             |
+ *         | Sauce Labs Backpack |
+ *
+ * Supported: Feature, Rule, Background (feature and rule level), Scenario / Example,
+ * Scenario Outline / Scenario Template with Examples / Scenarios tables, tags, doc strings,
+ * data tables and # comments. Comment lines of the form "# key: value" before the Feature line
+ * are the playbook's front matter settings. Only English keywords are supported.
+ */
+
+const STEP_PATTERN = /^(Given|When|Then|And|But|\*)\s+(.+)$/;
+const SCENARIO_PATTERN = /^(?:Scenario Outline|Scenario Template|Scenario|Example)\s*:\s*(.*)$/;
+const OUTLINE_PATTERN = /^(?:Scenario Outline|Scenario Template)\s*:/;
+const EXAMPLES_PATTERN = /^(?:Examples|Scenarios)\s*:\s*(.*)$/;
+const DOC_STRING_PATTERN = /^("""|```)/;
+// Step kinds by keyword; And, But and * continue the kind of the step before
+const STEP_KINDS = { Given: 'context', When: 'action', Then: 'outcome' };
+
+/**
+ * Error pointing at a line of the feature file
+ */
+function syntaxError(message, line) {
+  const error = new Error(`${message} in feature file on line ${line}`);
+  error.line = line;
+  return error;
+}
+
+/**
+ * Split a table row "| a | b \| c |" into its trimmed cells
+ */
+function parseTableRow(text, line) {
+  if (!text.endsWith('|') || text.length < 2) {
+    throw syntaxError('Table row must end with "|"', line);
+  }
+  const cells = [];
+  let cell = '';
+  for (let i = 1; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\' && i + 1 < text.length) {
+      const next = text[++i];
+      cell += next === 'n' ? '\n' : next;
+    } else if (char === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  return cells;
+}
+
+/**
+ * Parse a feature file
+ * @param {string} content - Full file content
+ * @returns {object} { name, line, tags, settingLines, background, scenarios }
+ *   - settingLines: "key: value" lines from the comments before the Feature line (YAML)
+ *   - background: steps of the feature's Background
+ *   - scenarios: [{ name, line, tags, outline, steps, examples }] where steps include the
+ *     Background steps of the scenario's Rule and examples are the Examples rows as
+ *     { column: value } objects; steps are { keyword, kind, text, line, docString, dataTable }
+ *     with kind 'context', 'action' or 'outcome'
+ * @throws {Error} On syntax errors; error.line holds the 1-based line number
+ */
+function parseFeature(content) {
+  const lines = content.split(/\r?\n/);
+  const feature = { name: null, line: null, tags: [], settingLines: [], background: [], scenarios: [] };
+  let rule = null; // { tags, background } of the current Rule
+  let container = null; // Background steps array or scenario collecting steps
+  let examples = null; // { header, line } of the Examples table being read
+  let lastStep = null;
+  let pendingTags = [];
+
+  const addStep = (step) => {
+    const steps = Array.isArray(container) ? container : container.steps;
+    steps.push(step);
+    lastStep = step;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const lineNumber = i + 1;
+    const trimmed = lines[i].trim();
+
+    if (!trimmed) continue;
+
+    if (trimmed.startsWith('#')) {
+      const comment = trimmed.replace(/^#\s?/, '');
+      const languageMatch = comment.match(/^language\s*:\s*(\S+)/);
+      if (languageMatch && languageMatch[1] !== 'en') {
+        throw syntaxError(`Unsupported Gherkin language "${languageMatch[1]}" (only English keywords are supported)`, lineNumber);
+      }
+      if (feature.name === null && !languageMatch) {
+        feature.settingLines.push(lines[i].replace(/^\s*#\s?/, ''));
+      }
+      continue;
+    }
+
+    if (trimmed.startsWith('@')) {
+      pendingTags.push(...trimmed.split(/\s+/).filter(tag => tag.startsWith('@')));
+      continue;
+    }
+
+    const featureMatch = trimmed.match(/^Feature\s*:\s*(.*)$/);
+    if (featureMatch) {
+      if (feature.name !== null) {
+        throw syntaxError('A feature file can only have one Feature', lineNumber);
+      }
+      Object.assign(feature, { name: featureMatch[1].trim(), line: lineNumber, tags: pendingTags });
+      pendingTags = [];
+      continue;
+    }
+    if (feature.name === null) {
+      throw syntaxError(`Expected "Feature:" but found "${trimmed}"`, lineNumber);
+    }
+
+    const ruleMatch = trimmed.match(/^Rule\s*:\s*(.*)$/);
+    if (ruleMatch) {
+      rule = { tags: pendingTags, background: [] };
+      pendingTags = [];
+      container = null;
+      examples = null;
+      lastStep = null;
+      continue;
+    }
+
+    if (/^Background\s*:/.test(trimmed)) {
+      container = rule ? rule.background : feature.background;
+      examples = null;
+      lastStep = null;
+      continue;
+    }
+
+    const scenarioMatch = trimmed.match(SCENARIO_PATTERN);
+    if (scenarioMatch) {
+      container = {
+        name: scenarioMatch[1].trim() || `Scenario on line ${lineNumber}`,
+        line: lineNumber,
+        tags: [...feature.tags, ...(rule ? rule.tags : []), ...pendingTags],
+        outline: OUTLINE_PATTERN.test(trimmed),
+        background: rule ? rule.background : [],
+        steps: [],
+        examples: []
+      };
+      feature.scenarios.push(container);
+      pendingTags = [];
+      examples = null;
+      lastStep = null;
+      continue;
+    }
+
+    const examplesMatch = trimmed.match(EXAMPLES_PATTERN);
+    if (examplesMatch) {
+      if (!container || !container.outline) {
+        throw syntaxError('Examples are only allowed in a Scenario Outline', lineNumber);
+      }
+      examples = { header: null, line: lineNumber };
+      pendingTags = [];
+      lastStep = null;
+      continue;
+    }
+
+    if (trimmed.startsWith('|')) {
+      const cells = parseTableRow(trimmed, lineNumber);
+      if (examples) {
+        if (!examples.header) {
+          examples.header = cells;
+        } else if (cells.length !== examples.header.length) {
+          throw syntaxError(`Examples row has ${cells.length} cells, the header has ${examples.header.length}`, lineNumber);
+        } else {
+          container.examples.push(Object.fromEntries(examples.header.map((column, index) => [column, cells[index]])));
+        }
+      } else if (lastStep && lastStep.docString === null) {
+        lastStep.dataTable = lastStep.dataTable || [];
+        lastStep.dataTable.push(cells);
+      } else {
+        throw syntaxError('Table without a step or Examples above it', lineNumber);
+      }
+      continue;
+    }
+
+    const docStringMatch = trimmed.match(DOC_STRING_PATTERN);
+    if (docStringMatch) {
+      if (!lastStep || lastStep.docString !== null || lastStep.dataTable) {
+        throw syntaxError('Doc string without a step above it', lineNumber);
+      }
+      const indent = lines[i].length - lines[i].trimStart().length;
+      const docLines = [];
+      for (i++; i < lines.length && lines[i].trim() !== docStringMatch[1]; i++) {
+        docLines.push(lines[i].substring(Math.min(indent, lines[i].length - lines[i].trimStart().length)));
+      }
+      if (i === lines.length) {
+        throw syntaxError('Doc string is not closed', lineNumber);
+      }
+      lastStep.docString = docLines.join('\n');
+      continue;
+    }
+
+    const stepMatch = trimmed.match(STEP_PATTERN);
+    if (stepMatch) {
+      if (!container || examples) {
+        throw syntaxError(`Step "${trimmed}" outside of a Background or Scenario`, lineNumber);
+      }
+      const keyword = stepMatch[1];
+      addStep({
+        keyword,
+        kind: STEP_KINDS[keyword] || (lastStep ? lastStep.kind : 'action'),
+        text: stepMatch[2].trim(),
+        line: lineNumber,
+        docString: null,
+        dataTable: null
+      });
+      continue;
+    }
+
+    // Free text is the description of the Feature, Rule, Background, Scenario or Examples above
+    if (lastStep) {
+      throw syntaxError(`Unexpected text "${trimmed}" after a step (steps start with Given, When, Then, And, But or *)`, lineNumber);
+    }
+  }
+
+  if (feature.name === null) {
+    throw syntaxError('Missing "Feature:"', Math.max(lines.length, 1));
+  }
+
+  for (const scenario of feature.scenarios) {
+    if (scenario.steps.length === 0) {
+      throw syntaxError(`Scenario "${scenario.name}" has no steps`, scenario.line);
+    }
+    if (scenario.outline && scenario.examples.length === 0) {
+      throw syntaxError(`Scenario Outline "${scenario.name}" has no Examples rows`, scenario.line);
+    }
+    scenario.steps = [...scenario.background, ...scenario.steps];
+    delete scenario.background;
+    if (scenario.outline) {
+      const columns = new Set(scenario.examples.flatMap(row => Object.keys(row)));
+      scenario.steps = scenario.steps.map(step => fillOutlineStep(step, columns));
+    }
+  }
+  return feature;
+}
+
+/**
+ * Turn the <column> placeholders of an outline step into ${column} variables, which the
+ * Examples row fills in like a dataset row
+ */
+function fillOutlineStep(step, columns) {
+  const fill = (text) => text.replace(/<([^<>\n]+)>/g, (placeholder, name) => (columns.has(name) ? '${' + name + '}' : placeholder));
+  return {
+    ...step,
+    text: fill(step.text),
+    docString: step.docString === null ? null : fill(step.docString),
+    dataTable: step.dataTable ? step.dataTable.map(cells => cells.map(fill)) : null
+  };
+}
+
+module.exports = { parseFeature };
@@ -0,0 +1,158 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Files that are playbooks, markdown or Gherkin
+const PLAYBOOK_EXTENSIONS = ['.md', '.feature'];
+const GLOB_CHARS = /[*?[{]/;
+// Folders never searched for playbooks
+const SKIPPED_DIRECTORIES = ['node_modules', '.git'];
+
+/**
+ * Whether a -p argument is a glob pattern rather than a file or directory path
+ */
+function isGlobPattern(target) {
+  return GLOB_CHARS.test(target);
+}
+
+/**
+ * Translate a glob pattern to a regular expression matching forward-slash paths
+ * Supports *, ** (any number of folders), ?, [abc] and {a,b}.
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" matches zero or more folders, a trailing "**" everything below
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:[^/]*/)*' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i + 1);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        source += `(?:${pattern.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+        i = end;
+      }
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * All files below a directory, as absolute paths in sorted order
+ */
+async function listFiles(directory) {
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRECTORIES.includes(entry.name)) {
+        files.push(...await listFiles(entryPath));
+      }
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Find the playbooks of a suite: every .md and .feature file below a directory, or the files
+ * matching a glob pattern (relative to the working directory)
+ * @param {string} target - Directory or glob pattern, e.g. "tests/**\/*.md"
+ * @returns {Promise<object>} { baseDir, files } - the directory the suite lives in (the part of a
+ *   glob before its first wildcard) and the absolute paths of the playbooks, sorted
+ * @throws {Error} If the directory does not exist
+ */
+async function findPlaybookFiles(target) {
+  const normalized = target.split(path.sep).join('/');
+  let baseDir = path.resolve(normalized);
+  let pattern = null;
+  if (isGlobPattern(normalized)) {
+    const parts = normalized.split('/');
+    const firstGlob = parts.findIndex(part => isGlobPattern(part));
+    baseDir = path.resolve(parts.slice(0, firstGlob).join('/') || '.');
+    pattern = globToRegExp(parts.slice(firstGlob).join('/'));
+  }
+
+  let files;
+  try {
+    files = await listFiles(baseDir);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      throw new Error(`Playbook folder not found: ${baseDir}`);
+    }
+    throw error;
+  }
+
+  return {
+    baseDir,
+    files: files.filter(file => {
+      const relative = path.relative(baseDir, file).split(path.sep).join('/');
+      return PLAYBOOK_EXTENSIONS.includes(path.extname(file).toLowerCase()) &&
+        (pattern ? pattern.test(relative) : true);
+    })
+  };
+}
+
+/**
+ * Whether a -p argument names a suite (a directory or glob pattern) rather than a single playbook
+ */
+async function isPlaybookSuite(target) {
+  if (isGlobPattern(target)) {
+    return true;
+  }
+  try {
+    return (await fs.stat(target)).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Normalize tags for comparison: "@Smoke" -> "smoke"
+ * @param {Array<string>|string} tags - Tag list, or a comma / space separated string such as "smoke, @checkout"
+ * @returns {Array<string>} Lowercase tags without the leading @
+ */
+function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(/[\s,]+/);
+  return list.map(tag => String(tag).trim().replace(/^@/, '').toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Whether a playbook or scenario with these tags is selected by a tag filter
+ * @param {Array<string>} tags - Tags of the playbook or scenario
+ * @param {object} filter - { include, exclude } tag lists; with include tags, at least one of them
+ *   must be present, and none of the exclude tags may be
+ */
+function matchesTags(tags, { include = [], exclude = [] } = {}) {
+  const normalized = new Set(parseTags(tags));
+  const wanted = parseTags(include);
+  if (wanted.length > 0 && !wanted.some(tag => normalized.has(tag))) {
+    return false;
+  }
+  return !parseTags(exclude).some(tag => normalized.has(tag));
+}
+
+module.exports = { PLAYBOOK_EXTENSIONS, isGlobPattern, globToRegExp, findPlaybookFiles, isPlaybookSuite, parseTags, matchesTags };
@@ -0,0 +1,27 @@
+const net = require('net');
+
+/**
+ * Ask the OS for free TCP ports on localhost
+ * All ports are held open until every one is allocated, so the same port is never returned twice;
+ * they are released before this resolves, for the caller to start its servers on.
+ * @param {number} count - Number of ports
+ * @returns {Promise<Array<number>>} Distinct port numbers
+ */
+async function findFreePorts(count) {
+  const servers = [];
+  try {
+    for (let i = 0; i < count; i++) {
+      const server = net.createServer();
+      servers.push(server);
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', resolve);
+      });
+    }
+    return servers.map(server => server.address().port);
+  } finally {
+    await Promise.all(servers.map(server => new Promise(resolve => server.close(() => resolve()))));
+  }
+}
+
+module.exports = { findFreePorts };
@@ -0,0 +1,157 @@
+const fs = require('fs').promises;
+const dotenv = require('dotenv');
+
+// ${NAME} placeholders; $${NAME} is an escaped, literal ${NAME}
+const PLACEHOLDER_PATTERN = /(\$?)\$\{\s*([A-Za-z_][A-Za-z0-9_.-]*)\s*\}/g;
+const SECRET_MASK = '****';
+
+/**
+ * Names of all ${NAME} placeholders in a text (escaped ones excluded)
+ * @param {string} text
+ * @returns {string[]} Unique variable names in order of appearance
+ */
+function findPlaceholders(text) {
+  const names = [];
+  for (const match of String(text).matchAll(PLACEHOLDER_PATTERN)) {
+    if (!match[1] && !names.includes(match[2])) {
+      names.push(match[2]);
+    }
+  }
+  return names;
+}
+
+/**
+ * Replace ${NAME} placeholders in a text
+ * @param {string} text - Text with placeholders
+ * @param {Function} resolve - Called with a variable name, returns the replacement or
+ *   undefined to keep the placeholder as is
+ * @param {object} [options] - { keepEscaped: leave $${NAME} as is for a later interpolation }
+ * @returns {string}
+ */
+function interpolate(text, resolve, { keepEscaped = false } = {}) {
+  return String(text).replace(PLACEHOLDER_PATTERN, (placeholder, escape, name) => {
+    if (escape) {
+      return keepEscaped ? placeholder : placeholder.substring(1);
+    }
+    const value = resolve(name);
+    return value === undefined ? placeholder : String(value);
+  });
+}
+
+/**
+ * Split a text at its ${NAME} placeholders, e.g. for code that reads them from elsewhere
+ * @param {string} text - Text with placeholders
+ * @returns {Array<object>} Parts in order: { text } for literal text (escaped placeholders
+ *   included, unescaped) and { name } for a placeholder
+ */
+function splitPlaceholders(text) {
+  const parts = [];
+  let literal = '';
+  let index = 0;
+  for (const match of String(text).matchAll(PLACEHOLDER_PATTERN)) {
+    literal += String(text).substring(index, match.index);
+    index = match.index + match[0].length;
+    if (match[1]) {
+      literal += match[0].substring(1);
+      continue;
+    }
+    if (literal) {
+      parts.push({ text: literal });
+      literal = '';
+    }
+    parts.push({ name: match[2] });
+  }
+  literal += String(text).substring(index);
+  if (literal || parts.length === 0) {
+    parts.push({ text: literal });
+  }
+  return parts;
+}
+
+/**
+ * Apply interpolate() to every string inside a tool argument object
+ */
+function interpolateDeep(value, resolve) {
+  if (typeof value === 'string') {
+    return interpolate(value, resolve);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => interpolateDeep(item, resolve));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolateDeep(item, resolve)]));
+  }
+  return value;
+}
+
+/**
+ * Replace every occurrence of the given secret values with ****
+ * Works on strings and (recursively) on arrays and objects.
+ * @param {*} value - Text or structure to mask
+ * @param {string[]} secretValues - Values to hide
+ */
+function maskSecrets(value, secretValues) {
+  if (!secretValues || secretValues.length === 0) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    // Longest first so a secret containing another secret is masked as a whole
+    return [...secretValues]
+      .filter(Boolean)
+      .sort((a, b) => b.length - a.length)
+      .reduce((text, secret) => text.split(secret).join(SECRET_MASK), value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => maskSecrets(item, secretValues));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, maskSecrets(item, secretValues)]));
+  }
+  return value;
+}
+
+/**
+ * Parse --var key=value arguments
+ * @param {string[]} pairs - Raw "key=value" strings
+ * @returns {object} Variables by name
+ * @throws {Error} If a pair has no "=" or an invalid name
+ */
+function parseVarArgs(pairs) {
+  const vars = {};
+  for (const pair of pairs || []) {
+    const separator = pair.indexOf('=');
+    const name = separator > 0 ? pair.substring(0, separator).trim() : '';
+    if (!/^[A-Za-z_][A-Za-z0-9_.-]*$/.test(name)) {
+      throw new Error(`Invalid --var "${pair}", expected name=value`);
+    }
+    vars[name] = pair.substring(separator + 1);
+  }
+  return vars;
+}
+
+/**
+ * Load a secrets file in dotenv format (NAME=value per line)
+ * @param {string} filePath
+ * @returns {Promise<object>} Secret values by name
+ */
+async function loadSecretsFile(filePath) {
+  try {
+    return dotenv.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Secrets file not found: ${filePath}`);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  SECRET_MASK,
+  findPlaceholders,
+  interpolate,
+  interpolateDeep,
+  splitPlaceholders,
+  maskSecrets,
+  parseVarArgs,
+  loadSecretsFile
+};
@@ -0,0 +1,54 @@
+// Base viewport used by the MCP browser when no zoom is requested
+const BASE_VIEWPORT = { width: 1920, height: 1080 };
+
+/**
+ * Translate a zoom percent into an MCP viewport size.
+ * 0% zoom means base viewport (1920x1080).
+ * 400% zoom means 4x zoom => viewport divided by 4.
+ * @param {number} zoomPercent - Zoom percent (e.g. 150)
+ * @returns {string|null} Viewport size as "WIDTHxHEIGHT", or null for the base viewport
+ */
+function zoomToViewportSize(zoomPercent) {
+  if (zoomPercent === null || zoomPercent === undefined || zoomPercent === 0) {
+    return null;
+  }
+
+  const zoomFactor = zoomPercent / 100;
+  if (!(zoomFactor > 0)) {
+    throw new Error(`Zoom percent ${zoomPercent} results in invalid zoomFactor ${zoomFactor}`);
+  }
+
+  const width = Math.max(1, Math.round(BASE_VIEWPORT.width / zoomFactor));
+  const height = Math.max(1, Math.round(BASE_VIEWPORT.height / zoomFactor));
+  return `${width}x${height}`;
+}
+
+/**
+ * Parse a zoom percent command line value
+ * @param {string} rawZoom - Raw value of the -z flag
+ * @returns {number|null} The zoom percent or null if invalid
+ */
+function parseZoomPercent(rawZoom) {
+  const parsed = Number.parseFloat(rawZoom);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    return null;
+  }
+  return parsed;
+}
+
+/**
+ * Parse a viewport size such as "1280x720"
+ * @param {string} rawSize - Viewport size as "WIDTHxHEIGHT"
+ * @returns {{ width: number, height: number }|null} The size or null if invalid
+ */
+function parseViewportSize(rawSize) {
+  const match = String(rawSize || '').trim().match(/^(\d+)\s*x\s*(\d+)$/i);
+  if (!match) {
+    return null;
+  }
+  const width = Number(match[1]);
+  const height = Number(match[2]);
+  return width > 0 && height > 0 ? { width, height } : null;
+}
+
+module.exports = { BASE_VIEWPORT, zoomToViewportSize, parseZoomPercent, parseViewportSize };
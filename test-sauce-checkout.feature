@@ -0,0 +1,31 @@
+# Settings in "# key: value" comments before the Feature line, like playbook front matter
+# baseUrl: https://www.saucedemo.com
+# secrets: [password]
+# vars:
+#   password: secret_sauce
+Feature: Sauce Demo checkout
+
+  Background:
+    Given I am on the Sauce Demo login page
+    When I log in with username "standard_user" and password "${password}"
+
+  Scenario: The cart lists the added items
+    When I add "Sauce Labs Bike Light" to the cart
+    And I add "Sauce Labs Onesie" to the cart
+    And I click on the cart icon at the top right corner of the page
+    Then the cart page lists the two added items - Bike Light and Onesie
+
+  Scenario Outline: Checkout of a single product
+    When I add "<product>" to the cart
+    And I open the cart and click on the Checkout button
+    And I fill in the "Your information" form:
+      | First Name | Last Name | Zip Code |
+      | Nirupam    | Biswas    | 12345    |
+    And I click on the Continue button
+    Then the "Overview" page lists "<product>"
+    And the "Item total" is <price>
+
+    Examples:
+      | product               | price  |
+      | Sauce Labs Backpack   | $29.99 |
+      | Sauce Labs Bike Light | $9.99  |
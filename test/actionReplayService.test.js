@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ActionReplayService = require('../src/services/actionReplayService');
+
+const SNAPSHOT = {
+  content: [{
+    type: 'text',
+    text: '- Page Snapshot:\n```yaml\n- generic [ref=e1]:\n  - button "Login" [ref=e9]\n  - button "Login" [ref=e10]\n```'
+  }]
+};
+
+/**
+ * LLM service stub answering every browser_snapshot with SNAPSHOT
+ */
+function createLlmService() {
+  return {
+    snapshots: 0,
+    async callMcpTool(toolName) {
+      assert.equal(toolName, 'browser_snapshot');
+      this.snapshots++;
+      return SNAPSHOT;
+    },
+    throwIfCancelled() {}
+  };
+}
+
+test('resolveTargets replaces recorded refs with the refs of the same elements on the page', async () => {
+  const replayService = new ActionReplayService(createLlmService());
+  const args = await replayService.resolveTargets({
+    toolName: 'browser_click',
+    args: { element: 'Login button', ref: 'e4' },
+    targets: { ref: { role: 'button', name: 'Login', nth: 1, count: 2, attributes: {} } }
+  });
+  assert.deepEqual(args, { element: 'Login button', ref: 'e10' });
+});
+
+test('resolveTargets keeps the arguments of actions without refs', async () => {
+  const llmService = createLlmService();
+  const args = await new ActionReplayService(llmService).resolveTargets({ toolName: 'browser_navigate', args: { url: 'https://shop.test/' } });
+  assert.deepEqual(args, { url: 'https://shop.test/' });
+  assert.equal(llmService.snapshots, 0);
+});
+
+test('resolveTargets diverges for refs without a recorded element', async () => {
+  const llmService = createLlmService();
+  const replayService = new ActionReplayService(llmService);
+  for (const targets of [undefined, null, { startRef: { role: 'button', name: 'Login', nth: 0, count: 2, attributes: {} } }]) {
+    await assert.rejects(
+      replayService.resolveTargets({ toolName: 'browser_drag', args: { startRef: 'e9', endRef: 'e4' }, targets }),
+      error => error.diverged === true && /browser_drag: no element was recorded for (refs e9, e4|ref e4)$/.test(error.message)
+    );
+  }
+  await assert.rejects(
+    replayService.resolveTargets({ toolName: 'browser_click', args: { element: 'Login button', ref: 'e4' }, targets: null }),
+    error => error.diverged === true && /no element was recorded for ref e4/.test(error.message)
+  );
+  assert.equal(llmService.snapshots, 0);
+});
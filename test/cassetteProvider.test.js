@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CassetteProvider = require('../src/services/llmProviders/cassetteProvider');
+const { createProvider } = require('../src/services/llmProviders');
+
+const REQUEST = {
+  systemPrompt: 'You are a browser agent.',
+  tools: [{ name: 'browser_click' }, { name: 'browser_type' }],
+  messages: [
+    { role: 'user', content: [{ type: 'text', text: 'The current time is: 10/19/2026, 5:00:37 AM\n\nClick Login at 2026-10-19T05:00:37.503Z' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } }] },
+    { role: 'assistant', content: '', tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'browser_click', arguments: '{"ref":"e4"}' } }] },
+    { role: 'tool', tool_call_id: 'call_1', content: '- button "Login" [ref=e4]' }
+  ]
+};
+const RESPONSE = { text: 'Done.', toolCalls: [], message: { role: 'assistant', content: 'Done.' } };
+
+function createCassette(mode, interactions = []) {
+  const inner = createProvider('openai', { model: 'gpt-4o-mini', apiKey: 'test' });
+  return new CassetteProvider(inner, { filePath: 'test.cassette.json', mode, interactions });
+}
+
+test('normalizeRequest keeps only the parts that must match between runs', () => {
+  const cassette = createCassette('replay');
+  const normalized = cassette.normalizeRequest('generate', REQUEST);
+  assert.match(normalized.systemPrompt, /^[0-9a-f]{40}$/);
+  assert.match(normalized.tools, /^[0-9a-f]{40}$/);
+  assert.deepEqual(normalized.messages[0].content, [
+    { type: 'text', text: 'The current time is: <time>\n\nClick Login at <timestamp>' },
+    { type: 'image_url', image_url: { url: '<image>' } }
+  ]);
+  assert.deepEqual(normalized.messages[1], REQUEST.messages[1]);
+  assert.deepEqual(normalized.messages[2], { role: 'tool', toolResult: true });
+});
+
+test('normalizeRequest ignores the current time and the content of tool results', () => {
+  const cassette = createCassette('replay');
+  const later = {
+    ...REQUEST,
+    messages: [
+      { role: 'user', content: [{ type: 'text', text: 'The current time is: 10/20/2026, 6:40:12 PM\n\nClick Login at 2026-10-20T18:40:12.000Z' }, REQUEST.messages[0].content[1]] },
+      REQUEST.messages[1],
+      { role: 'tool', tool_call_id: 'call_1', content: '- button "Login" [ref=e9]' }
+    ]
+  };
+  assert.deepEqual(cassette.normalizeRequest('generate', later), cassette.normalizeRequest('generate', REQUEST));
+  assert.deepEqual(cassette.normalizeRequest('generateText', { prompt: 'At 2026-01-01T00:00:00Z' }), { prompt: 'At <timestamp>' });
+});
+
+test('replay serves recorded responses in order and fails when exhausted', async () => {
+  const cassette = createCassette('replay');
+  cassette.interactions.push({ kind: 'generate', request: cassette.normalizeRequest('generate', REQUEST), response: RESPONSE });
+
+  const response = await cassette.generate(REQUEST);
+  assert.deepEqual(response, RESPONSE);
+  response.text = 'changed';
+  assert.equal(cassette.interactions[0].response.text, 'Done.');
+  await assert.rejects(cassette.generate(REQUEST), /LLM cassette exhausted: request #2 \(generate\)/);
+});
+
+test('replay fails with the first differing message', async () => {
+  const cassette = createCassette('replay');
+  cassette.interactions.push({ kind: 'generate', request: cassette.normalizeRequest('generate', REQUEST), response: RESPONSE });
+  const edited = { ...REQUEST, messages: [{ role: 'user', content: 'Click Logout' }, ...REQUEST.messages.slice(1)] };
+  await assert.rejects(cassette.generate(edited), /replay diverged at request #1 .*: message #1 differs/s);
+});
+
+test('findMismatch reports the kind, system prompt and tool declarations', () => {
+  const cassette = createCassette('replay');
+  const recorded = { kind: 'generate', request: cassette.normalizeRequest('generate', REQUEST) };
+  assert.equal(cassette.findMismatch(recorded, 'generate', cassette.normalizeRequest('generate', REQUEST)), null);
+  assert.match(cassette.findMismatch(recorded, 'generateText', {}), /expected a generate request but got generateText/);
+  assert.match(cassette.findMismatch(recorded, 'generate', cassette.normalizeRequest('generate', { ...REQUEST, systemPrompt: 'Other' })), /system prompt differs/);
+  const renamed = { ...REQUEST, tools: [{ name: 'browser_click' }, { name: 'browser_fill' }] };
+  assert.match(cassette.findMismatch(recorded, 'generate', cassette.normalizeRequest('generate', renamed)),
+    /the tool declarations differ from the recording \(hash [0-9a-f]{40}, recorded [0-9a-f]{40}\)/);
+});
+
+test('a recorded cassette replays without the wrapped adapter', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'cassette-'));
+  try {
+    const filePath = path.join(directory, 'run.cassette.json');
+    const inner = createProvider('openai', { model: 'gpt-4o-mini', apiKey: 'test' });
+    inner.generate = async () => RESPONSE;
+    const recorder = CassetteProvider.forRecording(inner, filePath);
+    await recorder.generate(REQUEST);
+
+    const saved = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    assert.equal(saved.provider, 'openai');
+    assert.equal(saved.model, 'gpt-4o-mini');
+    assert.equal(saved.interactions.length, 1);
+
+    const player = await CassetteProvider.forReplay(filePath);
+    player.inner.generate = async () => assert.fail('replay must not call the adapter');
+    assert.deepEqual(await player.generate(REQUEST), RESPONSE);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('forReplay reports a missing cassette', async () => {
+  await assert.rejects(CassetteProvider.forReplay(path.join(os.tmpdir(), 'missing.cassette.json')), /LLM cassette not found/);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateScript, listLanguages, LANGUAGES } = require('../src/services/codegen');
+
+const TYPED_TEXT = 'C:\\dir "x" \'y\' `z`\n${TOKEN} $${kept}';
+const ACTIONS = [
+  { timestamp: '2026-01-01T00:00:00.000Z', toolName: 'browser_navigate', args: { url: 'https://shop.test/?q="a"' }, success: true },
+  {
+    timestamp: '2026-01-01T00:00:01.000Z',
+    toolName: 'browser_type',
+    args: { element: 'Note field', ref: 'e2', text: TYPED_TEXT },
+    targets: { ref: { role: 'textbox', name: 'Say "hi"', nth: 0, count: 1, attributes: {} } },
+    success: true
+  }
+];
+const VALIDATIONS = [
+  { timestamp: '2026-01-01T00:00:02.000Z', scenario: 'On the cart page', result: 'pass', evidence: { expectedUrl: '/cart.html?id=1' } }
+];
+
+function generate(language) {
+  return generateScript(ACTIONS, { language, title: 'Quote "test"', validations: VALIDATIONS }).script;
+}
+
+/**
+ * The argument of the first fill call in a script
+ */
+function fillArgument(script) {
+  return script.match(/\.(?:fill|FillAsync)\((.*)\);?$/m)[1];
+}
+
+test('every language is listed with a name', () => {
+  assert.deepEqual(listLanguages().map(language => language.id), Object.keys(LANGUAGES));
+  assert.ok(listLanguages().every(language => language.name));
+});
+
+test('unknown languages and logs without browser actions are rejected', () => {
+  assert.throws(() => generateScript(ACTIONS, { language: 'cobol' }), /Unknown script language "cobol"/);
+  assert.throws(() => generateScript([], { language: 'python' }), /No browser actions recorded/);
+});
+
+test('file names follow the conventions of each language', () => {
+  const fileNames = Object.keys(LANGUAGES).map(language => generateScript(ACTIONS, { language, title: 'checkout-2.md' }).fileName);
+  assert.deepEqual(fileNames, [
+    'checkout-2-md.spec.ts',
+    'checkout-2-md.spec.js',
+    'checkout-2-md.js',
+    'test_checkout_2_md.py',
+    'Checkout2MdTest.java',
+    'Checkout2MdTests.cs'
+  ]);
+});
+
+for (const language of ['typescript', 'javascript', 'node']) {
+  test(`${language} string literals evaluate to the typed text with secrets read from the environment`, () => {
+    const script = generate(language);
+    const evaluate = new Function('secret', `return ${fillArgument(script)};`);
+    assert.equal(evaluate(name => `<${name}>`), 'C:\\dir "x" \'y\' `z`\n<TOKEN> ${kept}');
+    assert.match(script, /getByRole\('textbox', \{ name: 'Say "hi"', exact: true \}\)/);
+    assert.ok(script.includes("page.goto('https://shop.test/?q=\"a\"')"));
+  });
+}
+
+test('typescript escapes slashes and regular expression characters of expected URLs', () => {
+  assert.ok(generate('typescript').includes('await expect(page).toHaveURL(/\\/cart\\.html\\?id=1/);'));
+});
+
+test('python quotes with double quotes and reads secrets from os.environ', () => {
+  const script = generate('python');
+  assert.equal(fillArgument(script), '"C:\\\\dir \\"x\\" \'y\' `z`\\n" + os.environ["TOKEN"] + " ${kept}"');
+  assert.ok(script.includes('page.get_by_role("textbox", name="Say \\"hi\\"", exact=True)'));
+  assert.ok(script.includes('expect(page).to_have_url(re.compile("/cart\\\\.html\\\\?id=1"))'));
+  assert.match(script, /^import os\nimport re\n/);
+});
+
+test('java and c# quote with double quotes and read secrets through a helper', () => {
+  assert.equal(fillArgument(generate('java')), '"C:\\\\dir \\"x\\" \'y\' `z`\\n" + secret("TOKEN") + " ${kept}"');
+  assert.equal(fillArgument(generate('csharp')), '"C:\\\\dir \\"x\\" \'y\' `z`\\n" + Secret("TOKEN") + " ${kept}"');
+  assert.ok(generate('java').includes('assertThat(page).hasURL(Pattern.compile("/cart\\\\.html\\\\?id=1"));'));
+  assert.ok(generate('csharp').includes('await Expect(Page).ToHaveURLAsync(new Regex("/cart\\\\.html\\\\?id=1"));'));
+});
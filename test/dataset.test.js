@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv } = require('../src/utils/dataset');
+
+test('parseCsv reads rows by column name', () => {
+  assert.deepEqual(parseCsv('user,password\nalice,one\nbob,two\n'), [
+    { user: 'alice', password: 'one' },
+    { user: 'bob', password: 'two' }
+  ]);
+});
+
+test('parseCsv handles quoted fields, "" escapes, CRLF and a BOM', () => {
+  const rows = parseCsv('\uFEFFname,note\r\n"Smith, Jane","She said ""hi""\nand left"\r\n');
+  assert.deepEqual(rows, [{ name: 'Smith, Jane', note: 'She said "hi"\nand left' }]);
+});
+
+test('parseCsv skips blank lines and fills missing fields', () => {
+  assert.deepEqual(parseCsv('a,b\n\n1\n\n'), [{ a: '1', b: '' }]);
+  assert.deepEqual(parseCsv(''), []);
+});
+
+test('parseCsv rejects rows with more fields than the header', () => {
+  assert.throws(() => parseCsv('a\n1,2'), /row 1 has 2 fields, the header has 1/);
+});
+
+test('parseCsv rejects an unterminated quoted field', () => {
+  assert.throws(() => parseCsv('a\n"open'), /Unterminated quoted field/);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFrontMatter, parseYaml, parseDuration } = require('../src/utils/frontMatter');
+
+test('parseFrontMatter splits settings from the body', () => {
+  const content = [
+    '---',
+    'baseUrl: https://www.saucedemo.com # the shop',
+    'zoom: 150',
+    'vars:',
+    '  user: "standard_user"',
+    'secrets: [PASSWORD, TOKEN]',
+    '---',
+    '# Login',
+    '1. Open the page'
+  ].join('\n');
+  const { data, body, bodyStartLine } = parseFrontMatter(content);
+  assert.deepEqual(data, {
+    baseUrl: 'https://www.saucedemo.com',
+    zoom: 150,
+    vars: { user: 'standard_user' },
+    secrets: ['PASSWORD', 'TOKEN']
+  });
+  assert.equal(body, '# Login\n1. Open the page');
+  assert.equal(bodyStartLine, 7);
+});
+
+test('parseFrontMatter returns the whole content without front matter', () => {
+  assert.deepEqual(parseFrontMatter('1. Step'), { data: {}, body: '1. Step', bodyStartLine: 0 });
+});
+
+test('parseFrontMatter rejects an unclosed block', () => {
+  assert.throws(() => parseFrontMatter('---\nzoom: 150\n1. Step'), /not closed/);
+});
+
+test('parseYaml reads scalars, block lists and lists of maps', () => {
+  const data = parseYaml([
+    'retries: 2',
+    'headless: yes',
+    'model: ~',
+    "title: 'It''s here'",
+    'steps:',
+    '  - one',
+    '  - name: two',
+    '    value: 2'
+  ]);
+  assert.deepEqual(data, {
+    retries: 2,
+    headless: true,
+    model: null,
+    title: "It's here",
+    steps: ['one', { name: 'two', value: 2 }]
+  });
+});
+
+test('parseYaml reports the line of bad indentation', () => {
+  assert.throws(() => parseYaml(['a: 1', '    b: 2'], 2), /line 3/);
+});
+
+test('parseDuration reads milliseconds and units', () => {
+  assert.equal(parseDuration(500), 500);
+  assert.equal(parseDuration('500ms'), 500);
+  assert.equal(parseDuration('30s'), 30000);
+  assert.equal(parseDuration('1.5m'), 90000);
+  assert.equal(parseDuration('soon'), null);
+  assert.equal(parseDuration(-1), null);
+});
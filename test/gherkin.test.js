@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFeature } = require('../src/utils/gherkin');
+
+const FEATURE = `# baseUrl: https://www.saucedemo.com
+@checkout
+Feature: Checkout
+
+  Background:
+    Given I am logged in as "standard_user"
+
+  @smoke
+  Scenario Outline: Buy a product
+    When I add "<product>" to the cart
+    And I enter the address
+      | street | city   |
+      | Main 1 | Berlin |
+    Then the order confirmation is shown
+    But no error is shown
+
+    Examples:
+      | product             |
+      | Sauce Labs Backpack |
+      | Sauce Labs Onesie   |
+`;
+
+test('parseFeature reads settings, tags, background and outline steps', () => {
+  const feature = parseFeature(FEATURE);
+  assert.equal(feature.name, 'Checkout');
+  assert.deepEqual(feature.settingLines, ['baseUrl: https://www.saucedemo.com']);
+  assert.equal(feature.scenarios.length, 1);
+
+  const [scenario] = feature.scenarios;
+  assert.equal(scenario.name, 'Buy a product');
+  assert.equal(scenario.outline, true);
+  assert.deepEqual(scenario.tags, ['@checkout', '@smoke']);
+  assert.deepEqual(scenario.examples, [{ product: 'Sauce Labs Backpack' }, { product: 'Sauce Labs Onesie' }]);
+  assert.deepEqual(feature.background.map(step => [step.keyword, step.kind, step.text]), [
+    ['Given', 'context', 'I am logged in as "standard_user"']
+  ]);
+  assert.deepEqual(scenario.steps.map(step => [step.keyword, step.kind, step.text]), [
+    ['When', 'action', 'I add "${product}" to the cart'],
+    ['And', 'action', 'I enter the address'],
+    ['Then', 'outcome', 'the order confirmation is shown'],
+    ['But', 'outcome', 'no error is shown']
+  ]);
+  assert.deepEqual(scenario.steps[1].dataTable, [['street', 'city'], ['Main 1', 'Berlin']]);
+});
+
+test('parseFeature keeps doc strings', () => {
+  const feature = parseFeature([
+    'Feature: Notes',
+    '  Scenario: Write a note',
+    '    When I type',
+    '      """',
+    '      Dear team,',
+    '        thanks!',
+    '      """'
+  ].join('\n'));
+  assert.equal(feature.scenarios[0].steps[0].docString, 'Dear team,\n  thanks!');
+});
+
+test('parseFeature reports the line of syntax errors', () => {
+  assert.throws(() => parseFeature('Scenario: No feature'), error => error.line === 1 && /Expected "Feature:"/.test(error.message));
+  assert.throws(() => parseFeature('Feature: A\n  Scenario: Empty\n'), error => error.line === 2 && /has no steps/.test(error.message));
+  assert.throws(() => parseFeature('Feature: A\n  Scenario Outline: B\n    When I wait\n'), /has no Examples rows/);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { globToRegExp, matchesTags, parseTags } = require('../src/utils/playbookFiles');
+
+test('globToRegExp matches within a folder with * and ?', () => {
+  const pattern = globToRegExp('tests/*.md');
+  assert.ok(pattern.test('tests/login.md'));
+  assert.ok(!pattern.test('tests/smoke/login.md'));
+  assert.ok(globToRegExp('step?.md').test('step1.md'));
+  assert.ok(!globToRegExp('step?.md').test('step10.md'));
+});
+
+test('globToRegExp matches any number of folders with **/', () => {
+  const pattern = globToRegExp('tests/**/*.feature');
+  assert.ok(pattern.test('tests/checkout.feature'));
+  assert.ok(pattern.test('tests/a/b/checkout.feature'));
+  assert.ok(!pattern.test('other/checkout.feature'));
+});
+
+test('globToRegExp supports [abc], [!abc] and {a,b}', () => {
+  assert.ok(globToRegExp('v[12].md').test('v2.md'));
+  assert.ok(!globToRegExp('v[!12].md').test('v1.md'));
+  const pattern = globToRegExp('*.{md,feature}');
+  assert.ok(pattern.test('a.md'));
+  assert.ok(pattern.test('a.feature'));
+  assert.ok(!pattern.test('a.txt'));
+});
+
+test('globToRegExp escapes regular expression characters', () => {
+  assert.ok(globToRegExp('a+b (1).md').test('a+b (1).md'));
+  assert.ok(!globToRegExp('a.md').test('abmd'));
+});
+
+test('parseTags normalizes tag lists and strings', () => {
+  assert.deepEqual(parseTags('@Smoke, checkout  @slow'), ['smoke', 'checkout', 'slow']);
+  assert.deepEqual(parseTags(['@UI']), ['ui']);
+  assert.deepEqual(parseTags(undefined), []);
+});
+
+test('matchesTags needs one include tag and no exclude tag', () => {
+  assert.ok(matchesTags(['@smoke'], {}));
+  assert.ok(matchesTags(['@Smoke', '@checkout'], { include: ['smoke'] }));
+  assert.ok(!matchesTags(['@checkout'], { include: ['smoke'] }));
+  assert.ok(!matchesTags(['@smoke', '@slow'], { include: ['smoke'], exclude: ['@slow'] }));
+  assert.ok(!matchesTags([], { include: ['smoke'] }));
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const PlaybookService = require('../src/services/playbookService');
+
+const FILE = path.join(__dirname, 'fixtures', 'inline.md');
+const playbookService = new PlaybookService(null, null);
+
+test('parseStepOptions splits off valid step options', () => {
+  assert.deepEqual(playbookService.parseStepOptions('Click Save (timeout 2m, retries 3, recovery reload)'), {
+    text: 'Click Save',
+    options: { timeoutMs: 120000, retries: 3, recovery: 'reload' }
+  });
+  assert.deepEqual(playbookService.parseStepOptions('Click Save (Retries: 0)'), { text: 'Click Save', options: { retries: 0 } });
+  assert.deepEqual(playbookService.parseStepOptions('Click Save'), { text: 'Click Save', options: {} });
+});
+
+test('parseStepOptions keeps remarks that are not valid options as step text', () => {
+  for (const text of [
+    'Click Login and wait for the error (timeout message)',
+    'Check the banner (retries exhausted)',
+    'Click Save (timeout 2m, retries many)',
+    'Click Save (recovery later)',
+    'Click Save (timeout 2m, colour red)'
+  ]) {
+    assert.deepEqual(playbookService.parseStepOptions(text), { text, options: {} });
+  }
+});
+
+test('parseSteps reads sections, blocks and optional steps', () => {
+  const body = [
+    'Some introduction',
+    '',
+    '## Setup',
+    '1. Open the shop',
+    '',
+    '## Steps',
+    '1. Add the backpack (retries 2)',
+    '2. If a cookie banner is shown:',
+    '   - Click Accept',
+    '   - Optional: Close the newsletter popup',
+    '3. Repeat until the cart shows 3 items (max 5):',
+    '   1. Click Add to cart',
+    '4. If the page asks to log in: Log in again',
+    '5. Optional: Dismiss the survey (timeout message)',
+    '',
+    '## Teardown',
+    '- Log out'
+  ].join('\n');
+  const { setup, steps, teardown, warnings } = playbookService.parseSteps(body, FILE, 10);
+
+  assert.deepEqual(setup.map(step => step.text), ['Open the shop']);
+  assert.deepEqual(teardown.map(step => step.text), ['Log out']);
+  assert.deepEqual(steps.map(step => step.type), ['action', 'if', 'repeat', 'if', 'action']);
+  assert.equal(steps[0].text, 'Add the backpack');
+  assert.deepEqual(steps[0].options, { retries: 2 });
+  assert.deepEqual(steps[0].source, { file: FILE, line: 16 });
+
+  assert.equal(steps[1].condition, 'a cookie banner is shown');
+  assert.deepEqual(steps[1].steps.map(step => [step.text, step.optional]), [['Click Accept', false], ['Close the newsletter popup', true]]);
+
+  assert.equal(steps[2].condition, 'the cart shows 3 items');
+  assert.equal(steps[2].maxIterations, 5);
+  assert.deepEqual(steps[2].steps.map(step => step.text), ['Click Add to cart']);
+
+  assert.deepEqual(steps[3].steps.map(step => step.text), ['Log in again']);
+
+  assert.equal(steps[4].text, 'Dismiss the survey (timeout message)');
+  assert.equal(steps[4].optional, true);
+  assert.deepEqual(steps[4].options, {});
+
+  assert.deepEqual(warnings, [`${path.relative(process.cwd(), FILE)}:10: Ignored text "Some introduction"; only list items are steps`]);
+});
+
+test('parseSteps reads include parameters after "with" and from sub-items', () => {
+  const { steps } = playbookService.parseSteps([
+    '1. Include: ./common/login.md with user=standard_user',
+    '2. Include: "common/add to cart.md"',
+    '   - product: Backpack'
+  ].join('\n'), FILE);
+  assert.deepEqual(steps.map(step => [step.type, step.file, step.params]), [
+    ['include', './common/login.md', { user: 'standard_user' }],
+    ['include', 'common/add to cart.md', { product: 'Backpack' }]
+  ]);
+  assert.throws(() => playbookService.parseSteps('1. Include: login.md with user', FILE), /Expected include parameters as "with name=value, ..."/);
+});
+
+test('parseSteps keeps sub-items of plain steps in the step text', () => {
+  const { steps } = playbookService.parseSteps('1. Fill in the form\n   - Name: Jane\n   - City: Berlin', FILE);
+  assert.equal(steps[0].text, 'Fill in the form\n    - Name: Jane\n    - City: Berlin');
+});
+
+test('parseSteps rejects blocks without steps and repeats without passes', () => {
+  assert.throws(() => playbookService.parseSteps('1. If the cart is empty:\n2. Click Checkout', FILE), /Step "If the cart is empty:" has no steps to run/);
+  assert.throws(() => playbookService.parseSteps('1. Repeat until done (max 0): Click Next', FILE), /must allow at least 1 pass/);
+});
+
+test('lintPlaybook warns about remarks that look like step options', async () => {
+  const { errors, warnings } = await playbookService.lintPlaybook(path.join(__dirname, 'fixtures', 'login.md'), { vars: { PASSWORD: 'secret' } });
+  assert.deepEqual(errors, []);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /login\.md:\d+: Step 5 ends with "\(timeout message\)", which is not a valid list of step options/);
+});
+
+test('lintPlaybook reports undefined variables', async () => {
+  const { errors } = await playbookService.lintPlaybook(path.join(__dirname, 'fixtures', 'login.md'));
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /Step 3 uses undefined variable \$\{PASSWORD\}/);
+});
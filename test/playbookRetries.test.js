@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PlaybookService = require('../src/services/playbookService');
+
+const SETTINGS = { stepTimeoutMs: 1000, retries: 1, recovery: 'none' };
+
+/**
+ * Playbook service whose step attempts fail with the given errors (null for a passing attempt)
+ * A failed attempt leaves the LLM loop running, as a timed out loop does until it winds down.
+ */
+function createPlaybookService(outcomes) {
+  const llmService = { isExecuting: false, getSecretValues: () => [] };
+  const playbookService = new PlaybookService(llmService, null);
+  playbookService.sleep = async () => {};
+  playbookService.attempts = [];
+  playbookService.executeStepWithTimeout = async (message) => {
+    playbookService.attempts.push(message);
+    const error = outcomes[playbookService.attempts.length - 1];
+    llmService.isExecuting = Boolean(error);
+    if (error) {
+      throw error;
+    }
+  };
+  return playbookService;
+}
+
+function createStepRecord() {
+  return { label: '1', attempts: 0, failedAttempts: [] };
+}
+
+test('a step is retried when its LLM loop does not wind down in time', async () => {
+  const playbookService = createPlaybookService([new Error('Step timed out after 1s'), null]);
+  const stepRecord = createStepRecord();
+  await playbookService.executeStepWithRetries('Click Login', SETTINGS, stepRecord);
+  assert.deepEqual(playbookService.attempts, ['Click Login', 'Click Login']);
+  assert.equal(stepRecord.attempts, 2);
+  assert.deepEqual(stepRecord.failedAttempts, [{ attempt: 1, error: 'Step timed out after 1s' }]);
+});
+
+test('a step fails with its own error when its LLM loop does not wind down in time', async () => {
+  const playbookService = createPlaybookService([new Error('Step timed out after 1s'), new Error('Login button not found')]);
+  const stepRecord = createStepRecord();
+  await assert.rejects(playbookService.executeStepWithRetries('Click Login', SETTINGS, stepRecord), /^Error: Login button not found$/);
+  assert.deepEqual(stepRecord.failedAttempts, [{ attempt: 1, error: 'Step timed out after 1s' }]);
+});
+
+test('a failed recovery that does not wind down still retries the step', async () => {
+  const playbookService = createPlaybookService([new Error('Step timed out after 1s'), new Error('Recovery timed out'), null]);
+  const stepRecord = createStepRecord();
+  await playbookService.executeStepWithRetries('Click Login', { ...SETTINGS, recovery: 'Close any popup' }, stepRecord);
+  assert.deepEqual(playbookService.attempts, ['Click Login', 'Close any popup', 'Click Login']);
+  assert.equal(stepRecord.attempts, 2);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// The run replays the LLM from a cassette and a fake MCP service stands in for the browser.
+// The cassette holds OpenAI responses making one tool call per step of fixtures/login.md; prompt
+// changes make the replay diverge, then it has to be recorded again (LLM_CASSETTE_MODE=record).
+process.env.LOG_LEVEL = 'ERROR';
+process.env.LLM_CASSETTE = path.join(__dirname, 'fixtures', 'login.cassette.json');
+process.env.LLM_CASSETTE_MODE = 'replay';
+for (const name of ['PLAYBOOK_REPORT_DIR', 'PLAYBOOK_PLAN_CACHE', 'PLAYBOOK_SECRETS_FILE']) {
+  delete process.env[name];
+}
+
+const LLMService = require('../src/services/llmService');
+const PlaybookService = require('../src/services/playbookService');
+const { generateScript } = require('../src/services/codegen');
+
+const PLAYBOOK = path.join(__dirname, 'fixtures', 'login.md');
+
+const SNAPSHOT = [
+  '### Ran Playwright code',
+  '- Page URL: https://shop.test/',
+  '- Page Snapshot:',
+  '```yaml',
+  '- generic [ref=e1]:',
+  '  - textbox "Username" [ref=e2]',
+  '  - textbox "Password" [ref=e3]',
+  '  - button "Login" [ref=e4] [cursor=pointer]',
+  '  - button "Accept" [ref=e5] [cursor=pointer]',
+  '  - heading "Products" [level=2] [ref=e6]',
+  '```'
+].join('\n');
+
+const TOOLS = ['browser_navigate', 'browser_click', 'browser_type', 'browser_snapshot'].map(name => ({
+  name,
+  description: `Fake ${name}`,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' },
+      element: { type: 'string' },
+      ref: { type: 'string' },
+      text: { type: 'string' }
+    }
+  }
+}));
+
+/**
+ * FakeMCPService - Stands in for MCPService, without a browser
+ *
+ * Every tool call is recorded in `calls` and answered with the same page snapshot.
+ */
+class FakeMCPService {
+  constructor() {
+    this.calls = [];
+  }
+
+  async initialize() {}
+
+  async getAvailableTools() {
+    return TOOLS;
+  }
+
+  async callTool(toolName, args) {
+    this.calls.push({ toolName, args });
+    return { content: [{ type: 'text', text: SNAPSHOT }] };
+  }
+
+  async getCurrentUrl() {
+    return 'https://shop.test/';
+  }
+
+  setScreenshotService() {}
+
+  setSecretValues() {}
+
+  async cleanup() {}
+}
+
+async function createServices() {
+  const mcpService = new FakeMCPService();
+  const llmService = new LLMService(mcpService);
+  await llmService.initialize();
+  return { mcpService, llmService, playbookService: new PlaybookService(llmService, null) };
+}
+
+test('a playbook run replays the recorded LLM responses', async () => {
+  const { mcpService, llmService, playbookService } = await createServices();
+  assert.equal(llmService.adapter.mode, 'replay');
+
+  const result = await playbookService.executePlaybook(PLAYBOOK, { vars: { PASSWORD: 's3cret' } });
+
+  assert.equal(result.success, true);
+  assert.equal(result.totalSteps, 6);
+  assert.deepEqual(result.validationResults.map(validation => [validation.scenario, validation.result]), [['Products heading is shown', 'pass']]);
+  // Variables are filled in before the LLM sees a step, secrets only when the tool runs
+  assert.deepEqual(mcpService.calls, [
+    { toolName: 'browser_navigate', args: { url: 'https://shop.test/' } },
+    { toolName: 'browser_type', args: { element: 'Username field', ref: 'e2', text: 'standard_user' } },
+    { toolName: 'browser_type', args: { element: 'Password field', ref: 'e3', text: 's3cret' } },
+    { toolName: 'browser_click', args: { element: 'Accept button', ref: 'e5' } },
+    { toolName: 'browser_click', args: { element: 'Login button', ref: 'e4' } }
+  ]);
+  assert.equal(llmService.adapter.position, llmService.adapter.interactions.length);
+
+  const { run } = playbookService.lastRun;
+  assert.deepEqual(run.steps.map(step => [step.label, step.status]), [
+    ['1', 'passed'], ['2', 'passed'], ['3', 'passed'], ['4', 'passed'], ['5', 'passed'], ['6', 'passed']
+  ]);
+  assert.equal(run.steps[4].text, 'Click Login and wait for the error (timeout message)');
+  assert.deepEqual(run.steps[3].steps.map(step => [step.label, step.status]), [['4.1', 'passed']]);
+
+  // The action log keeps the secret placeholder, so scripts read it from the environment
+  const actions = llmService.getActionLog();
+  assert.ok(!JSON.stringify(actions).includes('s3cret'));
+  const { script } = generateScript(actions, { language: 'python', title: 'login' });
+  assert.ok(script.includes('.fill(os.environ["PASSWORD"])'));
+});
+
+test('a run of an edited playbook fails where it diverges from the cassette', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'playbook-'));
+  try {
+    const edited = path.join(directory, 'login.md');
+    const content = await fs.readFile(PLAYBOOK, 'utf-8');
+    await fs.writeFile(edited, content.replace('1. Open https://shop.test/', '1. Open https://shop.test/home'));
+
+    const { mcpService, playbookService } = await createServices();
+    await assert.rejects(
+      playbookService.executePlaybook(edited, { vars: { PASSWORD: 's3cret' } }),
+      /stopped at step 1: LLM cassette replay diverged at request #1 .*: message #1 differs/s
+    );
+    assert.deepEqual(mcpService.calls, []);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
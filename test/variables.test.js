@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SECRET_MASK, findPlaceholders, interpolate, splitPlaceholders, maskSecrets } = require('../src/utils/variables');
+
+test('findPlaceholders lists each variable once and skips escaped ones', () => {
+  assert.deepEqual(findPlaceholders('${user} ${ PASSWORD } ${user} $${literal}'), ['user', 'PASSWORD']);
+});
+
+test('interpolate fills in known variables and keeps unknown placeholders', () => {
+  const values = { user: 'standard_user', count: 3 };
+  assert.equal(interpolate('Log in as ${user} (${count}) with ${PASSWORD}', name => values[name]),
+    'Log in as standard_user (3) with ${PASSWORD}');
+});
+
+test('interpolate unescapes $${NAME} unless keepEscaped is set', () => {
+  assert.equal(interpolate('Type $${user}', () => 'x'), 'Type ${user}');
+  assert.equal(interpolate('Type $${user}', () => 'x', { keepEscaped: true }), 'Type $${user}');
+});
+
+test('splitPlaceholders splits literal text and placeholders', () => {
+  assert.deepEqual(splitPlaceholders('Hello ${NAME}, $${kept}!'), [
+    { text: 'Hello ' },
+    { name: 'NAME' },
+    { text: ', ${kept}!' }
+  ]);
+  assert.deepEqual(splitPlaceholders('${TOKEN}'), [{ name: 'TOKEN' }]);
+  assert.deepEqual(splitPlaceholders(''), [{ text: '' }]);
+});
+
+test('maskSecrets masks secret values in strings, arrays and objects', () => {
+  const masked = maskSecrets({ text: 'pw=s3cret', list: ['s3cret', 7], nested: { value: 'no secret' } }, ['s3cret']);
+  assert.deepEqual(masked, { text: `pw=${SECRET_MASK}`, list: [SECRET_MASK, 7], nested: { value: 'no secret' } });
+});
+
+test('maskSecrets masks a secret containing another secret as a whole', () => {
+  assert.equal(maskSecrets('token abc123 and abc', ['abc', 'abc123']), `token ${SECRET_MASK} and ${SECRET_MASK}`);
+});
+
+test('maskSecrets leaves values alone without secrets', () => {
+  assert.equal(maskSecrets('abc', []), 'abc');
+  assert.equal(maskSecrets('abc', ['']), 'abc');
+});